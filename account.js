@@ -0,0 +1,223 @@
+// Account lifecycle beyond /register and /login: password reset and change,
+// email change, and erasure of the account with all its data. The data
+// export ("download all my data") lives in dataExport.js.
+//
+// Reset and email change links carry single-use tokens that expire; only
+// their SHA-256 is stored. Changing or resetting the password signs out
+// every session.
+const express = require('express');
+const bcrypt = require('bcrypt');
+const store = require('./storage');
+const { requireAuth, createSession, issueAccountToken, findAccountToken, notifyByMail } = require('./auth');
+const { appLink } = require('./mail');
+const { rateLimit } = require('./rateLimit');
+const { removeExports } = require('./dataExport');
+
+const router = express.Router();
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TTL_HOURS) || 24;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores anything past 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ----------------- HELPERS -----------------
+function passwordError(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES)
+    return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+  return null;
+}
+
+async function passwordMatches(user, password) {
+  return typeof password === 'string' && bcrypt.compare(password, user.password_hash);
+}
+
+// ----------------- PASSWORD RESET -----------------
+// Always answers the same way, so it does not reveal whether an account
+// exists for the address.
+router.post('/password/forgot', rateLimit('auth'), async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !email)
+      return res.status(400).json({ success: false, message: 'Missing email' });
+
+    const user = await store.users.findByEmail(email.trim());
+    if (user) {
+      // Only the newest link works
+      await store.accountTokens.revokeForUser(user.id, 'password_reset');
+      const token = await issueAccountToken(user.id, 'password_reset', RESET_TTL_MINUTES * 60000);
+      notifyByMail({
+        to: user.email,
+        subject: 'Reset your CardioApp password',
+        text: `Open this link within ${RESET_TTL_MINUTES} minutes to choose a new password:\n\n` +
+          `${appLink('/reset-password', { token })}\n\nIf you did not ask for this, you can ignore this email.`
+      });
+    }
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post('/password/reset', rateLimit('auth'), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const invalid = passwordError(password);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const row = await findAccountToken(token, 'password_reset');
+    if (!row) return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+
+    const hash = await bcrypt.hash(password, 10);
+    const reset = await store.transaction(async db => {
+      if (!(await db.accountTokens.consume(row.id))) return false;
+      await db.users.updatePassword(row.user_id, hash);
+      await db.sessions.revokeAllForUser(row.user_id);
+      // The link proved the address, so an unconfirmed signup can sign in now
+      await db.users.confirmEmail(row.user_id);
+      return true;
+    });
+    if (!reset) return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+
+    const user = await store.users.findById(row.user_id);
+    notifyByMail({
+      to: user.email,
+      subject: 'Your CardioApp password was reset',
+      text: 'Your password was reset and every device was signed out. If this was not you, reset it again and contact support.'
+    });
+    res.json({ success: true, message: 'Password reset; sign in with the new password' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- PASSWORD CHANGE -----------------
+// Signs out every session, then returns a new one for the caller.
+router.post('/password/change', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await store.users.findById(req.user.id);
+    if (!(await passwordMatches(user, currentPassword)))
+      return res.status(403).json({ success: false, message: 'Current password is incorrect' });
+    const invalid = passwordError(newPassword);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const hash = await bcrypt.hash(newPassword, 10);
+    await store.transaction(async db => {
+      await db.users.updatePassword(user.id, hash);
+      await db.sessions.revokeAllForUser(user.id);
+      await db.accountTokens.revokeForUser(user.id, 'password_reset');
+    });
+    const tokens = await createSession(req.user.id);
+
+    notifyByMail({
+      to: user.email,
+      subject: 'Your CardioApp password was changed',
+      text: 'Your password was changed and other devices were signed out. If this was not you, reset your password now.'
+    });
+    res.json({ success: true, message: 'Password changed; other sessions were signed out', ...tokens });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- EMAIL CHANGE -----------------
+// Sends a confirmation link to the new address; the email changes once it
+// is opened.
+router.post('/email/change', requireAuth, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    if (typeof newEmail !== 'string' || !EMAIL_PATTERN.test(newEmail.trim()) || newEmail.length > 255)
+      return res.status(400).json({ success: false, message: 'newEmail must be an email address' });
+    const email = newEmail.trim();
+
+    const user = await store.users.findById(req.user.id);
+    if (!(await passwordMatches(user, password)))
+      return res.status(403).json({ success: false, message: 'Password is incorrect' });
+    if (email.toLowerCase() === user.email.toLowerCase())
+      return res.status(400).json({ success: false, message: 'That is already your email address' });
+    if (await store.users.findByEmail(email))
+      return res.status(409).json({ success: false, message: 'Email already registered' });
+
+    await store.accountTokens.revokeForUser(user.id, 'email_change');
+    const token = await issueAccountToken(user.id, 'email_change', EMAIL_CHANGE_TTL_HOURS * 3600000, email);
+    notifyByMail({
+      to: email,
+      subject: 'Confirm your new CardioApp email address',
+      text: `Open this link within ${EMAIL_CHANGE_TTL_HOURS} hours to use this address for your CardioApp account:\n\n` +
+        appLink('/confirm-email', { token })
+    });
+    notifyByMail({
+      to: user.email,
+      subject: 'CardioApp email change requested',
+      text: `A change of your account's email address to ${email} was requested. ` +
+        'It takes effect once confirmed from the new address; if this was not you, change your password.'
+    });
+    res.status(202).json({ success: true, message: 'Confirmation link sent to the new address' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Opened from the confirmation email, so it needs no access token.
+router.post('/email/confirm', rateLimit('auth'), async (req, res) => {
+  try {
+    const row = await findAccountToken(req.body.token, 'email_change');
+    if (!row) return res.status(400).json({ success: false, message: 'Confirmation link is invalid or has expired' });
+    if (await store.users.findByEmail(row.new_email))
+      return res.status(409).json({ success: false, message: 'Email already registered' });
+
+    const previous = await store.users.findById(row.user_id);
+    const changed = await store.transaction(async db => {
+      if (!(await db.accountTokens.consume(row.id))) return false;
+      await db.users.updateEmail(row.user_id, row.new_email);
+      return true;
+    });
+    if (!changed) return res.status(400).json({ success: false, message: 'Confirmation link is invalid or has expired' });
+
+    notifyByMail({
+      to: previous.email,
+      subject: 'Your CardioApp email address was changed',
+      text: `Your account now uses ${row.new_email}. If this was not you, contact support.`
+    });
+    res.json({ success: true, message: 'Email address changed', email: row.new_email });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: 'Email already registered' });
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- ERASURE -----------------
+// Deletes the account and everything stored for it: samples, raw device
+// payloads, devices, goals, alerts, shares, webhooks, export archives and
+// encryption keys. Only the audit log keeps its entries.
+router.delete('/account', requireAuth, async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!(await passwordMatches(user, req.body?.password)))
+      return res.status(403).json({ success: false, message: 'Password is incorrect' });
+
+    await removeExports(user.id);
+    await store.transaction(db => db.users.remove(user.id));
+
+    notifyByMail({
+      to: user.email,
+      subject: 'Your CardioApp account was deleted',
+      text: 'Your account and all the health data stored with it have been deleted.'
+    });
+    res.json({ success: true, message: 'Account and all its data deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router };
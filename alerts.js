@@ -0,0 +1,415 @@
+// Alerts raised when an ingested reading crosses an alert rule, kept until
+// the user deals with them.
+//
+// Every rule watches one field of one metric and is one of:
+//   threshold  a single reading beyond `threshold`
+//   sustained  readings staying beyond `threshold` for `minutes`
+//   change     a rise or fall of at least `threshold` within `minutes`
+//   baseline   a reading at least `threshold` deviations above (or below) the
+//              user's own 30-day baseline (see baselines.js)
+// Users may switch a rule off or override its threshold, minutes and
+// severity.
+//
+// While a rule's alert is open or acknowledged, further breaches add an
+// occurrence to it rather than opening another. Threshold and sustained
+// alerts resolve themselves once a later reading is back within the rule;
+// any alert can be resolved by hand.
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { metricTables } = require('./storage/metrics');
+const { schemas, validateSchema, splitList } = require('./validation');
+const { sampleTimes } = require('./ingest');
+const { noteAccess } = require('./audit');
+const { DEFAULT_TIME_ZONE, localDate } = require('./daily');
+const { BASELINE_DAYS, adverseDeviations, loadHeartBaseline } = require('./baselines');
+const { rowMerger } = require('./sources');
+
+const router = express.Router();
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const MAX_RULE_MINUTES = 30 * 24 * 60;
+const BASELINE_THRESHOLD_LIMITS = [1, 6];
+// Older readings are history being backfilled, not something to alert on now
+const ALERT_MAX_AGE_HOURS = parseInt(process.env.ALERT_MAX_AGE_HOURS) || 24;
+
+// ----------------- RULES -----------------
+const alertRules = {
+  systolic_crisis: {
+    title: 'Very high systolic blood pressure',
+    metric: 'vitals', field: 'bloodPressureSystolic', kind: 'threshold', condition: '>=', threshold: 180, severity: 'critical'
+  },
+  diastolic_crisis: {
+    title: 'Very high diastolic blood pressure',
+    metric: 'vitals', field: 'bloodPressureDiastolic', kind: 'threshold', condition: '>=', threshold: 120, severity: 'critical'
+  },
+  spo2_low: {
+    title: 'Low blood oxygen',
+    metric: 'vitals', field: 'spo2', kind: 'sustained', condition: '<', threshold: 90, minutes: 10, severity: 'critical'
+  },
+  fever: {
+    title: 'Fever',
+    metric: 'vitals', field: 'temperature', kind: 'threshold', condition: '>=', threshold: 38, severity: 'warning'
+  },
+  temperature_low: {
+    title: 'Low body temperature',
+    metric: 'vitals', field: 'temperature', kind: 'threshold', condition: '<', threshold: 35, severity: 'warning'
+  },
+  resting_hr_high: {
+    title: 'High resting heart rate',
+    metric: 'heart', field: 'restingHeartRate', kind: 'threshold', condition: '>', threshold: 100, severity: 'warning'
+  },
+  // Often the first sign of illness, overtraining or poor recovery, well
+  // before the fixed limit above
+  resting_hr_above_baseline: {
+    title: 'Resting heart rate above your normal',
+    metric: 'heart', field: 'restingHeartRate', kind: 'baseline', direction: 'rise', threshold: 2, severity: 'info'
+  },
+  hrv_below_baseline: {
+    title: 'Heart rate variability below your normal',
+    metric: 'heart', field: 'hrv', kind: 'baseline', direction: 'fall', threshold: 2, severity: 'info'
+  },
+  heart_rate_low: {
+    title: 'Low heart rate',
+    metric: 'heart', field: 'currentHeartRate', kind: 'sustained', condition: '<', threshold: 40, minutes: 10, severity: 'warning'
+  },
+  // Rapid weight gain is an early sign of fluid retention in heart failure
+  weight_gain: {
+    title: 'Rapid weight gain',
+    metric: 'body', field: 'weight', kind: 'change', direction: 'rise', threshold: 2, minutes: 7 * 24 * 60, severity: 'warning'
+  }
+};
+
+const conditions = {
+  '>': { test: (v, t) => v > t, text: 'above' },
+  '>=': { test: (v, t) => v >= t, text: 'at or above' },
+  '<': { test: (v, t) => v < t, text: 'below' },
+  '<=': { test: (v, t) => v <= t, text: 'at or below' }
+};
+
+// Rules with the user's overrides applied, by key.
+async function loadAlertRules(userId, db = store) {
+  const overrides = new Map((await db.alertRules.list(userId)).map(row => [row.rule_key, row]));
+  const rules = {};
+  for (const [key, rule] of Object.entries(alertRules)) {
+    const override = overrides.get(key);
+    rules[key] = {
+      key,
+      ...rule,
+      unit: schemas[rule.metric].fields[rule.field].unit,
+      enabled: override?.enabled != null ? Boolean(override.enabled) : true,
+      threshold: override?.threshold ?? rule.threshold,
+      minutes: override?.minutes ?? rule.minutes,
+      severity: override?.severity ?? rule.severity,
+      isDefault: !override
+    };
+  }
+  return rules;
+}
+
+// ----------------- EVALUATION -----------------
+function formatMinutes(minutes) {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+}
+
+const breaches = (rule, value) => conditions[rule.condition].test(value, rule.threshold);
+
+// Whether every reading since `minutes` before `at` breached the rule,
+// counting from the last reading at or before the start of that window.
+async function heldFor(db, userId, rule, at) {
+  const column = metricTables[rule.metric].columns[rule.field];
+  const windowStart = new Date(at - rule.minutes * 60000);
+  const rows = (await db.samples.list(rule.metric, userId, {
+    since: new Date(windowStart - rule.minutes * 60000),
+    until: new Date(at.getTime() + 1),
+    order: 'asc'
+  })).filter(r => r[column] != null);
+
+  const startIndex = rows.findLastIndex(r => new Date(r.recorded_at) <= windowStart);
+  if (startIndex === -1) return false;
+  return rows.slice(startIndex).every(r => breaches(rule, Number(r[column])));
+}
+
+// Largest rise (or fall) from a reading within `minutes` before `at` to `value`.
+async function changeWithin(db, userId, rule, value, at) {
+  const column = metricTables[rule.metric].columns[rule.field];
+  const rows = await db.samples.list(rule.metric, userId, { since: new Date(at - rule.minutes * 60000), until: at });
+  const values = rows.map(r => r[column]).filter(v => v != null).map(Number);
+  if (values.length === 0) return null;
+  return rule.direction === 'rise' ? value - Math.min(...values) : Math.max(...values) - value;
+}
+
+// `cache` holds what one request looks up for every sample it stores: the
+// user's time zone and row merger, and baselines by user, field and local
+// day. A baseline only covers the days before its own, so it holds all day.
+function cached(cache, key, load) {
+  if (!cache.has(key)) cache.set(key, load());
+  return cache.get(key);
+}
+
+async function cachedBaseline(db, userId, field, at, cache) {
+  const timeZone = await cached(cache, `timeZone:${userId}`, async () => (await db.profiles.get(userId))?.time_zone || DEFAULT_TIME_ZONE);
+  const date = localDate(at, timeZone);
+  return cached(cache, `baseline:${userId}:${field}:${date}`, async () => {
+    const merge = await cached(cache, `merge:${userId}`, () => rowMerger(userId, timeZone, db));
+    return loadHeartBaseline(db, userId, field, date, timeZone, merge);
+  });
+}
+
+// The alert message when the reading breaches the rule, else null.
+async function checkRule(db, userId, rule, value, at, cache) {
+  const { unit } = rule;
+  if (rule.kind === 'baseline') {
+    const baseline = await cachedBaseline(db, userId, rule.field, at, cache);
+    if (!baseline || adverseDeviations(rule.field, baseline, value) < rule.threshold) return null;
+    const deviations = Math.abs((value - baseline.median) / baseline.deviation).toFixed(1);
+    return `${rule.title}: ${value} ${unit} is ${deviations} deviations ${rule.direction === 'rise' ? 'above' : 'below'} ` +
+      `your ${BASELINE_DAYS}-day median of ${baseline.median} ${unit}.`;
+  }
+  if (rule.kind === 'change') {
+    const change = await changeWithin(db, userId, rule, value, at);
+    if (change == null || change < rule.threshold) return null;
+    const direction = rule.direction === 'rise' ? 'up' : 'down';
+    return `${rule.title}: ${direction} ${Number(change.toFixed(1))} ${unit} within ${formatMinutes(rule.minutes)}, to ${value} ${unit}.`;
+  }
+
+  if (!breaches(rule, value)) return null;
+  const limit = `${conditions[rule.condition].text} ${rule.threshold} ${unit}`;
+  if (rule.kind === 'sustained') {
+    if (!(await heldFor(db, userId, rule, at))) return null;
+    return `${rule.title}: ${limit} for ${formatMinutes(rule.minutes)} (latest ${value} ${unit}).`;
+  }
+  return `${rule.title}: ${value} ${unit} is ${limit}.`;
+}
+
+// Runs the rules for one stored sample through `db`, the repositories of the
+// ingesting transaction. Returns the alerts it opened. Only the ingestion
+// routes call this, and only readings taken within ALERT_MAX_AGE_HOURS are
+// checked: imported or backfilled history does not raise alerts. Requests
+// that store several samples pass one `cache` (a Map) for all of them.
+async function evaluateAlerts(db, userId, { type, data }, cache = new Map()) {
+  const watched = Object.keys(alertRules).filter(key => alertRules[key].metric === type && data[alertRules[key].field] != null);
+  if (watched.length === 0) return [];
+
+  const triggeredAt = sampleTimes(data).recordedAt;
+  if (triggeredAt < new Date(Date.now() - ALERT_MAX_AGE_HOURS * 3600000)) return [];
+
+  const rules = await loadAlertRules(userId, db);
+  const opened = [];
+
+  for (const key of watched) {
+    const rule = rules[key];
+    if (!rule.enabled) continue;
+    const value = Number(data[rule.field]);
+    const message = await checkRule(db, userId, rule, value, triggeredAt, cache);
+    const active = await db.alerts.findActive(userId, key);
+    // Change alerts never resolve themselves; baseline rules have no fixed
+    // limit to be back within
+    const recovered = rule.kind === 'baseline' ? !message : rule.kind !== 'change' && !breaches(rule, value);
+
+    if (message && active) {
+      await db.alerts.recordOccurrence(active.id, { value, message, triggeredAt });
+    } else if (message) {
+      const id = await db.alerts.create({
+        userId, ruleKey: key, severity: rule.severity, metric: rule.metric, field: rule.field, value, message, triggeredAt
+      });
+      opened.push(toAlert(await db.alerts.findById(id)));
+    } else if (active && recovered && triggeredAt >= new Date(active.last_triggered_at)) {
+      await db.alerts.resolve(active.id, 'auto');
+    }
+  }
+  return opened;
+}
+
+// ----------------- CLASSIFICATION -----------------
+// Vital-sign categories, shared with the insights.
+// ACC/AHA 2017 categories; whichever of systolic or diastolic is worse wins.
+function classifyBloodPressure(systolic, diastolic) {
+  if (systolic > 180 || diastolic > 120) return "Hypertensive Crisis";
+  if (systolic >= 140 || diastolic >= 90) return "Hypertension Stage 2";
+  if (systolic >= 130 || diastolic >= 80) return "Hypertension Stage 1";
+  if (systolic >= 120) return "Elevated";
+  return "Normal";
+}
+
+function classifySpO2(spo2) {
+  if (spo2 < 90) return "Low";
+  if (spo2 < 95) return "Below Normal";
+  return "Normal";
+}
+
+function classifyTemperature(celsius) {
+  if (celsius < 35) return "Low";
+  if (celsius >= 39.5) return "High Fever";
+  if (celsius >= 38) return "Fever";
+  if (celsius >= 37.5) return "Slightly Elevated";
+  return "Normal";
+}
+
+// ----------------- ALERT ROUTES -----------------
+function toAlert(row) {
+  return {
+    id: row.id,
+    rule: row.rule_key,
+    severity: row.severity,
+    status: row.status,
+    metric: row.metric,
+    field: row.field,
+    value: row.value,
+    message: row.message,
+    occurrences: row.occurrences,
+    firstTriggeredAt: row.first_triggered_at,
+    lastTriggeredAt: row.last_triggered_at,
+    acknowledgedAt: row.acknowledged_at,
+    resolvedAt: row.resolved_at,
+    resolution: row.resolution,
+    createdAt: row.created_at
+  };
+}
+
+// The user's alert with the id in the URL, or null after sending a 404.
+async function ownAlert(req, res) {
+  const alert = await store.alerts.findById(req.params.id);
+  if (alert && alert.user_id.toString() === req.user.id) return alert;
+  res.status(404).json({ success: false, message: 'Alert not found' });
+  return null;
+}
+
+// GET /alerts?status=open,acknowledged&limit=50
+// Newest first; by default the alerts still needing attention.
+router.get('/alerts', requireAuth, async (req, res) => {
+  try {
+    const statuses = splitList(req.query.status || 'open,acknowledged');
+    if (!statuses || statuses.some(s => !STATUSES.includes(s)))
+      return res.status(400).json({ success: false, message: `status must be a list of ${STATUSES.join(', ')}` });
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_LIST_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT)
+      return res.status(400).json({ success: false, message: `limit must be between 1 and ${MAX_LIST_LIMIT}` });
+
+    const rows = await store.alerts.listForUser(req.user.id, { statuses, limit });
+    for (const row of rows) noteAccess(res, row.metric, 1);
+    res.json({ success: true, alerts: rows.map(toAlert) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/alerts/:id', requireAuth, async (req, res) => {
+  try {
+    const alert = await ownAlert(req, res);
+    if (!alert) return;
+    noteAccess(res, alert.metric, 1);
+    res.json({ success: true, alert: toAlert(alert) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Marks an open alert as seen. It stays active, and keeps counting
+// occurrences, until resolved.
+router.post('/alerts/:id/acknowledge', requireAuth, async (req, res) => {
+  try {
+    const alert = await ownAlert(req, res);
+    if (!alert) return;
+    if (alert.status === 'resolved')
+      return res.status(409).json({ success: false, message: 'Alert is already resolved' });
+    await store.alerts.acknowledge(alert.id);
+    res.json({ success: true, alert: toAlert(await store.alerts.findById(alert.id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post('/alerts/:id/resolve', requireAuth, async (req, res) => {
+  try {
+    const alert = await ownAlert(req, res);
+    if (!alert) return;
+    await store.alerts.resolve(alert.id, 'manual');
+    res.json({ success: true, alert: toAlert(await store.alerts.findById(alert.id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- RULE ROUTES -----------------
+const overrideSchema = {
+  fields: {
+    enabled: { type: 'boolean' },
+    threshold: { type: 'number' },
+    minutes: { type: 'integer', unit: 'min', limits: [1, MAX_RULE_MINUTES] },
+    severity: { type: 'enum', values: SEVERITIES }
+  }
+};
+
+// Checks an override against its rule: thresholds within the field's limits
+// (or up to them for a change, or in deviations for a baseline) and minutes
+// only where the rule has a window.
+function overrideErrors(rule, override) {
+  const errors = validateSchema(overrideSchema, override);
+  const limits = schemas[rule.metric].fields[rule.field].limits;
+  const [min, max] = rule.kind === 'baseline' ? BASELINE_THRESHOLD_LIMITS : rule.kind === 'change' ? [0, limits[1] - limits[0]] : limits;
+  const unit = rule.kind === 'baseline' ? 'deviations' : rule.unit;
+  if (typeof override.threshold === 'number' && (override.threshold < min || override.threshold > max))
+    errors.push({ field: 'threshold', code: 'limit', message: `threshold must be between ${min} and ${max} ${unit}` });
+  if (override.minutes != null && (rule.kind === 'threshold' || rule.kind === 'baseline'))
+    errors.push({ field: 'minutes', code: 'type', message: 'minutes only applies to sustained and change rules' });
+  return errors;
+}
+
+// Effective rules, overrides applied.
+router.get('/alert-rules', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, rules: await loadAlertRules(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Replaces the user's override of a rule; fields left out keep the default.
+router.put('/alert-rules/:key', requireAuth, async (req, res) => {
+  try {
+    const rule = alertRules[req.params.key];
+    if (!rule)
+      return res.status(404).json({ success: false, message: `Unknown rule; use one of ${Object.keys(alertRules).join(', ')}` });
+
+    const errors = overrideErrors({ ...rule, unit: schemas[rule.metric].fields[rule.field].unit }, req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid rule override', errors });
+
+    const { enabled, threshold, minutes, severity } = req.body;
+    await store.alertRules.save(req.user.id, req.params.key, { enabled, threshold, minutes, severity });
+    const rules = await loadAlertRules(req.user.id);
+    res.json({ success: true, rule: rules[req.params.key] });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Back to the default rule.
+router.delete('/alert-rules/:key', requireAuth, async (req, res) => {
+  try {
+    if (!alertRules[req.params.key])
+      return res.status(404).json({ success: false, message: `Unknown rule; use one of ${Object.keys(alertRules).join(', ')}` });
+    await store.alertRules.remove(req.user.id, req.params.key);
+    const rules = await loadAlertRules(req.user.id);
+    res.json({ success: true, rule: rules[req.params.key] });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = {
+  router, alertRules, loadAlertRules, evaluateAlerts, toAlert, classifyBloodPressure, classifySpO2, classifyTemperature
+};
@@ -0,0 +1,212 @@
+// Maps an Apple Health export.xml to our samples.
+//
+// Exports run to hundreds of megabytes, so the file is parsed as a stream and
+// samples are handed out as they are found. Each sample carries a sampleId
+// derived from the record itself (for sleep, from the source and start of its
+// session), which makes importing the same export twice (or a later export
+// that repeats older records) store every reading once.
+const crypto = require('crypto');
+const sax = require('sax');
+
+const SOURCE = 'apple-health';
+
+const sameValue = v => v;
+const LB_TO_KG = 0.45359237;
+
+// HealthKit quantity type -> our metric and field, with a converter per unit
+// Apple may report the value in.
+const quantityTypes = {
+  HKQuantityTypeIdentifierHeartRate: { type: 'heart', field: 'currentHeartRate', units: { 'count/min': sameValue } },
+  HKQuantityTypeIdentifierRestingHeartRate: { type: 'heart', field: 'restingHeartRate', units: { 'count/min': sameValue } },
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN: { type: 'heart', field: 'hrv', units: { ms: sameValue } },
+  HKQuantityTypeIdentifierStepCount: { type: 'activity', field: 'steps', span: true, units: { count: Math.round } },
+  // Apple stores saturation as a fraction even though the unit reads '%'
+  HKQuantityTypeIdentifierOxygenSaturation: { type: 'vitals', field: 'spo2', units: { '%': v => Number((v * 100).toFixed(1)) } },
+  HKQuantityTypeIdentifierBodyMass: { type: 'body', field: 'weight', units: { kg: sameValue, lb: v => Number((v * LB_TO_KG).toFixed(2)), g: v => v / 1000 } }
+};
+
+const BLOOD_PRESSURE = 'HKCorrelationTypeIdentifierBloodPressure';
+const SYSTOLIC = 'HKQuantityTypeIdentifierBloodPressureSystolic';
+const DIASTOLIC = 'HKQuantityTypeIdentifierBloodPressureDiastolic';
+
+const SLEEP = 'HKCategoryTypeIdentifierSleepAnalysis';
+const IN_BED = 'HKCategoryValueSleepAnalysisInBed';
+// Sleep analysis value -> our stage (see validation.js SLEEP_STAGES)
+const sleepStages = {
+  HKCategoryValueSleepAnalysisAsleep: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepUnspecified: 'asleep',
+  HKCategoryValueSleepAnalysisAsleepCore: 'light',
+  HKCategoryValueSleepAnalysisAsleepDeep: 'deep',
+  HKCategoryValueSleepAnalysisAsleepREM: 'rem',
+  HKCategoryValueSleepAnalysisAwake: 'awake'
+};
+// Records of one source this close together belong to the same session
+const SLEEP_SESSION_GAP_MS = 60 * 60000;
+
+// "2024-03-01 07:15:02 -0500" -> "2024-03-01T07:15:02-05:00"
+function parseAppleDate(value) {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+  return match ? `${match[1]}T${match[2]}${match[3]}:${match[4]}` : null;
+}
+
+function sampleIdOf(...parts) {
+  return `${SOURCE}:${crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 40)}`;
+}
+
+// Returns { sample } for a record we store, { skipped } for one we don't and
+// { error } for one we should store but cannot read. Sleep records are
+// collected into sessions by the caller (see createSleepSessions).
+function mapRecord(attrs) {
+  const deviceName = attrs.sourceName || 'Apple Health';
+  const startAt = parseAppleDate(attrs.startDate);
+  const endAt = parseAppleDate(attrs.endDate);
+  const sampleId = sampleIdOf(attrs.type, attrs.sourceName, attrs.startDate, attrs.endDate, attrs.value, attrs.unit);
+
+  const spec = quantityTypes[attrs.type];
+  if (!spec) return { skipped: attrs.type };
+
+  const convert = spec.units[attrs.unit];
+  const value = Number(attrs.value);
+  if (!convert) return { error: `Unsupported unit "${attrs.unit}" for ${attrs.type}` };
+  if (attrs.value == null || !Number.isFinite(value)) return { error: `Non-numeric value for ${attrs.type}` };
+  if (!startAt) return { error: `${attrs.type} record without a valid start date` };
+  if (spec.span && !endAt) return { error: `${attrs.type} record without a valid end date` };
+
+  const data = { [spec.field]: convert(value) };
+  if (spec.span) Object.assign(data, { startAt, endAt });
+  else data.recordedAt = startAt;
+  return { sample: { type: spec.type, deviceName, data, sampleId } };
+}
+
+// ----------------- SLEEP SESSIONS -----------------
+// Apple stores a night as one record per stage (plus an in-bed record from
+// some sources). Records are collected per source until the next one starts
+// more than SLEEP_SESSION_GAP_MS after the session so far ends, and each
+// session becomes one sleep sample with its stages. Overlapping stages are
+// trimmed to where the previous one ends.
+function createSleepSessions() {
+  const open = new Map();
+
+  function close(source) {
+    const { line, records } = open.get(source);
+    open.delete(source);
+    records.sort((a, b) => a.start - b.start);
+
+    const first = records[0];
+    const last = records.reduce((latest, r) => (r.end > latest.end ? r : latest));
+    const data = { startAt: first.startAt, endAt: last.endAt };
+    const stages = [];
+    let previousEnd = null;
+    for (const record of records.filter(r => r.stage)) {
+      const start = previousEnd && record.start < previousEnd ? previousEnd : record.start;
+      if (record.end <= start) continue;
+      stages.push({ stage: record.stage, startAt: start.toISOString(), endAt: record.end.toISOString() });
+      previousEnd = record.end;
+    }
+    if (stages.length > 0) data.stages = stages;
+    else data.totalSleep = Number(((last.end - first.start) / 3600000).toFixed(3));
+
+    // Identified by where it starts only: a later export of the same night,
+    // e.g. with a stage record more, is the same session and not stored again
+    const sampleId = sampleIdOf(SLEEP, first.attrs.sourceName, first.attrs.startDate);
+    return { line, sample: { type: 'sleep', deviceName: source, data, sampleId } };
+  }
+
+  return {
+    // Adds a sleep record; returns entries for the sessions it closes.
+    add(attrs, line) {
+      const stage = sleepStages[attrs.value];
+      if (attrs.value !== IN_BED && !stage) return [{ line, skipped: attrs.type }];
+      const startAt = parseAppleDate(attrs.startDate);
+      const endAt = parseAppleDate(attrs.endDate);
+      if (!startAt || !endAt) return [{ line, error: 'Sleep record without valid start and end dates' }];
+
+      const source = attrs.sourceName || 'Apple Health';
+      const record = { stage, start: new Date(startAt), end: new Date(endAt), startAt, endAt, attrs };
+      const closed = [];
+      if (open.has(source) && record.start - open.get(source).end > SLEEP_SESSION_GAP_MS) closed.push(close(source));
+      if (!open.has(source)) open.set(source, { line, records: [], end: record.end });
+      const session = open.get(source);
+      session.records.push(record);
+      if (record.end > session.end) session.end = record.end;
+      return closed;
+    },
+    // Closes every open session.
+    flush() {
+      return [...open.keys()].map(close);
+    }
+  };
+}
+
+function mapBloodPressure(correlation) {
+  const reading = type => correlation.records.find(r => r.type === type);
+  const systolic = reading(SYSTOLIC);
+  const diastolic = reading(DIASTOLIC);
+  if (!systolic || !diastolic) return { error: 'Blood pressure correlation without both systolic and diastolic' };
+
+  const { attrs } = correlation;
+  const recordedAt = parseAppleDate(attrs.startDate);
+  if (!recordedAt) return { error: 'Blood pressure correlation without a valid start date' };
+  return {
+    sample: {
+      type: 'vitals',
+      deviceName: attrs.sourceName || 'Apple Health',
+      data: {
+        recordedAt,
+        bloodPressureSystolic: Number(systolic.value),
+        bloodPressureDiastolic: Number(diastolic.value)
+      },
+      sampleId: sampleIdOf(BLOOD_PRESSURE, attrs.sourceName, attrs.startDate, attrs.endDate, systolic.value, diastolic.value)
+    }
+  };
+}
+
+// Yields one entry per record of `readable` (a stream of export.xml), each
+// { line, sample } / { line, skipped } / { line, error } as documented on
+// mapRecord. Throws on malformed XML.
+async function* appleHealthRecords(readable) {
+  const parser = sax.parser(true);
+  let pending = [];
+  let correlation = null;
+  let parseError = null;
+  const sleepSessions = createSleepSessions();
+
+  parser.onerror = err => {
+    parseError = err;
+  };
+  parser.onopentag = ({ name, attributes }) => {
+    if (name === 'Correlation') {
+      correlation = { attrs: attributes, records: [], line: parser.line + 1 };
+    } else if (name === 'Record') {
+      if (correlation) correlation.records.push(attributes);
+      // Blood pressure records also appear inside their correlation, which
+      // pairs systolic with diastolic; the loose copies are ignored.
+      else if (attributes.type === SLEEP) pending.push(...sleepSessions.add(attributes, parser.line + 1));
+      else if (attributes.type !== SYSTOLIC && attributes.type !== DIASTOLIC) {
+        pending.push({ line: parser.line + 1, ...mapRecord(attributes) });
+      }
+    }
+  };
+  parser.onclosetag = name => {
+    if (name !== 'Correlation' || !correlation) return;
+    pending.push({
+      line: correlation.line,
+      ...(correlation.attrs.type === BLOOD_PRESSURE ? mapBloodPressure(correlation) : { skipped: correlation.attrs.type })
+    });
+    correlation = null;
+  };
+
+  readable.setEncoding('utf8');
+  for await (const chunk of readable) {
+    parser.write(chunk);
+    if (parseError) throw new Error(`Malformed export.xml: ${parseError.message.split('\n')[0]} (line ${parser.line + 1})`);
+    yield* pending;
+    pending = [];
+  }
+  parser.close();
+  if (parseError) throw new Error(`Malformed export.xml: ${parseError.message.split('\n')[0]}`);
+  yield* pending;
+  yield* sleepSessions.flush();
+}
+
+module.exports = { SOURCE, appleHealthRecords, parseAppleDate };
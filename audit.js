@@ -0,0 +1,262 @@
+// Audit trail of access to users' data.
+//
+// Every request is recorded once its response is over: who made it (the
+// actor; none for an unauthenticated or refused request, such as a failed
+// sign-in), whose data it concerned (the subject: the caller, or the owner of
+// data read through a share), the route, the metric categories read or
+// written and how many records, the status code, an outcome and the client's
+// address. Routes report categories and record counts with noteAccess(); a
+// request that does not is still recorded, with none.
+//
+// Entries are buffered and written in batches, every AUDIT_FLUSH_MS (default
+// 1000) or once AUDIT_BATCH_SIZE (default 200) are waiting, so requests never
+// wait on the chain. Entries still buffered when the process dies are lost.
+//
+// Entries are append-only and chained: each stores the previous entry's hash
+// and a hash over that and its own fields, so changing, removing or
+// reordering an entry breaks the chain from there on. `node audit.js verify`
+// walks the chain and reports the first entry that does not fit.
+//
+// GET /audit-log lists who accessed the signed-in user's data and when.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { toDate } = require('./validation');
+
+const router = express.Router();
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const VERIFY_BATCH = 1000;
+const ACTOR_FILTERS = ['all', 'others'];
+const FLUSH_MS = parseInt(process.env.AUDIT_FLUSH_MS) || 1000;
+const BATCH_SIZE = parseInt(process.env.AUDIT_BATCH_SIZE) || 200;
+
+// ----------------- RECORDING -----------------
+// Adds to what the current request touched; call once per category read or
+// written, or with a list of categories.
+function noteAccess(res, categories, records = 0) {
+  const note = res.locals.audit || (res.locals.audit = { categories: new Set(), records: 0 });
+  for (const category of [].concat(categories)) note.categories.add(category);
+  note.records += records;
+}
+
+function outcomeOf(res) {
+  if (!res.headersSent) return 'aborted';
+  if (res.statusCode < 400) return 'success';
+  if (res.statusCode === 401 || res.statusCode === 403) return 'denied';
+  return res.statusCode < 500 ? 'rejected' : 'error';
+}
+
+const userIdOrNull = value => (/^\d+$/.test(String(value)) ? String(value) : null);
+
+function entryFor(req, res, occurredAt) {
+  const note = res.locals.audit;
+  // A request refused by requireReadAccess never gets a req.subject; the
+  // user it tried to read is the :userId in the URL
+  const subject = req.subject ? req.subject.userId : req.params?.userId ?? req.user?.id;
+  return {
+    occurredAt,
+    actorUserId: req.user ? req.user.id : null,
+    actorDeviceId: req.device ? String(req.device.id) : null,
+    subjectUserId: userIdOrNull(subject),
+    method: req.method,
+    route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+    path: req.originalUrl.split('?')[0].slice(0, 1024),
+    categories: note ? [...note.categories].sort() : [],
+    records: note ? note.records : null,
+    status: res.statusCode,
+    outcome: outcomeOf(res),
+    ip: req.ip || null
+  };
+}
+
+// The fields an entry's hash covers, in a fixed order and form so the hash
+// can be recomputed from a stored row.
+function entryHash(prevHash, e) {
+  const fields = [
+    prevHash, new Date(e.occurredAt).toISOString(), e.actorUserId, e.actorDeviceId, e.subjectUserId,
+    e.method, e.route, e.path, e.categories, e.records, e.status, e.outcome, e.ip
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+function entryFromRow(row) {
+  const id = value => (value == null ? null : String(value));
+  return {
+    occurredAt: row.occurred_at,
+    actorUserId: id(row.actor_user_id),
+    actorDeviceId: id(row.actor_device_id),
+    subjectUserId: id(row.subject_user_id),
+    method: row.method,
+    route: row.route,
+    path: row.path,
+    categories: row.categories,
+    records: row.records,
+    status: row.status,
+    outcome: row.outcome,
+    ip: row.ip
+  };
+}
+
+let buffered = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+// Writes the buffered entries in one transaction. Flushes run one at a time;
+// the lock on the chain head keeps them in order across instances as well.
+// Resolves once everything buffered so far is written.
+function flushAuditTrail() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const batch = buffered;
+  buffered = [];
+  if (batch.length === 0) return flushing;
+
+  flushing = flushing
+    .then(() => store.transaction(async db => {
+      let { last_hash: prevHash } = await db.auditLog.head({ lock: true });
+      for (const entry of batch) {
+        const hash = entryHash(prevHash, entry);
+        await db.auditLog.append({ ...entry, prevHash, hash });
+        prevHash = hash;
+      }
+    }))
+    .catch(err => console.error(`Could not write ${batch.length} audit entries`, err));
+  return flushing;
+}
+
+function append(entry) {
+  buffered.push(entry);
+  if (buffered.length >= BATCH_SIZE) {
+    flushAuditTrail();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushAuditTrail, FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+// App-wide middleware, mounted before every route.
+function auditTrail(req, res, next) {
+  const occurredAt = new Date();
+  res.on('close', () => append(entryFor(req, res, occurredAt)));
+  next();
+}
+
+// ----------------- VERIFICATION -----------------
+// Walks the chain up to the current head. Returns { valid, checked } and,
+// for a broken chain, the id of the first entry that does not fit.
+async function verifyChain(db = store) {
+  const head = await db.auditLog.head();
+  let expected = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  while (head.last_id != null && lastId < head.last_id) {
+    const rows = (await db.auditLog.scan(lastId, VERIFY_BATCH)).filter(row => row.id <= head.last_id);
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if (row.prev_hash !== expected)
+        return { valid: false, checked, brokenAt: row.id, reason: 'previous entry is missing or was changed' };
+      if (row.hash !== entryHash(row.prev_hash, entryFromRow(row)))
+        return { valid: false, checked, brokenAt: row.id, reason: 'entry was changed' };
+      expected = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+  }
+
+  if (expected !== head.last_hash)
+    return { valid: false, checked, brokenAt: head.last_id, reason: 'entries at the end of the log are missing' };
+  return { valid: true, checked };
+}
+
+// ----------------- AUDIT LOG ROUTE -----------------
+function toAuditEntry(row, userId) {
+  return {
+    id: row.id,
+    occurredAt: new Date(row.occurred_at).toISOString(),
+    actor: {
+      userId: row.actor_user_id,
+      fullName: row.actor_name,
+      email: row.actor_email,
+      deviceId: row.actor_device_id,
+      deviceName: row.actor_device_name,
+      self: String(row.actor_user_id) === userId
+    },
+    method: row.method,
+    route: row.route,
+    categories: row.categories,
+    records: row.records,
+    status: row.status,
+    outcome: row.outcome
+  };
+}
+
+// GET /audit-log?from&to&actor=others&limit&cursor
+// Newest first; actor=others leaves out the user's own requests.
+router.get('/audit-log', requireAuth, async (req, res) => {
+  try {
+    const since = req.query.from ? toDate(req.query.from) : null;
+    const until = req.query.to ? toDate(req.query.to) : null;
+    if ((req.query.from && !since) || (req.query.to && !until))
+      return res.status(400).json({ success: false, message: 'from and to must be ISO 8601 timestamps' });
+
+    const actor = req.query.actor || 'all';
+    if (!ACTOR_FILTERS.includes(actor))
+      return res.status(400).json({ success: false, message: `actor must be one of ${ACTOR_FILTERS.join(', ')}` });
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+      return res.status(400).json({ success: false, message: `limit must be between 1 and ${MAX_LIMIT}` });
+
+    const before = req.query.cursor ? Number(req.query.cursor) : null;
+    if (before != null && !Number.isInteger(before))
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+
+    // One row more than asked tells whether another page follows
+    const rows = await store.auditLog.listForSubject(req.user.id, {
+      before, since, until, excludeActor: actor === 'others' ? req.user.id : null, limit: limit + 1
+    });
+    const page = rows.slice(0, limit);
+    res.json({
+      success: true,
+      entries: page.map(row => toAuditEntry(row, req.user.id)),
+      nextCursor: rows.length > limit ? String(page[page.length - 1].id) : null
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, auditTrail, flushAuditTrail, noteAccess, verifyChain, toAuditEntry };
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+
+  (async () => {
+    try {
+      if (command === 'verify') {
+        const result = await verifyChain();
+        if (result.valid) {
+          console.log(`✅ Audit chain intact (${result.checked} entries)`);
+        } else {
+          console.error(`❌ Audit chain broken at entry ${result.brokenAt}: ${result.reason} (${result.checked} entries verified before it)`);
+          process.exitCode = 1;
+        }
+      } else {
+        console.error(`Unknown command "${command}". Use verify.`);
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error('Audit verification failed:', err.message);
+      process.exitCode = 1;
+    } finally {
+      await store.close();
+    }
+  })();
+}
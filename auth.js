@@ -1,81 +1,286 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const store = require('./storage');
+const { isValidTimeZone } = require('./daily');
+const { rateLimit, loginLockout, recordLoginFailure, recordLoginSuccess } = require('./rateLimit');
+const { sendMail, appLink } = require('./mail');
+
 const router = express.Router();
-const mysql = require('mysql2/promise');
 
 // ----------------- CONFIG -----------------
-const pool = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
-    waitForConnections: true,
-    connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
-    queueLimit: 0
-});
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60;
+const SIGNUP_CONFIRM_TTL_HOURS = parseInt(process.env.SIGNUP_CONFIRM_TTL_HOURS) || 48;
+
+if (!JWT_SECRET) throw new Error('JWT_SECRET must be set to issue access tokens');
+
+// Compared against when the email is unknown, so both failures take as long
+const UNKNOWN_USER_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// ----------------- TOKEN HELPERS -----------------
+// Refresh tokens are opaque random strings; only their SHA-256 is stored so a
+// leaked refresh_tokens table cannot be replayed. Each row doubles as the
+// session an access token belongs to (the `sid` claim), which is what lets
+// logout revoke access tokens before they expire.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// `db` is the store, or the repositories of a surrounding transaction.
+async function createSession(userId, db = store) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000);
+
+  const sessionId = await db.sessions.create({ userId, tokenHash: hashToken(refreshToken), expiresAt });
+
+  const accessToken = jwt.sign({ sid: sessionId }, JWT_SECRET, {
+    subject: userId.toString(),
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+}
+
+async function revokeSession(sessionId) {
+  await store.sessions.revoke(sessionId);
+}
+
+async function revokeAllSessions(userId) {
+  await store.sessions.revokeAllForUser(userId);
+}
+
+// Single-use tokens mailed to the user for confirming a signup, resetting the
+// password or changing the email; only their SHA-256 is stored.
+async function issueAccountToken(userId, purpose, ttlMs, newEmail = null) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await store.accountTokens.create({ userId, purpose, tokenHash: hashToken(token), newEmail, expiresAt: new Date(Date.now() + ttlMs) });
+  return token;
+}
+
+// The unused, unexpired token row for `purpose`, or null.
+async function findAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  const row = await store.accountTokens.findByTokenHash(hashToken(token));
+  if (!row || row.purpose !== purpose || row.used_at || new Date(row.expires_at) <= new Date()) return null;
+  return row;
+}
+
+// Mail is sent after the change is committed; a failure to send is logged
+// rather than undoing it.
+function notifyByMail(message) {
+  sendMail(message).catch(err => console.error(`Could not send "${message.subject}" to ${message.to}`, err));
+}
+
+// ----------------- MIDDLEWARE -----------------
+// Resolves the caller from the bearer token and exposes it as req.user.
+// Routes must take the user id from here, never from the body or URL.
+async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token)
+    return res.status(401).json({ success: false, message: 'Missing access token' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired access token' });
+  }
+
+  try {
+    const session = await store.sessions.findById(payload.sid);
+    if (!session || session.user_id.toString() !== payload.sub || session.revoked_at)
+      return res.status(401).json({ success: false, message: 'Session has been revoked' });
+
+    req.user = { id: payload.sub, sessionId: payload.sid };
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+}
 
 // ----------------- REGISTER ----------------
-router.post('/register', async (req, res) => {
-    try {
-        const { fullName, email, password } = req.body;
-
-        if (!fullName || !email || !password) {
-            return res.json({ success: false, message: 'Missing fields' });
-        }
-
-        // Check if email already exists
-        const [existing] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
-        if (existing.length > 0) {
-            return res.json({ success: false, message: 'Email already registered' });
-        }
-
-        // Hash password
-        const hash = await bcrypt.hash(password, 10);
-
-        // Insert new user
-        await pool.execute(
-            'INSERT INTO users (full_name, email, password_hash) VALUES (?, ?, ?)',
-            [fullName, email, hash]
-        );
-
-        const userId = '@' + fullName.replace(/\s+/g, '');
-        res.json({ success: true, userId });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ success: false, message: 'Register failed' });
+// Answers 202 with the same body whether or not the email is taken, so it
+// does not reveal which addresses have an account. A new account gets a
+// confirmation link by mail, and POST /register/confirm with its token
+// confirms the address and answers with the account's first session; until
+// then /login refuses it. The owner of a taken address is told by mail
+// instead, or sent a fresh link if they never confirmed.
+async function createUser(fields) {
+  try {
+    return await store.users.create(fields);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return null;
+    throw err;
+  }
+}
+
+async function sendConfirmation(userId, email) {
+  const token = await issueAccountToken(userId, 'signup', SIGNUP_CONFIRM_TTL_HOURS * 3600000);
+  notifyByMail({
+    to: email,
+    subject: 'Confirm your CardioApp email',
+    text: `Open this link within ${SIGNUP_CONFIRM_TTL_HOURS} hours to confirm your email and sign in:\n\n` +
+      `${appLink('/confirm-email', { token })}\n\nIf you did not sign up for CardioApp, you can ignore this email.`
+  });
+}
+
+function notifyExistingOwner(user) {
+  notifyByMail({
+    to: user.email,
+    subject: 'Someone tried to sign up with your CardioApp email',
+    text: 'Someone tried to create a CardioApp account with this email address, which already has one. ' +
+      'If it was you, sign in instead, or reset your password if you have forgotten it. ' +
+      'If it was not you, you can ignore this email.'
+  });
+}
+
+router.post('/register', rateLimit('auth'), async (req, res) => {
+  try {
+    const { fullName, email, password, timeZone = 'UTC' } = req.body;
+    if (!fullName || !email || !password)
+      return res.status(400).json({ success: false, message: 'Missing fields' });
+    if (!isValidTimeZone(timeZone))
+      return res.status(400).json({ success: false, message: 'Invalid time zone' });
+
+    // Hashed either way, so a taken email does not answer faster
+    const hash = await bcrypt.hash(String(password), 10);
+    const userId = (await store.users.findByEmail(email)) ? null : await createUser({ fullName, email, passwordHash: hash, timeZone });
+    if (userId) {
+      await sendConfirmation(userId, email);
+    } else {
+      // Looked up again, as a concurrent registration may have taken the
+      // address; it can also have been erased since, and then nobody is told
+      const existing = await store.users.findByEmail(email);
+      if (existing && existing.email_confirmed_at) notifyExistingOwner(existing);
+      else if (existing) await sendConfirmation(existing.id, existing.email);
     }
+    res.status(202).json({ success: true, message: 'Check your email to confirm your address and sign in' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Register failed' });
+  }
+});
+
+router.post('/register/confirm', rateLimit('auth'), async (req, res) => {
+  try {
+    const row = await findAccountToken(req.body.token, 'signup');
+    if (!row) return res.status(400).json({ success: false, message: 'Confirmation link is invalid or has expired' });
+
+    const tokens = await store.transaction(async db => {
+      if (!(await db.accountTokens.consume(row.id))) return null;
+      await db.users.confirmEmail(row.user_id);
+      return createSession(row.user_id.toString(), db);
+    });
+    if (!tokens) return res.status(400).json({ success: false, message: 'Confirmation link is invalid or has expired' });
+
+    const user = await store.users.findById(row.user_id);
+    res.json({ success: true, message: 'Email confirmed', userId: user.id.toString(), handle: `@${user.full_name}`, fullName: user.full_name, ...tokens });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Confirmation failed' });
+  }
 });
 
 // ----------------- LOGIN ----------------
-router.post('/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-            return res.json({ success: false, message: 'Missing fields' });
-        }
-
-        // Find user
-        const [rows] = await pool.execute('SELECT * FROM users WHERE email = ?', [email]);
-        if (rows.length === 0) {
-            return res.json({ success: false, message: 'User not found' });
-        }
-
-        const user = rows[0];
-
-        // Compare password
-        const match = await bcrypt.compare(password, user.password_hash);
-        if (!match) {
-            return res.json({ success: false, message: 'Incorrect password' });
-        }
-
-        const userId = '@' + user.full_name.replace(/\s+/g, '');
-        res.json({ success: true, userId });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ success: false, message: 'Login failed' });
+// An unknown email and a wrong password get the same answer, and repeated
+// failures lock the account or IP out for a while (see rateLimit.js).
+router.post('/login', rateLimit('auth'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password)
+      return res.status(400).json({ success: false, message: 'Missing fields' });
+
+    const lockout = await loginLockout(email, req.ip);
+    if (lockout) {
+      res.set('Retry-After', String(lockout));
+      return res.status(429).json({ success: false, message: 'Too many failed sign-in attempts; try again later', retryAfter: lockout });
+    }
+
+    const user = await store.users.findByEmail(email);
+    const match = await bcrypt.compare(String(password), user ? user.password_hash : UNKNOWN_USER_HASH);
+    if (!user || !match) {
+      await recordLoginFailure(email, req.ip);
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+    await recordLoginSuccess(email);
+    if (!user.email_confirmed_at)
+      return res.status(403).json({ success: false, message: 'Confirm your email address before signing in' });
+
+    const userId = user.id.toString();
+    const handle = `@${user.full_name}`;
+    const tokens = await createSession(userId);
+    res.json({ success: true, message: "Login successful", userId, handle, fullName: user.full_name, ...tokens });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// ----------------- REFRESH ----------------
+// Rotates the refresh token: the presented one is revoked and a new session is
+// issued. Presenting an already revoked token means it was stolen or replayed,
+// so every session of that user is revoked. The revocation only succeeds for
+// the first of two concurrent refreshes with the same token; the other counts
+// as a replay.
+router.post('/token/refresh', rateLimit('auth'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken)
+      return res.status(400).json({ success: false, message: 'Missing refresh token' });
+
+    const session = await store.sessions.findByTokenHash(hashToken(refreshToken));
+    if (!session)
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+
+    if (session.revoked_at) {
+      await revokeAllSessions(session.user_id);
+      return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
+    }
+    if (new Date(session.expires_at) <= new Date())
+      return res.status(401).json({ success: false, message: 'Refresh token has expired' });
+
+    const tokens = await store.transaction(async db => {
+      if (!(await db.sessions.revoke(session.id))) return null;
+      return createSession(session.user_id.toString(), db);
+    });
+    if (!tokens) {
+      await revokeAllSessions(session.user_id);
+      return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
     }
+    res.json({ success: true, userId: session.user_id.toString(), ...tokens });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Token refresh failed' });
+  }
+});
+
+// ----------------- LOGOUT ----------------
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Logout failed' });
+  }
+});
+
+router.post('/logout/all', requireAuth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.json({ success: true, message: 'Logged out of all sessions' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Logout failed' });
+  }
 });
 
-module.exports = router;
+module.exports = {
+  router, requireAuth, createSession, revokeSession, revokeAllSessions,
+  issueAccountToken, findAccountToken, notifyByMail
+};
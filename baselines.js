@@ -0,0 +1,217 @@
+// Personal baselines: what is normal for this user, judged against their own
+// recent days rather than population cutoffs. Someone whose HRV is usually 15
+// and someone whose HRV is usually 80 are both fine at their usual value.
+//
+// For each day, a metric's baseline is the median and the spread (median
+// absolute deviation, scaled to match a standard deviation) of its daily
+// values over the BASELINE_DAYS before it. A day is compared in deviations
+// from that median; a day at least ANOMALY_DEVIATIONS away in the unfavourable
+// direction is flagged. Fewer than MIN_BASELINE_DAYS days with data give no
+// baseline.
+//
+// The daily readiness score combines how each metric sits against its
+// baseline: a factor at its median scores 80, each deviation in the
+// unfavourable direction takes 20 points off and each favourable one adds 20,
+// within 0-100.
+const { rollupDaily, localDate, localHour, addDays, fetchSince, startOfLocalDay } = require('./daily');
+const { sleepLog } = require('./sleep');
+
+const BASELINE_DAYS = 30;
+const MIN_BASELINE_DAYS = 7;
+const ANOMALY_DEVIATIONS = 2;
+// Days, up to today, checked for anomalies
+const ANOMALY_DAYS = 7;
+// Rows from this many days back cover every baseline the insights need
+const HISTORY_DAYS = BASELINE_DAYS + ANOMALY_DAYS;
+// Scales a median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+// Without a sleep session to go by, heart rate before this local hour counts as nighttime
+const NIGHT_END_HOUR = 6;
+const MIN_NIGHT_READINGS = 3;
+
+// `adverse` is the direction that means poorer recovery. `minDeviation`
+// keeps a very steady baseline from turning small changes into anomalies.
+const baselineMetrics = {
+  restingHeartRate: {
+    label: 'Resting heart rate', unit: 'bpm', adverse: 'rise', minDeviation: 1, weight: 0.3,
+    flag: 'Elevated resting heart rate'
+  },
+  hrv: {
+    label: 'Heart rate variability', unit: 'ms', adverse: 'fall', minDeviation: 2, weight: 0.35,
+    flag: 'Suppressed heart rate variability'
+  },
+  nightHeartRate: {
+    label: 'Nighttime heart rate', unit: 'bpm', adverse: 'rise', minDeviation: 1.5, weight: 0.2,
+    flag: 'Elevated nighttime heart rate'
+  },
+  sleepHours: {
+    label: 'Sleep duration', unit: 'h', adverse: 'fall', minDeviation: 0.25, weight: 0.15,
+    flag: 'Short sleep'
+  }
+};
+
+// ----------------- STATISTICS -----------------
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// { median, deviation, days } of the values, or null with too few of them.
+function baselineOf(values, minDeviation) {
+  if (values.length < MIN_BASELINE_DAYS) return null;
+  const center = median(values);
+  const deviation = Math.max(minDeviation, median(values.map(v => Math.abs(v - center))) * MAD_SCALE);
+  return { median: round(center), deviation: round(deviation), days: values.length };
+}
+
+// Deviations from the baseline, positive when unfavourable.
+function adverseDeviations(metric, baseline, value) {
+  const deviations = (value - baseline.median) / baseline.deviation;
+  return baselineMetrics[metric].adverse === 'rise' ? deviations : -deviations;
+}
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+const clamp = value => Math.max(0, Math.min(100, value));
+
+// ----------------- DAILY VALUES -----------------
+// Mean heart rate during each night, by the local date the user woke up.
+// Readings inside the night's main sleep (naps aside, see sleep.js) count for
+// it; on days without one, readings before NIGHT_END_HOUR do.
+function nightHeartRates(heartRows, nights, timeZone) {
+  const sessions = nights
+    .filter(n => n.startAt && n.endAt)
+    .map(n => ({ start: n.startAt, end: n.endAt, date: n.date }));
+  const sessionDates = new Set(sessions.map(s => s.date));
+
+  const readings = new Map();
+  for (const row of heartRows) {
+    if (row.current_heart_rate == null) continue;
+    const at = new Date(row.recorded_at);
+    let date = sessions.find(s => at >= s.start && at <= s.end)?.date;
+    if (!date) {
+      const local = localDate(at, timeZone);
+      if (sessionDates.has(local) || localHour(at, timeZone) >= NIGHT_END_HOUR) continue;
+      date = local;
+    }
+    if (!readings.has(date)) readings.set(date, []);
+    readings.get(date).push(Number(row.current_heart_rate));
+  }
+
+  const rates = new Map();
+  for (const [date, values] of readings) {
+    if (values.length >= MIN_NIGHT_READINGS) rates.set(date, values.reduce((a, b) => a + b, 0) / values.length);
+  }
+  return rates;
+}
+
+// Map from local date to { metric: value } for every baseline metric with
+// data that day. `heartRows` and `sleepRows` are stored samples.
+function dailyValues(heartRows, sleepRows, timeZone) {
+  const days = new Map();
+  const set = (date, metric, value) => {
+    if (value == null) return;
+    if (!days.has(date)) days.set(date, {});
+    days.get(date)[metric] = Number(value);
+  };
+
+  for (const day of rollupDaily('heart', heartRows, timeZone)) {
+    set(day.date, 'restingHeartRate', day.resting_heart_rate);
+    set(day.date, 'hrv', day.hrv);
+  }
+  const { nights } = sleepLog(sleepRows, timeZone);
+  for (const night of nights) set(night.date, 'sleepHours', night.asleepHours);
+  for (const [date, rate] of nightHeartRates(heartRows, nights, timeZone)) set(date, 'nightHeartRate', rate);
+  return days;
+}
+
+// Baseline of `metric` for `date`, from the BASELINE_DAYS before it.
+function baselineFor(days, metric, date) {
+  const from = addDays(date, -BASELINE_DAYS);
+  const values = [];
+  for (const [day, dayValues] of days) {
+    if (day >= from && day < date && dayValues[metric] != null) values.push(dayValues[metric]);
+  }
+  return baselineOf(values, baselineMetrics[metric].minDeviation);
+}
+
+// How one day's value of `metric` compares to its baseline, or null.
+function compare(days, metric, date) {
+  const value = days.get(date)?.[metric];
+  const baseline = value == null ? null : baselineFor(days, metric, date);
+  if (!baseline) return null;
+  const adverse = adverseDeviations(metric, baseline, value);
+  const { label, unit } = baselineMetrics[metric];
+  return {
+    metric,
+    label,
+    unit,
+    value: round(value),
+    baseline,
+    deviations: round((value - baseline.median) / baseline.deviation),
+    status: adverse >= ANOMALY_DEVIATIONS ? 'unusual' : adverse >= 1 ? 'mildly unusual' : 'normal',
+    score: Math.round(clamp(80 - 20 * adverse))
+  };
+}
+
+// ----------------- READINESS -----------------
+function readinessStatus(score) {
+  if (score >= 80) return 'High';
+  if (score >= 60) return 'Moderate';
+  return 'Low';
+}
+
+// Readiness for the latest of today and yesterday with a heart reading, and
+// the unusual days of the last ANOMALY_DAYS. `heartRows` and `sleepRows`
+// should reach back HISTORY_DAYS from `today`.
+//
+// Returns { readiness, anomalies }; readiness is null until there is enough
+// history for a baseline.
+function assessReadiness({ heartRows, sleepRows, today, timeZone }) {
+  const days = dailyValues(heartRows, sleepRows, timeZone);
+
+  const anomalies = [];
+  for (let date = today; date > addDays(today, -ANOMALY_DAYS); date = addDays(date, -1)) {
+    for (const metric of Object.keys(baselineMetrics)) {
+      const comparison = compare(days, metric, date);
+      if (comparison?.status !== 'unusual') continue;
+      const { value, unit, baseline, deviations } = comparison;
+      anomalies.push({
+        date,
+        metric,
+        type: baselineMetrics[metric].flag,
+        value,
+        unit,
+        baseline,
+        deviations,
+        message: `${baselineMetrics[metric].flag}: ${value} ${unit} against your usual ${baseline.median} ${unit}.`
+      });
+    }
+  }
+
+  const date = [today, addDays(today, -1)].find(d => days.get(d)?.restingHeartRate != null || days.get(d)?.hrv != null);
+  const factors = date ? Object.keys(baselineMetrics).map(metric => compare(days, metric, date)).filter(Boolean) : [];
+  if (!factors.some(f => f.metric === 'restingHeartRate' || f.metric === 'hrv')) return { readiness: null, anomalies };
+
+  const totalWeight = factors.reduce((sum, f) => sum + baselineMetrics[f.metric].weight, 0);
+  for (const factor of factors) factor.weight = round(baselineMetrics[factor.metric].weight / totalWeight, 2);
+  const score = Math.round(factors.reduce((sum, f) => sum + f.score * baselineMetrics[f.metric].weight, 0) / totalWeight);
+  return { readiness: { date, score, status: readinessStatus(score), factors }, anomalies };
+}
+
+// ----------------- SINGLE READINGS -----------------
+// Baseline of one heart metric for the local `date`, through `db` (the
+// ingesting transaction's repositories), from rows merged across sources by
+// `merge` (see sources.js rowMerger) like the insights. Alert rules use this
+// to judge a reading as it arrives.
+async function loadHeartBaseline(db, userId, metric, date, timeZone, merge) {
+  const rows = await db.samples.list('heart', userId, {
+    since: fetchSince(addDays(date, -BASELINE_DAYS)),
+    until: startOfLocalDay(date, timeZone)
+  });
+  return baselineFor(dailyValues(merge('heart', rows), [], timeZone), metric, date);
+}
+
+module.exports = {
+  BASELINE_DAYS, HISTORY_DAYS, baselineMetrics, assessReadiness, adverseDeviations, loadHeartBaseline
+};
@@ -0,0 +1,176 @@
+// Rolls samples up into calendar days in the user's own time zone.
+//
+// Devices post at whatever cadence they like (a watch may send steps every
+// hour), so anything that talks about "today" or "a day" must work on these
+// buckets rather than on raw rows. Each column has a rollup rule: counters are
+// summed, resting heart rate takes the day's minimum, body measurements keep
+// the last reading of the day, and so on.
+
+const store = require('./storage');
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const rollupRules = {
+  activity: { steps: 'sum', calories: 'sum', distance: 'sum', exercise_minutes: 'sum' },
+  heart: { current_heart_rate: 'avg', resting_heart_rate: 'min', hrv: 'avg' },
+  // Sleep is dated by its recorded_at, i.e. the morning the user woke up.
+  sleep: {
+    total_sleep: 'sum', deep_sleep: 'sum', rem_sleep: 'sum', light_sleep: 'sum', awake_time: 'sum',
+    sleep_hours: 'sum', sleep_latency: 'avg'
+  },
+  body: { weight: 'last', bmi: 'last', body_fat: 'last', lean_mass: 'last', vo2_max: 'last' },
+  vitals: { bp_systolic: 'avg', bp_diastolic: 'avg', spo2: 'min', temperature: 'max' }
+};
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// YYYY-MM-DD of `date` as seen on a wall clock in `timeZone`.
+function localDate(date, timeZone = DEFAULT_TIME_ZONE) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone).format(new Date(date));
+}
+
+const hourFormatters = new Map();
+
+// Hour of the day (0-23) on a wall clock in `timeZone`.
+function localHour(date, timeZone = DEFAULT_TIME_ZONE) {
+  if (!hourFormatters.has(timeZone)) {
+    hourFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }));
+  }
+  return parseInt(hourFormatters.get(timeZone).format(new Date(date)), 10);
+}
+
+const minuteFormatters = new Map();
+
+// Minutes since midnight (0-1439) on a wall clock in `timeZone`.
+function localMinutes(date, timeZone = DEFAULT_TIME_ZONE) {
+  if (!minuteFormatters.has(timeZone)) {
+    minuteFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }));
+  }
+  const [hours, minutes] = minuteFormatters.get(timeZone).format(new Date(date)).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings, independent of any time zone.
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday of the week `day` falls in.
+function weekStartOf(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+// Minutes `timeZone` is ahead of UTC at the instant `date`.
+function utcOffsetMinutes(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  for (const { type, value } of formatter.formatToParts(date)) parts[type] = Number(value);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - date.getTime()) / 60000);
+}
+
+// The instant local midnight starts `day` in `timeZone`.
+function startOfLocalDay(day, timeZone = DEFAULT_TIME_ZONE) {
+  const midnight = new Date(`${day}T00:00:00Z`);
+  const guess = new Date(midnight - utcOffsetMinutes(midnight, timeZone) * 60000);
+  // The offset can differ at the guess itself when a DST change is near
+  return new Date(midnight - utcOffsetMinutes(guess, timeZone) * 60000);
+}
+
+// Rows fetched from `since` cover every local day from `day` onwards in any
+// time zone (offsets stay within ±14h), at the cost of a few extra rows.
+function fetchSince(day) {
+  return new Date(`${addDays(day, -1)}T00:00:00Z`);
+}
+
+function fetchUntil(day) {
+  return new Date(`${addDays(day, 2)}T00:00:00Z`);
+}
+
+const reducers = {
+  sum: values => values.reduce((a, b) => a + b, 0),
+  avg: values => values.reduce((a, b) => a + b, 0) / values.length,
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  last: values => values[values.length - 1]
+};
+
+// Groups rows of one metric into days. Returns buckets newest first, shaped
+// like the metric's rows (same column names) plus `date` and `samples`.
+// Null readings are ignored; a column with no readings that day stays null.
+function rollupDaily(metric, rows, timeZone = DEFAULT_TIME_ZONE) {
+  const rules = rollupRules[metric];
+  const days = new Map();
+
+  const chronological = [...rows].sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+  for (const row of chronological) {
+    const date = localDate(row.recorded_at, timeZone);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(row);
+  }
+
+  return [...days.entries()]
+    .map(([date, dayRows]) => {
+      const bucket = { date, samples: dayRows.length };
+      for (const [column, rule] of Object.entries(rules)) {
+        const values = dayRows.map(r => r[column]).filter(v => v != null).map(Number);
+        bucket[column] = values.length > 0 ? reducers[rule](values) : null;
+      }
+      return bucket;
+    })
+    .sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+// Daily buckets of each metric for the local days from..to (inclusive), as a
+// Map from date to bucket per metric. `merge` (see sources.js rowMerger)
+// reduces the rows to one device's readings where devices overlap.
+async function loadDailyBuckets(userId, metrics, from, to, timeZone = DEFAULT_TIME_ZONE, merge = null) {
+  const byMetric = {};
+  for (const metric of metrics) {
+    let rows = await store.samples.list(metric, userId, { since: fetchSince(from), until: fetchUntil(to) });
+    if (merge) rows = merge(metric, rows);
+    byMetric[metric] = new Map(
+      rollupDaily(metric, rows, timeZone)
+        .filter(d => d.date >= from && d.date <= to)
+        .map(({ date, ...bucket }) => [date, bucket])
+    );
+  }
+  return byMetric;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  rollupRules,
+  isValidTimeZone,
+  localDate,
+  localHour,
+  localMinutes,
+  addDays,
+  weekStartOf,
+  startOfLocalDay,
+  fetchSince,
+  fetchUntil,
+  reducers,
+  rollupDaily,
+  loadDailyBuckets
+};
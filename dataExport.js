@@ -0,0 +1,369 @@
+// "Download all my data": a background job that writes everything stored for
+// the user into a .tar.gz archive:
+//
+//   README.txt              what each file holds
+//   account.json            name, email and time zone (never the password)
+//   profile.json, goals.json, devices.json, source-rules.json, alert-rules.json,
+//   alerts.json, shares.json, webhooks.json, imports.json
+//   metrics/<metric>.ndjson every sample of the metric, one JSON object per line
+//   raw/device-data.ndjson  the payloads as devices sent them
+//   raw/quarantined.json    payloads held back by validation
+//   audit-log.ndjson        who accessed the data, newest first
+//
+// Jobs run one at a time in this process, like imports. An archive can be
+// downloaded until it expires EXPORT_TTL_HOURS after it is ready; the user is
+// told by email and an 'export.ready' webhook event.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const store = require('./storage');
+const { metricTables } = require('./storage/metrics');
+const { requireAuth } = require('./auth');
+const { noteAccess, toAuditEntry } = require('./audit');
+const { sendMail, appLink } = require('./mail');
+const { notify, toWebhook } = require('./webhooks');
+const { loadProfile } = require('./profile');
+const { toGoal } = require('./goals');
+const { toDevice } = require('./devices');
+const { loadSourceRules } = require('./sources');
+const { loadAlertRules, toAlert } = require('./alerts');
+const { toShare, toReceivedShare } = require('./shares');
+const { toJob } = require('./imports');
+
+const router = express.Router();
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'cardioapp-exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+// Rows read per query while writing the NDJSON files
+const BATCH_SIZE = 1000;
+// For the lists whose repositories take a limit
+const NO_LIMIT = Number.MAX_SAFE_INTEGER;
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const README = `CardioApp data export
+
+JSON files hold your account settings and history. Files ending in .ndjson
+hold one JSON object per line, in the order they were recorded:
+
+  metrics/<metric>.ndjson   every sample you or your devices recorded
+  raw/device-data.ndjson    the payloads exactly as your devices sent them
+  audit-log.ndjson          every access to your data, newest first
+
+raw/quarantined.json holds payloads that failed validation and were not
+stored as samples.
+`;
+
+// ----------------- JOB QUEUE -----------------
+let queue = Promise.resolve();
+
+function enqueue(task) {
+  queue = queue.then(task).catch(err => console.error('Export job failed', err));
+  return queue;
+}
+
+function toExport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    bytes: row.bytes == null ? null : Number(row.bytes),
+    errorMessage: row.error_message,
+    downloadUrl: row.status === 'ready' ? `/account/exports/${row.id}/download` : null,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// ----------------- TAR ARCHIVE -----------------
+// A ustar header for a regular file; names stay well under 100 bytes.
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512);
+  const field = (value, offset, length) => header.write(value, offset, length, 'ascii');
+  const octal = (value, offset, length) => field(value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+
+  field(name, 0, 100);
+  octal(0o644, 100, 8);
+  octal(0, 108, 8);
+  octal(0, 116, 8);
+  octal(size, 124, 12);
+  octal(Math.floor(mtime.getTime() / 1000), 136, 12);
+  field(' '.repeat(8), 148, 8);
+  field('0', 156, 1);
+  field('ustar\u000000', 257, 8);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  field(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+  return header;
+}
+
+// Writes to a stream, waiting whenever its buffer is full.
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+function createArchive(file) {
+  const gzip = zlib.createGzip();
+  const done = pipeline(gzip, fs.createWriteStream(file));
+  const mtime = new Date();
+
+  async function addEntry(name, size, chunks) {
+    await write(gzip, tarHeader(name, size, mtime));
+    for await (const chunk of chunks) await write(gzip, chunk);
+    await write(gzip, Buffer.alloc((512 - size % 512) % 512));
+  }
+
+  return {
+    // Adds a string as it is, or any other value as pretty-printed JSON.
+    async addFile(name, value) {
+      const data = Buffer.from(typeof value === 'string' ? value : `${JSON.stringify(value, null, 2)}\n`);
+      await addEntry(name, data.length, [data]);
+    },
+
+    // Adds one line per value from `lines`; they are spooled to a temporary
+    // file first, since the header needs the size up front.
+    async addNdjson(name, lines) {
+      const spool = `${file}.${crypto.randomUUID()}.part`;
+      try {
+        const out = fs.createWriteStream(spool);
+        const closed = once(out, 'close');
+        for await (const value of lines) await write(out, `${JSON.stringify(value)}\n`);
+        out.end();
+        await closed;
+        const { size } = await fs.promises.stat(spool);
+        await addEntry(name, size, fs.createReadStream(spool));
+      } finally {
+        await fs.promises.rm(spool, { force: true });
+      }
+    },
+
+    // Two empty blocks end a tar archive.
+    async finish() {
+      gzip.end(Buffer.alloc(1024));
+      await done;
+    },
+
+    async abort() {
+      gzip.destroy();
+      await done.catch(() => {});
+    }
+  };
+}
+
+// ----------------- ARCHIVE CONTENTS -----------------
+async function* metricLines(metric, userId) {
+  const { columns, details = {}, session } = metricTables[metric];
+  let after = null;
+  for (;;) {
+    const rows = await store.samples.list(metric, userId, { order: 'asc', after, limit: BATCH_SIZE });
+    for (const row of rows) {
+      const sample = { id: row.id, recordedAt: new Date(row.recorded_at).toISOString(), deviceName: row.device_name };
+      if (session) {
+        sample.startAt = row.start_at ? new Date(row.start_at).toISOString() : null;
+        sample.endAt = row.end_at ? new Date(row.end_at).toISOString() : null;
+      }
+      for (const [field, column] of Object.entries({ ...columns, ...details })) sample[field] = row[column];
+      yield sample;
+    }
+    if (rows.length < BATCH_SIZE) return;
+    const last = rows[rows.length - 1];
+    after = { recordedAt: new Date(last.recorded_at), id: last.id };
+  }
+}
+
+async function* rawDataLines(userId) {
+  let afterId = 0;
+  for (;;) {
+    const rows = await store.rawData.listForUser(userId, { afterId, limit: BATCH_SIZE });
+    for (const row of rows) {
+      yield {
+        id: row.id,
+        deviceName: row.device_name,
+        deviceId: row.device_id,
+        endpoint: row.endpoint,
+        sampleId: row.sample_id,
+        dayLabel: row.day_label,
+        recordedAt: row.recorded_at,
+        receivedAt: row.created_at,
+        data: row.data
+      };
+    }
+    if (rows.length < BATCH_SIZE) return;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+async function* auditLines(userId) {
+  let before = null;
+  for (;;) {
+    const rows = await store.auditLog.listForSubject(userId, { before, limit: BATCH_SIZE });
+    for (const row of rows) yield toAuditEntry(row, String(userId));
+    if (rows.length < BATCH_SIZE) return;
+    before = rows[rows.length - 1].id;
+  }
+}
+
+async function writeArchive(archive, userId) {
+  const user = await store.users.findById(userId);
+  await archive.addFile('README.txt', README);
+  await archive.addFile('account.json', {
+    id: user.id, fullName: user.full_name, email: user.email, timeZone: user.time_zone, createdAt: user.created_at
+  });
+  await archive.addFile('profile.json', await loadProfile(userId));
+  await archive.addFile('goals.json', (await store.goals.list(userId)).map(toGoal));
+
+  const devices = [];
+  for (const row of await store.devices.list(userId)) devices.push(await toDevice(row));
+  await archive.addFile('devices.json', devices);
+
+  await archive.addFile('source-rules.json', await loadSourceRules(userId));
+  await archive.addFile('alert-rules.json', await loadAlertRules(userId));
+  await archive.addFile('alerts.json', (await store.alerts.listForUser(userId, { statuses: ALERT_STATUSES, limit: NO_LIMIT })).map(toAlert));
+  await archive.addFile('shares.json', {
+    given: (await store.accessGrants.listForOwner(userId)).map(toShare),
+    received: (await store.accessGrants.listActiveForGrantee(userId, new Date())).map(toReceivedShare)
+  });
+  await archive.addFile('webhooks.json', (await store.webhooks.listForUser(userId)).map(toWebhook));
+  await archive.addFile('imports.json', (await store.importJobs.listForUser(userId, NO_LIMIT)).map(toJob));
+
+  for (const metric of Object.keys(metricTables)) {
+    await archive.addNdjson(`metrics/${metric}.ndjson`, metricLines(metric, userId));
+  }
+  await archive.addNdjson('raw/device-data.ndjson', rawDataLines(userId));
+  await archive.addFile('raw/quarantined.json', (await store.quarantine.listForUser(userId)).map(row => ({
+    id: row.id, deviceName: row.device_name, endpoint: row.endpoint, errors: row.errors, receivedAt: row.created_at, data: row.data
+  })));
+  await archive.addNdjson('audit-log.ndjson', auditLines(userId));
+}
+
+async function runExport(exportId, userId) {
+  const file = path.join(EXPORT_DIR, `export-${exportId}-${crypto.randomUUID()}.tar.gz`);
+  let archive = null;
+  try {
+    await store.dataExports.update(exportId, { status: 'running', startedAt: new Date() });
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    archive = createArchive(file);
+    await writeArchive(archive, userId);
+    await archive.finish();
+
+    const { size } = await fs.promises.stat(file);
+    const finishedAt = new Date();
+    await store.dataExports.update(exportId, {
+      status: 'ready', filePath: file, bytes: size, finishedAt, expiresAt: new Date(finishedAt.getTime() + EXPORT_TTL_HOURS * 3600000)
+    });
+  } catch (err) {
+    console.error(`Export ${exportId} failed`, err);
+    if (archive) await archive.abort();
+    await fs.promises.rm(file, { force: true });
+    await store.dataExports.update(exportId, { status: 'failed', errorMessage: err.message, finishedAt: new Date() });
+    return;
+  }
+
+  const exported = toExport(await store.dataExports.findById(exportId));
+  await notify(userId, [{ type: 'export.ready', data: exported }]);
+  const user = await store.users.findById(userId);
+  await sendMail({
+    to: user.email,
+    subject: 'Your CardioApp data export is ready',
+    text: `Your archive is ready to download until ${new Date(exported.expiresAt).toUTCString()}:\n\n${appLink(exported.downloadUrl, {})}`
+  }).catch(err => console.error(`Could not send export ${exportId} email`, err));
+}
+
+// ----------------- MAINTENANCE -----------------
+// Deletes archives past their expiry; runs at startup and before each export.
+async function purgeExpiredExports() {
+  for (const row of await store.dataExports.listExpired(new Date())) {
+    if (row.file_path) await fs.promises.rm(row.file_path, { force: true });
+    await store.dataExports.update(row.id, { status: 'expired', filePath: null });
+  }
+}
+
+// Called once at startup, before any job of this process could be running.
+async function recoverInterruptedExports() {
+  await store.dataExports.failUnfinished('Interrupted by a server restart; request a new export');
+  await purgeExpiredExports();
+}
+
+// Deletes the user's archives, before their account is erased.
+async function removeExports(userId) {
+  for (const row of await store.dataExports.listForUser(userId, NO_LIMIT)) {
+    if (row.file_path) await fs.promises.rm(row.file_path, { force: true });
+  }
+}
+
+// ----------------- EXPORT ROUTES -----------------
+// Responds 202 with the queued export; poll it until it is ready.
+router.post('/account/exports', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const recent = await store.dataExports.listForUser(userId);
+    if (recent.some(row => row.status === 'queued' || row.status === 'running'))
+      return res.status(409).json({ success: false, message: 'An export is already in progress' });
+
+    await purgeExpiredExports();
+    const exportId = await store.dataExports.create({ userId });
+    enqueue(() => runExport(exportId, userId));
+
+    res.status(202).location(`/account/exports/${exportId}`).json({ success: true, export: toExport(await store.dataExports.findById(exportId)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/account/exports', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.dataExports.listForUser(req.user.id);
+    res.json({ success: true, exports: rows.map(toExport) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// The user's export with the id in the URL, or null after sending a 404.
+async function ownExport(req, res) {
+  const row = await store.dataExports.findById(req.params.id);
+  if (row && String(row.user_id) === String(req.user.id)) return row;
+  res.status(404).json({ success: false, message: 'Export not found' });
+  return null;
+}
+
+router.get('/account/exports/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await ownExport(req, res);
+    if (!row) return;
+    res.json({ success: true, export: toExport(row) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/account/exports/:id/download', requireAuth, async (req, res) => {
+  try {
+    const row = await ownExport(req, res);
+    if (!row) return;
+    if (row.status === 'queued' || row.status === 'running')
+      return res.status(409).json({ success: false, message: 'The export is not ready yet' });
+    if (row.status !== 'ready' || new Date(row.expires_at) <= new Date())
+      return res.status(410).json({ success: false, message: 'This export is not available; request a new one' });
+
+    noteAccess(res, Object.keys(metricTables));
+    const created = new Date(row.created_at).toISOString().slice(0, 10);
+    res.download(row.file_path, `cardioapp-export-${created}.tar.gz`, err => {
+      if (err && !res.headersSent) res.status(500).json({ success: false, error: err.message });
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, recoverInterruptedExports, removeExports };
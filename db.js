@@ -0,0 +1,15 @@
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+
+// ----------------- MYSQL CONNECTION -----------------
+const pool = mysql.createPool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  waitForConnections: true,
+  connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
+  queueLimit: 0
+});
+
+module.exports = pool;
@@ -0,0 +1,245 @@
+// Device registry. Users register their devices and get an ingestion key per
+// device; a device posts samples with `X-Device-Key: <key>` instead of a user
+// access token, so a lost or compromised device can be cut off by revoking
+// its key without touching the user's sessions.
+//
+// Samples from registered devices are stored under the device's name and id,
+// and update its sync status (last sync time, latest sample per metric).
+const crypto = require('crypto');
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { metricTables } = require('./storage/metrics');
+const { validateSchema } = require('./validation');
+
+const router = express.Router();
+
+const DEVICE_TYPES = [
+  'watch', 'phone', 'ring', 'chest_strap', 'scale', 'blood_pressure_monitor', 'pulse_oximeter', 'thermometer', 'other'
+];
+const DEFAULT_DEVICE_NAME = 'UnknownDevice';
+const DEFAULT_RAW_LIMIT = 100;
+const MAX_RAW_LIMIT = 1000;
+
+const deviceSchema = {
+  fields: {
+    name: { type: 'string', maxLength: 255, required: true },
+    type: { type: 'enum', values: DEVICE_TYPES, required: true },
+    model: { type: 'string', maxLength: 255 },
+    firmware: { type: 'string', maxLength: 64 },
+    hardwareId: { type: 'string', maxLength: 191 }
+  }
+};
+
+// ----------------- KEYS -----------------
+// Like refresh tokens, keys are random strings of which only the SHA-256 is
+// stored; the key itself is shown once, when it is created.
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function issueKey(db, deviceId) {
+  const key = `dk_${crypto.randomBytes(32).toString('base64url')}`;
+  const prefix = key.slice(0, 10);
+  const id = await db.deviceKeys.create({ deviceId, keyHash: hashKey(key), keyPrefix: prefix });
+  return { id, key, prefix };
+}
+
+function toKey(row) {
+  return { id: row.id, prefix: row.key_prefix, createdAt: row.created_at, revokedAt: row.revoked_at };
+}
+
+// ----------------- MIDDLEWARE -----------------
+// For ingestion routes: authenticates either a device by its key (setting
+// req.device as well as req.user) or a user by access token.
+async function requireUserOrDevice(req, res, next) {
+  const key = req.get('x-device-key');
+  if (!key) return requireAuth(req, res, next);
+
+  try {
+    const device = await store.deviceKeys.findByHash(hashKey(key));
+    if (!device || device.key_revoked_at)
+      return res.status(401).json({ success: false, message: 'Invalid or revoked device key' });
+
+    req.user = { id: device.user_id.toString() };
+    req.device = device;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+}
+
+// Which device a sample comes from: the authenticated device, a registered
+// `deviceId` of the user, or else a free-text `deviceName`. Returns
+// { deviceId, deviceName }, or null when `deviceId` is not one of the user's.
+async function resolveDevice(req, { deviceId, deviceName } = {}) {
+  if (req.device) return { deviceId: req.device.id, deviceName: req.device.name };
+  if (deviceId != null) {
+    const device = await store.devices.findById(deviceId);
+    if (!device || device.user_id.toString() !== req.user.id) return null;
+    return { deviceId: device.id, deviceName: device.name };
+  }
+  return { deviceId: null, deviceName: deviceName || DEFAULT_DEVICE_NAME };
+}
+
+// ----------------- HELPERS -----------------
+async function toDevice(row) {
+  const metrics = {};
+  for (const status of await store.devices.metricStatus(row.id)) {
+    metrics[status.metric] = {
+      lastRecordedAt: status.last_recorded_at,
+      lastReceivedAt: status.last_received_at,
+      sampleCount: status.sample_count
+    };
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    model: row.model,
+    firmware: row.firmware,
+    hardwareId: row.hardware_id,
+    lastSyncAt: row.last_sync_at,
+    createdAt: row.created_at,
+    metrics
+  };
+}
+
+// The user's device with the id in the URL, or null after sending a 404.
+async function ownDevice(req, res) {
+  const device = await store.devices.findById(req.params.id);
+  if (device && device.user_id.toString() === req.user.id) return device;
+  res.status(404).json({ success: false, message: 'Device not found' });
+  return null;
+}
+
+// ----------------- DEVICE ROUTES -----------------
+router.get('/devices', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.devices.list(req.user.id);
+    const devices = [];
+    for (const row of rows) devices.push(await toDevice(row));
+    res.json({ success: true, devices });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Registers a device and returns its first ingestion key.
+router.post('/devices', requireAuth, async (req, res) => {
+  try {
+    const errors = validateSchema(deviceSchema, req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid device', errors });
+
+    const { name, type, model, firmware, hardwareId } = req.body;
+    const { deviceId, key } = await store.transaction(async db => {
+      const id = await db.devices.create({ userId: req.user.id, name, type, model, firmware, hardwareId });
+      return { deviceId: id, key: await issueKey(db, id) };
+    });
+
+    res.status(201).json({ success: true, device: await toDevice(await store.devices.findById(deviceId)), key });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY')
+      return res.status(409).json({ success: false, message: 'A device with this hardwareId is already registered' });
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/devices/:id', requireAuth, async (req, res) => {
+  try {
+    const device = await ownDevice(req, res);
+    if (!device) return;
+    const keys = await store.deviceKeys.list(device.id);
+    res.json({ success: true, device: { ...(await toDevice(device)), keys: keys.map(toKey) } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Changes name, type, model or firmware; the hardware id is fixed.
+router.patch('/devices/:id', requireAuth, async (req, res) => {
+  try {
+    const device = await ownDevice(req, res);
+    if (!device) return;
+
+    const merged = { name: device.name, type: device.type, model: device.model, firmware: device.firmware };
+    for (const field of Object.keys(merged)) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+    const errors = validateSchema(deviceSchema, merged);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid device', errors });
+
+    await store.devices.update(device.id, merged);
+    res.json({ success: true, device: await toDevice(await store.devices.findById(device.id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Removes the device and its keys. Samples it sent are kept.
+router.delete('/devices/:id', requireAuth, async (req, res) => {
+  try {
+    const removed = await store.devices.remove(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ success: false, message: 'Device not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// A new key, e.g. to rotate: the old one keeps working until revoked.
+router.post('/devices/:id/keys', requireAuth, async (req, res) => {
+  try {
+    const device = await ownDevice(req, res);
+    if (!device) return;
+    res.status(201).json({ success: true, key: await issueKey(store, device.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete('/devices/:id/keys/:keyId', requireAuth, async (req, res) => {
+  try {
+    const device = await ownDevice(req, res);
+    if (!device) return;
+    const revoked = await store.deviceKeys.revoke(device.id, req.params.keyId);
+    if (!revoked) return res.status(404).json({ success: false, message: 'Active key not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /devices/:id/raw/:endpoint?limit=100
+// Raw payloads the device sent for one endpoint, newest first.
+router.get('/devices/:id/raw/:endpoint', requireAuth, async (req, res) => {
+  try {
+    const device = await ownDevice(req, res);
+    if (!device) return;
+    const { endpoint } = req.params;
+    if (!metricTables[endpoint])
+      return res.status(404).json({ success: false, message: `Unknown endpoint ${endpoint}` });
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_RAW_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RAW_LIMIT)
+      return res.status(400).json({ success: false, message: `limit must be between 1 and ${MAX_RAW_LIMIT}` });
+
+    const rows = await store.rawData.list(req.user.id, { deviceId: device.id, endpoint, limit });
+    res.json({ success: true, device: device.id, endpoint, rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, requireUserOrDevice, resolveDevice, toDevice };
@@ -0,0 +1,398 @@
+// FHIR R4 export and import of a user's data, for clinic partners.
+//
+// Each reading becomes an Observation coded with LOINC and UCUM units (blood
+// pressure is one panel with systolic and diastolic components). Free-text
+// conditions, allergies and medications become Condition, AllergyIntolerance
+// and MedicationStatement resources. Surgeries and family history have no
+// structure to map and are left out.
+//
+// Every resource carries the id of the sample it was exported from, so
+// importing an export back into the same account finds those samples
+// instead of storing them twice.
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { loadProfile } = require('./profile');
+const { toDate } = require('./validation');
+const { ingestSample, summarize } = require('./ingest');
+const { noteAccess } = require('./audit');
+const { rateLimit } = require('./rateLimit');
+
+const router = express.Router();
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+// Readings without a fitting LOINC code are coded in our own system.
+const LOCAL = 'urn:cardioapp:metric';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const SAMPLE_ID = 'urn:cardioapp:sample-id';
+
+const MAX_IMPORT_ENTRIES = parseInt(process.env.MAX_FHIR_IMPORT_ENTRIES) || 5000;
+const IMPORT_DEVICE = 'FHIR import';
+
+// ----------------- CODES -----------------
+// metric -> column -> coding. `field` is the ingestion field it maps back to.
+const observationCodes = {
+  heart: {
+    current_heart_rate: { field: 'currentHeartRate', system: LOINC, code: '8867-4', display: 'Heart rate', unit: '/min', category: 'vital-signs' },
+    resting_heart_rate: { field: 'restingHeartRate', system: LOINC, code: '40443-4', display: 'Heart rate --resting', unit: '/min', category: 'vital-signs' },
+    hrv: { field: 'hrv', system: LOINC, code: '80404-7', display: 'R-R interval.standard deviation (Heart rate variability)', unit: 'ms', category: 'vital-signs' }
+  },
+  vitals: {
+    spo2: { field: 'spo2', system: LOINC, code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%', category: 'vital-signs' },
+    temperature: { field: 'temperature', system: LOINC, code: '8310-5', display: 'Body temperature', unit: 'Cel', category: 'vital-signs' }
+  },
+  body: {
+    weight: { field: 'weight', system: LOINC, code: '29463-7', display: 'Body weight', unit: 'kg', category: 'vital-signs' },
+    bmi: { field: 'bmi', system: LOINC, code: '39156-5', display: 'Body mass index (BMI) [Ratio]', unit: 'kg/m2', category: 'vital-signs' },
+    body_fat: { field: 'bodyFat', system: LOINC, code: '41982-0', display: 'Percentage of body fat Measured', unit: '%', category: 'exam' },
+    lean_mass: { field: 'leanMass', system: LOCAL, code: 'lean-mass', display: 'Lean body mass', unit: 'kg', category: 'exam' },
+    vo2_max: { field: 'vo2Max', system: LOCAL, code: 'vo2-max', display: 'VO2 max', unit: 'mL/kg/min', category: 'exam' }
+  },
+  activity: {
+    steps: { field: 'steps', system: LOINC, code: '55423-8', display: 'Number of steps in unspecified time Pedometer', unit: '{steps}', category: 'activity' },
+    calories: { field: 'calories', system: LOINC, code: '41981-2', display: 'Calories burned', unit: 'kcal', category: 'activity' },
+    distance: { field: 'distance', system: LOCAL, code: 'distance', display: 'Distance walked or run', unit: 'km', category: 'activity' },
+    exercise_minutes: { field: 'exerciseMinutes', system: LOCAL, code: 'exercise-minutes', display: 'Exercise time', unit: 'min', category: 'activity' }
+  },
+  sleep: {
+    sleep_hours: { field: 'sleepHours', system: LOINC, code: '93832-4', display: 'Sleep duration', unit: 'h', category: 'activity' },
+    total_sleep: { field: 'totalSleep', system: LOCAL, code: 'time-in-bed', display: 'Time in bed', unit: 'h', category: 'activity' },
+    deep_sleep: { field: 'deepSleep', system: LOCAL, code: 'deep-sleep', display: 'Deep sleep duration', unit: 'h', category: 'activity' },
+    rem_sleep: { field: 'remSleep', system: LOCAL, code: 'rem-sleep', display: 'REM sleep duration', unit: 'h', category: 'activity' },
+    light_sleep: { field: 'lightSleep', system: LOCAL, code: 'light-sleep', display: 'Light sleep duration', unit: 'h', category: 'activity' },
+    awake_time: { field: 'awakeTime', system: LOCAL, code: 'awake-time', display: 'Time awake in bed', unit: 'h', category: 'activity' },
+    sleep_latency: { field: 'sleepLatency', system: LOCAL, code: 'sleep-latency', display: 'Sleep latency', unit: 'min', category: 'activity' }
+  }
+};
+
+const bloodPressure = {
+  panel: { system: LOINC, code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  systolic: { column: 'bp_systolic', field: 'bloodPressureSystolic', system: LOINC, code: '8480-6', display: 'Systolic blood pressure', unit: 'mm[Hg]' },
+  diastolic: { column: 'bp_diastolic', field: 'bloodPressureDiastolic', system: LOINC, code: '8462-4', display: 'Diastolic blood pressure', unit: 'mm[Hg]' }
+};
+
+// Other units accepted on import, converted to the unit we store.
+const unitConversions = {
+  kg: { '[lb_av]': v => v * 0.45359237, g: v => v / 1000 },
+  Cel: { '[degF]': v => (v - 32) * 5 / 9 },
+  km: { m: v => v / 1000, '[mi_i]': v => v * 1.609344 },
+  h: { min: v => v / 60, s: v => v / 3600 },
+  min: { h: v => v * 60, s: v => v / 60 },
+  kcal: { kJ: v => v / 4.184 },
+  '/min': { '{beats}/min': v => v },
+  '{steps}': { '{count}': v => v, '1': v => v }
+};
+
+const codeKey = (system, code) => `${system}|${code}`;
+
+// LOINC/local code -> { metric, spec } for import.
+const codeIndex = new Map();
+for (const [metric, columns] of Object.entries(observationCodes)) {
+  for (const spec of Object.values(columns)) codeIndex.set(codeKey(spec.system, spec.code), { metric, spec });
+}
+
+// ----------------- EXPORT -----------------
+// FHIR ids allow letters, digits, '-' and '.' only.
+const resourceId = (...parts) => parts.join('-').replace(/_/g, '-');
+
+function coding({ system, code, display }) {
+  return { coding: [{ system, code, display }], text: display };
+}
+
+function quantity(value, unit) {
+  return { value: Number(value), unit, system: UCUM, code: unit };
+}
+
+function effective(row) {
+  if (row.start_at && row.end_at) {
+    return { effectivePeriod: { start: new Date(row.start_at).toISOString(), end: new Date(row.end_at).toISOString() } };
+  }
+  return { effectiveDateTime: new Date(row.recorded_at).toISOString() };
+}
+
+function identifier(row) {
+  return row.sample_id ? { identifier: [{ system: SAMPLE_ID, value: row.sample_id }] } : {};
+}
+
+function observation(id, patient, row, code, category, fields) {
+  return {
+    resourceType: 'Observation',
+    id,
+    ...identifier(row),
+    status: 'final',
+    category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: category }] }],
+    code: coding(code),
+    subject: patient,
+    ...effective(row),
+    ...(row.device_name ? { device: { display: row.device_name } } : {}),
+    ...fields
+  };
+}
+
+function rowObservations(metric, row, patient) {
+  const resources = [];
+  for (const [column, spec] of Object.entries(observationCodes[metric] || {})) {
+    if (row[column] == null) continue;
+    resources.push(observation(resourceId(metric, row.id, column), patient, row, spec, spec.category, {
+      valueQuantity: quantity(row[column], spec.unit)
+    }));
+  }
+
+  if (metric === 'vitals' && row.bp_systolic != null && row.bp_diastolic != null) {
+    resources.push(observation(resourceId('vitals', row.id, 'bp'), patient, row, bloodPressure.panel, 'vital-signs', {
+      component: [bloodPressure.systolic, bloodPressure.diastolic].map(spec => ({
+        code: coding(spec),
+        valueQuantity: quantity(row[spec.column], spec.unit)
+      }))
+    }));
+  }
+  return resources;
+}
+
+// Free-text entries may list several items ("asthma, hypertension").
+function splitList(text) {
+  return (text || '').split(/[\n;,]/).map(item => item.trim()).filter(Boolean);
+}
+
+function healthResources(metric, row, patient) {
+  const recorded = new Date(row.recorded_at).toISOString();
+  const resources = [];
+  const condition = (id, text, status) => ({
+    resourceType: 'Condition',
+    id,
+    ...identifier(row),
+    clinicalStatus: { coding: [{ system: CONDITION_CLINICAL, code: status }] },
+    code: { text },
+    subject: patient,
+    recordedDate: recorded
+  });
+
+  if (metric === 'health') {
+    splitList(row.condition).forEach((text, i) => resources.push(condition(resourceId('health', row.id, 'condition', i), text, 'active')));
+    splitList(row.allergies).forEach((text, i) => resources.push({
+      resourceType: 'AllergyIntolerance',
+      id: resourceId('health', row.id, 'allergy', i),
+      ...identifier(row),
+      code: { text },
+      patient,
+      recordedDate: recorded
+    }));
+    splitList(row.medications).forEach((text, i) => resources.push({
+      resourceType: 'MedicationStatement',
+      id: resourceId('health', row.id, 'medication', i),
+      ...identifier(row),
+      status: 'active',
+      medicationCodeableConcept: { text },
+      subject: patient,
+      dateAsserted: recorded
+    }));
+  } else {
+    splitList(row.past_conditions).forEach((text, i) => resources.push(condition(resourceId('health_history', row.id, 'condition', i), text, 'resolved')));
+  }
+  return resources;
+}
+
+function patientResource(userId, user, profile) {
+  return {
+    resourceType: 'Patient',
+    id: String(userId),
+    ...(user.full_name ? { name: [{ text: user.full_name }] } : {}),
+    ...(user.email ? { telecom: [{ system: 'email', value: user.email }] } : {}),
+    ...(profile.sex ? { gender: profile.sex } : {}),
+    ...(profile.birthDate ? { birthDate: profile.birthDate } : {})
+  };
+}
+
+// GET /fhir/export?since=ISO&until=ISO
+// Every stored reading of the user (optionally bounded by recorded time) as a
+// FHIR collection Bundle.
+router.get('/fhir/export', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const since = req.query.since ? toDate(req.query.since) : null;
+    const until = req.query.until ? toDate(req.query.until) : null;
+    if ((req.query.since && !since) || (req.query.until && !until))
+      return res.status(400).json({ success: false, message: 'since and until must be ISO 8601 timestamps' });
+
+    const user = await store.users.findById(userId);
+    const profile = await loadProfile(userId);
+    const patient = { reference: `Patient/${userId}` };
+
+    const resources = [patientResource(userId, user, profile)];
+    for (const metric of Object.keys(observationCodes)) {
+      const rows = await store.samples.list(metric, userId, { since, until });
+      for (const row of rows) resources.push(...rowObservations(metric, row, patient));
+      noteAccess(res, metric, rows.length);
+    }
+    for (const metric of ['health', 'health_history']) {
+      const rows = await store.samples.list(metric, userId, { since, until });
+      for (const row of rows) resources.push(...healthResources(metric, row, patient));
+      noteAccess(res, metric, rows.length);
+    }
+
+    res.type('application/fhir+json').json({
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      entry: resources.map(resource => ({ resource }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- IMPORT -----------------
+function importError(message) {
+  return { status: 'rejected', errors: [{ field: null, code: 'type', message }] };
+}
+
+// Value of a Quantity in `unit`, converting the units we know; null if the
+// quantity is missing or in a unit we cannot convert.
+function quantityIn(q, unit) {
+  if (!q || typeof q.value !== 'number') return null;
+  const from = q.code || q.unit;
+  if (!from || from === unit) return q.value;
+  const convert = unitConversions[unit]?.[from];
+  return convert ? Number(convert(q.value).toFixed(4)) : null;
+}
+
+function findCode(concept, ...keys) {
+  return (concept?.coding || []).find(c => keys.includes(codeKey(c.system, c.code)));
+}
+
+function effectiveTimes(resource) {
+  if (resource.effectivePeriod) return { startAt: resource.effectivePeriod.start, endAt: resource.effectivePeriod.end };
+  return { recordedAt: resource.effectiveDateTime || resource.effectiveInstant || resource.issued };
+}
+
+const conceptText = concept => concept?.text || concept?.coding?.find(c => c.display)?.display || null;
+
+// Maps one resource to { type, data, deviceName } for ingestSample, or to a
+// rejection.
+function mapResource(resource) {
+  switch (resource.resourceType) {
+    case 'Observation': {
+      const times = effectiveTimes(resource);
+      const deviceName = resource.device?.display || IMPORT_DEVICE;
+
+      const bpKeys = [codeKey(bloodPressure.panel.system, bloodPressure.panel.code), codeKey(LOINC, '55284-4')];
+      if (findCode(resource.code, ...bpKeys)) {
+        const data = { ...times };
+        for (const spec of [bloodPressure.systolic, bloodPressure.diastolic]) {
+          const component = (resource.component || []).find(c => findCode(c.code, codeKey(spec.system, spec.code)));
+          data[spec.field] = quantityIn(component?.valueQuantity, spec.unit);
+        }
+        return { type: 'vitals', data, deviceName };
+      }
+
+      const match = (resource.code?.coding || []).map(c => codeIndex.get(codeKey(c.system, c.code))).find(Boolean);
+      if (!match) return importError('Observation code is not one we store');
+      const value = quantityIn(resource.valueQuantity, match.spec.unit);
+      if (value == null) return importError(`Observation must have a valueQuantity in ${match.spec.unit} or a convertible unit`);
+      return { type: match.metric, data: { ...times, [match.spec.field]: value }, deviceName };
+    }
+    case 'Condition': {
+      const text = conceptText(resource.code);
+      if (!text) return importError('Condition must have a code');
+      const status = resource.clinicalStatus?.coding?.[0]?.code;
+      const past = ['resolved', 'inactive', 'remission'].includes(status);
+      return {
+        type: past ? 'health_history' : 'health',
+        data: { recordedAt: resource.recordedDate || resource.onsetDateTime, [past ? 'pastConditions' : 'condition']: text },
+        deviceName: IMPORT_DEVICE
+      };
+    }
+    case 'AllergyIntolerance': {
+      const text = conceptText(resource.code);
+      if (!text) return importError('AllergyIntolerance must have a code');
+      return { type: 'health', data: { recordedAt: resource.recordedDate, allergies: text }, deviceName: IMPORT_DEVICE };
+    }
+    case 'MedicationStatement': {
+      const text = conceptText(resource.medicationCodeableConcept) || resource.medicationReference?.display;
+      if (!text) return importError('MedicationStatement must name the medication');
+      return { type: 'health', data: { recordedAt: resource.dateAsserted, medications: text }, deviceName: IMPORT_DEVICE };
+    }
+    default:
+      return null;
+  }
+}
+
+// Drops unset timestamps so validation sees them as absent.
+function compact(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, v]) => v != null));
+}
+
+// POST /fhir/import with a Bundle of Observation, Condition,
+// AllergyIntolerance and MedicationStatement resources. Entries are stored for
+// the authenticated user whatever their subject says; re-importing a resource
+// with the same id, or one exported from a sample the user already has, is
+// reported as a duplicate. Patient and other resource types are skipped.
+router.post('/fhir/import', requireAuth, rateLimit('ingestion'), express.json({ type: ['application/json', 'application/fhir+json'], limit: '10mb' }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const bundle = req.body;
+
+    if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry))
+      return res.status(400).json({ success: false, message: 'Body must be a FHIR Bundle with an entry array' });
+    if (bundle.entry.length > MAX_IMPORT_ENTRIES)
+      return res.status(400).json({ success: false, message: `A bundle may contain at most ${MAX_IMPORT_ENTRIES} entries` });
+
+    const results = await store.transaction(async db => {
+      const seen = new Set();
+      const itemResults = [];
+
+      for (const [index, entry] of bundle.entry.entries()) {
+        const resource = entry?.resource;
+        const item = { index, resourceType: resource?.resourceType || null, id: resource?.id || null };
+        const mapped = resource ? mapResource(resource) : importError('Entry has no resource');
+
+        if (!mapped) {
+          itemResults.push({ ...item, status: 'skipped' });
+          continue;
+        }
+        if (mapped.status === 'rejected') {
+          itemResults.push({ ...item, ...mapped });
+          continue;
+        }
+
+        // Resources we exported name the sample they came from
+        const exported = (resource.identifier || []).find(i => i?.system === SAMPLE_ID)?.value;
+        if (exported && await db.samples.hasSampleId(mapped.type, userId, String(exported))) {
+          itemResults.push({ ...item, status: 'duplicate' });
+          continue;
+        }
+        const sampleId = resource.id ? `fhir:${resource.resourceType}/${resource.id}` : null;
+        if (sampleId && seen.has(sampleId)) {
+          itemResults.push({ ...item, status: 'duplicate' });
+          continue;
+        }
+        if (sampleId) seen.add(sampleId);
+
+        const result = await ingestSample(db, userId, {
+          type: mapped.type,
+          deviceName: mapped.deviceName,
+          data: compact(mapped.data),
+          dayLabel: null,
+          sampleId
+        });
+        itemResults.push({ ...item, type: mapped.type, ...result });
+      }
+      return itemResults;
+    });
+
+    for (const r of results) {
+      if (r.status === 'accepted') noteAccess(res, r.type, 1);
+    }
+    const skipped = results.filter(r => r.status === 'skipped');
+    const summary = { ...summarize(results.filter(r => r.status !== 'skipped')), skipped: skipped.length };
+    res.json({ success: true, summary, results });
+  } catch (err) {
+    console.error('Error in FHIR import', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, observationCodes };
@@ -0,0 +1,266 @@
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { loadProfile } = require('./profile');
+const { validateSchema, isCalendarDate } = require('./validation');
+const { rollupRules, localDate, addDays, weekStartOf, fetchSince, fetchUntil, loadDailyBuckets } = require('./daily');
+const { rowMerger } = require('./sources');
+const { sampleTimes } = require('./ingest');
+const { sleepLog } = require('./sleep');
+
+const router = express.Router();
+
+// ----------------- GOAL METRICS -----------------
+// Each goal metric reads one column of the daily buckets, except sleep, which
+// reads the night's main sleep from sleep.js so naps do not count towards
+// it (see loadGoalBuckets). `direction` says
+// what meeting the goal means: reach at least the target, stay at most the
+// target, or be within `tolerance` of it. `weekly` is how days combine into a
+// week. Metrics with a `default` have a goal even before the user sets one.
+const goalMetrics = {
+  steps: { source: 'activity', column: 'steps', unit: 'count', limits: [100, 100000], direction: 'atLeast', weekly: 'sum', default: 10000 },
+  exerciseMinutes: { source: 'activity', column: 'exercise_minutes', unit: 'min', limits: [1, 600], direction: 'atLeast', weekly: 'sum', default: 30 },
+  sleepHours: { source: 'sleep', column: 'asleepHours', unit: 'h', limits: [3, 14], direction: 'atLeast', weekly: 'avg', default: 8 },
+  weight: { source: 'body', column: 'weight', unit: 'kg', limits: [20, 350], direction: 'target', tolerance: 1, weekly: 'last', default: null },
+  restingHeartRate: { source: 'heart', column: 'resting_heart_rate', unit: 'bpm', limits: [30, 120], direction: 'atMost', weekly: 'avg', default: null }
+};
+
+const MAX_PROGRESS_DAYS = 366;
+
+// ----------------- TIMELINE -----------------
+// Goals of one user grouped per metric, each list ordered by effective date.
+// goalOn() answers "what was the goal on this day?".
+function buildTimeline(rows) {
+  const timeline = {};
+  for (const metric of Object.keys(goalMetrics)) timeline[metric] = [];
+  for (const row of rows) {
+    if (timeline[row.metric]) timeline[row.metric].push(row);
+  }
+  return timeline;
+}
+
+async function loadGoals(userId) {
+  return buildTimeline(await store.goals.list(userId));
+}
+
+function goalOn(timeline, metric, date) {
+  let active = null;
+  for (const goal of timeline[metric] || []) {
+    if (goal.effective_from <= date) active = goal;
+  }
+  return active ? Number(active.target) : goalMetrics[metric].default;
+}
+
+// Daily values by source for `from`..`to`, merged across devices: the daily
+// buckets, with the nights of sleepLog (by the date woken up) for sleep.
+async function loadGoalBuckets(userId, sources, from, to, timeZone) {
+  const merge = await rowMerger(userId, timeZone);
+  const buckets = await loadDailyBuckets(userId, sources.filter(s => s !== 'sleep'), from, to, timeZone, merge);
+  if (sources.includes('sleep')) {
+    const rows = merge('sleep', await store.samples.list('sleep', userId, { since: fetchSince(from), until: fetchUntil(to) }));
+    buckets.sleep = new Map(sleepLog(rows, timeZone).nights.map(night => [night.date, night]));
+  }
+  return buckets;
+}
+
+// ----------------- PROGRESS -----------------
+function evaluateGoal(metric, value, target) {
+  if (value == null || target == null) return { value, target, percent: null, achieved: null };
+  const def = goalMetrics[metric];
+  let percent;
+  let achieved;
+  if (def.direction === 'atLeast') {
+    percent = value / target * 100;
+    achieved = value >= target;
+  } else if (def.direction === 'atMost') {
+    percent = value > 0 ? target / value * 100 : 100;
+    achieved = value <= target;
+  } else {
+    percent = Math.max(0, 100 - Math.abs(value - target) / target * 100);
+    achieved = Math.abs(value - target) <= def.tolerance;
+  }
+  return { value: Number(value.toFixed(2)), target, percent: Number(percent.toFixed(1)), achieved };
+}
+
+function dailyProgress(timeline, buckets, date) {
+  const day = { date };
+  for (const [metric, def] of Object.entries(goalMetrics)) {
+    const value = buckets[def.source].get(date)?.[def.column] ?? null;
+    day[metric] = evaluateGoal(metric, value, goalOn(timeline, metric, date));
+  }
+  return day;
+}
+
+// Combines the days of one week (oldest first). Sum metrics compare against
+// the sum of each day's own goal, so a goal changed mid-week counts pro rata.
+function weeklyProgress(weekStart, days) {
+  const week = { weekStart, weekEnd: addDays(weekStart, 6) };
+  for (const [metric, def] of Object.entries(goalMetrics)) {
+    const entries = days.map(d => d[metric]);
+    const withData = entries.filter(e => e.value != null);
+    const daysAchieved = withData.filter(e => e.achieved).length;
+
+    let value = null;
+    let target = null;
+    if (def.weekly === 'sum') {
+      value = withData.reduce((sum, e) => sum + e.value, 0);
+      target = entries.every(e => e.target != null) ? entries.reduce((sum, e) => sum + e.target, 0) : null;
+    } else if (withData.length > 0) {
+      value = def.weekly === 'avg'
+        ? withData.reduce((sum, e) => sum + e.value, 0) / withData.length
+        : withData[withData.length - 1].value;
+      target = withData[withData.length - 1].target;
+    }
+
+    week[metric] = { ...evaluateGoal(metric, withData.length > 0 ? value : null, target), daysAchieved, daysWithData: withData.length };
+  }
+  return week;
+}
+
+// ----------------- ACHIEVEMENTS -----------------
+// Daily goals met on the days of freshly stored samples ([{ type, data }]),
+// each returned only the first time it is met.
+async function newGoalAchievements(userId, samples) {
+  const metrics = Object.keys(goalMetrics).filter(m => samples.some(s => s.type === goalMetrics[m].source));
+  if (metrics.length === 0) return [];
+
+  const { timeZone } = await loadProfile(userId);
+  const daysBySource = {};
+  for (const { type, data } of samples) {
+    (daysBySource[type] = daysBySource[type] || new Set()).add(localDate(sampleTimes(data).recordedAt, timeZone));
+  }
+  const allDays = Object.values(daysBySource).flatMap(days => [...days]).sort();
+  const sources = Object.keys(daysBySource).filter(source => rollupRules[source]);
+  const buckets = await loadGoalBuckets(userId, sources, allDays[0], allDays[allDays.length - 1], timeZone);
+  const timeline = await loadGoals(userId);
+
+  const achievements = [];
+  for (const metric of metrics) {
+    const def = goalMetrics[metric];
+    for (const date of [...daysBySource[def.source]].sort()) {
+      const value = buckets[def.source].get(date)?.[def.column] ?? null;
+      const progress = evaluateGoal(metric, value, goalOn(timeline, metric, date));
+      if (progress.achieved && await store.goalAchievements.record(userId, metric, date)) {
+        achievements.push({ metric, date, value: progress.value, target: progress.target, unit: def.unit });
+      }
+    }
+  }
+  return achievements;
+}
+
+// ----------------- GOAL ROUTES -----------------
+const goalSchema = {
+  fields: {
+    metric: { type: 'enum', values: Object.keys(goalMetrics), required: true },
+    target: { type: 'number', required: true },
+    effectiveFrom: { type: 'date' }
+  },
+  rules: [
+    d => {
+      const limits = goalMetrics[d.metric]?.limits;
+      if (!limits || (d.target >= limits[0] && d.target <= limits[1])) return false;
+      return { field: 'target', code: 'limit', message: `A ${d.metric} goal must be between ${limits[0]} and ${limits[1]} ${goalMetrics[d.metric].unit}` };
+    }
+  ]
+};
+
+function toGoal(row) {
+  return { id: row.id, metric: row.metric, target: Number(row.target), effectiveFrom: row.effective_from };
+}
+
+// Current goal per metric plus the full history of changes.
+router.get('/goals', requireAuth, async (req, res) => {
+  try {
+    const { timeZone } = await loadProfile(req.user.id);
+    const today = localDate(new Date(), timeZone);
+    const timeline = await loadGoals(req.user.id);
+
+    const current = {};
+    for (const [metric, def] of Object.entries(goalMetrics)) {
+      const active = timeline[metric].filter(g => g.effective_from <= today).pop();
+      current[metric] = active
+        ? { ...toGoal(active), unit: def.unit, isDefault: false }
+        : { metric, target: def.default, effectiveFrom: null, unit: def.unit, isDefault: true };
+    }
+
+    const history = Object.values(timeline).flat().map(toGoal);
+    res.json({ success: true, current, history });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Sets a new goal from `effectiveFrom` (default: today in the user's time
+// zone). Earlier goals stay in place for the days before it.
+router.post('/goals', requireAuth, async (req, res) => {
+  try {
+    const errors = validateSchema(goalSchema, req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid goal', errors });
+
+    const { timeZone } = await loadProfile(req.user.id);
+    const goal = {
+      userId: req.user.id,
+      metric: req.body.metric,
+      target: req.body.target,
+      effectiveFrom: req.body.effectiveFrom || localDate(new Date(), timeZone)
+    };
+    const id = await store.goals.create(goal);
+
+    res.status(201).json({ success: true, goal: { id, metric: goal.metric, target: goal.target, effectiveFrom: goal.effectiveFrom } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete('/goals/:id', requireAuth, async (req, res) => {
+  try {
+    const removed = await store.goals.remove(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ success: false, message: 'Goal not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /goals/progress?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Daily progress (newest first) and Monday-based weekly progress, each judged
+// against the goal active on that day. Defaults to the last 7 days.
+router.get('/goals/progress', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { timeZone } = await loadProfile(userId);
+    const to = req.query.to || localDate(new Date(), timeZone);
+    const from = req.query.from || addDays(to, -6);
+
+    if (!isCalendarDate(from) || !isCalendarDate(to) || from > to)
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    if (addDays(from, MAX_PROGRESS_DAYS - 1) < to)
+      return res.status(400).json({ success: false, message: `Progress may span at most ${MAX_PROGRESS_DAYS} days` });
+
+    const timeline = await loadGoals(userId);
+    const sources = [...new Set(Object.values(goalMetrics).map(d => d.source))];
+    const buckets = await loadGoalBuckets(userId, sources, from, to, timeZone);
+
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) days.push(dailyProgress(timeline, buckets, date));
+
+    const weeks = new Map();
+    for (const day of days) {
+      const start = weekStartOf(day.date);
+      if (!weeks.has(start)) weeks.set(start, []);
+      weeks.get(start).push(day);
+    }
+    const weekly = [...weeks.entries()].map(([start, weekDays]) => weeklyProgress(start, weekDays)).reverse();
+
+    res.json({ success: true, timeZone, from, to, daily: days.reverse(), weekly });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, goalMetrics, loadGoals, goalOn, evaluateGoal, newGoalAchievements, toGoal };
@@ -0,0 +1,192 @@
+// Bulk imports that run as background jobs. The upload is saved to a
+// temporary file and the request returns straight away with a job the client
+// polls for progress, counts and the first errors.
+//
+// Jobs run one at a time in this process. A job interrupted by a restart is
+// marked failed on the next start; since every imported sample has a stable
+// sampleId, uploading the same file again picks up without duplicates.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { ingestSample } = require('./ingest');
+const { notify } = require('./webhooks');
+const { SOURCE: APPLE_HEALTH, appleHealthRecords } = require('./appleHealth');
+const { rateLimit } = require('./rateLimit');
+
+const router = express.Router();
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_IMPORT_UPLOAD_BYTES) || 2 * 1024 * 1024 * 1024;
+// Samples stored per transaction; progress is saved after each one
+const IMPORT_CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE) || 500;
+const MAX_REPORTED_ERRORS = 100;
+
+// ----------------- JOB QUEUE -----------------
+let queue = Promise.resolve();
+
+function enqueue(task) {
+  queue = queue.then(task).catch(err => console.error('Import job failed', err));
+  return queue;
+}
+
+function toJob(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    status: row.status,
+    progress: row.bytes_total > 0 ? Math.round(row.bytes_processed / row.bytes_total * 100) : 0,
+    bytesTotal: Number(row.bytes_total),
+    bytesProcessed: Number(row.bytes_processed),
+    counts: row.counts || {},
+    errors: row.errors || [],
+    errorMessage: row.error_message,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+async function runAppleHealthImport(jobId, userId, file) {
+  const counts = { records: 0, accepted: 0, duplicate: 0, quarantined: 0, rejected: 0, skipped: 0 };
+  const errors = [];
+  const reportError = error => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+  };
+  const readable = fs.createReadStream(file);
+  let chunk = [];
+
+  async function flush() {
+    const batch = chunk;
+    chunk = [];
+    const results = await store.transaction(async db => {
+      const itemResults = [];
+      for (const { sample } of batch) itemResults.push(await ingestSample(db, userId, { ...sample, dayLabel: null }));
+      return itemResults;
+    });
+    results.forEach((result, i) => {
+      counts[result.status]++;
+      if (result.errors) reportError({ line: batch[i].line, type: batch[i].sample.type, status: result.status, errors: result.errors });
+    });
+    await store.importJobs.update(jobId, { bytesProcessed: readable.bytesRead, counts, errors });
+  }
+
+  try {
+    await store.importJobs.update(jobId, { status: 'running', startedAt: new Date() });
+
+    for await (const record of appleHealthRecords(readable)) {
+      counts.records++;
+      if (record.skipped) {
+        counts.skipped++;
+      } else if (record.error) {
+        counts.rejected++;
+        reportError({ line: record.line, status: 'rejected', errors: [{ field: null, code: 'type', message: record.error }] });
+      } else {
+        chunk.push(record);
+        if (chunk.length >= IMPORT_CHUNK_SIZE) await flush();
+      }
+    }
+    await flush();
+
+    await store.importJobs.update(jobId, { status: 'completed', bytesProcessed: readable.bytesRead, counts, errors, finishedAt: new Date() });
+  } catch (err) {
+    console.error(`Import job ${jobId} failed`, err);
+    await store.importJobs.update(jobId, { status: 'failed', counts, errors, errorMessage: err.message, finishedAt: new Date() });
+  } finally {
+    readable.destroy();
+    await fs.promises.rm(file, { force: true });
+  }
+  await notify(userId, [{ type: 'import.completed', data: toJob(await store.importJobs.findById(jobId)) }]);
+}
+
+// Called once at startup, before any job of this process could be running.
+async function recoverInterruptedImports() {
+  await store.importJobs.failUnfinished('Interrupted by a server restart; upload the file again to resume');
+}
+
+// ----------------- UPLOAD -----------------
+function uploadTooLarge() {
+  const err = new Error(`Uploads are limited to ${MAX_UPLOAD_BYTES} bytes`);
+  err.status = 413;
+  return err;
+}
+
+// Streams the request body to a temporary file and returns its path and size.
+async function saveUpload(req) {
+  const file = path.join(os.tmpdir(), `import-${crypto.randomUUID()}.xml`);
+  let size = 0;
+  const limit = new Transform({
+    transform(data, encoding, callback) {
+      size += data.length;
+      callback(size > MAX_UPLOAD_BYTES ? uploadTooLarge() : null, data);
+    }
+  });
+
+  try {
+    await pipeline(req, limit, fs.createWriteStream(file));
+  } catch (err) {
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  }
+  return { file, size };
+}
+
+// ----------------- IMPORT ROUTES -----------------
+// POST /imports/apple-health with the raw export.xml as the body (any
+// content type other than JSON, e.g. application/xml). Responds 202 with the
+// queued job.
+router.post('/imports/apple-health', requireAuth, rateLimit('ingestion'), async (req, res) => {
+  try {
+    if (req.is('json'))
+      return res.status(415).json({ success: false, message: 'Send the export.xml file itself as the request body' });
+
+    let upload;
+    try {
+      upload = await saveUpload(req);
+    } catch (err) {
+      if (err.status === 413) return res.status(413).json({ success: false, message: err.message });
+      throw err;
+    }
+    if (upload.size === 0) {
+      await fs.promises.rm(upload.file, { force: true });
+      return res.status(400).json({ success: false, message: 'The upload is empty' });
+    }
+
+    const userId = req.user.id;
+    const jobId = await store.importJobs.create({ userId, source: APPLE_HEALTH, bytesTotal: upload.size });
+    enqueue(() => runAppleHealthImport(jobId, userId, upload.file));
+
+    res.status(202).location(`/imports/${jobId}`).json({ success: true, job: toJob(await store.importJobs.findById(jobId)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/imports', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.importJobs.listForUser(req.user.id);
+    res.json({ success: true, jobs: rows.map(toJob) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/imports/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await store.importJobs.findById(req.params.id);
+    if (!row || String(row.user_id) !== String(req.user.id))
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    res.json({ success: true, job: toJob(row) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, recoverInterruptedImports, toJob };
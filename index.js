@@ -1,209 +1,124 @@
 // Enhanced index.js - More comprehensive health insights
 require('dotenv').config();
 const express = require('express');
-const mysql = require('mysql2/promise');
-const bcrypt = require('bcrypt');
 const cors = require('cors'); // <-- 1. IMPORT CORS
+const store = require('./storage');
+const { metricTables } = require('./storage/metrics');
+const { rollupRules, localDate, localHour, addDays, fetchSince, rollupDaily, loadDailyBuckets } = require('./daily');
+const { router: authRouter, requireAuth } = require('./auth');
+const { router: profileRouter, loadProfile } = require('./profile');
+const { router: goalsRouter, goalMetrics, loadGoals, goalOn, evaluateGoal, newGoalAchievements } = require('./goals');
+const { router: fhirRouter } = require('./fhir');
+const { router: importsRouter, recoverInterruptedImports } = require('./imports');
+const { router: queryRouter, QueryError, parsePage, rowCursor, rowPosition } = require('./query');
+const { router: devicesRouter, requireUserOrDevice, resolveDevice } = require('./devices');
+const { router: sourcesRouter, rowMerger } = require('./sources');
+const { isCalendarDate, splitList } = require('./validation');
+const { ingestSample, summarize, describeSample } = require('./ingest');
+const { router: liveRouter, publishSample } = require('./live');
+const { router: webhooksRouter, notify, startWebhookDispatcher } = require('./webhooks');
+const { router: sharesRouter, requireReadAccess } = require('./shares');
+const { router: auditRouter, auditTrail, noteAccess } = require('./audit');
+const { router: accountRouter } = require('./account');
+const { router: dataExportRouter, recoverInterruptedExports } = require('./dataExport');
+const { rateLimit } = require('./rateLimit');
+const { HISTORY_DAYS, assessReadiness } = require('./baselines');
+const { sleepLog, sleepSchedule, formatClock } = require('./sleep');
+const {
+  router: alertsRouter, evaluateAlerts, toAlert, classifyBloodPressure, classifySpO2, classifyTemperature
+} = require('./alerts');
 const app = express();
 // --- SETUP MIDDLEWARE ---
+// Behind a load balancer, TRUST_PROXY (e.g. 1 or 'loopback') makes req.ip the
+// client's address, which rate limits and the audit log key on
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 app.use(cors()); // <-- 2. USE THE CORS MIDDLEWARE HERE
+// Records every request once it is over (see audit.js)
+app.use(auditTrail);
+// FHIR bundles exceed the default body limit; the router parses its own
+app.use(fhirRouter);
 app.use(express.json());
 
 const PORT = process.env.PORT || 3000;
 
-// ----------------- MYSQL CONNECTION -----------------
-const pool = mysql.createPool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  waitForConnections: true,
-  connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
-  queueLimit: 0
-});
-
 // ----------------- AUTH ROUTES -----------------
-app.post('/register', async (req, res) => {
-  try {
-    const { fullName, email, password } = req.body;
-    if (!fullName || !email || !password)
-      return res.json({ success: false, message: 'Missing fields' });
-
-    const [existing] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
-    if (existing.length > 0)
-      return res.json({ success: false, message: 'Email already registered', userId: existing[0].id.toString() });
-
-    const hash = await bcrypt.hash(password, 10);
-    const [result] = await pool.execute(
-      'INSERT INTO users (full_name, email, password_hash) VALUES (?, ?, ?)',
-      [fullName, email, hash]
-    );
-
-    const userId = result.insertId.toString();
-    const handle = `@${fullName}`;
-    res.json({ success: true, message: "Registered successfully", userId, handle });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: 'Register failed' });
-  }
-});
+app.use(authRouter);
 
-app.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password)
-      return res.json({ success: false, message: 'Missing fields' });
-
-    const [rows] = await pool.execute('SELECT * FROM users WHERE email = ?', [email]);
-    if (rows.length === 0) return res.json({ success: false, message: 'User not found' });
+// ----------------- ACCOUNT & DATA EXPORT -----------------
+app.use(accountRouter);
+app.use(dataExportRouter);
 
-    const user = rows[0];
-    const match = await bcrypt.compare(password, user.password_hash);
-    if (!match) return res.json({ success: false, message: 'Incorrect password' });
-
-    const userId = user.id.toString();
-    const handle = `@${user.full_name}`;
-    res.json({ success: true, message: "Login successful", userId, handle, fullName: user.full_name });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: 'Login failed' });
-  }
-});
+// ----------------- PROFILE & GOAL ROUTES -----------------
+app.use(profileRouter);
+app.use(goalsRouter);
 
-// ----------------- SAVE FUNCTIONS -----------------
-async function saveRawData(userId, deviceName, endpoint, data, dayLabel = null) {
-  const conn = await pool.getConnection();
-  try {
-    await conn.execute(
-      `INSERT INTO device_data (user_id, device_name, endpoint, data, day_label) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [userId, deviceName, endpoint, JSON.stringify(data), dayLabel]
-    );
-  } finally {
-    conn.release();
-  }
-}
-
-async function saveHeartData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
-  try {
-    const { currentHeartRate = 0, restingHeartRate = 0, hrv = 0 } = data;
-    await conn.execute(
-      `INSERT INTO heart_data (user_id, device_name, current_heart_rate, resting_heart_rate, hrv)
-       VALUES (?, ?, ?, ?, ?)`,
-      [userId, deviceName, currentHeartRate, restingHeartRate, hrv]
-    );
-  } finally {
-    conn.release();
-  }
-}
-
-async function saveSleepData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
-  try {
-    const { totalSleep = 0, deepSleep = 0, remSleep = 0, sleepHours = 0 } = data;
-    await conn.execute(
-      `INSERT INTO sleep_data (user_id, device_name, total_sleep, deep_sleep, rem_sleep, sleep_hours)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, deviceName, totalSleep, deepSleep, remSleep, sleepHours]
-    );
-  } finally {
-    conn.release();
-  }
-}
-
-async function saveActivityData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
-  try {
-    const { steps = 0, calories = 0, distance = 0, exerciseMinutes = 0 } = data;
-    await conn.execute(
-      `INSERT INTO activity_data (user_id, device_name, steps, calories, distance, exercise_minutes)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, deviceName, steps, calories, distance, exerciseMinutes]
-    );
-  } finally {
-    conn.release();
-  }
-}
+// ----------------- SHARING & AUDIT LOG -----------------
+app.use(sharesRouter);
+app.use(auditRouter);
 
-async function saveBodyData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
-  try {
-    const { weight = 0, bmi = 0, bodyFat = 0, leanMass = 0, vo2Max = 0 } = data;
-    await conn.execute(
-      `INSERT INTO body_data (user_id, device_name, weight, bmi, body_fat, lean_mass, vo2_max)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [userId, deviceName, weight, bmi, bodyFat, leanMass, vo2Max]
-    );
-  } finally {
-    conn.release();
-  }
-}
+// ----------------- DEVICES & BULK IMPORTS -----------------
+app.use(devicesRouter);
+app.use(sourcesRouter);
+app.use(importsRouter);
 
-async function saveVitalsData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
-  try {
-    const { bloodPressureSystolic = 0, bloodPressureDiastolic = 0, spo2 = 0, temperature = 0 } = data;
-    await conn.execute(
-      `INSERT INTO vitals_data (user_id, device_name, bp_systolic, bp_diastolic, spo2, temperature)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, deviceName, bloodPressureSystolic, bloodPressureDiastolic, spo2, temperature]
-    );
-  } finally {
-    conn.release();
-  }
-}
+// ----------------- INGESTION -----------------
+const endpoints = Object.keys(metricTables);
 
-async function saveHealthData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
-  try {
-    const { condition = null, allergies = null, medications = null } = data;
-    await conn.execute(
-      `INSERT INTO health_data (user_id, device_name, \`condition\`, allergies, medications)
-       VALUES (?, ?, ?, ?, ?)`,
-      [userId, deviceName, condition, allergies, medications]
-    );
-  } finally {
-    conn.release();
-  }
-}
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 500;
 
-async function saveHealthHistoryData(userId, deviceName, data) {
-  const conn = await pool.getConnection();
+// Once samples are committed: the live feed, webhooks and goals they complete.
+// `accepted` is [{ sample: { type, deviceId, deviceName, data }, alerts }].
+// Failures are logged; the samples are stored either way.
+async function announceSamples(userId, accepted) {
   try {
-    const { pastConditions = null, surgeries = null, familyHistory = null, history = null } = data;
-    await conn.execute(
-      `INSERT INTO health_history_data (user_id, device_name, past_conditions, surgeries, family_history, history)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, deviceName, pastConditions, surgeries, familyHistory, JSON.stringify(history)]
-    );
-  } finally {
-    conn.release();
+    const events = [];
+    for (const { sample, alerts } of accepted) {
+      publishSample(userId, sample, alerts);
+      events.push({ type: 'sample.ingested', data: describeSample(sample) });
+      for (const alert of alerts) events.push({ type: 'alert.opened', data: alert });
+    }
+    for (const achievement of await newGoalAchievements(userId, accepted.map(a => a.sample))) {
+      events.push({ type: 'goal.achieved', data: achievement });
+    }
+    await notify(userId, events);
+  } catch (err) {
+    console.error('Announcing samples failed', err);
   }
 }
 
 // ----------------- HEALTH ENDPOINTS -----------------
-const endpoints = ['activity', 'heart', 'sleep', 'body', 'vitals', 'health', 'health_history'];
+// The readings of a single-sample request: its `data`, or for a flat body
+// everything but the envelope fields, which are not part of the payload.
+function payloadOf(body) {
+  if (body.data) return body.data;
+  const { deviceId, deviceName, day, sampleId, ...data } = body;
+  return data;
+}
 
 endpoints.forEach(ep => {
-  app.post(`/${ep}`, async (req, res) => {
+  app.post(`/${ep}`, requireUserOrDevice, rateLimit('ingestion'), async (req, res) => {
     try {
-      const userId = req.body.userId?.toString() || null;
-      const deviceName = req.body.deviceName || 'UnknownDevice';
-      const data = req.body.data || req.body;
+      const userId = req.user.id;
+      const device = await resolveDevice(req, req.body);
+      if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+      const data = payloadOf(req.body);
       const dayLabel = req.body.day || null;
+      const sampleId = req.get('idempotency-key') || req.body.sampleId || null;
 
-      await saveRawData(userId, deviceName, ep, data, dayLabel);
+      const { result, alerts } = await store.transaction(async db => {
+        const result = await ingestSample(db, userId, { type: ep, ...device, data, dayLabel, sampleId });
+        const alerts = result.status === 'accepted' ? await evaluateAlerts(db, userId, { type: ep, data }) : [];
+        return { result, alerts };
+      });
+      noteAccess(res, ep, result.status === 'accepted' ? 1 : 0);
 
-      if (ep === 'heart') await saveHeartData(userId, deviceName, data);
-      else if (ep === 'sleep') await saveSleepData(userId, deviceName, data);
-      else if (ep === 'activity') await saveActivityData(userId, deviceName, data);
-      else if (ep === 'body') await saveBodyData(userId, deviceName, data);
-      else if (ep === 'vitals') await saveVitalsData(userId, deviceName, data);
-      else if (ep === 'health') await saveHealthData(userId, deviceName, data);
-      else if (ep === 'health_history') await saveHealthHistoryData(userId, deviceName, data);
+      if (result.status === 'rejected')
+        return res.status(400).json({ success: false, endpoint: ep, message: `Invalid ${ep} payload`, errors: result.errors });
+      if (result.status === 'quarantined')
+        return res.status(202).json({ success: true, endpoint: ep, quarantined: true, errors: result.errors });
+      if (result.status === 'accepted') await announceSamples(userId, [{ sample: { type: ep, ...device, data }, alerts }]);
 
-      res.json({ success: true, endpoint: ep });
+      res.json({ success: true, endpoint: ep, duplicate: result.status === 'duplicate' });
     } catch (err) {
       console.error('Error in', ep, err);
       res.status(500).json({ success: false, error: err.message });
@@ -211,71 +126,138 @@ endpoints.forEach(ep => {
   });
 });
 
-// ----------------- ENHANCED INSIGHTS ENDPOINT -----------------
-app.get('/insights/:userId', async (req, res) => {
+// ----------------- BATCH INGESTION -----------------
+// Accepts { deviceId | deviceName, samples: [{ sampleId, type, data, day,
+// deviceName }] } and stores every valid sample in one transaction. Invalid
+// samples are reported per item and do not abort the batch; a database
+// failure does. Per-sample device names only apply to unregistered devices.
+app.post('/batch', requireUserOrDevice, rateLimit('ingestion'), async (req, res) => {
   try {
-    const userId = req.params.userId;
+    const userId = req.user.id;
+    const { samples } = req.body;
+    const device = await resolveDevice(req, req.body);
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+
+    if (!Array.isArray(samples) || samples.length === 0)
+      return res.status(400).json({ success: false, message: 'samples must be a non-empty array' });
+    if (samples.length > MAX_BATCH_SIZE)
+      return res.status(400).json({ success: false, message: `A batch may contain at most ${MAX_BATCH_SIZE} samples` });
+
+    const deviceNameOf = sample => (!device.deviceId && sample.deviceName) || device.deviceName;
+    // Alerts opened per accepted sample, by index
+    const openedAlerts = new Map();
+    const alertCache = new Map();
+    const results = await store.transaction(async db => {
+      const seen = new Set();
+      const itemResults = [];
+
+      for (const [index, sample] of samples.entries()) {
+        const sampleId = sample?.sampleId != null ? sample.sampleId.toString() : null;
+        const type = sample?.type;
+        const item = { index, sampleId, type };
+
+        if (!metricTables[type]) {
+          itemResults.push({ ...item, status: 'rejected', errors: [{ field: 'type', code: 'type', message: `type must be one of ${endpoints.join(', ')}` }] });
+          continue;
+        }
+        if (sampleId && seen.has(sampleId)) {
+          itemResults.push({ ...item, status: 'duplicate' });
+          continue;
+        }
+        if (sampleId) seen.add(sampleId);
+
+        const result = await ingestSample(db, userId, {
+          type,
+          deviceId: device.deviceId,
+          deviceName: deviceNameOf(sample),
+          data: sample.data,
+          dayLabel: sample.day || null,
+          sampleId
+        });
+        itemResults.push({ ...item, ...result });
+        if (result.status === 'accepted') openedAlerts.set(index, await evaluateAlerts(db, userId, { type, data: sample.data }, alertCache));
+      }
+      return itemResults;
+    });
+    for (const r of results) {
+      if (r.status === 'accepted') noteAccess(res, r.type, 1);
+    }
 
-    // Get last 30 days of data for trend analysis
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    await announceSamples(userId, results.filter(r => r.status === 'accepted').map(r => ({
+      sample: { type: r.type, deviceId: device.deviceId, deviceName: deviceNameOf(samples[r.index]), data: samples[r.index].data },
+      alerts: openedAlerts.get(r.index)
+    })));
 
-    // Fetch comprehensive data with historical context
-    const [activityData] = await pool.execute(
-      `SELECT * FROM activity_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, thirtyDaysAgo]
-    );
-    
-    const [heartData] = await pool.execute(
-      `SELECT * FROM heart_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, thirtyDaysAgo]
-    );
-    
-    const [sleepData] = await pool.execute(
-      `SELECT * FROM sleep_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, thirtyDaysAgo]
-    );
-
-    const [bodyData] = await pool.execute(
-      `SELECT * FROM body_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, thirtyDaysAgo]
-    );
-
-    const [vitalsData] = await pool.execute(
-      `SELECT * FROM vitals_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, thirtyDaysAgo]
-    );
-
-    // Get last 7 days for weekly analysis
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-    const [weeklyActivity] = await pool.execute(
-      `SELECT * FROM activity_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, sevenDaysAgo]
-    );
-
-    const [weeklySleep] = await pool.execute(
-      `SELECT * FROM sleep_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, sevenDaysAgo]
-    );
-
-    const [weeklyHeart] = await pool.execute(
-      `SELECT * FROM heart_data WHERE user_id=? AND created_at >= ? ORDER BY created_at DESC`, 
-      [userId, sevenDaysAgo]
-    );
+    res.json({ success: true, summary: summarize(results), results });
+  } catch (err) {
+    console.error('Error in batch', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- LIVE FEED, ALERTS & WEBHOOKS -----------------
+app.use(liveRouter);
+app.use(alertsRouter);
+app.use(webhooksRouter);
+
+// ----------------- ENHANCED INSIGHTS ENDPOINT -----------------
+app.get('/insights{/:userId}', requireAuth, requireReadAccess, async (req, res) => {
+  try {
+    const { userId, categories } = req.subject;
+    const profile = await loadProfile(userId);
+    const goals = await loadGoals(userId);
+    const timeZone = profile.timeZone;
+
+    // Last 30 calendar days for trend analysis, last 7 for weekly analysis,
+    // counted in the user's own time zone
+    const today = localDate(new Date(), timeZone);
+    const monthStart = addDays(today, -29);
+    const weekStart = addDays(today, -6);
+    // Heart and sleep reach further back for the personal baselines
+    const historyStart = addDays(today, -HISTORY_DAYS);
+
+    // Where devices overlap, only the preferred one's readings count
+    const merge = await rowMerger(userId, timeZone);
+    const rows = {};
+    const daily = {};
+    for (const metric of ['activity', 'heart', 'sleep', 'body', 'vitals']) {
+      // Someone viewing through a share only sees the categories granted
+      const since = metric === 'heart' || metric === 'sleep' ? historyStart : monthStart;
+      rows[metric] = categories.includes(metric)
+        ? merge(metric, await store.samples.list(metric, userId, { since: fetchSince(since) }))
+        : [];
+      if (categories.includes(metric)) noteAccess(res, metric, rows[metric].length);
+      daily[metric] = rollupDaily(metric, rows[metric], timeZone).filter(d => d.date >= monthStart && d.date <= today);
+    }
+    const lastWeek = days => days.filter(d => d.date >= weekStart);
+    const thisMonth = sessions => sessions.filter(s => s.date >= monthStart && s.date <= today);
+    const { nights, naps } = sleepLog(rows.sleep, timeZone);
 
     // Calculate comprehensive insights
     const insights = calculateEnhancedInsights({
-      activity: activityData,
-      heart: heartData,
-      sleep: sleepData,
-      body: bodyData,
-      vitals: vitalsData,
-      weeklyActivity,
-      weeklySleep,
-      weeklyHeart
+      today,
+      timeZone,
+      profile,
+      goals,
+      activity: daily.activity,
+      heart: daily.heart,
+      sleep: daily.sleep,
+      body: daily.body,
+      vitals: daily.vitals,
+      weeklyActivity: lastWeek(daily.activity),
+      nights: thisMonth(nights),
+      weeklyNights: lastWeek(thisMonth(nights)),
+      weeklyNaps: lastWeek(thisMonth(naps)),
+      weeklyHeart: lastWeek(daily.heart),
+      // Rows are newest first; not every reading carries a current rate
+      latestHeartRate: rows.heart.find(r => r.current_heart_rate != null)?.current_heart_rate ?? null,
+      ...assessReadiness({ heartRows: rows.heart, sleepRows: rows.sleep, today, timeZone }),
+      bloodPressureReadings: rows.vitals.filter(r =>
+        r.bp_systolic != null && r.bp_diastolic != null && localDate(r.recorded_at, timeZone) >= weekStart)
     });
+    // Persisted alerts from ingestion, next to the ones computed above
+    const activeAlerts = await store.alerts.listForUser(userId, { statuses: ['open', 'acknowledged'] });
+    insights.activeAlerts = activeAlerts.filter(a => categories.includes(a.metric)).map(toAlert);
 
     res.json({ success: true, insights });
   } catch (err) {
@@ -284,7 +266,60 @@ app.get('/insights/:userId', async (req, res) => {
   }
 });
 
-// Enhanced insights calculation with more comprehensive analysis
+// ----------------- TIME-RANGE QUERIES -----------------
+app.use(queryRouter);
+
+// ----------------- DAILY SUMMARY ENDPOINT -----------------
+const DAILY_METRICS = Object.keys(rollupRules);
+const MAX_SUMMARY_DAYS = 366;
+
+// GET /daily-summary{/:userId}?from=YYYY-MM-DD&to=YYYY-MM-DD&metrics=activity,heart
+// One entry per calendar day (newest first) in the user's time zone; a metric
+// with no samples that day is null. Defaults to the last 7 days.
+app.get('/daily-summary{/:userId}', requireAuth, requireReadAccess, async (req, res) => {
+  try {
+    const { userId, categories } = req.subject;
+    const { timeZone } = await loadProfile(userId);
+
+    const to = req.query.to || localDate(new Date(), timeZone);
+    const from = req.query.from || addDays(to, -6);
+    const metrics = req.query.metrics ? splitList(req.query.metrics) : DAILY_METRICS.filter(m => categories.includes(m));
+
+    if (!metrics)
+      return res.status(400).json({ success: false, message: 'metrics must be given once, as a comma-separated list' });
+    if (!isCalendarDate(from) || !isCalendarDate(to) || from > to)
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    if (addDays(from, MAX_SUMMARY_DAYS - 1) < to)
+      return res.status(400).json({ success: false, message: `A summary may span at most ${MAX_SUMMARY_DAYS} days` });
+    const unknown = metrics.filter(m => !DAILY_METRICS.includes(m));
+    if (unknown.length > 0)
+      return res.status(400).json({ success: false, message: `Unknown metrics: ${unknown.join(', ')}` });
+    const denied = metrics.filter(m => !categories.includes(m));
+    if (denied.length > 0)
+      return res.status(403).json({ success: false, message: `Not allowed to access ${denied.join(', ')}` });
+
+    const byMetric = await loadDailyBuckets(userId, metrics, from, to, timeZone, await rowMerger(userId, timeZone));
+    for (const metric of metrics) {
+      noteAccess(res, metric, [...byMetric[metric].values()].reduce((sum, bucket) => sum + bucket.samples, 0));
+    }
+
+    const days = [];
+    for (let date = to; date >= from; date = addDays(date, -1)) {
+      const day = { date };
+      for (const metric of metrics) day[metric] = byMetric[metric].get(date) || null;
+      days.push(day);
+    }
+
+    res.json({ success: true, timeZone, from, to, days });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Enhanced insights calculation with more comprehensive analysis.
+// `data` holds daily buckets (see daily.js) and sleep nights and naps (see
+// sleep.js), newest first.
 function calculateEnhancedInsights(data) {
   const insights = {
     currentMetrics: {},
@@ -301,14 +336,17 @@ function calculateEnhancedInsights(data) {
       body: {},
       vitals: {}
     },
-    timeOfDay: getTimeBasedGreeting(),
+    goals: currentGoals(data),
+    goalProgress: {},
+    timeOfDay: getTimeBasedGreeting(data.timeZone),
     streaks: calculateStreaks(data),
     personalBests: calculatePersonalBests(data)
   };
 
   // ========== ENHANCED ACTIVITY ANALYSIS ==========
   if (data.activity.length > 0) {
-    const latestActivity = data.activity[0];
+    // Today's bucket; a day without samples yet counts as zero
+    const latestActivity = data.activity.find(d => d.date === data.today) || {};
     const weeklySteps = data.weeklyActivity.map(d => d.steps || 0);
     const monthlySteps = data.activity.map(d => d.steps || 0);
 
@@ -318,9 +356,11 @@ function calculateEnhancedInsights(data) {
     insights.currentMetrics.exerciseMinutes = latestActivity.exercise_minutes || 0;
 
     // Enhanced weekly analysis
-    insights.weeklyAverages.steps = Math.round(weeklySteps.reduce((a, b) => a + b, 0) / weeklySteps.length);
-    insights.weeklyAverages.calories = Math.round(data.weeklyActivity.reduce((sum, d) => sum + (d.calories || 0), 0) / data.weeklyActivity.length);
-    insights.weeklyAverages.distance = (data.weeklyActivity.reduce((sum, d) => sum + (d.distance || 0), 0) / data.weeklyActivity.length).toFixed(1);
+    // Averaged over days with data; the 30-day window may have none this week
+    const weekDays = Math.max(1, data.weeklyActivity.length);
+    insights.weeklyAverages.steps = Math.round(weeklySteps.reduce((a, b) => a + b, 0) / weekDays);
+    insights.weeklyAverages.calories = Math.round(data.weeklyActivity.reduce((sum, d) => sum + (d.calories || 0), 0) / weekDays);
+    insights.weeklyAverages.distance = (data.weeklyActivity.reduce((sum, d) => sum + (d.distance || 0), 0) / weekDays).toFixed(1);
 
     // Detailed activity analysis
     insights.detailedAnalysis.steps = {
@@ -328,12 +368,12 @@ function calculateEnhancedInsights(data) {
       weeklyTotal: weeklySteps.reduce((a, b) => a + b, 0),
       bestDay: Math.max(...weeklySteps),
       consistency: calculateConsistency(weeklySteps),
-      projectedWeekly: (latestActivity.steps || 0) * 7,
-      goalProgress: ((latestActivity.steps || 0) / 10000 * 100).toFixed(1)
+      projectedWeekly: insights.weeklyAverages.steps * 7,
+      goalProgress: ((latestActivity.steps || 0) / insights.goals.steps * 100).toFixed(1)
     };
 
     // Enhanced recommendations
-    if (insights.currentMetrics.steps < 5000) {
+    if (insights.currentMetrics.steps < insights.goals.steps * 0.5) {
       insights.recommendations.push({
         category: "activity",
         priority: "high",
@@ -342,12 +382,12 @@ function calculateEnhancedInsights(data) {
         actionable: true,
         suggestion: "Take stairs instead of elevators, park further away, or walk during phone calls."
       });
-    } else if (insights.currentMetrics.steps >= 8000) {
+    } else if (insights.currentMetrics.steps >= insights.goals.steps * 0.8) {
       insights.recommendations.push({
         category: "activity",
         priority: "positive",
         title: "Outstanding Activity Level",
-        message: `${insights.currentMetrics.steps} steps puts you in the top 20% of active individuals.`,
+        message: `${insights.currentMetrics.steps} steps is ${insights.detailedAnalysis.steps.goalProgress}% of your daily goal of ${insights.goals.steps}.`,
         streak: insights.streaks.steps || 0
       });
     }
@@ -373,26 +413,46 @@ function calculateEnhancedInsights(data) {
   }
 
   // ========== ENHANCED SLEEP ANALYSIS ==========
-  if (data.sleep.length > 0) {
-    const latestSleep = data.sleep[0];
-    const weeklySleepHours = data.weeklySleep.map(d => d.sleep_hours || 0).filter(h => h > 0);
-    
-    insights.currentMetrics.sleepHours = latestSleep.sleep_hours || 0;
-    insights.currentMetrics.deepSleep = latestSleep.deep_sleep || 0;
-    insights.currentMetrics.remSleep = latestSleep.rem_sleep || 0;
+  // Each night's main sleep; naps are counted on their own (see sleep.js)
+  if (data.nights.length > 0) {
+    const lastNight = data.nights[0];
+    const weeklySleepHours = data.weeklyNights.map(n => n.asleepHours || 0).filter(h => h > 0);
+
+    insights.currentMetrics.sleepHours = lastNight.asleepHours || 0;
+    insights.currentMetrics.deepSleep = lastNight.stages.deep || 0;
+    insights.currentMetrics.remSleep = lastNight.stages.rem || 0;
+    insights.currentMetrics.sleepEfficiency = lastNight.efficiency;
 
     if (weeklySleepHours.length > 0) {
+      const withDeepSleep = data.weeklyNights.filter(n => n.stages.deep != null);
       insights.weeklyAverages.sleepHours = (weeklySleepHours.reduce((a, b) => a + b, 0) / weeklySleepHours.length).toFixed(1);
-      insights.weeklyAverages.deepSleep = (data.weeklySleep.reduce((sum, d) => sum + (d.deep_sleep || 0), 0) / data.weeklySleep.length).toFixed(1);
+      insights.weeklyAverages.deepSleep = withDeepSleep.length > 0
+        ? (withDeepSleep.reduce((sum, n) => sum + n.stages.deep, 0) / withDeepSleep.length).toFixed(1)
+        : null;
+
+      const schedule = sleepSchedule(data.weeklyNights);
+      const efficiency = averageOf(data.weeklyNights.map(n => n.efficiency));
+      const latency = averageOf(data.weeklyNights.map(n => n.latencyMinutes));
 
       // Detailed sleep analysis
       insights.detailedAnalysis.sleep = {
-        sleepEfficiency: calculateSleepEfficiency(latestSleep),
+        lastNight: describeNight(lastNight),
+        sleepEfficiency: lastNight.efficiency,
+        averageEfficiency: efficiency == null ? null : efficiency.toFixed(1),
+        averageLatencyMinutes: latency == null ? null : Math.round(latency),
         weeklyTotal: weeklySleepHours.reduce((a, b) => a + b, 0).toFixed(1),
-        averageBedtime: estimateAverageBedtime(data.weeklySleep),
-        sleepDebt: calculateSleepDebt(weeklySleepHours),
+        averageBedtime: schedule?.averageBedtime ?? null,
+        averageWakeTime: schedule?.averageWakeTime ?? null,
+        bedtimeVariationMinutes: schedule?.bedtimeVariationMinutes ?? null,
+        wakeTimeVariationMinutes: schedule?.wakeTimeVariationMinutes ?? null,
+        regularity: schedule?.regularity ?? null,
+        naps: {
+          count: data.weeklyNaps.length,
+          totalHours: data.weeklyNaps.reduce((sum, n) => sum + (n.asleepHours || 0), 0).toFixed(1)
+        },
+        sleepDebt: calculateSleepDebt(data.weeklyNights, data.goals),
         consistency: calculateSleepConsistency(weeklySleepHours),
-        recommendation: getSleepRecommendation(latestSleep.sleep_hours || 0)
+        recommendation: getSleepRecommendation(lastNight.asleepHours || 0)
       };
 
       // Enhanced sleep recommendations
@@ -420,28 +480,60 @@ function calculateEnhancedInsights(data) {
           message: `${sleepHours} hours is optimal for recovery and cognitive function.`
         });
       }
+
+      if (efficiency != null && efficiency < 85) {
+        insights.recommendations.push({
+          category: "sleep",
+          priority: "medium",
+          title: "Improve Sleep Efficiency",
+          message: `You were asleep for ${efficiency.toFixed(0)}% of your time in bed this week; 85% or more is considered healthy.`,
+          actionable: true,
+          suggestion: "Go to bed when sleepy, and get up if you are still awake after 20 minutes."
+        });
+      }
+      if (latency != null && latency > 30) {
+        insights.recommendations.push({
+          category: "sleep",
+          priority: "medium",
+          title: "Falling Asleep Takes a While",
+          message: `It took you ${Math.round(latency)} minutes on average to fall asleep this week.`,
+          actionable: true,
+          suggestion: "Wind down for an hour before bed and avoid caffeine after midday."
+        });
+      }
+      if (schedule?.regularity === "Somewhat irregular" || schedule?.regularity === "Irregular") {
+        insights.recommendations.push({
+          category: "sleep",
+          priority: "medium",
+          title: "Keep a Regular Sleep Schedule",
+          message: `Your bedtime varied by about ${schedule.bedtimeVariationMinutes} minutes and your wake time by about ${schedule.wakeTimeVariationMinutes} minutes this week.`,
+          actionable: true,
+          suggestion: `Aim to go to bed around ${schedule.averageBedtime} and get up around ${schedule.averageWakeTime}, weekends included.`
+        });
+      }
     }
   }
 
   // ========== ENHANCED HEART RATE ANALYSIS ==========
   if (data.heart.length > 0) {
-    const latestHeart = data.heart[0];
+    // The newest day that has each value
+    const latestDaily = column => data.heart.find(d => d[column] != null)?.[column] || 0;
     const weeklyHR = data.weeklyHeart.map(d => d.resting_heart_rate || 0).filter(hr => hr > 0);
     
-    insights.currentMetrics.currentHeartRate = latestHeart.current_heart_rate || 0;
-    insights.currentMetrics.restingHeartRate = latestHeart.resting_heart_rate || 0;
-    insights.currentMetrics.hrv = latestHeart.hrv || 0;
+    insights.currentMetrics.currentHeartRate = data.latestHeartRate || 0;
+    insights.currentMetrics.restingHeartRate = latestDaily('resting_heart_rate');
+    insights.currentMetrics.hrv = latestDaily('hrv');
 
     if (weeklyHR.length > 0) {
       insights.weeklyAverages.restingHeartRate = Math.round(weeklyHR.reduce((a, b) => a + b, 0) / weeklyHR.length);
 
       // Detailed heart analysis
       insights.detailedAnalysis.heart = {
-        cardiovascularFitness: assessCardiovascularFitness(insights.currentMetrics.restingHeartRate),
+        cardiovascularFitness: assessCardiovascularFitness(insights.currentMetrics.restingHeartRate, data.profile),
         heartRateVariability: insights.currentMetrics.hrv,
         weeklyTrend: calculateHeartRateTrend(weeklyHR),
-        recoveryIndicator: assessRecoveryStatus(latestHeart),
-        targetZones: calculateHeartRateZones(insights.currentMetrics.restingHeartRate)
+        recoveryIndicator: assessRecoveryStatus(data.readiness),
+        targetZones: calculateHeartRateZones(insights.currentMetrics.restingHeartRate, data.profile)
       };
 
       // Enhanced heart rate recommendations
@@ -460,17 +552,291 @@ function calculateEnhancedInsights(data) {
           message: "Consider stress management, hydration, and adequate rest.",
           actionable: true
         });
-      } else if (rhr >= 50 && rhr <= 70) {
+      } else if (['Excellent', 'Good'].includes(insights.detailedAnalysis.heart.cardiovascularFitness)) {
+        const fitness = insights.detailedAnalysis.heart.cardiovascularFitness.toLowerCase();
         insights.recommendations.push({
           category: "heart",
           priority: "positive",
           title: "Optimal Cardiovascular Health",
-          message: `RHR of ${rhr} bpm indicates excellent fitness level.`
+          message: data.profile.age != null
+            ? `RHR of ${rhr} bpm is ${fitness} for your age${data.profile.sex ? ' and sex' : ''}.`
+            : `RHR of ${rhr} bpm indicates ${fitness} fitness level.`
+        });
+      }
+
+      if (data.profile.age == null && !data.profile.maxHeartRate) {
+        insights.recommendations.push({
+          category: "profile",
+          priority: "low",
+          title: "Personalize Your Heart Rate Zones",
+          message: "Add your birth date to your profile so training zones and fitness ratings match your age.",
+          actionable: true
         });
       }
     }
   }
 
+  // ========== READINESS & PERSONAL BASELINES ==========
+  // Resting HR, HRV, nighttime HR and sleep against the user's own last 30
+  // days (see baselines.js), not population cutoffs.
+  insights.readiness = data.readiness;
+  insights.anomalies = data.anomalies;
+
+  for (const anomaly of data.anomalies.filter(a => a.date >= addDays(data.today, -1))) {
+    insights.alerts.push({
+      type: "info",
+      category: anomaly.metric === 'sleepHours' ? "sleep" : "heart",
+      message: anomaly.date === data.today ? anomaly.message : `Yesterday: ${anomaly.message}`,
+      impact: "medium"
+    });
+  }
+
+  if (data.readiness?.status === 'Low') {
+    const offBaseline = data.readiness.factors.filter(f => f.status !== 'normal').map(f => f.label.toLowerCase());
+    insights.recommendations.push({
+      category: "recovery",
+      priority: "high",
+      title: "Take It Easy Today",
+      message: `Your readiness is ${data.readiness.score}/100${offBaseline.length > 0 ? `: ${offBaseline.join(', ')} ${offBaseline.length > 1 ? 'are' : 'is'} off your usual` : ''}.`,
+      actionable: true,
+      suggestion: "Favor light activity, hydrate and aim for an early night; if it persists for days or you feel unwell, check in with your doctor."
+    });
+  } else if (data.readiness?.status === 'High') {
+    insights.recommendations.push({
+      category: "recovery",
+      priority: "positive",
+      title: "Well Recovered",
+      message: `Your readiness is ${data.readiness.score}/100, in line with or better than your usual.`
+    });
+  }
+
+  // ========== VITALS ANALYSIS ==========
+  // Blood pressure is classified on the average of the week's readings, as
+  // ACC/AHA guidance asks, rather than on any single measurement.
+  const bpReadings = data.bloodPressureReadings;
+  if (bpReadings.length > 0) {
+    const latestBP = bpReadings[0];
+    const systolic = Math.round(bpReadings.reduce((sum, r) => sum + Number(r.bp_systolic), 0) / bpReadings.length);
+    const diastolic = Math.round(bpReadings.reduce((sum, r) => sum + Number(r.bp_diastolic), 0) / bpReadings.length);
+    const category = classifyBloodPressure(systolic, diastolic);
+
+    insights.currentMetrics.bloodPressure = `${Math.round(latestBP.bp_systolic)}/${Math.round(latestBP.bp_diastolic)}`;
+    insights.weeklyAverages.bloodPressure = `${systolic}/${diastolic}`;
+    insights.detailedAnalysis.vitals.bloodPressure = {
+      averageSystolic: systolic,
+      averageDiastolic: diastolic,
+      readingsAveraged: bpReadings.length,
+      category,
+      latestCategory: classifyBloodPressure(Number(latestBP.bp_systolic), Number(latestBP.bp_diastolic))
+    };
+
+    if (insights.detailedAnalysis.vitals.bloodPressure.latestCategory === "Hypertensive Crisis") {
+      insights.alerts.push({
+        type: "critical",
+        category: "vitals",
+        message: `Your latest blood pressure of ${insights.currentMetrics.bloodPressure} mmHg is in the hypertensive crisis range. Rest 5 minutes and measure again; seek emergency care if it stays this high or you have chest pain, shortness of breath or vision changes.`,
+        impact: "high"
+      });
+    }
+
+    if (category === "Hypertension Stage 2" || category === "Hypertensive Crisis") {
+      insights.alerts.push({
+        type: "warning",
+        category: "vitals",
+        message: `Your average blood pressure this week (${systolic}/${diastolic} mmHg) is in the ${category.toLowerCase()} range.`,
+        impact: "high"
+      });
+      insights.recommendations.push({
+        category: "vitals",
+        priority: "high",
+        title: "Talk to Your Doctor About Blood Pressure",
+        message: "Readings at this level usually call for a medical review and may need treatment.",
+        actionable: true,
+        suggestion: "Bring your recent readings to the appointment."
+      });
+    } else if (category === "Hypertension Stage 1" || category === "Elevated") {
+      insights.recommendations.push({
+        category: "vitals",
+        priority: category === "Elevated" ? "low" : "medium",
+        title: "Bring Your Blood Pressure Down",
+        message: `Your average blood pressure this week (${systolic}/${diastolic} mmHg) is ${category === "Elevated" ? 'elevated' : 'in the stage 1 hypertension range'}.`,
+        actionable: true,
+        suggestion: "Cutting back on salt and alcohol, staying active and managing weight all lower blood pressure."
+      });
+    } else {
+      insights.recommendations.push({
+        category: "vitals",
+        priority: "positive",
+        title: "Healthy Blood Pressure",
+        message: `Your average blood pressure this week (${systolic}/${diastolic} mmHg) is in the normal range.`
+      });
+    }
+
+    if (bpReadings.length < 2) {
+      insights.recommendations.push({
+        category: "vitals",
+        priority: "low",
+        title: "Measure Blood Pressure More Often",
+        message: "A single reading can mislead; two or more readings on different days give a reliable average.",
+        actionable: true
+      });
+    }
+  }
+
+  const spo2Day = data.vitals.find(d => d.spo2 != null);
+  if (spo2Day) {
+    const spo2 = Math.round(spo2Day.spo2);
+    insights.currentMetrics.spo2 = spo2;
+    insights.detailedAnalysis.vitals.spo2 = { lowest: spo2, date: spo2Day.date, status: classifySpO2(spo2) };
+
+    if (spo2 < 95) {
+      insights.alerts.push({
+        type: "warning",
+        category: "vitals",
+        message: spo2 < 90
+          ? `Blood oxygen dropped to ${spo2}%. Levels below 90% need prompt medical attention, especially with shortness of breath.`
+          : `Blood oxygen dropped to ${spo2}%, below the normal range of 95-100%.`,
+        impact: spo2 < 90 ? "high" : "medium"
+      });
+    }
+  }
+
+  const temperatureDay = data.vitals.find(d => d.temperature != null);
+  if (temperatureDay) {
+    const temperature = Number(temperatureDay.temperature.toFixed(1));
+    const status = classifyTemperature(temperature);
+    insights.currentMetrics.temperature = temperature;
+    insights.detailedAnalysis.vitals.temperature = { highest: temperature, date: temperatureDay.date, status };
+
+    if (status !== "Normal" && status !== "Slightly Elevated") {
+      insights.alerts.push({
+        type: "warning",
+        category: "vitals",
+        message: status === "Low"
+          ? `A body temperature of ${temperature}°C is unusually low.`
+          : `A body temperature of ${temperature}°C indicates ${status.toLowerCase()}. Rest, stay hydrated and ease off training until it passes.`,
+        impact: status === "High Fever" || status === "Low" ? "high" : "medium"
+      });
+    }
+  }
+
+  // ========== BODY COMPOSITION ==========
+  if (data.body.length > 0) {
+    const latestBody = data.body.find(d => d.weight != null) || data.body[0];
+    // Prefer BMI from the profile height over whatever the scale reported
+    const bmiOf = d => calculateBMI(d.weight, data.profile.heightCm) || d.bmi || 0;
+    const bmi = bmiOf(latestBody);
+
+    if (latestBody.weight) insights.currentMetrics.weight = latestBody.weight;
+    const latestBodyFat = data.body.find(d => d.body_fat != null);
+    if (latestBodyFat) insights.currentMetrics.bodyFat = latestBodyFat.body_fat;
+    const latestVo2Max = data.body.find(d => d.vo2_max != null);
+    if (latestVo2Max) insights.currentMetrics.vo2Max = latestVo2Max.vo2_max;
+
+    insights.detailedAnalysis.body = {
+      trends: {
+        weight: calculateBodyTrend(data.body, d => d.weight),
+        bmi: calculateBodyTrend(data.body, d => bmiOf(d) || null),
+        bodyFat: calculateBodyTrend(data.body, d => d.body_fat),
+        vo2Max: calculateBodyTrend(data.body, d => d.vo2_max)
+      }
+    };
+
+    if (bmi > 0) {
+      insights.currentMetrics.bmi = Number(bmi.toFixed(1));
+      insights.detailedAnalysis.body.bmi = insights.currentMetrics.bmi;
+      insights.detailedAnalysis.body.bmiCategory = classifyBMI(bmi);
+
+      if (bmi >= 30 || bmi < 18.5) {
+        insights.recommendations.push({
+          category: "body",
+          priority: "medium",
+          title: bmi >= 30 ? "Work Toward a Healthier Weight" : "Support a Healthy Weight",
+          message: `A BMI of ${insights.currentMetrics.bmi} is in the ${classifyBMI(bmi).toLowerCase()} range.`,
+          actionable: true,
+          suggestion: "Consider discussing nutrition and activity goals with your doctor."
+        });
+      }
+    }
+
+    // A 5% change within a month is only expected when working toward a goal
+    const weightTrend = insights.detailedAnalysis.body.trends.weight;
+    if (weightTrend && Math.abs(weightTrend.changePercent) >= 5) {
+      const goal = insights.goals.weight;
+      const towardGoal = goal != null && Math.abs(weightTrend.latest - goal) < Math.abs(weightTrend.start - goal);
+      if (towardGoal) {
+        insights.recommendations.push({
+          category: "body",
+          priority: "positive",
+          title: "Progress Toward Your Weight Goal",
+          message: `You've ${weightTrend.change < 0 ? 'lost' : 'gained'} ${Math.abs(weightTrend.change)} kg over the last ${weightTrend.days} days.`
+        });
+      } else {
+        insights.alerts.push({
+          type: "warning",
+          category: "body",
+          message: `Your weight changed by ${weightTrend.changePercent}% over ${weightTrend.days} days. Unexplained rapid weight change is worth discussing with your doctor.`,
+          impact: "medium"
+        });
+      }
+    }
+
+    const vo2Trend = insights.detailedAnalysis.body.trends.vo2Max;
+    if (vo2Trend && vo2Trend.changePercent <= -5) {
+      insights.recommendations.push({
+        category: "body",
+        priority: "medium",
+        title: "Cardio Fitness Is Slipping",
+        message: `Your VO2 max fell ${Math.abs(vo2Trend.changePercent)}% over the last ${vo2Trend.days} days.`,
+        actionable: true,
+        suggestion: "Two or three sessions a week in your cardio zone help rebuild aerobic fitness."
+      });
+    } else if (vo2Trend && vo2Trend.changePercent >= 3) {
+      insights.recommendations.push({
+        category: "body",
+        priority: "positive",
+        title: "Cardio Fitness Improving",
+        message: `Your VO2 max rose ${vo2Trend.changePercent}% over the last ${vo2Trend.days} days.`
+      });
+    }
+
+    const bodyFatTrend = insights.detailedAnalysis.body.trends.bodyFat;
+    if (bodyFatTrend && bodyFatTrend.change <= -1) {
+      insights.recommendations.push({
+        category: "body",
+        priority: "positive",
+        title: "Body Fat Going Down",
+        message: `Your body fat dropped ${Math.abs(bodyFatTrend.change)} points over the last ${bodyFatTrend.days} days.`
+      });
+    }
+  }
+
+  // ========== GOAL PROGRESS ==========
+  insights.goalProgress = calculateGoalProgress(data, insights.goals);
+
+  const weightGoal = insights.goalProgress.weight;
+  if (weightGoal.achieved === false) {
+    const remaining = Math.abs(weightGoal.value - weightGoal.target).toFixed(1);
+    insights.recommendations.push({
+      category: "body",
+      priority: "low",
+      title: "Weight Goal",
+      message: `You're ${remaining} kg from your target weight of ${weightGoal.target} kg.`
+    });
+  }
+
+  const rhrGoal = insights.goalProgress.restingHeartRate;
+  if (rhrGoal.achieved === false) {
+    insights.recommendations.push({
+      category: "heart",
+      priority: "medium",
+      title: "Above Your Resting Heart Rate Target",
+      message: `Your RHR of ${rhrGoal.value} bpm is above your target of ${rhrGoal.target} bpm.`,
+      actionable: true,
+      suggestion: "Regular aerobic exercise, good sleep and limiting caffeine and alcohol help lower resting heart rate."
+    });
+  }
+
   // ========== ENHANCED HEALTH SCORE CALCULATION ==========
   insights.healthScore = calculateEnhancedHealthScore(insights);
 
@@ -481,8 +847,27 @@ function calculateEnhancedInsights(data) {
 }
 
 // Helper functions for enhanced analysis
-function getTimeBasedGreeting() {
-  const hour = new Date().getHours();
+function currentGoals(data) {
+  const goals = {};
+  for (const metric of Object.keys(goalMetrics)) goals[metric] = goalOn(data.goals, metric, data.today);
+  return goals;
+}
+
+// Today's value for activity goals; the latest day with data for the rest
+// (last night's main sleep, the last weigh-in, the latest resting heart rate).
+function calculateGoalProgress(data, goals) {
+  const today = data.activity.find(d => d.date === data.today) || {};
+  const latest = source => (source === 'sleep' ? data.nights[0] : data[source][0]) || {};
+  const progress = {};
+  for (const [metric, def] of Object.entries(goalMetrics)) {
+    const value = def.source === 'activity' ? (today[def.column] ?? 0) : (latest(def.source)[def.column] ?? null);
+    progress[metric] = evaluateGoal(metric, value, goals[metric]);
+  }
+  return progress;
+}
+
+function getTimeBasedGreeting(timeZone) {
+  const hour = localHour(new Date(), timeZone);
   if (hour < 12) return "Good morning";
   if (hour < 17) return "Good afternoon";
   return "Good evening";
@@ -491,15 +876,17 @@ function getTimeBasedGreeting() {
 function calculateStreaks(data) {
   const streaks = {};
   
-  // Calculate step streaks (days with >8000 steps)
+  // Calculate step streaks (consecutive calendar days meeting that day's step
+  // goal, counting back from today; today only counts once reached so it can't
+  // break a streak)
   if (data.activity.length > 0) {
+    const stepsByDate = new Map(data.activity.map(d => [d.date, d.steps || 0]));
+    const metGoal = day => (stepsByDate.get(day) || 0) >= goalOn(data.goals, 'steps', day);
+    let day = metGoal(data.today) ? data.today : addDays(data.today, -1);
     let stepStreak = 0;
-    for (const day of data.activity.reverse()) {
-      if ((day.steps || 0) >= 8000) {
-        stepStreak++;
-      } else {
-        break;
-      }
+    while (metGoal(day)) {
+      stepStreak++;
+      day = addDays(day, -1);
     }
     streaks.steps = stepStreak;
   }
@@ -516,8 +903,8 @@ function calculatePersonalBests(data) {
     bests.maxDistance = Math.max(...data.activity.map(d => d.distance || 0));
   }
 
-  if (data.sleep.length > 0) {
-    bests.maxSleep = Math.max(...data.sleep.map(d => d.sleep_hours || 0));
+  if (data.nights.length > 0) {
+    bests.maxSleep = Math.max(...data.nights.map(n => n.asleepHours || 0));
   }
 
   return bests;
@@ -531,20 +918,29 @@ function calculateConsistency(values) {
   return Math.max(0, (1 - (stdDev / mean)) * 100).toFixed(1);
 }
 
-function calculateSleepEfficiency(sleepData) {
-  if (!sleepData.sleep_hours || !sleepData.total_sleep) return 0;
-  return ((sleepData.sleep_hours / sleepData.total_sleep) * 100).toFixed(1);
+function averageOf(values) {
+  const known = values.filter(v => v != null);
+  return known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : null;
 }
 
-function estimateAverageBedtime(weeklyData) {
-  // Simplified estimation - would need actual bedtime data
-  return "10:30 PM";
+// A night from sleepLog as shown in the insights, with local clock times.
+function describeNight(night) {
+  return {
+    date: night.date,
+    bedtime: night.bedtimeMinutes == null ? null : formatClock(night.bedtimeMinutes),
+    wakeTime: night.wakeMinutes == null ? null : formatClock(night.wakeMinutes),
+    inBedHours: night.inBedHours,
+    asleepHours: night.asleepHours,
+    efficiency: night.efficiency,
+    latencyMinutes: night.latencyMinutes,
+    stages: night.stages
+  };
 }
 
-function calculateSleepDebt(sleepHours) {
-  const optimalSleep = 8;
-  const totalDebt = sleepHours.reduce((debt, hours) => {
-    return debt + Math.max(0, optimalSleep - hours);
+// Hours short of each night's sleep goal, over nights with data.
+function calculateSleepDebt(nights, goals) {
+  const totalDebt = nights.filter(n => n.asleepHours > 0).reduce((debt, n) => {
+    return debt + Math.max(0, goalOn(goals, 'sleepHours', n.date) - n.asleepHours);
   }, 0);
   return totalDebt.toFixed(1);
 }
@@ -559,10 +955,28 @@ function getSleepRecommendation(hours) {
   return "Maintain current sleep patterns";
 }
 
-function assessCardiovascularFitness(rhr) {
-  if (rhr < 60) return "Excellent";
-  if (rhr < 70) return "Good";
-  if (rhr < 80) return "Average";
+// Upper RHR bounds for Excellent / Good / Average by sex and age band
+// (adapted from population resting heart rate charts).
+const RHR_NORMS = {
+  male: [[25, 61, 69, 77], [35, 61, 70, 78], [45, 62, 70, 79], [55, 63, 71, 79], [65, 62, 71, 79], [Infinity, 62, 69, 77]],
+  female: [[25, 65, 73, 81], [35, 64, 72, 80], [45, 65, 73, 82], [55, 65, 73, 83], [65, 65, 73, 83], [Infinity, 64, 72, 81]]
+};
+
+function assessCardiovascularFitness(rhr, profile = {}) {
+  let bounds = [60, 70, 80];
+  const norms = RHR_NORMS[profile.sex];
+  if (norms && profile.age != null) {
+    bounds = norms.find(([maxAge]) => profile.age <= maxAge).slice(1);
+  } else if (profile.age != null) {
+    // No sex-specific norms: average the two tables
+    const male = RHR_NORMS.male.find(([maxAge]) => profile.age <= maxAge);
+    const female = RHR_NORMS.female.find(([maxAge]) => profile.age <= maxAge);
+    bounds = [1, 2, 3].map(i => Math.round((male[i] + female[i]) / 2));
+  }
+
+  if (rhr < bounds[0]) return "Excellent";
+  if (rhr < bounds[1]) return "Good";
+  if (rhr < bounds[2]) return "Average";
   return "Needs Improvement";
 }
 
@@ -574,21 +988,62 @@ function calculateHeartRateTrend(weeklyHR) {
   return change > 0 ? `+${change}%` : `${change}%`;
 }
 
-function assessRecoveryStatus(heartData) {
-  const rhr = heartData.resting_heart_rate || 0;
-  const hrv = heartData.hrv || 0;
-  
-  if (rhr < 60 && hrv > 30) return "Excellent recovery";
-  if (rhr < 70 && hrv > 20) return "Good recovery";
+// From the readiness score against the user's own baselines (see baselines.js).
+function assessRecoveryStatus(readiness) {
+  if (!readiness) return "Building your baseline";
+  if (readiness.status === 'High') return "Excellent recovery";
+  if (readiness.status === 'Moderate') return "Good recovery";
   return "Consider more rest";
 }
 
-function calculateHeartRateZones(rhr) {
-  const maxHR = 220 - 30; // Assuming average age
+// Max HR is the user's measured value when known, else Tanaka's age estimate
+// (208 - 0.7 x age), else the population default for a 30 year old.
+function estimateMaxHeartRate(profile = {}) {
+  if (profile.maxHeartRate) return { maxHR: profile.maxHeartRate, source: 'measured' };
+  if (profile.age != null) return { maxHR: Math.round(208 - 0.7 * profile.age), source: 'age' };
+  return { maxHR: 220 - 30, source: 'default' };
+}
+
+function calculateHeartRateZones(rhr, profile) {
+  const { maxHR, source } = estimateMaxHeartRate(profile);
   return {
     fat_burn: `${Math.round(maxHR * 0.6)}-${Math.round(maxHR * 0.7)}`,
     cardio: `${Math.round(maxHR * 0.7)}-${Math.round(maxHR * 0.85)}`,
-    peak: `${Math.round(maxHR * 0.85)}-${maxHR}`
+    peak: `${Math.round(maxHR * 0.85)}-${maxHR}`,
+    maxHeartRate: maxHR,
+    maxHeartRateSource: source
+  };
+}
+
+function calculateBMI(weightKg, heightCm) {
+  if (!weightKg || !heightCm) return 0;
+  return weightKg / Math.pow(heightCm / 100, 2);
+}
+
+function classifyBMI(bmi) {
+  if (bmi < 18.5) return "Underweight";
+  if (bmi < 25) return "Normal";
+  if (bmi < 30) return "Overweight";
+  return "Obese";
+}
+
+// Change between the oldest and newest day with a value (days newest first),
+// or null with fewer than two such days.
+function calculateBodyTrend(days, valueOf) {
+  const points = days.filter(d => valueOf(d) != null);
+  if (points.length < 2) return null;
+  const latest = valueOf(points[0]);
+  const start = valueOf(points[points.length - 1]);
+  const span = Math.max(1, Math.round((new Date(points[0].date) - new Date(points[points.length - 1].date)) / 86400000));
+  const change = latest - start;
+  return {
+    start: Number(start.toFixed(1)),
+    latest: Number(latest.toFixed(1)),
+    change: Number(change.toFixed(1)),
+    changePercent: Number((change / start * 100).toFixed(1)),
+    perWeek: Number((change / span * 7).toFixed(2)),
+    days: span,
+    direction: Math.abs(change / start) < 0.01 ? "stable" : change > 0 ? "up" : "down"
   };
 }
 
@@ -598,7 +1053,7 @@ function calculateEnhancedHealthScore(insights) {
 
   // Activity score (30%)
   if (insights.currentMetrics.steps > 0) {
-    const stepsScore = Math.min(100, (insights.currentMetrics.steps / 10000) * 100);
+    const stepsScore = Math.min(100, (insights.currentMetrics.steps / insights.goals.steps) * 100);
     totalScore += stepsScore * 0.3;
     components += 0.3;
   }
@@ -627,6 +1082,29 @@ function calculateEnhancedHealthScore(insights) {
     components += 0.25;
   }
 
+  // Blood pressure score (20%)
+  const bpCategory = insights.detailedAnalysis.vitals.bloodPressure?.category;
+  if (bpCategory) {
+    const bpScores = { "Normal": 100, "Elevated": 85, "Hypertension Stage 1": 65, "Hypertension Stage 2": 40, "Hypertensive Crisis": 10 };
+    totalScore += bpScores[bpCategory] * 0.2;
+    components += 0.2;
+  }
+
+  // Blood oxygen score (10%)
+  if (insights.currentMetrics.spo2 > 0) {
+    const spo2 = insights.currentMetrics.spo2;
+    const spo2Score = spo2 >= 95 ? 100 : spo2 >= 90 ? 70 : 30;
+    totalScore += spo2Score * 0.1;
+    components += 0.1;
+  }
+
+  // Body composition score (10%)
+  if (insights.detailedAnalysis.body.bmiCategory) {
+    const bmiScores = { "Normal": 100, "Overweight": 75, "Underweight": 70, "Obese": 50 };
+    totalScore += bmiScores[insights.detailedAnalysis.body.bmiCategory] * 0.1;
+    components += 0.1;
+  }
+
   // Consistency bonus (15%)
   const consistency = parseFloat(insights.detailedAnalysis.steps?.consistency || 0);
   totalScore += (consistency / 100) * 15;
@@ -639,7 +1117,7 @@ function generatePersonalizedInsights(insights, data) {
   const personalized = [];
 
   // Time-based insights
-  const hour = new Date().getHours();
+  const hour = localHour(new Date(), data.timeZone);
   if (hour < 10 && insights.currentMetrics.steps < 1000) {
     personalized.push({
       type: "morning_motivation",
@@ -661,39 +1139,30 @@ function generatePersonalizedInsights(insights, data) {
 }
 
 // ----------------- ALL HEALTH DATA ENDPOINT -----------------
-app.get('/all-health-data/:userId', async (req, res) => {
+app.get('/all-health-data{/:userId}', requireAuth, requireReadAccess, async (req, res) => {
   try {
-    const userId = req.params.userId;
+    const { userId, categories } = req.subject;
+    const { timeZone } = await loadProfile(userId);
+    const merge = await rowMerger(userId, timeZone);
+    // Categories not shared with the caller come back empty
+    const latest = async (metric, limit) => {
+      if (!categories.includes(metric)) return [];
+      const rows = merge(metric, await store.samples.list(metric, userId, { limit }));
+      noteAccess(res, metric, rows.length);
+      return rows;
+    };
     
-    const [activityData] = await pool.execute(
-      `SELECT * FROM activity_data WHERE user_id=? ORDER BY created_at DESC LIMIT 30`, 
-      [userId]
-    );
+    const activityData = await latest('activity', 30);
     
-    const [heartData] = await pool.execute(
-      `SELECT * FROM heart_data WHERE user_id=? ORDER BY created_at DESC LIMIT 30`, 
-      [userId]
-    );
+    const heartData = await latest('heart', 30);
     
-    const [sleepData] = await pool.execute(
-      `SELECT * FROM sleep_data WHERE user_id=? ORDER BY created_at DESC LIMIT 30`, 
-      [userId]
-    );
-
-    const [bodyData] = await pool.execute(
-      `SELECT * FROM body_data WHERE user_id=? ORDER BY created_at DESC LIMIT 30`, 
-      [userId]
-    );
-
-    const [vitalsData] = await pool.execute(
-      `SELECT * FROM vitals_data WHERE user_id=? ORDER BY created_at DESC LIMIT 30`, 
-      [userId]
-    );
-
-    const [healthData] = await pool.execute(
-      `SELECT * FROM health_data WHERE user_id=? ORDER BY created_at DESC LIMIT 10`, 
-      [userId]
-    );
+    const sleepData = await latest('sleep', 30);
+
+    const bodyData = await latest('body', 30);
+
+    const vitalsData = await latest('vitals', 30);
+
+    const healthData = await latest('health', 10);
 
     res.json({
       success: true,
@@ -718,15 +1187,26 @@ app.get('/all-health-data/:userId', async (req, res) => {
 });
 
 // ----------------- GET RAW DATA -----------------
-app.get('/raw/:endpoint/:deviceName', async (req, res) => {
+// GET /raw/:endpoint/:deviceName?limit&cursor
+// Stored payloads newest first, paged like /query: pass the returned
+// nextCursor to continue.
+app.get('/raw/:endpoint/:deviceName', requireAuth, async (req, res) => {
   try {
     const { endpoint, deviceName } = req.params;
-    const [rows] = await pool.execute(
-      `SELECT * FROM device_data WHERE device_name=? AND endpoint=? ORDER BY created_at DESC`,
-      [deviceName, endpoint]
-    );
-    res.json(rows);
+    const { limit, cursor } = parsePage(req.query);
+    // One row more than asked tells whether another page follows
+    const rows = await store.rawData.list(req.user.id, { deviceName, endpoint, before: rowPosition(cursor), limit: limit + 1 });
+    const page = rows.slice(0, limit);
+    if (metricTables[endpoint]) noteAccess(res, endpoint, page.length);
+    res.json({
+      success: true,
+      endpoint,
+      deviceName,
+      rows: page,
+      nextCursor: rows.length > limit ? rowCursor(page[page.length - 1]) : null
+    });
   } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ success: false, message: err.message });
     console.error(err);
     res.status(500).json({ error: err.message });
   }
@@ -737,6 +1217,13 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found', method: req.method, url: req.originalUrl });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`✅ API running on port ${PORT}`);
-});
\ No newline at end of file
+if (require.main === module) {
+  recoverInterruptedImports().catch(err => console.error('Could not recover import jobs', err));
+  recoverInterruptedExports().catch(err => console.error('Could not recover data exports', err));
+  startWebhookDispatcher();
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`✅ API running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Validation and storage of one incoming sample, shared by the ingestion
+// routes and the importers.
+const crypto = require('crypto');
+const { metricTables } = require('./storage/metrics');
+const { validatePayload, isQuarantinable, toDate } = require('./validation');
+const { withStageTotals } = require('./sleep');
+
+// Keep implausible (but well-formed) readings aside instead of rejecting them
+const QUARANTINE_OUT_OF_RANGE = process.env.QUARANTINE_OUT_OF_RANGE === 'true';
+
+// Measurement time of a sample as supplied by the device. Sessions without an
+// explicit recordedAt are dated by their end (for sleep sent as stages alone,
+// the end of the last stage); samples without any timestamp fall back to the
+// time they were received.
+function sampleTimes(data) {
+  const stages = Array.isArray(data.stages) ? data.stages : [];
+  const startAt = toDate(data.startAt) || toDate(stages[0]?.startAt);
+  const endAt = toDate(data.endAt) || toDate(stages[stages.length - 1]?.endAt);
+  const recordedAt = toDate(data.recordedAt) || endAt || new Date();
+  return { recordedAt, startAt, endAt };
+}
+
+// A validated sample as stored: sleep sessions get their totals from their
+// stage segments (see sleep.js).
+function completeSample(type, data) {
+  return type === 'sleep' ? withStageTotals(data) : data;
+}
+
+// Validates and stores one sample through `db`, the repositories of the
+// surrounding transaction. `deviceId` is set for registered devices, whose
+// sync status is then updated. The stored row keeps `sampleId`, or a new one
+// when the client sent none, so exports can name it. Returns its status: 'accepted', 'duplicate'
+// (sampleId already stored or quarantined), 'quarantined' or 'rejected', plus
+// the validation errors for the last two.
+async function ingestSample(db, userId, { type, deviceName, deviceId = null, data, dayLabel, sampleId }) {
+  const errors = validatePayload(type, data);
+  if (errors.length > 0) {
+    if (QUARANTINE_OUT_OF_RANGE && isQuarantinable(errors)) {
+      // A retried sample is quarantined once, like it is stored once
+      if (!(await db.quarantine.insert(userId, deviceName, type, data, errors, sampleId))) return { status: 'duplicate' };
+      return { status: 'quarantined', errors };
+    }
+    return { status: 'rejected', errors };
+  }
+
+  const sample = completeSample(type, data);
+  const times = sampleTimes(sample);
+  const inserted = await db.rawData.insert(userId, deviceName, type, data, { dayLabel, sampleId, recordedAt: times.recordedAt, deviceId });
+  if (!inserted) return { status: 'duplicate' };
+  await db.samples.insert(type, userId, deviceName, { ...sample, ...times }, sampleId || crypto.randomUUID());
+  if (deviceId) await db.devices.recordSample(deviceId, type, times.recordedAt);
+  return { status: 'accepted' };
+}
+
+// Counts per status, as reported by the batch endpoints.
+function summarize(results) {
+  const summary = { accepted: 0, duplicate: 0, quarantined: 0, rejected: 0 };
+  for (const r of results) summary[r.status]++;
+  return summary;
+}
+
+// A stored sample as announced to live clients and webhooks.
+function describeSample({ type, deviceId = null, deviceName, data }) {
+  const { columns, details = {} } = metricTables[type];
+  const sample = completeSample(type, data);
+  const values = {};
+  for (const field of Object.keys({ ...columns, ...details })) {
+    if (sample[field] != null) values[field] = sample[field];
+  }
+  return { metric: type, deviceId, deviceName, recordedAt: sampleTimes(sample).recordedAt.toISOString(), values };
+}
+
+module.exports = { sampleTimes, ingestSample, summarize, describeSample };
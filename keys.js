@@ -0,0 +1,89 @@
+// Key rotation for the field-level encryption in storage/encryption.js.
+//
+// Usage:
+//   node keys.js rewrap   rewrap every data key with the current master key
+//   node keys.js rotate   rewrap, then give every user a new data key and
+//                         re-encrypt their stored values with it
+//
+// Both run next to the live API: values are re-encrypted row by row, every
+// key stays readable throughout and new values use the newest key as soon as
+// it exists. Replaced data keys are retired rather than deleted, so a read
+// that started before a row was re-encrypted still succeeds. Rows written
+// with an old key while `rotate` runs are picked up by the next run.
+require('dotenv').config();
+const store = require('./storage');
+const {
+  encryptedTables, createFieldCipher, generateDataKey, wrapKey, unwrapKey, currentMasterKey
+} = require('./storage/encryption');
+
+const BATCH_SIZE = 500;
+
+// Rewraps keys wrapped with an older master key; returns how many.
+async function rewrapKeys() {
+  let rewrapped = 0;
+  for (const row of await store.dataKeys.listAll()) {
+    if (row.master_key_id === currentMasterKey.id) continue;
+    await store.dataKeys.rewrap(row.id, wrapKey(row.user_id, unwrapKey(row)));
+    rewrapped++;
+  }
+  return rewrapped;
+}
+
+// Returns { rewrapped, keysRetired, rowsReencrypted }.
+async function rotateKeys() {
+  const rewrapped = await rewrapKeys();
+
+  // New keys first, so writes from here on already use them
+  const previous = (await store.dataKeys.listAll()).filter(row => !row.retired_at);
+  for (const userId of new Set(previous.map(row => String(row.user_id)))) {
+    await store.dataKeys.create(generateDataKey(userId));
+  }
+
+  const cipher = createFieldCipher(store.dataKeys);
+  let rowsReencrypted = 0;
+  for (const table of Object.keys(encryptedTables)) {
+    let afterId = 0;
+    for (;;) {
+      const rows = await store.encryptedRows.scan(table, afterId, BATCH_SIZE);
+      if (rows.length === 0) break;
+      for (const row of rows) {
+        const changes = await cipher.reencryptRow(table, row).catch(err => {
+          throw new Error(`${table} row ${row.id}: ${err.message}`);
+        });
+        if (!changes) continue;
+        await store.encryptedRows.update(table, row.id, changes);
+        rowsReencrypted++;
+      }
+      afterId = rows[rows.length - 1].id;
+    }
+  }
+
+  for (const row of previous) await store.dataKeys.retire(row.id);
+  return { rewrapped, keysRetired: previous.length, rowsReencrypted };
+}
+
+module.exports = { rewrapKeys, rotateKeys };
+
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+
+  (async () => {
+    try {
+      if (command === 'rewrap') {
+        const rewrapped = await rewrapKeys();
+        console.log(`✅ Rewrapped ${rewrapped} data key(s) with master key ${currentMasterKey.id}`);
+      } else if (command === 'rotate') {
+        const { rewrapped, keysRetired, rowsReencrypted } = await rotateKeys();
+        console.log(`✅ Rewrapped ${rewrapped} data key(s), retired ${keysRetired}, re-encrypted ${rowsReencrypted} row(s)`);
+      } else {
+        console.error(`Unknown command "${command}". Use rewrap or rotate.`);
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error('Key rotation failed:', err.message);
+      process.exitCode = 1;
+    } finally {
+      await store.close();
+    }
+  })();
+}
@@ -0,0 +1,138 @@
+// Live feed of a user's heart and vitals readings as Server-Sent Events.
+//
+// GET /live{/:userId} streams an event per sample the ingestion routes store
+// (`sample`) and per alert such a sample opens (`alert`). Every event has
+// an id; a client that reconnects with the Last-Event-ID header (which
+// EventSource sends by itself) is first sent what it missed. Events are kept
+// for REPLAY_MINUTES, at most REPLAY_SIZE per user; when the gap cannot be
+// filled (too old, or the server restarted) a `reset` event tells the client
+// to reload current data from the REST endpoints instead.
+//
+// Someone the user shared data with (see shares.js) can follow the feed
+// through /live/:userId; they only get events for the granted categories,
+// and the stream ends when the grant is revoked, changed or runs out.
+//
+// Feeds live in this process's memory, so every instance only sees the
+// samples it ingested itself.
+const express = require('express');
+const { requireAuth } = require('./auth');
+const { describeSample } = require('./ingest');
+const { requireReadAccess, watchGrant } = require('./shares');
+const { noteAccess } = require('./audit');
+
+const router = express.Router();
+
+const LIVE_METRICS = ['heart', 'vitals'];
+const REPLAY_SIZE = 100;
+const REPLAY_MINUTES = parseInt(process.env.LIVE_REPLAY_MINUTES) || 15;
+const KEEPALIVE_MS = 25000;
+// Tells EventSource how long to wait before reconnecting
+const RETRY_MS = 5000;
+
+// ----------------- FEEDS -----------------
+// Ids continue from the boot time, so ids handed out before a restart are
+// recognisably older than anything this process has kept.
+const FIRST_ID = Date.now();
+let lastId = FIRST_ID - 1;
+
+// userId -> { events: [{ id, event, data, at }], dropped: last id no longer kept, subscribers: Set }
+// A feed without events or subscribers is removed; when it is recreated,
+// anything up to the current id may have been dropped.
+const feeds = new Map();
+
+function feedOf(userId) {
+  const key = userId.toString();
+  if (!feeds.has(key)) feeds.set(key, { events: [], dropped: lastId, subscribers: new Set() });
+  return feeds.get(key);
+}
+
+function prune(key, feed) {
+  const cutoff = Date.now() - REPLAY_MINUTES * 60000;
+  while (feed.events.length > 0 && (feed.events.length > REPLAY_SIZE || feed.events[0].at < cutoff)) {
+    feed.dropped = feed.events.shift().id;
+  }
+  if (feed.events.length === 0 && feed.subscribers.size === 0) feeds.delete(key);
+}
+
+function publish(userId, event, data) {
+  const feed = feedOf(userId);
+  const entry = { id: ++lastId, event, data, at: Date.now() };
+  feed.events.push(entry);
+  for (const send of feed.subscribers) send(entry);
+  prune(userId.toString(), feed);
+}
+
+// Called by the ingestion routes once a sample is committed, with the alerts
+// it opened.
+function publishSample(userId, sample, alerts = []) {
+  if (!LIVE_METRICS.includes(sample.type)) return;
+  const event = describeSample(sample);
+  publish(userId, 'sample', event);
+  const { values, ...source } = event;
+  for (const alert of alerts) publish(userId, 'alert', { ...source, alert });
+}
+
+// ----------------- STREAM ROUTE -----------------
+// EventSource cannot set headers, so the stream also takes the access token
+// as ?access_token=.
+function tokenFromQuery(req, res, next) {
+  if (!req.get('authorization') && typeof req.query.access_token === 'string')
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  next();
+}
+
+function format({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+router.get('/live{/:userId}', tokenFromQuery, requireAuth, requireReadAccess, (req, res) => {
+  try {
+    const { userId, categories, grant } = req.subject;
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    const since = lastEventId != null ? Number(lastEventId) : null;
+    if (since != null && !Number.isInteger(since))
+      return res.status(400).json({ success: false, message: 'Last-Event-ID must be an event id from this feed' });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = entry => {
+      if (entry.event !== 'reset' && !categories.includes(entry.data.metric)) return;
+      if (entry.event === 'sample') noteAccess(res, entry.data.metric, 1);
+      res.write(format(entry));
+    };
+    const feed = feedOf(userId);
+    feed.subscribers.add(send);
+    prune(userId, feed);
+
+    if (since != null) {
+      if (since < feed.dropped) {
+        res.write(format({ id: lastId, event: 'reset', data: { reason: 'Events since the given id are no longer available' } }));
+      } else {
+        for (const entry of feed.events) {
+          if (entry.id > since) send(entry);
+        }
+      }
+    }
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+    const stopWatching = grant ? watchGrant(grant, () => res.end()) : () => {};
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      stopWatching();
+      feed.subscribers.delete(send);
+      prune(userId, feed);
+    });
+  } catch (err) {
+    console.error(err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, publish, publishSample };
@@ -0,0 +1,50 @@
+// Outgoing email. MAIL_TRANSPORT picks how messages leave: 'console' prints
+// them and 'file' appends them as JSON lines to MAIL_FILE, for development
+// and tests. Left unset, mail is not sent at all: each message is logged by
+// recipient and subject only, since bodies carry reset and invitation
+// tokens. Deployments that send real mail plug in their provider with
+// setTransport(async message => ...) before the server starts.
+//
+// A message is { to, subject, text }; MAIL_FROM is filled in as `from`.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CardioApp <no-reply@cardioapp.local>';
+
+const transports = {
+  async none(message) {
+    console.warn(`📧 Not sent (MAIL_TRANSPORT is not set): "${message.subject}" to ${message.to}`);
+  },
+  async console(message) {
+    console.log(`📧 To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+  },
+  async file(message) {
+    const file = process.env.MAIL_FILE || path.join(process.cwd(), 'mail.log');
+    await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+  }
+};
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'none') {
+  if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use 'console' or 'file'`);
+  return transports[name];
+}
+
+let transport = createTransport();
+
+function setTransport(send) {
+  transport = send;
+}
+
+async function sendMail({ to, subject, text }) {
+  await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+// Link into the app for a token-bearing email, e.g. appLink('/reset-password', { token }).
+function appLink(pathname, params) {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+module.exports = { sendMail, setTransport, appLink };
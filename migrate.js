@@ -0,0 +1,132 @@
+// Schema migration runner.
+//
+// Migrations live in ./migrations as NNN_description.js and export `up` and
+// `down`, each either an array of SQL statements or an async function taking
+// a connection. Applied versions are tracked in schema_migrations.
+//
+// Usage:
+//   node migrate.js up            apply every pending migration
+//   node migrate.js down [steps]  roll back the last `steps` migrations (default 1)
+//   node migrate.js status        list migrations and whether they are applied
+//
+// MySQL commits DDL implicitly, so a migration that fails halfway is not
+// rolled back; keep each migration small enough to fix forward by hand.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT UNSIGNED NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function appliedVersions(conn) {
+  const [rows] = await conn.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(r => r.version));
+}
+
+async function runStep(conn, step) {
+  if (typeof step === 'function') return step(conn);
+  for (const sql of step) await conn.query(sql);
+}
+
+// Serializes concurrent runs (e.g. several app instances deploying at once).
+async function withLock(fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (acquired !== 1) throw new Error('Another migration run holds the schema_migrations lock');
+    try {
+      await ensureMigrationsTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+async function migrateUp() {
+  return withLock(async conn => {
+    const applied = await appliedVersions(conn);
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+      console.log(`↑ ${migration.name}`);
+      await runStep(conn, migration.up);
+      await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+    return pending.map(m => m.name);
+  });
+}
+
+async function migrateDown(steps = 1) {
+  return withLock(async conn => {
+    const applied = await appliedVersions(conn);
+    const toRevert = loadMigrations().filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+    for (const migration of toRevert) {
+      console.log(`↓ ${migration.name}`);
+      await runStep(conn, migration.down);
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    return toRevert.map(m => m.name);
+  });
+}
+
+async function migrationStatus() {
+  return withLock(async conn => {
+    const applied = await appliedVersions(conn);
+    return loadMigrations().map(m => ({ name: m.name, applied: applied.has(m.version) }));
+  });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  (async () => {
+    try {
+      if (command === 'up') {
+        const names = await migrateUp();
+        console.log(names.length ? `✅ Applied ${names.length} migration(s)` : '✅ Schema is up to date');
+      } else if (command === 'down') {
+        const names = await migrateDown(parseInt(arg) || 1);
+        console.log(`✅ Rolled back ${names.length} migration(s)`);
+      } else if (command === 'status') {
+        for (const m of await migrationStatus()) console.log(`${m.applied ? '[x]' : '[ ]'} ${m.name}`);
+      } else {
+        console.error(`Unknown command "${command}". Use up, down [steps] or status.`);
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error('Migration failed:', err.message);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
@@ -0,0 +1,130 @@
+// Baseline schema: the tables the API was originally written against.
+// IF NOT EXISTS lets environments that were set up by hand adopt migrations
+// without recreating their data; 019 adds the keys such tables are missing.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS users (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      full_name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_users_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS device_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      endpoint VARCHAR(50) NOT NULL,
+      data JSON,
+      day_label VARCHAR(50),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_device_data_user_created (user_id, created_at),
+      KEY idx_device_data_device_endpoint (device_name, endpoint),
+      CONSTRAINT fk_device_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS heart_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      current_heart_rate FLOAT,
+      resting_heart_rate FLOAT,
+      hrv FLOAT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_heart_data_user_created (user_id, created_at),
+      CONSTRAINT fk_heart_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS sleep_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      total_sleep FLOAT,
+      deep_sleep FLOAT,
+      rem_sleep FLOAT,
+      sleep_hours FLOAT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_sleep_data_user_created (user_id, created_at),
+      CONSTRAINT fk_sleep_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS activity_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      steps INT UNSIGNED,
+      calories FLOAT,
+      distance FLOAT,
+      exercise_minutes FLOAT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_activity_data_user_created (user_id, created_at),
+      CONSTRAINT fk_activity_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS body_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      weight FLOAT,
+      bmi FLOAT,
+      body_fat FLOAT,
+      lean_mass FLOAT,
+      vo2_max FLOAT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_body_data_user_created (user_id, created_at),
+      CONSTRAINT fk_body_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS vitals_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      bp_systolic FLOAT,
+      bp_diastolic FLOAT,
+      spo2 FLOAT,
+      temperature FLOAT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_vitals_data_user_created (user_id, created_at),
+      CONSTRAINT fk_vitals_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS health_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      \`condition\` TEXT,
+      allergies TEXT,
+      medications TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_health_data_user_created (user_id, created_at),
+      CONSTRAINT fk_health_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS health_history_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      past_conditions TEXT,
+      surgeries TEXT,
+      family_history TEXT,
+      history JSON,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_health_history_data_user_created (user_id, created_at),
+      CONSTRAINT fk_health_history_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS health_history_data',
+    'DROP TABLE IF EXISTS health_data',
+    'DROP TABLE IF EXISTS vitals_data',
+    'DROP TABLE IF EXISTS body_data',
+    'DROP TABLE IF EXISTS activity_data',
+    'DROP TABLE IF EXISTS sleep_data',
+    'DROP TABLE IF EXISTS heart_data',
+    'DROP TABLE IF EXISTS device_data',
+    'DROP TABLE IF EXISTS users'
+  ]
+};
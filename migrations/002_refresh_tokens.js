@@ -0,0 +1,20 @@
+// Sessions backing access/refresh tokens (see auth.js).
+module.exports = {
+  up: [
+    `CREATE TABLE refresh_tokens (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+      KEY idx_refresh_tokens_user (user_id, revoked_at),
+      CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE refresh_tokens'
+  ]
+};
@@ -0,0 +1,28 @@
+// Client sample ids for idempotent ingestion, and the table holding readings
+// that failed plausibility checks.
+module.exports = {
+  up: [
+    `ALTER TABLE device_data
+      ADD COLUMN sample_id VARCHAR(191) NULL AFTER day_label,
+      ADD UNIQUE KEY uq_device_data_user_sample (user_id, sample_id)`,
+
+    `CREATE TABLE quarantined_data (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_name VARCHAR(255) NOT NULL,
+      endpoint VARCHAR(50) NOT NULL,
+      data JSON,
+      errors JSON,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_quarantined_data_user_created (user_id, created_at),
+      CONSTRAINT fk_quarantined_data_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE quarantined_data',
+    `ALTER TABLE device_data
+      DROP INDEX uq_device_data_user_sample,
+      DROP COLUMN sample_id`
+  ]
+};
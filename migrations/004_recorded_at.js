@@ -0,0 +1,41 @@
+// Measurement time supplied by the device, separate from the insert time.
+// Existing rows only know when they were inserted, so that is their best guess.
+const tables = [
+  'device_data', 'heart_data', 'sleep_data', 'activity_data',
+  'body_data', 'vitals_data', 'health_data', 'health_history_data'
+];
+const sessionTables = ['sleep_data', 'activity_data'];
+
+module.exports = {
+  async up(conn) {
+    for (const table of tables) {
+      await conn.query(`ALTER TABLE ${table} ADD COLUMN recorded_at DATETIME(3) NULL AFTER device_name`);
+      await conn.query(`UPDATE ${table} SET recorded_at = created_at`);
+      await conn.query(
+        `ALTER TABLE ${table}
+          MODIFY recorded_at DATETIME(3) NOT NULL,
+          ADD KEY idx_${table}_user_recorded (user_id, recorded_at)`
+      );
+    }
+    for (const table of sessionTables) {
+      await conn.query(
+        `ALTER TABLE ${table}
+          ADD COLUMN start_at DATETIME(3) NULL AFTER recorded_at,
+          ADD COLUMN end_at DATETIME(3) NULL AFTER start_at`
+      );
+    }
+  },
+
+  async down(conn) {
+    for (const table of sessionTables) {
+      await conn.query(`ALTER TABLE ${table} DROP COLUMN start_at, DROP COLUMN end_at`);
+    }
+    for (const table of tables) {
+      await conn.query(
+        `ALTER TABLE ${table}
+          DROP INDEX idx_${table}_user_recorded,
+          DROP COLUMN recorded_at`
+      );
+    }
+  }
+};
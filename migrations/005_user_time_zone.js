@@ -0,0 +1,10 @@
+// IANA time zone each user's days are counted in (see daily.js).
+module.exports = {
+  up: [
+    `ALTER TABLE users ADD COLUMN time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC' AFTER password_hash`
+  ],
+
+  down: [
+    'ALTER TABLE users DROP COLUMN time_zone'
+  ]
+};
@@ -0,0 +1,21 @@
+// Personal details the insights engine personalizes zones and thresholds with.
+// The time zone stays on users, where daily aggregation already reads it.
+module.exports = {
+  up: [
+    `CREATE TABLE user_profiles (
+      user_id INT UNSIGNED NOT NULL PRIMARY KEY,
+      birth_date DATE NULL,
+      sex VARCHAR(16) NULL,
+      height_cm FLOAT NULL,
+      unit_system VARCHAR(16) NOT NULL DEFAULT 'metric',
+      max_heart_rate SMALLINT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_user_profiles_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE user_profiles'
+  ]
+};
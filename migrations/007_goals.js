@@ -0,0 +1,21 @@
+// Personal goals. A goal applies from effective_from until the next goal for
+// the same metric takes over, so past progress is judged against the goal
+// that was active at the time.
+module.exports = {
+  up: [
+    `CREATE TABLE goals (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      metric VARCHAR(32) NOT NULL,
+      target FLOAT NOT NULL,
+      effective_from DATE NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_goals_user_metric (user_id, metric, effective_from),
+      CONSTRAINT fk_goals_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE goals'
+  ]
+};
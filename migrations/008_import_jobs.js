@@ -0,0 +1,26 @@
+// Background import jobs (Apple Health export.xml uploads) with their
+// progress, counts and the first sample errors.
+module.exports = {
+  up: [
+    `CREATE TABLE import_jobs (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      source VARCHAR(32) NOT NULL,
+      status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+      bytes_total BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      bytes_processed BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      counts JSON,
+      errors JSON,
+      error_message TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP NULL,
+      finished_at TIMESTAMP NULL,
+      KEY idx_import_jobs_user_created (user_id, created_at),
+      CONSTRAINT fk_import_jobs_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE import_jobs'
+  ]
+};
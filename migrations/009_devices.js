@@ -0,0 +1,56 @@
+// Device registry: devices owned by a user, their ingestion keys (stored as
+// SHA-256 like refresh tokens) and the last sample seen per metric.
+module.exports = {
+  up: [
+    `CREATE TABLE devices (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(32) NOT NULL,
+      model VARCHAR(255) NULL,
+      firmware VARCHAR(64) NULL,
+      hardware_id VARCHAR(191) NULL,
+      last_sync_at DATETIME(3) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_devices_user_hardware (user_id, hardware_id),
+      KEY idx_devices_user (user_id),
+      CONSTRAINT fk_devices_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE device_keys (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      device_id BIGINT UNSIGNED NOT NULL,
+      key_hash CHAR(64) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      revoked_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_device_keys_hash (key_hash),
+      CONSTRAINT fk_device_keys_device FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE device_metric_status (
+      device_id BIGINT UNSIGNED NOT NULL,
+      metric VARCHAR(32) NOT NULL,
+      last_recorded_at DATETIME(3) NOT NULL,
+      last_received_at DATETIME(3) NOT NULL,
+      sample_count INT UNSIGNED NOT NULL DEFAULT 0,
+      PRIMARY KEY (device_id, metric),
+      CONSTRAINT fk_device_metric_status_device FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `ALTER TABLE device_data
+      ADD COLUMN device_id BIGINT UNSIGNED NULL AFTER device_name,
+      ADD KEY idx_device_data_device (device_id, endpoint, recorded_at),
+      ADD CONSTRAINT fk_device_data_device FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE SET NULL`
+  ],
+
+  down: [
+    `ALTER TABLE device_data
+      DROP FOREIGN KEY fk_device_data_device,
+      DROP KEY idx_device_data_device,
+      DROP COLUMN device_id`,
+    'DROP TABLE device_metric_status',
+    'DROP TABLE device_keys',
+    'DROP TABLE devices'
+  ]
+};
@@ -0,0 +1,19 @@
+// Per-user rules for merging a metric reported by several devices.
+// `sources` is the priority list of device types or names.
+module.exports = {
+  up: [
+    `CREATE TABLE source_rules (
+      user_id INT UNSIGNED NOT NULL,
+      metric VARCHAR(32) NOT NULL,
+      strategy VARCHAR(16) NOT NULL,
+      sources JSON NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, metric),
+      CONSTRAINT fk_source_rules_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE source_rules'
+  ]
+};
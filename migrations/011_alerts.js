@@ -0,0 +1,44 @@
+// Alerts raised at ingestion time and per-user overrides of the alert rules.
+// Override columns left NULL keep the rule's default.
+module.exports = {
+  up: [
+    `CREATE TABLE alert_rules (
+      user_id INT UNSIGNED NOT NULL,
+      rule_key VARCHAR(64) NOT NULL,
+      enabled TINYINT(1) NULL,
+      threshold DOUBLE NULL,
+      minutes INT UNSIGNED NULL,
+      severity VARCHAR(16) NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, rule_key),
+      CONSTRAINT fk_alert_rules_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE alerts (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      rule_key VARCHAR(64) NOT NULL,
+      severity VARCHAR(16) NOT NULL,
+      status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+      metric VARCHAR(32) NOT NULL,
+      field VARCHAR(64) NOT NULL,
+      value DOUBLE NOT NULL,
+      message TEXT NOT NULL,
+      occurrences INT UNSIGNED NOT NULL DEFAULT 1,
+      first_triggered_at DATETIME(3) NOT NULL,
+      last_triggered_at DATETIME(3) NOT NULL,
+      acknowledged_at DATETIME NULL,
+      resolved_at DATETIME NULL,
+      resolution VARCHAR(16) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_alerts_user_status (user_id, status, created_at),
+      KEY idx_alerts_user_rule (user_id, rule_key, status),
+      CONSTRAINT fk_alerts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE alerts',
+    'DROP TABLE alert_rules'
+  ]
+};
@@ -0,0 +1,55 @@
+// Outbound webhooks: subscriptions, their delivery queue (which doubles as
+// the delivery log and dead-letter list) and the goal achievements already
+// announced, so each is sent once. Webhook secrets sign every delivery and
+// are therefore stored as issued.
+module.exports = {
+  up: [
+    `CREATE TABLE webhooks (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      url VARCHAR(2048) NOT NULL,
+      events JSON NOT NULL,
+      description VARCHAR(255) NULL,
+      secret VARCHAR(128) NOT NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_webhooks_user (user_id),
+      CONSTRAINT fk_webhooks_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE webhook_deliveries (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      webhook_id BIGINT UNSIGNED NOT NULL,
+      event_id CHAR(36) NOT NULL,
+      event_type VARCHAR(64) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('pending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+      attempts INT UNSIGNED NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME(3) NOT NULL,
+      last_attempt_at DATETIME(3) NULL,
+      last_status_code SMALLINT UNSIGNED NULL,
+      last_error TEXT NULL,
+      delivered_at DATETIME(3) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_webhook_deliveries_due (status, next_attempt_at),
+      KEY idx_webhook_deliveries_webhook (webhook_id, created_at),
+      CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE goal_achievements (
+      user_id INT UNSIGNED NOT NULL,
+      metric VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, metric, day),
+      CONSTRAINT fk_goal_achievements_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE goal_achievements',
+    'DROP TABLE webhook_deliveries',
+    'DROP TABLE webhooks'
+  ]
+};
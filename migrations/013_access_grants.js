@@ -0,0 +1,31 @@
+// Read access to a user's data granted to another account (a caregiver or
+// clinician). A grant starts as an invitation to an email address, redeemed
+// with a single-use token (stored as SHA-256), and covers chosen metric
+// categories until it expires or is revoked.
+module.exports = {
+  up: [
+    `CREATE TABLE access_grants (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      owner_id INT UNSIGNED NOT NULL,
+      grantee_id INT UNSIGNED NULL,
+      invite_email VARCHAR(255) NOT NULL,
+      invite_token_hash CHAR(64) NULL,
+      invite_expires_at DATETIME NOT NULL,
+      label VARCHAR(64) NULL,
+      categories JSON NOT NULL,
+      expires_at DATETIME NOT NULL,
+      accepted_at DATETIME NULL,
+      revoked_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_access_grants_token (invite_token_hash),
+      KEY idx_access_grants_owner (owner_id),
+      KEY idx_access_grants_grantee (grantee_id, owner_id),
+      CONSTRAINT fk_access_grants_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE,
+      CONSTRAINT fk_access_grants_grantee FOREIGN KEY (grantee_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE access_grants'
+  ]
+};
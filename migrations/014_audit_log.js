@@ -0,0 +1,49 @@
+// Append-only audit trail of API access to users' data. Each entry carries
+// the hash of the one before it; audit_chain holds the newest entry's id and
+// hash, and is locked while an entry is appended so the chain stays linear.
+// Entries are kept when the user or device they name is deleted, so there
+// are no foreign keys, and triggers refuse to change or delete them.
+module.exports = {
+  up: [
+    `CREATE TABLE audit_log (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      occurred_at DATETIME(3) NOT NULL,
+      actor_user_id INT UNSIGNED NULL,
+      actor_device_id BIGINT UNSIGNED NULL,
+      subject_user_id INT UNSIGNED NULL,
+      method VARCHAR(8) NOT NULL,
+      route VARCHAR(255) NOT NULL,
+      path VARCHAR(1024) NOT NULL,
+      categories JSON NOT NULL,
+      records INT UNSIGNED NULL,
+      status SMALLINT UNSIGNED NOT NULL,
+      outcome VARCHAR(16) NOT NULL,
+      ip VARCHAR(45) NULL,
+      prev_hash CHAR(64) NOT NULL,
+      hash CHAR(64) NOT NULL,
+      KEY idx_audit_log_subject (subject_user_id, id),
+      KEY idx_audit_log_actor (actor_user_id, id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE audit_chain (
+      id TINYINT UNSIGNED NOT NULL PRIMARY KEY,
+      last_id BIGINT UNSIGNED NULL,
+      last_hash CHAR(64) NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    "INSERT INTO audit_chain (id, last_id, last_hash) VALUES (1, NULL, REPEAT('0', 64))",
+
+    `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log FOR EACH ROW
+      SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'`,
+
+    `CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log FOR EACH ROW
+      SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'`
+  ],
+
+  down: [
+    'DROP TRIGGER audit_log_no_delete',
+    'DROP TRIGGER audit_log_no_update',
+    'DROP TABLE audit_chain',
+    'DROP TABLE audit_log'
+  ]
+};
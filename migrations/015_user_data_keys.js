@@ -0,0 +1,23 @@
+// Per-user data keys for field-level encryption (see storage/encryption.js),
+// wrapped with a master key identified by master_key_id. The newest key a
+// user has that is not retired encrypts new values; retired keys only
+// decrypt. Deleting a user deletes their keys, which leaves any encrypted
+// copy of their records unreadable.
+module.exports = {
+  up: [
+    `CREATE TABLE user_data_keys (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      wrapped_key VARCHAR(255) NOT NULL,
+      master_key_id CHAR(16) NOT NULL,
+      retired_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_user_data_keys_user (user_id, retired_at),
+      CONSTRAINT fk_user_data_keys_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE user_data_keys'
+  ]
+};
@@ -0,0 +1,40 @@
+// Single-use tokens for password resets and email changes (only their
+// SHA-256 is stored), and data export archives.
+module.exports = {
+  up: [
+    `CREATE TABLE account_tokens (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      purpose ENUM('password_reset', 'email_change') NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      new_email VARCHAR(255) NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_account_tokens_hash (token_hash),
+      KEY idx_account_tokens_user (user_id, purpose, used_at),
+      CONSTRAINT fk_account_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE data_exports (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      status ENUM('queued', 'running', 'ready', 'failed', 'expired') NOT NULL DEFAULT 'queued',
+      file_path VARCHAR(1024) NULL,
+      bytes BIGINT UNSIGNED NULL,
+      error_message TEXT NULL,
+      started_at DATETIME NULL,
+      finished_at DATETIME NULL,
+      expires_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_data_exports_user (user_id, created_at),
+      KEY idx_data_exports_expiry (status, expires_at),
+      CONSTRAINT fk_data_exports_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  ],
+
+  down: [
+    'DROP TABLE data_exports',
+    'DROP TABLE account_tokens'
+  ]
+};
@@ -0,0 +1,22 @@
+// Sleep as sessions: light sleep, time awake and sleep latency next to the
+// existing stage totals, the stage segments themselves, and whether the
+// device marked the session as a nap.
+module.exports = {
+  up: [
+    `ALTER TABLE sleep_data
+      ADD COLUMN light_sleep FLOAT NULL AFTER rem_sleep,
+      ADD COLUMN awake_time FLOAT NULL AFTER light_sleep,
+      ADD COLUMN sleep_latency FLOAT NULL AFTER sleep_hours,
+      ADD COLUMN stages JSON NULL AFTER sleep_latency,
+      ADD COLUMN is_nap TINYINT(1) NULL AFTER stages`
+  ],
+
+  down: [
+    `ALTER TABLE sleep_data
+      DROP COLUMN light_sleep,
+      DROP COLUMN awake_time,
+      DROP COLUMN sleep_latency,
+      DROP COLUMN stages,
+      DROP COLUMN is_nap`
+  ]
+};
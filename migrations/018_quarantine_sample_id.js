@@ -0,0 +1,15 @@
+// Client sample ids on quarantined readings, so a retried sample is held
+// back once rather than on every retry.
+module.exports = {
+  up: [
+    `ALTER TABLE quarantined_data
+      ADD COLUMN sample_id VARCHAR(191) NULL AFTER endpoint,
+      ADD UNIQUE KEY uq_quarantined_data_user_sample (user_id, sample_id)`
+  ],
+
+  down: [
+    `ALTER TABLE quarantined_data
+      DROP INDEX uq_quarantined_data_user_sample,
+      DROP COLUMN sample_id`
+  ]
+};
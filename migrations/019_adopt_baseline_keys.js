@@ -0,0 +1,87 @@
+// Indexes and foreign keys of the baseline tables on installs that created
+// those tables by hand before migrations existed. 001 skips tables that
+// already exist, so they never got these; each is added only if it is
+// missing, which makes this a no-op on installs that 001 set up.
+//
+// Rows whose user_id names no user (left behind by users deleted before the
+// foreign keys existed, or never a valid id: NULL or not a number) would
+// block the foreign key. They are moved to <table>_orphaned, a copy of the
+// table kept for someone to inspect, and the count is logged. user_id is
+// then converted to the type the key needs, INT UNSIGNED NOT NULL.
+const metricTables = [
+  'device_data', 'heart_data', 'sleep_data', 'activity_data',
+  'body_data', 'vitals_data', 'health_data', 'health_history_data'
+];
+
+const indexes = [
+  { table: 'users', name: 'uq_users_email', definition: 'UNIQUE KEY uq_users_email (email)' },
+  { table: 'device_data', name: 'idx_device_data_device_endpoint', definition: 'KEY idx_device_data_device_endpoint (device_name, endpoint)' },
+  ...metricTables.map(table => ({
+    table,
+    name: `idx_${table}_user_created`,
+    definition: `KEY idx_${table}_user_created (user_id, created_at)`
+  }))
+];
+
+const orphaned = "user_id IS NULL OR user_id NOT REGEXP '^[0-9]+$' OR CAST(user_id AS UNSIGNED) NOT IN (SELECT id FROM users)";
+
+async function hasIndex(conn, table, name) {
+  const [rows] = await conn.query(
+    'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1',
+    [table, name]
+  );
+  return rows.length > 0;
+}
+
+// Any foreign key from user_id to users counts, whatever it was named.
+async function hasUserForeignKey(conn, table) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM information_schema.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = 'user_id' AND REFERENCED_TABLE_NAME = 'users'
+      LIMIT 1`,
+    [table]
+  );
+  return rows.length > 0;
+}
+
+// Moves the orphaned rows in one transaction, so a failed run leaves them
+// either all moved or all in place.
+async function quarantineOrphans(conn, table) {
+  const [[{ count }]] = await conn.query(`SELECT COUNT(*) AS count FROM ${table} WHERE ${orphaned}`);
+  if (count === 0) return;
+
+  await conn.query(`CREATE TABLE IF NOT EXISTS ${table}_orphaned LIKE ${table}`);
+  await conn.beginTransaction();
+  try {
+    await conn.query(`INSERT INTO ${table}_orphaned SELECT * FROM ${table} WHERE ${orphaned}`);
+    await conn.query(`DELETE FROM ${table} WHERE ${orphaned}`);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  }
+  console.warn(`  moved ${count} ${table} rows without a user to ${table}_orphaned`);
+}
+
+module.exports = {
+  async up(conn) {
+    for (const { table, name, definition } of indexes) {
+      if (!(await hasIndex(conn, table, name))) await conn.query(`ALTER TABLE ${table} ADD ${definition}`);
+    }
+    for (const table of metricTables) {
+      if (await hasUserForeignKey(conn, table)) continue;
+      await quarantineOrphans(conn, table);
+      await conn.query(`ALTER TABLE ${table} MODIFY user_id INT UNSIGNED NOT NULL`);
+      await conn.query(
+        `ALTER TABLE ${table}
+          ADD CONSTRAINT fk_${table}_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE`
+      );
+    }
+  },
+
+  // Irreversible: the indexes and keys belong to the baseline schema, which
+  // 001's down removes with its tables, and there is no record of which
+  // installs lacked them or of user_id's type before the conversion. The
+  // moved rows stay in the _orphaned tables either way.
+  down: []
+};
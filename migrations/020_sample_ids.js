@@ -0,0 +1,30 @@
+// The sample id each metric row was stored under, so an export can name it
+// and importing that export again finds the rows it came from. Existing rows
+// are named after their row id.
+const tables = [
+  'heart_data', 'sleep_data', 'activity_data', 'body_data',
+  'vitals_data', 'health_data', 'health_history_data'
+];
+
+module.exports = {
+  async up(conn) {
+    for (const table of tables) {
+      await conn.query(
+        `ALTER TABLE ${table}
+          ADD COLUMN sample_id VARCHAR(191) NULL AFTER device_name,
+          ADD KEY idx_${table}_user_sample (user_id, sample_id)`
+      );
+      await conn.query(`UPDATE ${table} SET sample_id = CONCAT('row-', id) WHERE sample_id IS NULL`);
+    }
+  },
+
+  async down(conn) {
+    for (const table of tables) {
+      await conn.query(
+        `ALTER TABLE ${table}
+          DROP INDEX idx_${table}_user_sample,
+          DROP COLUMN sample_id`
+      );
+    }
+  }
+};
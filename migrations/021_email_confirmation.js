@@ -0,0 +1,17 @@
+// New accounts confirm their email before the first sign-in. Accounts that
+// existed before count as confirmed.
+module.exports = {
+  up: [
+    'ALTER TABLE users ADD COLUMN email_confirmed_at DATETIME NULL AFTER email',
+    'UPDATE users SET email_confirmed_at = created_at',
+    `ALTER TABLE account_tokens
+      MODIFY purpose ENUM('password_reset', 'email_change', 'signup') NOT NULL`
+  ],
+
+  down: [
+    "DELETE FROM account_tokens WHERE purpose = 'signup'",
+    `ALTER TABLE account_tokens
+      MODIFY purpose ENUM('password_reset', 'email_change') NOT NULL`,
+    'ALTER TABLE users DROP COLUMN email_confirmed_at'
+  ]
+};
@@ -0,0 +1,121 @@
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { validateSchema } = require('./validation');
+const { DEFAULT_TIME_ZONE, localDate } = require('./daily');
+
+const router = express.Router();
+
+// ----------------- SCHEMA -----------------
+const MAX_AGE_YEARS = 120;
+
+const profileSchema = {
+  fields: {
+    birthDate: { type: 'date' },
+    sex: { type: 'enum', values: ['female', 'male', 'other'] },
+    heightCm: { type: 'number', unit: 'cm', limits: [50, 275] },
+    timeZone: { type: 'timeZone' },
+    unitSystem: { type: 'enum', values: ['metric', 'imperial'] },
+    maxHeartRate: { type: 'integer', unit: 'bpm', limits: [100, 240] }
+  },
+  rules: [
+    d => {
+      if (d.birthDate == null) return false;
+      const age = ageOn(d.birthDate, localDate(new Date(), d.timeZone || DEFAULT_TIME_ZONE));
+      if (age < 0) return { field: 'birthDate', code: 'limit', message: 'birthDate cannot be in the future' };
+      if (age > MAX_AGE_YEARS) return { field: 'birthDate', code: 'limit', message: `birthDate implies an age above ${MAX_AGE_YEARS}` };
+      return false;
+    }
+  ]
+};
+
+const defaults = {
+  birthDate: null,
+  sex: null,
+  heightCm: null,
+  timeZone: DEFAULT_TIME_ZONE,
+  unitSystem: 'metric',
+  maxHeartRate: null
+};
+
+// ----------------- HELPERS -----------------
+// Whole years between a YYYY-MM-DD birth date and `today` (also YYYY-MM-DD).
+function ageOn(birthDate, today) {
+  const [by, bm, bd] = birthDate.split('-').map(Number);
+  const [ty, tm, td] = today.split('-').map(Number);
+  return ty - by - (tm < bm || (tm === bm && td < bd) ? 1 : 0);
+}
+
+function toProfile(row) {
+  const timeZone = row.time_zone || DEFAULT_TIME_ZONE;
+  return {
+    birthDate: row.birth_date,
+    age: row.birth_date ? ageOn(row.birth_date, localDate(new Date(), timeZone)) : null,
+    sex: row.sex,
+    heightCm: row.height_cm,
+    timeZone,
+    unitSystem: row.unit_system,
+    maxHeartRate: row.max_heart_rate
+  };
+}
+
+// The profile the insights engine personalizes with; every detail may be null.
+async function loadProfile(userId) {
+  const row = await store.profiles.get(userId);
+  return row ? toProfile(row) : { ...defaults, age: null };
+}
+
+function pickFields(body) {
+  const fields = {};
+  for (const field of Object.keys(defaults)) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+async function saveProfile(req, res, replace) {
+  try {
+    const current = await loadProfile(req.user.id);
+    const base = replace ? defaults : current;
+    const merged = { ...base, ...pickFields(req.body || {}) };
+    // An explicit null resets a field that has a default
+    for (const field of ['timeZone', 'unitSystem']) merged[field] ??= defaults[field];
+
+    const errors = validateSchema(profileSchema, merged);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid profile', errors });
+
+    await store.profiles.save(req.user.id, merged);
+    res.json({ success: true, profile: await loadProfile(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// ----------------- PROFILE ROUTES -----------------
+router.get('/profile', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, profile: await loadProfile(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PUT replaces the whole profile (omitted fields are cleared), PATCH only
+// changes the fields present in the body.
+router.put('/profile', requireAuth, (req, res) => saveProfile(req, res, true));
+router.patch('/profile', requireAuth, (req, res) => saveProfile(req, res, false));
+
+router.delete('/profile', requireAuth, async (req, res) => {
+  try {
+    await store.profiles.remove(req.user.id);
+    res.json({ success: true, profile: await loadProfile(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, loadProfile, ageOn };
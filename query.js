@@ -0,0 +1,234 @@
+// Time-range queries over one metric, for charts.
+//
+// GET /query/:metric?from&to&resolution&aggregation&fields&limit&cursor
+//
+// `from`/`to` are YYYY-MM-DD local days (both inclusive) or ISO 8601
+// timestamps (`to` exclusive). With resolution=raw the stored samples are
+// returned oldest first. Otherwise the range is cut into hourly, daily or
+// weekly (Monday-based) buckets in the user's time zone and every bucket is
+// returned, empty ones included, so a chart gets an evenly spaced series.
+// Each field is aggregated with `aggregation`, or by default with its daily
+// rollup rule (steps summed, resting heart rate minimum, ...). Buckets use
+// the merged view of overlapping devices (see sources.js) unless
+// sources=all; raw samples are always per device.
+//
+// Both kinds of result are paged: pass the returned nextCursor to continue.
+// GET /raw (index.js) pages stored payloads the same way.
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { loadProfile } = require('./profile');
+const { rowMerger } = require('./sources');
+const { noteAccess } = require('./audit');
+const { metricTables } = require('./storage/metrics');
+const { toDate, isCalendarDate, splitList } = require('./validation');
+const {
+  rollupRules, reducers, localDate, localHour, addDays, weekStartOf, startOfLocalDay, fetchSince, fetchUntil
+} = require('./daily');
+
+const router = express.Router();
+
+const RESOLUTIONS = ['raw', 'hourly', 'daily', 'weekly'];
+const AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'last'];
+const SOURCE_VIEWS = ['merged', 'all'];
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const MAX_RANGE_DAYS = 5 * 366;
+const HOUR_MS = 3600000;
+
+// ----------------- PARAMETERS -----------------
+class QueryError extends Error {}
+
+function parseBound(value, timeZone, isEnd) {
+  if (isCalendarDate(value)) return startOfLocalDay(isEnd ? addDays(value, 1) : value, timeZone);
+  const date = toDate(value);
+  if (!date) throw new QueryError(`${isEnd ? 'to' : 'from'} must be a YYYY-MM-DD date or an ISO 8601 timestamp`);
+  return date;
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    if (typeof cursor !== 'string') throw new TypeError('cursor must be a string');
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (err) {
+    throw new QueryError('Invalid cursor');
+  }
+}
+
+// Page size and decoded cursor of a paged listing (?limit&cursor).
+function parsePage(query) {
+  const limit = query.limit ? parseInt(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new QueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+  return { limit, cursor: query.cursor ? decodeCursor(query.cursor) : null };
+}
+
+// Cursors over stored rows hold the { recordedAt, id } of the last row seen.
+function rowCursor(row) {
+  return encodeCursor({ recordedAt: new Date(row.recorded_at).toISOString(), id: row.id });
+}
+
+function rowPosition(cursor) {
+  if (!cursor) return null;
+  const position = { recordedAt: toDate(cursor.recordedAt), id: cursor.id };
+  if (!position.recordedAt || position.id == null) throw new QueryError('Invalid cursor');
+  return position;
+}
+
+// Validated query for `metric`, with `from`/`until` as instants.
+function parseQuery(metric, query, timeZone) {
+  const columns = metricTables[metric].columns;
+  const resolution = query.resolution || 'daily';
+  if (!RESOLUTIONS.includes(resolution)) throw new QueryError(`resolution must be one of ${RESOLUTIONS.join(', ')}`);
+  if (query.aggregation && !AGGREGATIONS.includes(query.aggregation))
+    throw new QueryError(`aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+
+  const sources = query.sources || 'merged';
+  if (!SOURCE_VIEWS.includes(sources)) throw new QueryError(`sources must be one of ${SOURCE_VIEWS.join(', ')}`);
+
+  const fields = query.fields ? splitList(query.fields) : Object.keys(columns);
+  if (!fields) throw new QueryError('fields must be given once, as a comma-separated list');
+  const unknown = fields.filter(f => !columns[f]);
+  if (unknown.length > 0) throw new QueryError(`Unknown fields for ${metric}: ${unknown.join(', ')}`);
+
+  const today = localDate(new Date(), timeZone);
+  const until = parseBound(query.to || today, timeZone, true);
+  const from = parseBound(query.from || addDays(localDate(until - 1, timeZone), -6), timeZone, false);
+  if (from >= until) throw new QueryError('from must be before to');
+  if (until - from > MAX_RANGE_DAYS * 24 * HOUR_MS) throw new QueryError(`A query may span at most ${MAX_RANGE_DAYS} days`);
+
+  return {
+    resolution,
+    aggregation: query.aggregation || null,
+    sources,
+    fields,
+    from,
+    until,
+    ...parsePage(query)
+  };
+}
+
+// ----------------- RAW SAMPLES -----------------
+async function rawPage(metric, userId, q) {
+  const after = rowPosition(q.cursor);
+
+  // One row more than asked tells whether another page follows
+  const rows = await store.samples.list(metric, userId, { since: q.from, until: q.until, order: 'asc', after, limit: q.limit + 1 });
+  const page = rows.slice(0, q.limit);
+  const { columns, session } = metricTables[metric];
+
+  const points = page.map(row => {
+    const point = { id: row.id, recordedAt: new Date(row.recorded_at).toISOString(), deviceName: row.device_name };
+    if (session) {
+      point.startAt = row.start_at ? new Date(row.start_at).toISOString() : null;
+      point.endAt = row.end_at ? new Date(row.end_at).toISOString() : null;
+    }
+    for (const field of q.fields) point[field] = row[columns[field]] == null ? null : Number(row[columns[field]]);
+    return point;
+  });
+
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > q.limit ? rowCursor(last) : null;
+  return { points, nextCursor };
+}
+
+// ----------------- BUCKETED SERIES -----------------
+const bucketKeys = {
+  hourly: (date, timeZone) => `${localDate(date, timeZone)}T${String(localHour(date, timeZone)).padStart(2, '0')}:00`,
+  daily: (date, timeZone) => localDate(date, timeZone),
+  weekly: (date, timeZone) => weekStartOf(localDate(date, timeZone))
+};
+
+// Every bucket key between the two instants, in order.
+function bucketRange(resolution, from, until, timeZone) {
+  const keys = [];
+  if (resolution === 'hourly') {
+    for (let t = Math.floor(from / HOUR_MS) * HOUR_MS; t < until; t += HOUR_MS) {
+      const key = bucketKeys.hourly(t, timeZone);
+      // The hour repeated when clocks go back maps to the same key
+      if (keys[keys.length - 1] !== key) keys.push(key);
+    }
+    return keys;
+  }
+  const step = resolution === 'weekly' ? 7 : 1;
+  const last = bucketKeys[resolution](until - 1, timeZone);
+  for (let key = bucketKeys[resolution](from, timeZone); key <= last; key = addDays(key, step)) keys.push(key);
+  return keys;
+}
+
+async function bucketPage(metric, userId, q, timeZone) {
+  const keys = bucketRange(q.resolution, q.from, q.until, timeZone);
+  if (q.cursor && typeof q.cursor.after !== 'string') throw new QueryError('Invalid cursor');
+  const start = q.cursor ? keys.findIndex(key => key > q.cursor.after) : 0;
+  const pageKeys = start === -1 ? [] : keys.slice(start, start + q.limit);
+  const nextCursor = start !== -1 && start + q.limit < keys.length ? encodeCursor({ after: pageKeys[pageKeys.length - 1] }) : null;
+  if (pageKeys.length === 0) return { points: [], nextCursor };
+
+  // Fetch with a day's margin either side, then keep rows inside the
+  // requested range whose local bucket is on this page
+  const firstDay = pageKeys[0].slice(0, 10);
+  const lastDay = q.resolution === 'weekly' ? addDays(pageKeys[pageKeys.length - 1], 6) : pageKeys[pageKeys.length - 1].slice(0, 10);
+  const since = new Date(Math.max(q.from, fetchSince(firstDay)));
+  const until = new Date(Math.min(q.until, fetchUntil(lastDay)));
+  let rows = await store.samples.list(metric, userId, { since, until, order: 'asc' });
+  if (q.sources === 'merged') rows = (await rowMerger(userId, timeZone))(metric, rows);
+
+  const byKey = new Map(pageKeys.map(key => [key, []]));
+  for (const row of rows) {
+    byKey.get(bucketKeys[q.resolution](row.recorded_at, timeZone))?.push(row);
+  }
+
+  const { columns } = metricTables[metric];
+  const points = pageKeys.map(key => {
+    const bucketRows = byKey.get(key);
+    const point = { bucket: key, samples: bucketRows.length };
+    for (const field of q.fields) {
+      const column = columns[field];
+      const values = bucketRows.map(r => r[column]).filter(v => v != null).map(Number);
+      const rule = q.aggregation || rollupRules[metric][column];
+      point[field] = values.length > 0 ? Number(reducers[rule](values).toFixed(2)) : null;
+    }
+    return point;
+  });
+  return { points, nextCursor };
+}
+
+// ----------------- QUERY ROUTE -----------------
+router.get('/query/:metric', requireAuth, async (req, res) => {
+  try {
+    const { metric } = req.params;
+    if (!rollupRules[metric])
+      return res.status(404).json({ success: false, message: `Unknown metric; use one of ${Object.keys(rollupRules).join(', ')}` });
+
+    const userId = req.user.id;
+    const { timeZone } = await loadProfile(userId);
+    const q = parseQuery(metric, req.query, timeZone);
+    const { points, nextCursor } = q.resolution === 'raw'
+      ? await rawPage(metric, userId, q)
+      : await bucketPage(metric, userId, q, timeZone);
+    noteAccess(res, metric, q.resolution === 'raw' ? points.length : points.reduce((sum, point) => sum + point.samples, 0));
+
+    res.json({
+      success: true,
+      metric,
+      resolution: q.resolution,
+      aggregation: q.aggregation || 'default',
+      sources: q.resolution === 'raw' ? 'all' : q.sources,
+      timeZone,
+      from: q.from.toISOString(),
+      to: q.until.toISOString(),
+      fields: q.fields,
+      points,
+      nextCursor
+    });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ success: false, message: err.message });
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, QueryError, parsePage, rowCursor, rowPosition };
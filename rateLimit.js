@@ -0,0 +1,160 @@
+// Rate limits per route group, and throttling of failed sign-ins.
+//
+// Each group allows `limit` requests per fixed window of `windowSeconds` per
+// key (the client IP, or the user or device for ingestion). Every response
+// carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset; over the
+// limit the request gets a 429 with Retry-After. Override a group with
+// RATE_LIMIT_<GROUP>=<limit>/<windowSeconds>, or 0 to turn it off.
+//
+// Failed sign-ins are counted per account and per IP. From the
+// LOGIN_MAX_FAILURES-th failure of an account (LOGIN_IP_MAX_FAILURES-th of an
+// IP) on, each one locks sign-in out for twice as long as the last, starting
+// at LOGIN_LOCKOUT_SECONDS and up to LOGIN_MAX_LOCKOUT_SECONDS. A successful
+// sign-in clears the account's count.
+//
+// Counters live in this process by default. Deployments running several
+// instances share them by passing a store with the same interface to
+// setRateLimitStore before the server starts:
+//
+//   increment(key, windowMs) -> { count, resetAt }   (resetAt in ms since epoch;
+//                                                     the window starts on the first hit)
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+require('dotenv').config();
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const LOGIN_MAX_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS) || 60 * 60;
+// How long failures are remembered without a successful sign-in
+const LOGIN_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+const SWEEP_MS = 60000;
+
+// ----------------- STORES -----------------
+function createMemoryStore() {
+  const entries = new Map();
+
+  function live(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, SWEEP_MS).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = live(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry && { ...entry };
+    },
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+let counters = createMemoryStore();
+
+function setRateLimitStore(store) {
+  counters = store;
+}
+
+const secondsUntil = resetAt => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// ----------------- ROUTE GROUPS -----------------
+const groups = {
+  // Sign-in, registration, token refresh and emailed links, per client IP
+  auth: { limit: 30, windowSeconds: 5 * 60, key: req => `ip:${req.ip}` },
+  // Sample writes, per device key or else per user; runs after authentication
+  ingestion: { limit: 600, windowSeconds: 60, key: req => (req.device ? `device:${req.device.id}` : `user:${req.user.id}`) }
+};
+
+for (const [name, group] of Object.entries(groups)) {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (override == null) continue;
+  const [limit, windowSeconds] = override.split('/').map(Number);
+  if (!Number.isInteger(limit) || limit < 0 || (limit > 0 && !(windowSeconds > 0)))
+    throw new Error(`RATE_LIMIT_${name.toUpperCase()} must be <limit>/<windowSeconds> or 0`);
+  Object.assign(group, { limit, windowSeconds });
+}
+
+// Middleware limiting the route to the group's rate. If the counter store
+// fails the request is let through, so an unreachable shared store does not
+// take the API down with it.
+function rateLimit(name) {
+  const group = groups[name];
+  if (!group) throw new Error(`Unknown rate limit group "${name}"`);
+
+  return async (req, res, next) => {
+    if (!group.limit) return next();
+    let hit;
+    try {
+      hit = await counters.increment(`rate:${name}:${group.key(req)}`, group.windowSeconds * 1000);
+    } catch (err) {
+      console.error(`Rate limit store failed for ${name}`, err);
+      return next();
+    }
+
+    const reset = secondsUntil(hit.resetAt);
+    res.set({
+      'RateLimit-Limit': String(group.limit),
+      'RateLimit-Remaining': String(Math.max(0, group.limit - hit.count)),
+      'RateLimit-Reset': String(reset)
+    });
+    if (hit.count > group.limit) {
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({ success: false, message: 'Too many requests; try again later', retryAfter: reset });
+    }
+    next();
+  };
+}
+
+// ----------------- LOGIN THROTTLING -----------------
+const loginKeys = (email, ip) => [
+  { key: `login:account:${String(email).trim().toLowerCase()}`, maxFailures: LOGIN_MAX_FAILURES },
+  { key: `login:ip:${ip}`, maxFailures: LOGIN_IP_MAX_FAILURES }
+];
+
+// Seconds until sign-in is allowed again for this email or IP, or 0.
+async function loginLockout(email, ip) {
+  let wait = 0;
+  for (const { key } of loginKeys(email, ip)) {
+    const lock = await counters.get(`${key}:lock`);
+    if (lock) wait = Math.max(wait, secondsUntil(lock.resetAt));
+  }
+  return wait;
+}
+
+async function recordLoginFailure(email, ip) {
+  for (const { key, maxFailures } of loginKeys(email, ip)) {
+    const { count } = await counters.increment(`${key}:failures`, LOGIN_FAILURE_WINDOW_SECONDS * 1000);
+    if (count < maxFailures) continue;
+    const lockout = Math.min(LOGIN_LOCKOUT_SECONDS * 2 ** (count - maxFailures), LOGIN_MAX_LOCKOUT_SECONDS);
+    await counters.increment(`${key}:lock`, lockout * 1000);
+  }
+}
+
+async function recordLoginSuccess(email) {
+  const [account] = loginKeys(email, null);
+  await counters.reset(`${account.key}:failures`);
+}
+
+module.exports = { rateLimit, setRateLimitStore, loginLockout, recordLoginFailure, recordLoginSuccess };
@@ -0,0 +1,300 @@
+// Sharing: read access to a user's data for another account, such as a
+// family member or cardiologist.
+//
+// The owner invites an email address to chosen metric categories until a
+// given date and passes on the returned token (e.g. as a link). Signed in
+// with that email address, the invitee redeems the token and from then on
+// can read the owner's data on the routes with a `:userId` segment
+// (insights, all health data, daily summary, live feed), limited to the
+// granted categories. Access is checked on every request, so revoking or
+// narrowing a grant takes effect immediately; live streams using it are
+// closed.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { metricTables } = require('./storage/metrics');
+const { validateSchema, toDate } = require('./validation');
+
+const router = express.Router();
+
+const CATEGORIES = Object.keys(metricTables);
+const DEFAULT_GRANT_DAYS = 90;
+const MAX_GRANT_DAYS = 366;
+const INVITE_TTL_DAYS = 7;
+const MAX_GRANTS_PER_USER = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const grantSchema = {
+  fields: {
+    email: { type: 'string', maxLength: 255, required: true },
+    categories: { type: 'any', required: true },
+    // Not 'timestamp', which rejects times in the future
+    expiresAt: { type: 'any' },
+    label: { type: 'string', maxLength: 64 }
+  },
+  rules: [
+    d => (!Array.isArray(d.categories) || d.categories.length === 0 || d.categories.some(c => !CATEGORIES.includes(c))) && {
+      field: 'categories', code: 'type', message: `categories must be a non-empty list of ${CATEGORIES.join(', ')}`
+    },
+    d => {
+      if (d.expiresAt == null) return false;
+      const expiresAt = toDate(d.expiresAt);
+      if (!expiresAt) return { field: 'expiresAt', code: 'type', message: 'expiresAt must be an ISO 8601 timestamp' };
+      if (expiresAt <= Date.now()) return { field: 'expiresAt', code: 'limit', message: 'expiresAt must be in the future' };
+      return expiresAt > Date.now() + MAX_GRANT_DAYS * DAY_MS && {
+        field: 'expiresAt', code: 'limit', message: `Access can be granted for at most ${MAX_GRANT_DAYS} days`
+      };
+    }
+  ]
+};
+
+// Emits the id of a grant that was revoked or changed, for open live streams.
+const grantChanges = new EventEmitter();
+grantChanges.setMaxListeners(0);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function grantStatus(row, now = new Date()) {
+  if (row.revoked_at) return 'revoked';
+  if (new Date(row.expires_at) <= now) return 'expired';
+  if (row.grantee_id) return 'active';
+  return new Date(row.invite_expires_at) <= now ? 'expired' : 'pending';
+}
+
+// ----------------- MIDDLEWARE -----------------
+// For read routes with an optional `:userId`: users read their own data, or
+// another user's through an active grant. Sets req.subject to
+// { userId, categories, grant } (grant null for one's own data); routes
+// must read req.subject.userId and stay within its categories.
+async function requireReadAccess(req, res, next) {
+  const ownerId = req.params.userId;
+  if (!ownerId || ownerId === req.user.id) {
+    req.subject = { userId: req.user.id, categories: CATEGORIES, grant: null };
+    return next();
+  }
+
+  try {
+    const grant = await store.accessGrants.findActive(ownerId, req.user.id, new Date());
+    if (!grant)
+      return res.status(403).json({ success: false, message: "Not allowed to access this user's data" });
+    req.subject = { userId: ownerId, categories: grant.categories, grant };
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Authorization failed' });
+  }
+}
+
+// Calls `onEnd` once the grant is revoked, changed or expires; returns a
+// function that stops watching.
+function watchGrant(grant, onEnd) {
+  const listener = id => {
+    if (String(id) === String(grant.id)) end();
+  };
+  const timer = setTimeout(() => end(), Math.min(new Date(grant.expires_at) - Date.now(), 2 ** 31 - 1));
+  function stop() {
+    clearTimeout(timer);
+    grantChanges.off('change', listener);
+  }
+  function end() {
+    stop();
+    onEnd();
+  }
+  grantChanges.on('change', listener);
+  return stop;
+}
+
+// ----------------- HELPERS -----------------
+function toShare(row) {
+  return {
+    id: row.id,
+    email: row.invite_email,
+    label: row.label,
+    categories: row.categories,
+    status: grantStatus(row),
+    grantee: row.grantee_id ? { id: row.grantee_id, fullName: row.grantee_name, email: row.grantee_email } : null,
+    expiresAt: row.expires_at,
+    inviteExpiresAt: row.grantee_id ? null : row.invite_expires_at,
+    acceptedAt: row.accepted_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+// A grant as seen by the caregiver it was given to.
+function toReceivedShare(row) {
+  return {
+    id: row.id,
+    owner: { id: row.owner_id, fullName: row.owner_name, email: row.owner_email },
+    label: row.label,
+    categories: row.categories,
+    expiresAt: row.expires_at,
+    acceptedAt: row.accepted_at
+  };
+}
+
+// The owner's grant with the id in the URL, or null after sending a 404.
+async function ownGrant(req, res) {
+  const grant = await store.accessGrants.findById(req.params.id);
+  if (grant && grant.owner_id.toString() === req.user.id) return grant;
+  res.status(404).json({ success: false, message: 'Share not found' });
+  return null;
+}
+
+// ----------------- OWNER ROUTES -----------------
+router.get('/shares', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.accessGrants.listForOwner(req.user.id);
+    res.json({ success: true, categories: CATEGORIES, shares: rows.map(toShare) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Invites an email address. The token is only returned here.
+router.post('/shares', requireAuth, async (req, res) => {
+  try {
+    const errors = validateSchema(grantSchema, req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid share', errors });
+
+    const owner = await store.users.findById(req.user.id);
+    const email = req.body.email.trim().toLowerCase();
+    if (email === owner.email.toLowerCase())
+      return res.status(400).json({ success: false, message: 'You cannot share your data with yourself' });
+    if ((await store.accessGrants.listForOwner(req.user.id)).filter(g => ['pending', 'active'].includes(grantStatus(g))).length >= MAX_GRANTS_PER_USER)
+      return res.status(409).json({ success: false, message: `At most ${MAX_GRANTS_PER_USER} open shares per account` });
+
+    const expiresAt = toDate(req.body.expiresAt) || new Date(Date.now() + DEFAULT_GRANT_DAYS * DAY_MS);
+    const inviteExpiresAt = new Date(Math.min(expiresAt, Date.now() + INVITE_TTL_DAYS * DAY_MS));
+    const token = `inv_${crypto.randomBytes(32).toString('base64url')}`;
+    const id = await store.accessGrants.create({
+      ownerId: req.user.id,
+      inviteEmail: email,
+      inviteTokenHash: hashToken(token),
+      inviteExpiresAt,
+      label: req.body.label || null,
+      categories: [...new Set(req.body.categories)],
+      expiresAt
+    });
+
+    res.status(201).json({ success: true, share: toShare(await store.accessGrants.findById(id)), token });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Changes categories or expiresAt of a pending or active share.
+router.patch('/shares/:id', requireAuth, async (req, res) => {
+  try {
+    const grant = await ownGrant(req, res);
+    if (!grant) return;
+    if (!['pending', 'active'].includes(grantStatus(grant)))
+      return res.status(409).json({ success: false, message: `Share is ${grantStatus(grant)}` });
+
+    const merged = {
+      email: grant.invite_email,
+      categories: req.body.categories !== undefined ? req.body.categories : grant.categories,
+      expiresAt: req.body.expiresAt !== undefined ? req.body.expiresAt : new Date(grant.expires_at).toISOString()
+    };
+    const errors = validateSchema(grantSchema, merged);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid share', errors });
+
+    await store.accessGrants.update(grant.id, { categories: [...new Set(merged.categories)], expiresAt: toDate(merged.expiresAt) });
+    grantChanges.emit('change', grant.id);
+    const [row] = (await store.accessGrants.listForOwner(req.user.id)).filter(g => g.id === grant.id);
+    res.json({ success: true, share: toShare(row) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Revokes a share, or withdraws an invitation, with immediate effect.
+router.delete('/shares/:id', requireAuth, async (req, res) => {
+  try {
+    const grant = await ownGrant(req, res);
+    if (!grant) return;
+    await store.accessGrants.revoke(grant.id);
+    grantChanges.emit('change', grant.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----------------- GRANTEE ROUTES -----------------
+// Redeems an invitation token; the signed-in account must have the invited
+// email address.
+router.post('/shares/accept', requireAuth, async (req, res) => {
+  try {
+    const { token } = req.body;
+    const grant = typeof token === 'string' ? await store.accessGrants.findByTokenHash(hashToken(token)) : null;
+    if (!grant || grantStatus(grant) !== 'pending')
+      return res.status(404).json({ success: false, message: 'Invitation not found or no longer valid' });
+
+    const grantee = await store.users.findById(req.user.id);
+    if (grantee.email.toLowerCase() !== grant.invite_email)
+      return res.status(403).json({ success: false, message: 'This invitation was sent to a different email address' });
+    if (grant.owner_id.toString() === req.user.id)
+      return res.status(400).json({ success: false, message: 'You cannot accept your own invitation' });
+
+    const { accepted, previous } = await store.transaction(async db => {
+      const now = new Date();
+      const active = await db.accessGrants.findActive(grant.owner_id, req.user.id, now);
+      // Only one of two concurrent accepts (or an accept and a revoke) wins
+      if (!(await db.accessGrants.accept(grant.id, req.user.id, now))) return { accepted: false };
+      // A new grant from the same owner replaces the previous one
+      if (active) await db.accessGrants.revoke(active.id);
+      return { accepted: true, previous: active };
+    });
+    if (!accepted)
+      return res.status(404).json({ success: false, message: 'Invitation not found or no longer valid' });
+    if (previous) grantChanges.emit('change', previous.id);
+
+    const owner = await store.users.findById(grant.owner_id);
+    res.json({
+      success: true,
+      share: { id: grant.id, owner: { id: owner.id, fullName: owner.full_name, email: owner.email }, categories: grant.categories, expiresAt: grant.expires_at }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// The people whose data the signed-in user can see, and what of it.
+router.get('/shared-with-me', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.accessGrants.listActiveForGrantee(req.user.id, new Date());
+    res.json({ success: true, shares: rows.map(toReceivedShare) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Gives up access shared with the signed-in user.
+router.delete('/shared-with-me/:id', requireAuth, async (req, res) => {
+  try {
+    const grant = await store.accessGrants.findById(req.params.id);
+    if (!grant || String(grant.grantee_id) !== req.user.id || grantStatus(grant) !== 'active')
+      return res.status(404).json({ success: false, message: 'Share not found' });
+    await store.accessGrants.revoke(grant.id);
+    grantChanges.emit('change', grant.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, CATEGORIES, requireReadAccess, watchGrant, toShare, toReceivedShare };
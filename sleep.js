@@ -0,0 +1,213 @@
+// Sleep sessions: what each night looked like, separate from naps.
+//
+// A session's startAt/endAt span is the time in bed. Devices that send stage
+// segments get the totals filled in from them when the sample is stored: time
+// asleep, time per stage, time awake and latency (in bed until the first
+// segment of sleep). Efficiency is time asleep over time in bed.
+//
+// Rows are grouped into sessions by device: rows whose spans touch or overlap
+// within MERGE_GAP_MINUTES are parts of one session, as older imports stored
+// every stage as its own row. Sessions are dated by the local day the user
+// woke up, like the daily rollups. Each day's longest session is its main
+// sleep; the others are naps, as is a short daytime session and anything the
+// device marked as a nap.
+const { toDate } = require('./validation');
+const { localDate, localMinutes } = require('./daily');
+
+const MERGE_GAP_MINUTES = 60;
+// A lone session shorter than this that starts in the daytime is a nap
+const NAP_MAX_HOURS = 3;
+const DAYTIME_START_HOUR = 9;
+const DAYTIME_END_HOUR = 20;
+const MINUTES_PER_DAY = 24 * 60;
+
+const hoursBetween = (start, end) => (end - start) / 3600000;
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// ----------------- INGESTION -----------------
+// `data` with startAt/endAt, time asleep, stage totals and latency filled in
+// from its stage segments, where the device did not send them itself.
+// Expects a validated payload.
+function withStageTotals(data) {
+  if (!Array.isArray(data.stages)) return data;
+  const segments = data.stages.map(s => ({ stage: s.stage, start: toDate(s.startAt), end: toDate(s.endAt) }));
+  const hours = { awake: 0, light: 0, deep: 0, rem: 0, asleep: 0 };
+  for (const { stage, start, end } of segments) hours[stage] += hoursBetween(start, end);
+
+  const startAt = toDate(data.startAt) || segments[0].start;
+  const endAt = toDate(data.endAt) || segments[segments.length - 1].end;
+  const firstSleep = segments.find(s => s.stage !== 'awake');
+  const staged = segments.some(s => s.stage === 'light' || s.stage === 'deep' || s.stage === 'rem');
+  return {
+    ...data,
+    startAt: data.startAt ?? startAt.toISOString(),
+    endAt: data.endAt ?? endAt.toISOString(),
+    totalSleep: data.totalSleep ?? round(hoursBetween(startAt, endAt)),
+    sleepHours: data.sleepHours ?? round(hours.light + hours.deep + hours.rem + hours.asleep),
+    deepSleep: data.deepSleep ?? (staged ? round(hours.deep) : null),
+    remSleep: data.remSleep ?? (staged ? round(hours.rem) : null),
+    lightSleep: data.lightSleep ?? (staged ? round(hours.light) : null),
+    awakeTime: data.awakeTime ?? round(hours.awake),
+    sleepLatency: data.sleepLatency ?? (firstSleep ? round((firstSleep.start - startAt) / 60000, 1) : null)
+  };
+}
+
+// ----------------- SESSIONS -----------------
+const sumOf = (a, b) => (a == null ? b : b == null ? a : a + b);
+
+function toSession(row) {
+  const start = row.start_at ? new Date(row.start_at) : null;
+  const end = row.end_at ? new Date(row.end_at) : null;
+  const number = value => (value == null ? null : Number(value));
+  return {
+    device: row.device_name,
+    start,
+    end,
+    wokeAt: end || new Date(row.recorded_at),
+    inBed: number(row.total_sleep),
+    asleep: number(row.sleep_hours),
+    deep: number(row.deep_sleep),
+    rem: number(row.rem_sleep),
+    light: number(row.light_sleep),
+    awake: number(row.awake_time),
+    latency: number(row.sleep_latency),
+    isNap: row.is_nap == null ? null : Boolean(Number(row.is_nap))
+  };
+}
+
+// Parts of one session reported as separate rows add up. Parts come in order
+// of their start, so latency is the first part's. The session is a nap if a
+// part says so and none says otherwise.
+function mergeInto(session, part) {
+  if (part.end > session.end) session.end = session.wokeAt = part.end;
+  for (const key of ['inBed', 'asleep', 'deep', 'rem', 'light', 'awake']) session[key] = sumOf(session[key], part[key]);
+  session.isNap = session.isNap === false || part.isNap === false ? false : session.isNap || part.isNap;
+}
+
+function mergeSessions(rows) {
+  const sessions = [];
+  const open = new Map();
+  const spanned = rows.filter(r => r.start_at && r.end_at).map(toSession).sort((a, b) => a.start - b.start);
+  for (const part of spanned) {
+    const current = open.get(part.device);
+    if (current && part.start - current.end <= MERGE_GAP_MINUTES * 60000) {
+      mergeInto(current, part);
+    } else {
+      sessions.push(part);
+      open.set(part.device, part);
+    }
+  }
+  // Rows without a span cannot be merged and stand for a whole session
+  return sessions.concat(rows.filter(r => !r.start_at || !r.end_at).map(toSession));
+}
+
+// Time asleep comes from the device, else from the stage totals; sessions
+// that only report their time in bed count it as asleep, without an
+// efficiency.
+function describeSession(session, timeZone) {
+  const inBed = session.start && session.end ? hoursBetween(session.start, session.end) : session.inBed;
+  const staged = session.light == null ? null : session.light + (session.deep ?? 0) + (session.rem ?? 0);
+  const asleep = session.asleep ?? staged;
+  const hours = value => (value == null ? null : round(value));
+  return {
+    date: localDate(session.wokeAt, timeZone),
+    deviceName: session.device,
+    startAt: session.start,
+    endAt: session.end,
+    bedtimeMinutes: session.start ? localMinutes(session.start, timeZone) : null,
+    wakeMinutes: session.end ? localMinutes(session.end, timeZone) : null,
+    inBedHours: hours(inBed),
+    asleepHours: hours(asleep ?? session.inBed),
+    efficiency: asleep != null && inBed > 0 ? round(Math.min(100, (asleep / inBed) * 100), 1) : null,
+    latencyMinutes: session.latency,
+    stages: { awake: hours(session.awake), light: hours(session.light), deep: hours(session.deep), rem: hours(session.rem) }
+  };
+}
+
+function isDaytimeNap(session) {
+  if (session.bedtimeMinutes == null || session.asleepHours == null) return false;
+  return session.asleepHours < NAP_MAX_HOURS &&
+    session.bedtimeMinutes >= DAYTIME_START_HOUR * 60 && session.bedtimeMinutes < DAYTIME_END_HOUR * 60;
+}
+
+// Splits sleep rows into { nights, naps }, both newest first. `nights` has at
+// most one main sleep per local date, each { date, deviceName, startAt,
+// endAt, bedtimeMinutes, wakeMinutes, inBedHours, asleepHours, efficiency,
+// latencyMinutes, stages: { awake, light, deep, rem } }; naps look the same.
+// Unknown values are null.
+function sleepLog(rows, timeZone) {
+  const byDate = new Map();
+  for (const session of mergeSessions(rows)) {
+    const described = { ...describeSession(session, timeZone), isNap: session.isNap };
+    if (!byDate.has(described.date)) byDate.set(described.date, []);
+    byDate.get(described.date).push(described);
+  }
+
+  const nights = [];
+  const naps = [];
+  for (const sessions of byDate.values()) {
+    const candidates = sessions.filter(s => s.isNap !== true && !isDaytimeNap(s));
+    const main = candidates.reduce((longest, s) => (!longest || (s.asleepHours ?? 0) > (longest.asleepHours ?? 0) ? s : longest), null);
+    for (const session of sessions) {
+      const { isNap, ...entry } = session;
+      (session === main ? nights : naps).push(entry);
+    }
+  }
+  const newestFirst = (a, b) => (a.date === b.date ? (b.startAt || 0) - (a.startAt || 0) : a.date < b.date ? 1 : -1);
+  return { nights: nights.sort(newestFirst), naps: naps.sort(newestFirst) };
+}
+
+// ----------------- SCHEDULE -----------------
+// Clock times are averaged on the 24-hour circle, so 11 pm and 1 am average
+// to midnight rather than noon. Spread is the standard deviation in minutes
+// around that average.
+function circularStats(minutes) {
+  const angles = minutes.map(m => (m / MINUTES_PER_DAY) * 2 * Math.PI);
+  const meanAngle = Math.atan2(
+    angles.reduce((sum, a) => sum + Math.sin(a), 0),
+    angles.reduce((sum, a) => sum + Math.cos(a), 0)
+  );
+  const mean = ((meanAngle / (2 * Math.PI)) * MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const offsets = minutes.map(m => ((m - mean + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY) - MINUTES_PER_DAY / 2);
+  const spread = Math.sqrt(offsets.reduce((sum, o) => sum + o * o, 0) / offsets.length);
+  return { mean: Math.round(mean) % MINUTES_PER_DAY, spread: Math.round(spread) };
+}
+
+// Minutes since midnight as "10:30 PM".
+function formatClock(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+function regularityOf(spread) {
+  if (spread <= 30) return 'Very regular';
+  if (spread <= 60) return 'Regular';
+  if (spread <= 90) return 'Somewhat irregular';
+  return 'Irregular';
+}
+
+// Average bedtime and wake time of `nights` and how much they vary, or null
+// without a night with a known span. Variation needs at least two nights.
+function sleepSchedule(nights) {
+  const timed = nights.filter(n => n.bedtimeMinutes != null && n.wakeMinutes != null);
+  if (timed.length === 0) return null;
+  const bedtime = circularStats(timed.map(n => n.bedtimeMinutes));
+  const wakeTime = circularStats(timed.map(n => n.wakeMinutes));
+  const schedule = {
+    nights: timed.length,
+    averageBedtime: formatClock(bedtime.mean),
+    averageWakeTime: formatClock(wakeTime.mean),
+    bedtimeVariationMinutes: null,
+    wakeTimeVariationMinutes: null,
+    regularity: null
+  };
+  if (timed.length >= 2) {
+    schedule.bedtimeVariationMinutes = bedtime.spread;
+    schedule.wakeTimeVariationMinutes = wakeTime.spread;
+    schedule.regularity = regularityOf(Math.max(bedtime.spread, wakeTime.spread));
+  }
+  return schedule;
+}
+
+module.exports = { withStageTotals, sleepLog, sleepSchedule, formatClock };
@@ -0,0 +1,290 @@
+// Merging a metric reported by several devices into one canonical view.
+//
+// A user wearing a watch and carrying a phone sends steps from both; summing
+// them counts every step twice. Samples are grouped into windows (an hour for
+// heart and vitals readings, overlapping sessions for sleep, a local day for
+// the rest) and wherever more than one device reported a column in the same
+// window, only one device's values are kept for it:
+//
+//   priority  the first device matching the rule's `sources` list (device
+//             types such as 'watch' or device names), then the device with
+//             the most samples
+//   max       the device with the largest total (e.g. steps: whichever
+//             device saw more of the day)
+//   all       no merging, every device counts
+//
+// Stored rows are never changed; insights, summaries, goal progress and
+// bucketed queries read the merged view, raw endpoints the per-device data.
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { loadProfile } = require('./profile');
+const { validateSchema, isCalendarDate, splitList } = require('./validation');
+const { rollupRules, localDate, addDays, fetchSince, fetchUntil } = require('./daily');
+
+const router = express.Router();
+
+const STRATEGIES = ['priority', 'max', 'all'];
+const MAX_SOURCES = 20;
+const MAX_OVERLAP_DAYS = 92;
+
+// Used until the user sets a rule for the metric.
+const defaultRules = {
+  heart: { strategy: 'priority', sources: ['chest_strap', 'watch', 'ring', 'phone'] },
+  activity: { strategy: 'max', sources: [] },
+  sleep: { strategy: 'priority', sources: ['ring', 'watch', 'phone'] },
+  body: { strategy: 'priority', sources: ['scale'] },
+  vitals: { strategy: 'priority', sources: ['blood_pressure_monitor', 'pulse_oximeter', 'thermometer', 'watch', 'ring'] }
+};
+
+// Point readings overlap within an hour, daily counters within a day.
+const hourlyWindows = ['heart', 'vitals'];
+
+// ----------------- MERGING -----------------
+// Sleep rows whose startAt..endAt spans overlap are one session, keyed by its
+// start; a nap from one device does not compete with another device's night.
+// Rows without a span fall back to their local day.
+function sleepWindows(rows, timeZone) {
+  const keys = new Map();
+  const spanned = rows.filter(r => r.start_at && r.end_at).sort((a, b) => new Date(a.start_at) - new Date(b.start_at));
+  let key = null;
+  let end = null;
+  for (const row of spanned) {
+    if (key === null || new Date(row.start_at) >= end) {
+      key = new Date(row.start_at).toISOString();
+      end = new Date(row.end_at);
+    } else if (new Date(row.end_at) > end) {
+      end = new Date(row.end_at);
+    }
+    keys.set(row, key);
+  }
+  for (const row of rows) {
+    if (!keys.has(row)) keys.set(row, localDate(row.recorded_at, timeZone));
+  }
+  return keys;
+}
+
+// The window of every row, as a Map from row to key.
+function windowKeys(metric, rows, timeZone) {
+  if (metric === 'sleep') return sleepWindows(rows, timeZone);
+  const keyOf = hourlyWindows.includes(metric)
+    ? row => Math.floor(new Date(row.recorded_at) / 3600000)
+    : row => localDate(row.recorded_at, timeZone);
+  return new Map(rows.map(row => [row, keyOf(row)]));
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Position of the device in the rule's sources; unmatched devices rank last.
+function rankOf(rule, source) {
+  const matches = entry => {
+    const wanted = entry.toLowerCase();
+    return wanted === source.type || wanted === source.name.toLowerCase();
+  };
+  const index = rule.sources.findIndex(matches);
+  return index === -1 ? rule.sources.length : index;
+}
+
+function pickWinner(rule, candidates) {
+  const ordered = [...candidates].sort((a, b) => {
+    if (rule.strategy === 'max' && a.total !== b.total) return b.total - a.total;
+    if (rule.strategy === 'priority' && a.rank !== b.rank) return a.rank - b.rank;
+    return b.samples - a.samples || (a.name < b.name ? -1 : 1);
+  });
+  return ordered[0];
+}
+
+// For every window with overlapping devices: the competing devices and the
+// winner, per column.
+function resolveOverlaps(metric, rows, ctx, keys = windowKeys(metric, rows, ctx.timeZone)) {
+  const rule = ctx.rules[metric];
+  const columns = Object.keys(rollupRules[metric]);
+  const overlaps = [];
+  if (rule.strategy === 'all') return overlaps;
+
+  for (const [window, windowRows] of groupBy(rows, row => keys.get(row))) {
+    const bySource = groupBy(windowRows, row => row.device_name);
+    if (bySource.size < 2) continue;
+
+    for (const column of columns) {
+      const candidates = [];
+      for (const [name, sourceRows] of bySource) {
+        const values = sourceRows.map(r => r[column]).filter(v => v != null).map(Number);
+        if (values.length === 0) continue;
+        const source = { name, type: ctx.typeOf(name) };
+        candidates.push({ ...source, rank: rankOf(rule, source), samples: values.length, total: values.reduce((a, b) => a + b, 0) });
+      }
+      if (candidates.length < 2) continue;
+      overlaps.push({ window, column, candidates, winner: pickWinner(rule, candidates).name });
+    }
+  }
+  return overlaps;
+}
+
+// The canonical rows of one metric: overlapping columns keep only the
+// winning device's values; rows left without any value are dropped.
+function canonicalRows(metric, rows, ctx) {
+  const keys = windowKeys(metric, rows, ctx.timeZone);
+  const winners = new Map();
+  for (const { window, column, winner } of resolveOverlaps(metric, rows, ctx, keys)) {
+    if (!winners.has(window)) winners.set(window, {});
+    winners.get(window)[column] = winner;
+  }
+  if (winners.size === 0) return rows;
+
+  const columns = Object.keys(rollupRules[metric]);
+  const merged = [];
+  for (const row of rows) {
+    const chosen = winners.get(keys.get(row));
+    if (!chosen) {
+      merged.push(row);
+      continue;
+    }
+    const copy = { ...row };
+    for (const column of columns) {
+      if (chosen[column] && chosen[column] !== row.device_name) copy[column] = null;
+    }
+    if (columns.some(column => copy[column] != null)) merged.push(copy);
+  }
+  return merged;
+}
+
+// ----------------- CONTEXT -----------------
+// `db` is the store, or the repositories of a surrounding transaction.
+async function loadSourceRules(userId, db = store) {
+  const rules = {};
+  for (const [metric, rule] of Object.entries(defaultRules)) rules[metric] = { ...rule, isDefault: true };
+  for (const row of await db.sourceRules.list(userId)) {
+    if (rules[row.metric]) rules[row.metric] = { strategy: row.strategy, sources: row.sources, isDefault: false };
+  }
+  return rules;
+}
+
+// What canonicalRows needs to know about the user: merge rules, registered
+// device types by name and the time zone days are counted in.
+async function loadMergeContext(userId, timeZone, db = store) {
+  const rules = await loadSourceRules(userId, db);
+  const types = new Map();
+  for (const device of await db.devices.list(userId)) types.set(device.name, device.type);
+  return { rules, timeZone, typeOf: name => types.get(name) || null };
+}
+
+// (metric, rows) => canonical rows, for callers that fetch rows themselves.
+async function rowMerger(userId, timeZone, db = store) {
+  const ctx = await loadMergeContext(userId, timeZone, db);
+  return (metric, rows) => (rollupRules[metric] ? canonicalRows(metric, rows, ctx) : rows);
+}
+
+// ----------------- RULE ROUTES -----------------
+const ruleSchema = {
+  fields: {
+    strategy: { type: 'enum', values: STRATEGIES, required: true },
+    sources: { type: 'any' }
+  },
+  rules: [
+    d => {
+      if (d.sources == null) return d.strategy === 'priority' && { field: 'sources', code: 'required', message: 'sources is required for the priority strategy' };
+      if (!Array.isArray(d.sources) || d.sources.some(s => typeof s !== 'string' || !s || s.length > 255))
+        return { field: 'sources', code: 'type', message: 'sources must be a list of device types or names' };
+      if (d.sources.length > MAX_SOURCES) return { field: 'sources', code: 'limit', message: `sources may list at most ${MAX_SOURCES} entries` };
+      return false;
+    }
+  ]
+};
+
+// Effective rule per metric, defaults included.
+router.get('/source-rules', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, rules: await loadSourceRules(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.put('/source-rules/:metric', requireAuth, async (req, res) => {
+  try {
+    const { metric } = req.params;
+    if (!defaultRules[metric])
+      return res.status(404).json({ success: false, message: `Unknown metric; use one of ${Object.keys(defaultRules).join(', ')}` });
+
+    const errors = validateSchema(ruleSchema, req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid source rule', errors });
+
+    const rule = { strategy: req.body.strategy, sources: req.body.sources || [] };
+    await store.sourceRules.save(req.user.id, metric, rule);
+    res.json({ success: true, metric, rule: { ...rule, isDefault: false } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Back to the default rule.
+router.delete('/source-rules/:metric', requireAuth, async (req, res) => {
+  try {
+    const { metric } = req.params;
+    if (!defaultRules[metric])
+      return res.status(404).json({ success: false, message: `Unknown metric; use one of ${Object.keys(defaultRules).join(', ')}` });
+    await store.sourceRules.remove(req.user.id, metric);
+    res.json({ success: true, metric, rule: { ...defaultRules[metric], isDefault: true } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /source-overlaps?from=YYYY-MM-DD&to=YYYY-MM-DD&metrics=heart,activity
+// Where devices overlapped and which one the merge kept. Defaults to the
+// last 7 days.
+router.get('/source-overlaps', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { timeZone } = await loadProfile(userId);
+    const to = req.query.to || localDate(new Date(), timeZone);
+    const from = req.query.from || addDays(to, -6);
+    const metrics = req.query.metrics ? splitList(req.query.metrics) : Object.keys(defaultRules);
+
+    if (!metrics)
+      return res.status(400).json({ success: false, message: 'metrics must be given once, as a comma-separated list' });
+    if (!isCalendarDate(from) || !isCalendarDate(to) || from > to)
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    if (addDays(from, MAX_OVERLAP_DAYS - 1) < to)
+      return res.status(400).json({ success: false, message: `Overlaps may span at most ${MAX_OVERLAP_DAYS} days` });
+    const unknown = metrics.filter(m => !defaultRules[m]);
+    if (unknown.length > 0)
+      return res.status(400).json({ success: false, message: `Unknown metrics: ${unknown.join(', ')}` });
+
+    const ctx = await loadMergeContext(userId, timeZone);
+    const overlaps = {};
+    for (const metric of metrics) {
+      const rows = await store.samples.list(metric, userId, { since: fetchSince(from), until: fetchUntil(to) });
+      const inRange = rows.filter(r => {
+        const date = localDate(r.recorded_at, timeZone);
+        return date >= from && date <= to;
+      });
+      overlaps[metric] = resolveOverlaps(metric, inRange, ctx).map(o => ({
+        window: typeof o.window === 'number' ? new Date(o.window * 3600000).toISOString() : o.window,
+        column: o.column,
+        winner: o.winner,
+        sources: o.candidates.map(({ name, type, samples, total }) => ({ name, type, samples, total: Number(total.toFixed(2)) }))
+      }));
+    }
+
+    res.json({ success: true, timeZone, from, to, rules: ctx.rules, overlaps });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, defaultRules, loadSourceRules, loadMergeContext, canonicalRows, rowMerger };
@@ -0,0 +1,188 @@
+// Field-level encryption of medical history and conditions at rest.
+//
+// The columns of metrics marked `encrypted` in metrics.js, and the raw and
+// quarantined payloads of those metrics, are stored as AES-256-GCM
+// ciphertext under a data key of their user. Data keys are random, stored
+// wrapped (encrypted) with the master key from DATA_MASTER_KEY, and
+// identified in every value they encrypted:
+//
+//   enc:v1:<data key id>:<iv>:<auth tag>:<ciphertext>   (base64url parts)
+//
+// The user id, table and column are authenticated with each value, so a
+// value copied to another row owner or column fails to decrypt. Drivers
+// encrypt on insert and decrypt on read, so the rest of the app only sees
+// plaintext; values written before encryption was introduced are read as
+// they are until `node keys.js rotate` encrypts them.
+//
+// Master keys are 32 random bytes, base64-encoded. To replace one, set the
+// new key as DATA_MASTER_KEY, list the old one in DATA_MASTER_KEY_PREVIOUS
+// (comma-separated) and run `node keys.js rotate`; once it finishes the old
+// key can be removed from configuration.
+require('dotenv').config();
+const crypto = require('crypto');
+const { metricTables } = require('./metrics');
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+const KEY_CACHE_SIZE = 1000;
+
+// ----------------- MASTER KEYS -----------------
+function parseMasterKey(encoded, name) {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== 32) throw new Error(`${name} must be 32 bytes, base64-encoded`);
+  return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), key };
+}
+
+if (!process.env.DATA_MASTER_KEY) throw new Error('DATA_MASTER_KEY must be set to encrypt health records');
+
+const currentMasterKey = parseMasterKey(process.env.DATA_MASTER_KEY, 'DATA_MASTER_KEY');
+const masterKeys = new Map([[currentMasterKey.id, currentMasterKey.key]]);
+for (const encoded of (process.env.DATA_MASTER_KEY_PREVIOUS || '').split(',').filter(Boolean)) {
+  const { id, key } = parseMasterKey(encoded, 'DATA_MASTER_KEY_PREVIOUS');
+  masterKeys.set(id, key);
+}
+
+// ----------------- ENCRYPTED COLUMNS -----------------
+const encryptedMetrics = Object.keys(metricTables).filter(m => metricTables[m].encrypted);
+
+// table -> { columns, json: columns the drivers serialize as JSON, metricColumn }
+// Tables with a metricColumn hold every metric; only rows of an encrypted
+// metric are encrypted there.
+const encryptedTables = {};
+for (const metric of encryptedMetrics) {
+  const { table, columns, json = [] } = metricTables[metric];
+  encryptedTables[table] = { columns: Object.values(columns), json };
+}
+encryptedTables.device_data = { columns: ['data'], json: ['data'], metricColumn: 'endpoint' };
+encryptedTables.quarantined_data = { columns: ['data'], json: ['data'], metricColumn: 'endpoint' };
+
+function columnsOf(table, row) {
+  const spec = encryptedTables[table];
+  if (!spec || (spec.metricColumn && !encryptedMetrics.includes(row[spec.metricColumn]))) return [];
+  return spec.columns;
+}
+
+const isEncrypted = value => typeof value === 'string' && value.startsWith(PREFIX);
+const aadFor = (userId, table, column) => Buffer.from(`${userId}:${table}.${column}`);
+
+// ----------------- AES-GCM -----------------
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url')).join(':');
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// ----------------- DATA KEYS -----------------
+// A new random data key for the user, wrapped, as dataKeys.create takes it.
+function generateDataKey(userId) {
+  return { userId, ...wrapKey(userId, crypto.randomBytes(32)) };
+}
+
+function wrapKey(userId, dataKey) {
+  return { wrappedKey: seal(currentMasterKey.key, dataKey, Buffer.from(`data-key:${userId}`)), masterKeyId: currentMasterKey.id };
+}
+
+function unwrapKey(row) {
+  const masterKey = masterKeys.get(row.master_key_id);
+  if (!masterKey) throw new Error(`Data key ${row.id} is wrapped with master key ${row.master_key_id}, which is not configured`);
+  return open(masterKey, row.wrapped_key, Buffer.from(`data-key:${row.user_id}`));
+}
+
+// Unwrapped keys by id; a key's material never changes, only its wrapping.
+const keyCache = new Map();
+
+function cachedKey(row) {
+  const cached = keyCache.get(String(row.id));
+  if (cached) return cached;
+  const key = unwrapKey(row);
+  if (keyCache.size >= KEY_CACHE_SIZE) keyCache.delete(keyCache.keys().next().value);
+  keyCache.set(String(row.id), key);
+  return key;
+}
+
+// Encryption helpers bound to a driver's dataKeys repository (and so to its
+// transaction, if any).
+function createFieldCipher(dataKeys) {
+  // The user's newest data key, created on first use.
+  async function activeKey(userId) {
+    let row = await dataKeys.findActive(userId);
+    if (!row) {
+      await dataKeys.create(generateDataKey(userId));
+      row = await dataKeys.findActive(userId);
+    }
+    return { id: row.id, key: cachedKey(row) };
+  }
+
+  function encryptValue(dataKey, userId, table, column, value) {
+    return `${PREFIX}${dataKey.id}:${seal(dataKey.key, JSON.stringify(value), aadFor(userId, table, column))}`;
+  }
+
+  async function decryptValue(userId, table, column, value, keysById) {
+    if (!isEncrypted(value)) return value;
+    const rest = value.slice(PREFIX.length);
+    const keyId = rest.slice(0, rest.indexOf(':'));
+    if (!keysById.has(keyId)) {
+      const row = await dataKeys.findById(keyId);
+      if (!row || String(row.user_id) !== String(userId)) throw new Error(`Data key ${keyId} not found for user ${userId}`);
+      keysById.set(keyId, cachedKey(row));
+    }
+    const plaintext = open(keysById.get(keyId), rest.slice(keyId.length + 1), aadFor(userId, table, column));
+    return JSON.parse(plaintext.toString());
+  }
+
+  return {
+    // Copy of `row` (with user_id) with its encrypted columns as ciphertext.
+    async encryptRow(table, row) {
+      const columns = columnsOf(table, row).filter(column => row[column] != null);
+      if (columns.length === 0) return row;
+      const dataKey = await activeKey(row.user_id);
+      const encrypted = { ...row };
+      for (const column of columns) encrypted[column] = encryptValue(dataKey, row.user_id, table, column, row[column]);
+      return encrypted;
+    },
+
+    // Copies of stored rows with their encrypted columns as plaintext.
+    async decryptRows(table, rows) {
+      const keysById = new Map();
+      const decrypted = [];
+      for (const row of rows) {
+        const columns = columnsOf(table, row).filter(column => isEncrypted(row[column]));
+        if (columns.length === 0) {
+          decrypted.push(row);
+          continue;
+        }
+        const copy = { ...row };
+        for (const column of columns) copy[column] = await decryptValue(row.user_id, table, column, row[column], keysById);
+        decrypted.push(copy);
+      }
+      return decrypted;
+    },
+
+    // New ciphertext for the columns of a stored row that are plaintext or
+    // under an older data key of the user; null when all are current.
+    async reencryptRow(table, row) {
+      const dataKey = await activeKey(row.user_id);
+      const current = `${PREFIX}${dataKey.id}:`;
+      const changes = {};
+      for (const column of columnsOf(table, row)) {
+        const value = row[column];
+        if (value == null || (isEncrypted(value) && value.startsWith(current))) continue;
+        const plaintext = await decryptValue(row.user_id, table, column, value, new Map());
+        changes[column] = encryptValue(dataKey, row.user_id, table, column, plaintext);
+      }
+      return Object.keys(changes).length > 0 ? changes : null;
+    }
+  };
+}
+
+module.exports = { encryptedTables, createFieldCipher, generateDataKey, wrapKey, unwrapKey, currentMasterKey };
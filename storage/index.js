@@ -0,0 +1,49 @@
+// Storage entry point. STORAGE_DRIVER picks the backend: 'mysql' (default) or
+// 'memory' for running without a database server.
+//
+// Every driver exposes the same repositories:
+//   users       create, findByEmail, findById, confirmEmail, updatePassword, updateEmail, remove
+//   accountTokens create, findByTokenHash, consume, revokeForUser
+//   dataExports create, findById, listForUser, update, listExpired, failUnfinished
+//   profiles    get, save, remove
+//   goals       create, list, remove
+//   sourceRules list, save, remove
+//   alertRules  list, save, remove
+//   alerts      create, findById, findActive, listForUser, recordOccurrence, acknowledge, resolve
+//   webhooks    create, listForUser, findById, update, setSecret, remove
+//   webhookDeliveries create, findById, listForWebhook, listDue, claim, update
+//   goalAchievements record
+//   accessGrants create, findById, findByTokenHash, listForOwner, listActiveForGrantee, findActive, accept, update, revoke
+//   auditLog    head, append, listForSubject, scan (append-only)
+//   dataKeys    create, findById, findActive, listAll, rewrap, retire
+//   encryptedRows scan, update (rows as stored, for key rotation)
+//   importJobs  create, findById, listForUser, update, failUnfinished
+//   devices     create, list, findById, update, remove, recordSample, metricStatus
+//   deviceKeys  create, findByHash, list, revoke
+//   sessions    create, findById, findByTokenHash, revoke (false if already revoked), revokeAllForUser
+//   samples     insert(metric, userId, deviceName, data, sampleId), hasSampleId(metric, userId, sampleId),
+//               list(metric, userId, { since, until, limit, order, after })
+//               (encrypted metrics are encrypted on insert and decrypted by list)
+//   rawData     insert (false on a duplicate sampleId), list(userId, { deviceName | deviceId, endpoint, before, limit }),
+//               listForUser(userId, { afterId, limit })
+//   quarantine  insert (false on a duplicate sampleId), listForUser
+// plus transaction(fn), which calls fn with repositories bound to one
+// transaction, and close().
+require('dotenv').config();
+const { createMysqlStore } = require('./mysql');
+const { createMemoryStore } = require('./memory');
+
+const drivers = {
+  mysql: createMysqlStore,
+  memory: createMemoryStore
+};
+
+function createStore(driver = process.env.STORAGE_DRIVER || 'mysql') {
+  if (!drivers[driver]) throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  return drivers[driver]();
+}
+
+const store = createStore();
+
+module.exports = store;
+module.exports.createStore = createStore;
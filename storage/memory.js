@@ -0,0 +1,768 @@
+// In-memory storage driver, for running and integration-testing the API
+// without a database server. Data lives for the lifetime of the process.
+//
+// Rows mirror the MySQL columns (snake_case, created_at, auto-increment ids)
+// so the rest of the app cannot tell the drivers apart. Transactions run one
+// at a time and restore a snapshot of every table if they throw.
+const { metricTables, toRow } = require('./metrics');
+const { encryptedTables, createFieldCipher } = require('./encryption');
+
+function emptyState() {
+  const tables = { users: [], user_profiles: [], goals: [], source_rules: [], alert_rules: [], alerts: [], webhooks: [], webhook_deliveries: [], goal_achievements: [], access_grants: [], audit_log: [], user_data_keys: [], account_tokens: [], data_exports: [], import_jobs: [], devices: [], device_keys: [], device_metric_status: [], refresh_tokens: [], device_data: [], quarantined_data: [] };
+  for (const { table } of Object.values(metricTables)) tables[table] = [];
+  tables.audit_chain = [{ id: 1, last_id: null, last_hash: '0'.repeat(64) }];
+  return { tables, nextId: {} };
+}
+
+function duplicateError(message) {
+  const err = new Error(message);
+  err.code = 'ER_DUP_ENTRY';
+  return err;
+}
+
+const sameUser = (row, userId) => String(row.user_id) === String(userId);
+const byRecordedAtDesc = (a, b) => b.recorded_at - a.recorded_at || b.id - a.id;
+
+function repositories(state) {
+  function insert(table, row) {
+    const id = state.nextId[table] = (state.nextId[table] || 0) + 1;
+    state.tables[table].push({ id, ...row, created_at: new Date() });
+    return id;
+  }
+
+  const find = (table, predicate) => state.tables[table].find(predicate) || null;
+
+  const dataKeys = {
+    async create({ userId, wrappedKey, masterKeyId }) {
+      return insert('user_data_keys', { user_id: Number(userId), wrapped_key: wrappedKey, master_key_id: masterKeyId, retired_at: null });
+    },
+    async findById(id) {
+      return find('user_data_keys', k => String(k.id) === String(id));
+    },
+    async findActive(userId) {
+      const active = state.tables.user_data_keys.filter(k => sameUser(k, userId) && !k.retired_at);
+      return active.length > 0 ? active[active.length - 1] : null;
+    },
+    async listAll() {
+      return structuredClone(state.tables.user_data_keys);
+    },
+    async rewrap(id, { wrappedKey, masterKeyId }) {
+      Object.assign(find('user_data_keys', k => String(k.id) === String(id)), { wrapped_key: wrappedKey, master_key_id: masterKeyId });
+    },
+    async retire(id) {
+      const key = find('user_data_keys', k => String(k.id) === String(id) && !k.retired_at);
+      if (key) key.retired_at = new Date();
+    }
+  };
+  const cipher = createFieldCipher(dataKeys);
+
+  return {
+    users: {
+      async create({ fullName, email, passwordHash, timeZone = 'UTC' }) {
+        if (find('users', u => u.email === email)) throw duplicateError(`Duplicate email ${email}`);
+        return insert('users', { full_name: fullName, email, email_confirmed_at: null, password_hash: passwordHash, time_zone: timeZone });
+      },
+      async findByEmail(email) {
+        const user = find('users', u => u.email === email);
+        return user && structuredClone(user);
+      },
+      async findById(id) {
+        const user = find('users', u => String(u.id) === String(id));
+        return user && structuredClone(user);
+      },
+      async confirmEmail(id) {
+        const user = find('users', u => String(u.id) === String(id) && !u.email_confirmed_at);
+        if (!user) return false;
+        user.email_confirmed_at = new Date();
+        return true;
+      },
+      async updatePassword(id, passwordHash) {
+        find('users', u => String(u.id) === String(id)).password_hash = passwordHash;
+      },
+      async updateEmail(id, email) {
+        if (find('users', u => u.email === email && String(u.id) !== String(id))) throw duplicateError(`Duplicate email ${email}`);
+        find('users', u => String(u.id) === String(id)).email = email;
+      },
+      // Removes the user's rows everywhere, as the MySQL foreign keys cascade;
+      // the audit log keeps its entries.
+      async remove(id) {
+        const webhookIds = state.tables.webhooks.filter(w => sameUser(w, id)).map(w => w.id);
+        const deviceIds = state.tables.devices.filter(d => sameUser(d, id)).map(d => d.id);
+        for (const table of Object.keys(state.tables)) {
+          if (table === 'audit_log' || table === 'audit_chain' || table === 'users') continue;
+          state.tables[table] = state.tables[table].filter(row => !sameUser(row, id));
+        }
+        state.tables.access_grants = state.tables.access_grants
+          .filter(g => String(g.owner_id) !== String(id) && String(g.grantee_id) !== String(id));
+        state.tables.webhook_deliveries = state.tables.webhook_deliveries.filter(d => !webhookIds.includes(d.webhook_id));
+        state.tables.device_keys = state.tables.device_keys.filter(k => !deviceIds.includes(k.device_id));
+        state.tables.device_metric_status = state.tables.device_metric_status.filter(m => !deviceIds.includes(m.device_id));
+        state.tables.users = state.tables.users.filter(u => String(u.id) !== String(id));
+      }
+    },
+
+    accountTokens: {
+      async create({ userId, purpose, tokenHash, newEmail = null, expiresAt }) {
+        return insert('account_tokens', {
+          user_id: Number(userId), purpose, token_hash: tokenHash, new_email: newEmail, expires_at: expiresAt, used_at: null
+        });
+      },
+      async findByTokenHash(tokenHash) {
+        const token = find('account_tokens', t => t.token_hash === tokenHash);
+        return token && structuredClone(token);
+      },
+      async consume(id) {
+        const token = find('account_tokens', t => String(t.id) === String(id) && !t.used_at);
+        if (!token) return false;
+        token.used_at = new Date();
+        return true;
+      },
+      async revokeForUser(userId, purpose) {
+        for (const token of state.tables.account_tokens) {
+          if (sameUser(token, userId) && token.purpose === purpose && !token.used_at) token.used_at = new Date();
+        }
+      }
+    },
+
+    profiles: {
+      async get(userId) {
+        const user = find('users', u => String(u.id) === String(userId));
+        if (!user) return null;
+        const profile = find('user_profiles', p => sameUser(p, userId)) || {};
+        return {
+          user_id: user.id,
+          time_zone: user.time_zone,
+          birth_date: profile.birth_date ?? null,
+          sex: profile.sex ?? null,
+          height_cm: profile.height_cm ?? null,
+          unit_system: profile.unit_system ?? 'metric',
+          max_heart_rate: profile.max_heart_rate ?? null
+        };
+      },
+      async save(userId, { birthDate, sex, heightCm, unitSystem, maxHeartRate, timeZone }) {
+        const values = { birth_date: birthDate, sex, height_cm: heightCm, unit_system: unitSystem, max_heart_rate: maxHeartRate };
+        const profile = find('user_profiles', p => sameUser(p, userId));
+        if (profile) Object.assign(profile, values);
+        else insert('user_profiles', { user_id: Number(userId), ...values });
+        find('users', u => String(u.id) === String(userId)).time_zone = timeZone;
+      },
+      async remove(userId) {
+        state.tables.user_profiles = state.tables.user_profiles.filter(p => !sameUser(p, userId));
+        find('users', u => String(u.id) === String(userId)).time_zone = 'UTC';
+      }
+    },
+
+    goals: {
+      async create({ userId, metric, target, effectiveFrom }) {
+        return insert('goals', { user_id: Number(userId), metric, target, effective_from: effectiveFrom });
+      },
+      async list(userId) {
+        return state.tables.goals
+          .filter(g => sameUser(g, userId))
+          .sort((a, b) => (a.effective_from < b.effective_from ? -1 : a.effective_from > b.effective_from ? 1 : a.id - b.id));
+      },
+      async remove(userId, id) {
+        const before = state.tables.goals.length;
+        state.tables.goals = state.tables.goals.filter(g => !(sameUser(g, userId) && String(g.id) === String(id)));
+        return state.tables.goals.length < before;
+      }
+    },
+
+    devices: {
+      async create({ userId, name, type, model = null, firmware = null, hardwareId = null }) {
+        if (hardwareId && find('devices', d => sameUser(d, userId) && d.hardware_id === hardwareId))
+          throw duplicateError(`Duplicate hardware id ${hardwareId}`);
+        return insert('devices', {
+          user_id: Number(userId), name, type, model, firmware, hardware_id: hardwareId, last_sync_at: null
+        });
+      },
+      async list(userId) {
+        return state.tables.devices.filter(d => sameUser(d, userId));
+      },
+      async findById(id) {
+        return find('devices', d => String(d.id) === String(id));
+      },
+      async update(id, { name, type, model, firmware }) {
+        const device = find('devices', d => String(d.id) === String(id));
+        if (device) Object.assign(device, { name, type, model, firmware });
+      },
+      async remove(userId, id) {
+        const device = find('devices', d => sameUser(d, userId) && String(d.id) === String(id));
+        if (!device) return false;
+        state.tables.devices = state.tables.devices.filter(d => d !== device);
+        state.tables.device_keys = state.tables.device_keys.filter(k => k.device_id !== device.id);
+        state.tables.device_metric_status = state.tables.device_metric_status.filter(m => m.device_id !== device.id);
+        for (const row of state.tables.device_data) {
+          if (row.device_id === device.id) row.device_id = null;
+        }
+        return true;
+      },
+      async recordSample(deviceId, metric, recordedAt) {
+        const now = new Date();
+        find('devices', d => String(d.id) === String(deviceId)).last_sync_at = now;
+        const status = find('device_metric_status', m => String(m.device_id) === String(deviceId) && m.metric === metric);
+        if (status) {
+          if (recordedAt > status.last_recorded_at) status.last_recorded_at = recordedAt;
+          status.last_received_at = now;
+          status.sample_count++;
+        } else {
+          state.tables.device_metric_status.push({
+            device_id: Number(deviceId), metric, last_recorded_at: recordedAt, last_received_at: now, sample_count: 1
+          });
+        }
+      },
+      async metricStatus(deviceId) {
+        return state.tables.device_metric_status
+          .filter(m => String(m.device_id) === String(deviceId))
+          .sort((a, b) => (a.metric < b.metric ? -1 : 1));
+      }
+    },
+
+    deviceKeys: {
+      async create({ deviceId, keyHash, keyPrefix }) {
+        return insert('device_keys', { device_id: Number(deviceId), key_hash: keyHash, key_prefix: keyPrefix, revoked_at: null });
+      },
+      async findByHash(keyHash) {
+        const key = find('device_keys', k => k.key_hash === keyHash);
+        const device = key && find('devices', d => d.id === key.device_id);
+        return device ? { ...device, key_id: key.id, key_revoked_at: key.revoked_at } : null;
+      },
+      async list(deviceId) {
+        return state.tables.device_keys
+          .filter(k => String(k.device_id) === String(deviceId))
+          .map(({ key_hash, ...key }) => key);
+      },
+      async revoke(deviceId, id) {
+        const key = find('device_keys', k => String(k.device_id) === String(deviceId) && String(k.id) === String(id) && !k.revoked_at);
+        if (!key) return false;
+        key.revoked_at = new Date();
+        return true;
+      }
+    },
+
+    sourceRules: {
+      async list(userId) {
+        return state.tables.source_rules.filter(r => sameUser(r, userId));
+      },
+      async save(userId, metric, { strategy, sources }) {
+        const rule = find('source_rules', r => sameUser(r, userId) && r.metric === metric);
+        if (rule) Object.assign(rule, { strategy, sources: [...sources], updated_at: new Date() });
+        else state.tables.source_rules.push({ user_id: Number(userId), metric, strategy, sources: [...sources], updated_at: new Date() });
+      },
+      async remove(userId, metric) {
+        const before = state.tables.source_rules.length;
+        state.tables.source_rules = state.tables.source_rules.filter(r => !(sameUser(r, userId) && r.metric === metric));
+        return state.tables.source_rules.length < before;
+      }
+    },
+
+    alertRules: {
+      async list(userId) {
+        return state.tables.alert_rules.filter(r => sameUser(r, userId)).map(r => ({ ...r }));
+      },
+      async save(userId, ruleKey, { enabled = null, threshold = null, minutes = null, severity = null }) {
+        const values = { enabled, threshold, minutes, severity, updated_at: new Date() };
+        const rule = find('alert_rules', r => sameUser(r, userId) && r.rule_key === ruleKey);
+        if (rule) Object.assign(rule, values);
+        else state.tables.alert_rules.push({ user_id: Number(userId), rule_key: ruleKey, ...values });
+      },
+      async remove(userId, ruleKey) {
+        const before = state.tables.alert_rules.length;
+        state.tables.alert_rules = state.tables.alert_rules.filter(r => !(sameUser(r, userId) && r.rule_key === ruleKey));
+        return state.tables.alert_rules.length < before;
+      }
+    },
+
+    alerts: {
+      async create({ userId, ruleKey, severity, metric, field, value, message, triggeredAt }) {
+        return insert('alerts', {
+          user_id: Number(userId),
+          rule_key: ruleKey,
+          severity,
+          status: 'open',
+          metric,
+          field,
+          value,
+          message,
+          occurrences: 1,
+          first_triggered_at: triggeredAt,
+          last_triggered_at: triggeredAt,
+          acknowledged_at: null,
+          resolved_at: null,
+          resolution: null
+        });
+      },
+      async findById(id) {
+        const alert = find('alerts', a => String(a.id) === String(id));
+        return alert && { ...alert };
+      },
+      async findActive(userId, ruleKey) {
+        const active = state.tables.alerts.filter(a => sameUser(a, userId) && a.rule_key === ruleKey && a.status !== 'resolved');
+        return active.length > 0 ? { ...active[active.length - 1] } : null;
+      },
+      async listForUser(userId, { statuses, limit = 50 }) {
+        return state.tables.alerts
+          .filter(a => sameUser(a, userId) && statuses.includes(a.status))
+          .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+          .slice(0, limit)
+          .map(a => ({ ...a }));
+      },
+      async recordOccurrence(id, { value, message, triggeredAt }) {
+        const alert = find('alerts', a => String(a.id) === String(id));
+        Object.assign(alert, {
+          occurrences: alert.occurrences + 1,
+          value,
+          message,
+          last_triggered_at: triggeredAt > alert.last_triggered_at ? triggeredAt : alert.last_triggered_at
+        });
+      },
+      async acknowledge(id) {
+        const alert = find('alerts', a => String(a.id) === String(id) && a.status === 'open');
+        if (!alert) return false;
+        Object.assign(alert, { status: 'acknowledged', acknowledged_at: new Date() });
+        return true;
+      },
+      async resolve(id, resolution) {
+        const alert = find('alerts', a => String(a.id) === String(id) && a.status !== 'resolved');
+        if (!alert) return false;
+        Object.assign(alert, { status: 'resolved', resolved_at: new Date(), resolution });
+        return true;
+      }
+    },
+
+    webhooks: {
+      async create({ userId, url, events, description = null, secret }) {
+        return insert('webhooks', { user_id: Number(userId), url, events: [...events], description, secret, active: 1, updated_at: new Date() });
+      },
+      async listForUser(userId) {
+        return state.tables.webhooks.filter(w => sameUser(w, userId)).map(w => structuredClone(w));
+      },
+      async findById(id) {
+        const webhook = find('webhooks', w => String(w.id) === String(id));
+        return webhook && structuredClone(webhook);
+      },
+      async update(id, { url, events, description, active }) {
+        const webhook = find('webhooks', w => String(w.id) === String(id));
+        Object.assign(webhook, { url, events: [...events], description, active: active ? 1 : 0, updated_at: new Date() });
+      },
+      async setSecret(id, secret) {
+        const webhook = find('webhooks', w => String(w.id) === String(id));
+        Object.assign(webhook, { secret, updated_at: new Date() });
+      },
+      async remove(userId, id) {
+        const webhook = find('webhooks', w => sameUser(w, userId) && String(w.id) === String(id));
+        if (!webhook) return false;
+        state.tables.webhooks = state.tables.webhooks.filter(w => w !== webhook);
+        state.tables.webhook_deliveries = state.tables.webhook_deliveries.filter(d => d.webhook_id !== webhook.id);
+        return true;
+      }
+    },
+
+    webhookDeliveries: {
+      async create({ webhookId, eventId, eventType, payload }) {
+        return insert('webhook_deliveries', {
+          webhook_id: Number(webhookId),
+          event_id: eventId,
+          event_type: eventType,
+          payload: structuredClone(payload),
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: new Date(),
+          last_attempt_at: null,
+          last_status_code: null,
+          last_error: null,
+          delivered_at: null
+        });
+      },
+      async findById(id) {
+        const delivery = find('webhook_deliveries', d => String(d.id) === String(id));
+        return delivery && structuredClone(delivery);
+      },
+      async listForWebhook(webhookId, { status = null, limit = 50 }) {
+        return state.tables.webhook_deliveries
+          .filter(d => String(d.webhook_id) === String(webhookId) && (!status || d.status === status))
+          .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+          .slice(0, limit)
+          .map(d => structuredClone(d));
+      },
+      async listDue(now, limit) {
+        return state.tables.webhook_deliveries
+          .filter(d => d.status === 'pending' && d.next_attempt_at <= now)
+          .sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id)
+          .slice(0, limit)
+          .map(d => structuredClone(d));
+      },
+      async claim(id, now, until) {
+        const delivery = find('webhook_deliveries', d => String(d.id) === String(id) && d.status === 'pending' && d.next_attempt_at <= now);
+        if (!delivery) return false;
+        delivery.next_attempt_at = until;
+        return true;
+      },
+      async update(id, { status, attempts, nextAttemptAt, lastAttemptAt, lastStatusCode, lastError, deliveredAt }) {
+        const delivery = find('webhook_deliveries', d => String(d.id) === String(id));
+        const values = {
+          status,
+          attempts,
+          next_attempt_at: nextAttemptAt,
+          last_attempt_at: lastAttemptAt,
+          last_status_code: lastStatusCode,
+          last_error: lastError,
+          delivered_at: deliveredAt
+        };
+        for (const [column, value] of Object.entries(values)) {
+          if (value !== undefined) delivery[column] = value;
+        }
+      }
+    },
+
+    goalAchievements: {
+      async record(userId, metric, day) {
+        if (find('goal_achievements', a => sameUser(a, userId) && a.metric === metric && a.day === day)) return false;
+        state.tables.goal_achievements.push({ user_id: Number(userId), metric, day, created_at: new Date() });
+        return true;
+      }
+    },
+
+    accessGrants: {
+      async create({ ownerId, inviteEmail, inviteTokenHash, inviteExpiresAt, label = null, categories, expiresAt }) {
+        return insert('access_grants', {
+          owner_id: Number(ownerId),
+          grantee_id: null,
+          invite_email: inviteEmail,
+          invite_token_hash: inviteTokenHash,
+          invite_expires_at: inviteExpiresAt,
+          label,
+          categories: [...categories],
+          expires_at: expiresAt,
+          accepted_at: null,
+          revoked_at: null
+        });
+      },
+      async findById(id) {
+        const grant = find('access_grants', g => String(g.id) === String(id));
+        return grant && structuredClone(grant);
+      },
+      async findByTokenHash(tokenHash) {
+        const grant = find('access_grants', g => g.invite_token_hash === tokenHash);
+        return grant && structuredClone(grant);
+      },
+      async listForOwner(ownerId) {
+        return state.tables.access_grants
+          .filter(g => String(g.owner_id) === String(ownerId))
+          .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+          .map(g => {
+            const grantee = g.grantee_id && find('users', u => u.id === g.grantee_id);
+            return { ...structuredClone(g), grantee_name: grantee?.full_name ?? null, grantee_email: grantee?.email ?? null };
+          });
+      },
+      async listActiveForGrantee(granteeId, now) {
+        return state.tables.access_grants
+          .filter(g => String(g.grantee_id) === String(granteeId) && !g.revoked_at && g.expires_at > now)
+          .map(g => {
+            const owner = find('users', u => u.id === g.owner_id);
+            return { ...structuredClone(g), owner_name: owner.full_name, owner_email: owner.email };
+          })
+          .sort((a, b) => (a.owner_name < b.owner_name ? -1 : a.owner_name > b.owner_name ? 1 : a.id - b.id));
+      },
+      async findActive(ownerId, granteeId, now) {
+        const active = state.tables.access_grants.filter(g =>
+          String(g.owner_id) === String(ownerId) && String(g.grantee_id) === String(granteeId) && !g.revoked_at && g.expires_at > now);
+        return active.length > 0 ? structuredClone(active[active.length - 1]) : null;
+      },
+      async accept(id, granteeId, now) {
+        const grant = find('access_grants', g => String(g.id) === String(id) && !g.grantee_id && !g.revoked_at &&
+          g.expires_at > now && g.invite_expires_at > now);
+        if (!grant) return false;
+        Object.assign(grant, { grantee_id: Number(granteeId), accepted_at: new Date(), invite_token_hash: null });
+        return true;
+      },
+      async update(id, { categories, expiresAt }) {
+        const grant = find('access_grants', g => String(g.id) === String(id));
+        Object.assign(grant, { categories: [...categories], expires_at: expiresAt });
+      },
+      async revoke(id) {
+        const grant = find('access_grants', g => String(g.id) === String(id) && !g.revoked_at);
+        if (grant) Object.assign(grant, { revoked_at: new Date(), invite_token_hash: null });
+      }
+    },
+
+    auditLog: {
+      async head() {
+        return { ...state.tables.audit_chain[0] };
+      },
+      async append({ occurredAt, actorUserId, actorDeviceId, subjectUserId, method, route, path, categories, records, status, outcome, ip, prevHash, hash }) {
+        const id = insert('audit_log', {
+          occurred_at: occurredAt,
+          actor_user_id: actorUserId == null ? null : Number(actorUserId),
+          actor_device_id: actorDeviceId == null ? null : Number(actorDeviceId),
+          subject_user_id: subjectUserId == null ? null : Number(subjectUserId),
+          method,
+          route,
+          path,
+          categories: [...categories],
+          records,
+          status,
+          outcome,
+          ip,
+          prev_hash: prevHash,
+          hash
+        });
+        Object.assign(state.tables.audit_chain[0], { last_id: id, last_hash: hash });
+        return id;
+      },
+      async listForSubject(subjectUserId, { before = null, since = null, until = null, excludeActor = null, limit = 50 } = {}) {
+        return state.tables.audit_log
+          .filter(a => String(a.subject_user_id) === String(subjectUserId) &&
+            (before == null || a.id < before) &&
+            (!since || a.occurred_at >= since) &&
+            (!until || a.occurred_at < until) &&
+            (excludeActor == null || String(a.actor_user_id) !== String(excludeActor)))
+          .sort((a, b) => b.id - a.id)
+          .slice(0, limit)
+          .map(a => {
+            const user = a.actor_user_id && find('users', u => u.id === a.actor_user_id);
+            const device = a.actor_device_id && find('devices', d => d.id === a.actor_device_id);
+            return {
+              ...structuredClone(a),
+              actor_name: user?.full_name ?? null,
+              actor_email: user?.email ?? null,
+              actor_device_name: device?.name ?? null
+            };
+          });
+      },
+      async scan(afterId, limit) {
+        return structuredClone(state.tables.audit_log.filter(a => a.id > afterId).slice(0, limit));
+      }
+    },
+
+    dataKeys,
+
+    encryptedRows: {
+      async scan(table, afterId, limit) {
+        if (!encryptedTables[table]) throw new Error(`${table} has no encrypted columns`);
+        return structuredClone(state.tables[table].filter(r => r.id > afterId).slice(0, limit));
+      },
+      async update(table, id, values) {
+        Object.assign(find(table, r => r.id === id), values);
+      }
+    },
+
+    importJobs: {
+      async create({ userId, source, bytesTotal }) {
+        return insert('import_jobs', {
+          user_id: Number(userId),
+          source,
+          status: 'queued',
+          bytes_total: bytesTotal,
+          bytes_processed: 0,
+          counts: {},
+          errors: [],
+          error_message: null,
+          started_at: null,
+          finished_at: null
+        });
+      },
+      async findById(id) {
+        const job = find('import_jobs', j => String(j.id) === String(id));
+        return job && structuredClone(job);
+      },
+      async listForUser(userId, limit = 20) {
+        return state.tables.import_jobs
+          .filter(j => sameUser(j, userId))
+          .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+          .slice(0, limit)
+          .map(j => structuredClone(j));
+      },
+      async update(id, { status, bytesProcessed, counts, errors, errorMessage, startedAt, finishedAt }) {
+        const job = find('import_jobs', j => String(j.id) === String(id));
+        const values = {
+          status,
+          bytes_processed: bytesProcessed,
+          counts: counts && structuredClone(counts),
+          errors: errors && structuredClone(errors),
+          error_message: errorMessage,
+          started_at: startedAt,
+          finished_at: finishedAt
+        };
+        for (const [column, value] of Object.entries(values)) {
+          if (job && value !== undefined) job[column] = value;
+        }
+      },
+      async failUnfinished(errorMessage) {
+        for (const job of state.tables.import_jobs) {
+          if (job.status === 'queued' || job.status === 'running') {
+            Object.assign(job, { status: 'failed', error_message: errorMessage, finished_at: new Date() });
+          }
+        }
+      }
+    },
+
+    dataExports: {
+      async create({ userId }) {
+        return insert('data_exports', {
+          user_id: Number(userId),
+          status: 'queued',
+          file_path: null,
+          bytes: null,
+          error_message: null,
+          started_at: null,
+          finished_at: null,
+          expires_at: null
+        });
+      },
+      async findById(id) {
+        const job = find('data_exports', j => String(j.id) === String(id));
+        return job && structuredClone(job);
+      },
+      async listForUser(userId, limit = 20) {
+        return state.tables.data_exports
+          .filter(j => sameUser(j, userId))
+          .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+          .slice(0, limit)
+          .map(j => structuredClone(j));
+      },
+      async update(id, { status, filePath, bytes, errorMessage, startedAt, finishedAt, expiresAt }) {
+        const job = find('data_exports', j => String(j.id) === String(id));
+        const values = {
+          status,
+          file_path: filePath,
+          bytes,
+          error_message: errorMessage,
+          started_at: startedAt,
+          finished_at: finishedAt,
+          expires_at: expiresAt
+        };
+        for (const [column, value] of Object.entries(values)) {
+          if (job && value !== undefined) job[column] = value;
+        }
+      },
+      async listExpired(now) {
+        return structuredClone(state.tables.data_exports.filter(j => j.status === 'ready' && j.expires_at <= now));
+      },
+      async failUnfinished(errorMessage) {
+        for (const job of state.tables.data_exports) {
+          if (job.status === 'queued' || job.status === 'running') {
+            Object.assign(job, { status: 'failed', error_message: errorMessage, finished_at: new Date() });
+          }
+        }
+      }
+    },
+
+    sessions: {
+      async create({ userId, tokenHash, expiresAt }) {
+        return insert('refresh_tokens', { user_id: Number(userId), token_hash: tokenHash, expires_at: expiresAt, revoked_at: null });
+      },
+      async findById(id) {
+        return find('refresh_tokens', s => String(s.id) === String(id));
+      },
+      async findByTokenHash(tokenHash) {
+        return find('refresh_tokens', s => s.token_hash === tokenHash);
+      },
+      async revoke(id) {
+        const session = find('refresh_tokens', s => String(s.id) === String(id) && !s.revoked_at);
+        if (!session) return false;
+        session.revoked_at = new Date();
+        return true;
+      },
+      async revokeAllForUser(userId) {
+        for (const session of state.tables.refresh_tokens) {
+          if (sameUser(session, userId) && !session.revoked_at) session.revoked_at = new Date();
+        }
+      }
+    },
+
+    samples: {
+      async insert(metric, userId, deviceName, data, sampleId) {
+        const { table } = metricTables[metric];
+        return insert(table, await cipher.encryptRow(table, toRow(metric, Number(userId), deviceName, data, sampleId)));
+      },
+      async hasSampleId(metric, userId, sampleId) {
+        return Boolean(find(metricTables[metric].table, r => sameUser(r, userId) && r.sample_id === sampleId));
+      },
+      async list(metric, userId, { since = null, until = null, limit = null, order = 'desc', after = null } = {}) {
+        const isAfter = r => r.recorded_at > after.recordedAt || (r.recorded_at.getTime() === after.recordedAt.getTime() && r.id > after.id);
+        const rows = state.tables[metricTables[metric].table]
+          .filter(r => sameUser(r, userId) && (!since || r.recorded_at >= since) && (!until || r.recorded_at < until))
+          .filter(r => !after || isAfter(r))
+          .sort(order === 'asc' ? (a, b) => byRecordedAtDesc(b, a) : byRecordedAtDesc);
+        return cipher.decryptRows(metricTables[metric].table, limit ? rows.slice(0, limit) : rows);
+      }
+    },
+
+    rawData: {
+      async insert(userId, deviceName, endpoint, data, { dayLabel = null, sampleId = null, recordedAt, deviceId = null }) {
+        if (sampleId && find('device_data', r => sameUser(r, userId) && r.sample_id === sampleId)) return false;
+        insert('device_data', await cipher.encryptRow('device_data', {
+          user_id: Number(userId),
+          device_name: deviceName,
+          device_id: deviceId && Number(deviceId),
+          endpoint,
+          data: structuredClone(data),
+          day_label: dayLabel,
+          sample_id: sampleId,
+          recorded_at: recordedAt
+        }));
+        return true;
+      },
+      async list(userId, { deviceName = null, deviceId = null, endpoint, before = null, limit = null }) {
+        const sameDevice = r => (deviceId ? String(r.device_id) === String(deviceId) : r.device_name === deviceName);
+        const isBefore = r => r.recorded_at < before.recordedAt || (r.recorded_at.getTime() === before.recordedAt.getTime() && r.id < before.id);
+        const rows = state.tables.device_data
+          .filter(r => sameUser(r, userId) && sameDevice(r) && r.endpoint === endpoint)
+          .filter(r => !before || isBefore(r))
+          .sort(byRecordedAtDesc);
+        return cipher.decryptRows('device_data', limit ? rows.slice(0, limit) : rows);
+      },
+      async listForUser(userId, { afterId = 0, limit }) {
+        const rows = state.tables.device_data.filter(r => sameUser(r, userId) && r.id > afterId).slice(0, limit);
+        return cipher.decryptRows('device_data', rows);
+      }
+    },
+
+    quarantine: {
+      async insert(userId, deviceName, endpoint, data, errors, sampleId = null) {
+        if (sampleId && find('quarantined_data', r => sameUser(r, userId) && r.sample_id === sampleId)) return false;
+        const row = await cipher.encryptRow('quarantined_data', { user_id: Number(userId), device_name: deviceName, endpoint, data, sample_id: sampleId });
+        insert('quarantined_data', { ...row, errors });
+        return true;
+      },
+      async listForUser(userId) {
+        return cipher.decryptRows('quarantined_data', state.tables.quarantined_data.filter(r => sameUser(r, userId)));
+      }
+    }
+  };
+}
+
+function createMemoryStore() {
+  const state = emptyState();
+  let queue = Promise.resolve();
+
+  return {
+    ...repositories(state),
+
+    transaction(fn) {
+      const run = queue.then(async () => {
+        const snapshot = structuredClone(state);
+        try {
+          return await fn(repositories(state));
+        } catch (err) {
+          Object.assign(state, snapshot);
+          throw err;
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    // Drops every row; handy between integration tests. Ids keep counting,
+    // as MySQL's do, so a new data key never takes the id of one cached by
+    // encryption.js.
+    reset() {
+      Object.assign(state, emptyState(), { nextId: state.nextId });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,74 @@
+// Mapping from the camelCase ingestion payloads to the per-metric tables.
+// Shared by every storage driver so rows look the same whichever one is used.
+// Metrics marked `encrypted` are stored encrypted (see encryption.js).
+// `details` are stored like columns but describe a session rather than
+// measure it, so daily rollups, queries and FHIR leave them out.
+
+const metricTables = {
+  heart: {
+    table: 'heart_data',
+    columns: { currentHeartRate: 'current_heart_rate', restingHeartRate: 'resting_heart_rate', hrv: 'hrv' }
+  },
+  sleep: {
+    table: 'sleep_data',
+    columns: {
+      totalSleep: 'total_sleep',
+      deepSleep: 'deep_sleep',
+      remSleep: 'rem_sleep',
+      lightSleep: 'light_sleep',
+      awakeTime: 'awake_time',
+      sleepHours: 'sleep_hours',
+      sleepLatency: 'sleep_latency'
+    },
+    details: { stages: 'stages', isNap: 'is_nap' },
+    json: ['stages'],
+    session: true
+  },
+  activity: {
+    table: 'activity_data',
+    columns: { steps: 'steps', calories: 'calories', distance: 'distance', exerciseMinutes: 'exercise_minutes' },
+    session: true
+  },
+  body: {
+    table: 'body_data',
+    columns: { weight: 'weight', bmi: 'bmi', bodyFat: 'body_fat', leanMass: 'lean_mass', vo2Max: 'vo2_max' }
+  },
+  vitals: {
+    table: 'vitals_data',
+    columns: {
+      bloodPressureSystolic: 'bp_systolic',
+      bloodPressureDiastolic: 'bp_diastolic',
+      spo2: 'spo2',
+      temperature: 'temperature'
+    }
+  },
+  health: {
+    table: 'health_data',
+    columns: { condition: 'condition', allergies: 'allergies', medications: 'medications' },
+    encrypted: true
+  },
+  health_history: {
+    table: 'health_history_data',
+    columns: { pastConditions: 'past_conditions', surgeries: 'surgeries', familyHistory: 'family_history', history: 'history' },
+    json: ['history'],
+    encrypted: true
+  }
+};
+
+// Builds the column values for one sample. Missing readings are stored as
+// NULL, never 0, so they cannot be mistaken for a measurement. Columns listed
+// in `json` are left as values; drivers serialize them as they need.
+function toRow(metric, userId, deviceName, data, sampleId) {
+  const { columns, details = {}, session } = metricTables[metric];
+  const row = { user_id: userId, device_name: deviceName, sample_id: sampleId, recorded_at: data.recordedAt };
+  if (session) {
+    row.start_at = data.startAt || null;
+    row.end_at = data.endAt || null;
+  }
+  for (const [field, column] of Object.entries({ ...columns, ...details })) {
+    row[column] = data[field] ?? null;
+  }
+  return row;
+}
+
+module.exports = { metricTables, toRow };
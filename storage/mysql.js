@@ -0,0 +1,820 @@
+// MySQL storage driver. Table layout is defined by ../migrations.
+const { metricTables, toRow } = require('./metrics');
+const { encryptedTables, createFieldCipher } = require('./encryption');
+
+// Repositories bound to `db`, either the pool or a transaction's connection.
+function repositories(db) {
+  async function insert(table, row) {
+    const columns = Object.keys(row);
+    const [result] = await db.execute(
+      `INSERT INTO ${table} (${columns.map(c => `\`${c}\``).join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+    return result.insertId;
+  }
+
+  const dataKeys = {
+    async create({ userId, wrappedKey, masterKeyId }) {
+      return insert('user_data_keys', { user_id: userId, wrapped_key: wrappedKey, master_key_id: masterKeyId });
+    },
+    async findById(id) {
+      const [rows] = await db.execute('SELECT * FROM user_data_keys WHERE id = ?', [id]);
+      return rows[0] || null;
+    },
+    // The key new values are encrypted with.
+    async findActive(userId) {
+      const [rows] = await db.execute(
+        'SELECT * FROM user_data_keys WHERE user_id = ? AND retired_at IS NULL ORDER BY id DESC LIMIT 1',
+        [userId]
+      );
+      return rows[0] || null;
+    },
+    async listAll() {
+      const [rows] = await db.execute('SELECT * FROM user_data_keys ORDER BY id');
+      return rows;
+    },
+    async rewrap(id, { wrappedKey, masterKeyId }) {
+      await db.execute('UPDATE user_data_keys SET wrapped_key = ?, master_key_id = ? WHERE id = ?', [wrappedKey, masterKeyId, id]);
+    },
+    async retire(id) {
+      await db.execute('UPDATE user_data_keys SET retired_at = NOW() WHERE id = ? AND retired_at IS NULL', [id]);
+    }
+  };
+  const cipher = createFieldCipher(dataKeys);
+
+  return {
+    users: {
+      async create({ fullName, email, passwordHash, timeZone = 'UTC' }) {
+        return insert('users', { full_name: fullName, email, password_hash: passwordHash, time_zone: timeZone });
+      },
+      async findByEmail(email) {
+        const [rows] = await db.execute('SELECT * FROM users WHERE email = ?', [email]);
+        return rows[0] || null;
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      // Marks the email confirmed; false if it already was.
+      async confirmEmail(id) {
+        const [result] = await db.execute('UPDATE users SET email_confirmed_at = NOW() WHERE id = ? AND email_confirmed_at IS NULL', [id]);
+        return result.affectedRows === 1;
+      },
+      async updatePassword(id, passwordHash) {
+        await db.execute('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
+      },
+      async updateEmail(id, email) {
+        await db.execute('UPDATE users SET email = ? WHERE id = ?', [email, id]);
+      },
+      // Erases the user: samples and raw payloads explicitly, every other
+      // table through ON DELETE CASCADE. The audit log keeps its entries.
+      async remove(id) {
+        for (const { table } of Object.values(metricTables)) await db.execute(`DELETE FROM ${table} WHERE user_id = ?`, [id]);
+        await db.execute('DELETE FROM device_data WHERE user_id = ?', [id]);
+        await db.execute('DELETE FROM quarantined_data WHERE user_id = ?', [id]);
+        await db.execute('DELETE FROM users WHERE id = ?', [id]);
+      }
+    },
+
+    accountTokens: {
+      async create({ userId, purpose, tokenHash, newEmail = null, expiresAt }) {
+        return insert('account_tokens', { user_id: userId, purpose, token_hash: tokenHash, new_email: newEmail, expires_at: expiresAt });
+      },
+      async findByTokenHash(tokenHash) {
+        const [rows] = await db.execute('SELECT * FROM account_tokens WHERE token_hash = ?', [tokenHash]);
+        return rows[0] || null;
+      },
+      // Marks the token used; false if it already was.
+      async consume(id) {
+        const [result] = await db.execute('UPDATE account_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [id]);
+        return result.affectedRows === 1;
+      },
+      // Uses up every outstanding token of the user for `purpose`.
+      async revokeForUser(userId, purpose) {
+        await db.execute(
+          'UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+          [userId, purpose]
+        );
+      }
+    },
+
+    // Profile rows are merged with the user's time zone; a user who never
+    // saved a profile still gets a row with null details.
+    profiles: {
+      async get(userId) {
+        const [rows] = await db.execute(
+          `SELECT u.id AS user_id, u.time_zone, DATE_FORMAT(p.birth_date, '%Y-%m-%d') AS birth_date,
+                  p.sex, p.height_cm, COALESCE(p.unit_system, 'metric') AS unit_system, p.max_heart_rate
+           FROM users u LEFT JOIN user_profiles p ON p.user_id = u.id
+           WHERE u.id = ?`,
+          [userId]
+        );
+        return rows[0] || null;
+      },
+      async save(userId, { birthDate, sex, heightCm, unitSystem, maxHeartRate, timeZone }) {
+        await db.execute(
+          `INSERT INTO user_profiles (user_id, birth_date, sex, height_cm, unit_system, max_heart_rate)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE birth_date = VALUES(birth_date), sex = VALUES(sex), height_cm = VALUES(height_cm),
+             unit_system = VALUES(unit_system), max_heart_rate = VALUES(max_heart_rate)`,
+          [userId, birthDate, sex, heightCm, unitSystem, maxHeartRate]
+        );
+        await db.execute('UPDATE users SET time_zone = ? WHERE id = ?', [timeZone, userId]);
+      },
+      async remove(userId) {
+        await db.execute('DELETE FROM user_profiles WHERE user_id = ?', [userId]);
+        await db.execute("UPDATE users SET time_zone = 'UTC' WHERE id = ?", [userId]);
+      }
+    },
+
+    goals: {
+      async create({ userId, metric, target, effectiveFrom }) {
+        return insert('goals', { user_id: userId, metric, target, effective_from: effectiveFrom });
+      },
+      // Oldest first, per metric in the order they take effect.
+      async list(userId) {
+        const [rows] = await db.execute(
+          `SELECT id, user_id, metric, target, DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from, created_at
+           FROM goals WHERE user_id = ? ORDER BY effective_from, id`,
+          [userId]
+        );
+        return rows;
+      },
+      // Returns false when no such goal belongs to the user.
+      async remove(userId, id) {
+        const [result] = await db.execute('DELETE FROM goals WHERE id = ? AND user_id = ?', [id, userId]);
+        return result.affectedRows > 0;
+      }
+    },
+
+    devices: {
+      async create({ userId, name, type, model = null, firmware = null, hardwareId = null }) {
+        return insert('devices', { user_id: userId, name, type, model, firmware, hardware_id: hardwareId });
+      },
+      async list(userId) {
+        const [rows] = await db.execute('SELECT * FROM devices WHERE user_id = ? ORDER BY created_at, id', [userId]);
+        return rows;
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM devices WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      async update(id, { name, type, model, firmware }) {
+        await db.execute(
+          'UPDATE devices SET name = ?, type = ?, model = ?, firmware = ? WHERE id = ?',
+          [name, type, model, firmware, id]
+        );
+      },
+      // Returns false when no such device belongs to the user.
+      async remove(userId, id) {
+        const [result] = await db.execute('DELETE FROM devices WHERE id = ? AND user_id = ?', [id, userId]);
+        return result.affectedRows > 0;
+      },
+      // Notes an accepted sample for the device's sync status.
+      async recordSample(deviceId, metric, recordedAt) {
+        await db.execute('UPDATE devices SET last_sync_at = NOW(3) WHERE id = ?', [deviceId]);
+        await db.execute(
+          `INSERT INTO device_metric_status (device_id, metric, last_recorded_at, last_received_at, sample_count)
+           VALUES (?, ?, ?, NOW(3), 1)
+           ON DUPLICATE KEY UPDATE last_recorded_at = GREATEST(last_recorded_at, VALUES(last_recorded_at)),
+             last_received_at = VALUES(last_received_at), sample_count = sample_count + 1`,
+          [deviceId, metric, recordedAt]
+        );
+      },
+      async metricStatus(deviceId) {
+        const [rows] = await db.execute('SELECT * FROM device_metric_status WHERE device_id = ? ORDER BY metric', [deviceId]);
+        return rows;
+      }
+    },
+
+    deviceKeys: {
+      async create({ deviceId, keyHash, keyPrefix }) {
+        return insert('device_keys', { device_id: deviceId, key_hash: keyHash, key_prefix: keyPrefix });
+      },
+      // The key joined with its device (device columns plus key_id and key_revoked_at).
+      async findByHash(keyHash) {
+        const [rows] = await db.execute(
+          `SELECT d.*, k.id AS key_id, k.revoked_at AS key_revoked_at
+           FROM device_keys k JOIN devices d ON d.id = k.device_id
+           WHERE k.key_hash = ?`,
+          [keyHash]
+        );
+        return rows[0] || null;
+      },
+      async list(deviceId) {
+        const [rows] = await db.execute(
+          'SELECT id, device_id, key_prefix, revoked_at, created_at FROM device_keys WHERE device_id = ? ORDER BY id',
+          [deviceId]
+        );
+        return rows;
+      },
+      // Returns false when the device has no such active key.
+      async revoke(deviceId, id) {
+        const [result] = await db.execute(
+          'UPDATE device_keys SET revoked_at = NOW() WHERE id = ? AND device_id = ? AND revoked_at IS NULL',
+          [id, deviceId]
+        );
+        return result.affectedRows > 0;
+      }
+    },
+
+    sourceRules: {
+      async list(userId) {
+        const [rows] = await db.execute('SELECT * FROM source_rules WHERE user_id = ?', [userId]);
+        return rows;
+      },
+      async save(userId, metric, { strategy, sources }) {
+        await db.execute(
+          `INSERT INTO source_rules (user_id, metric, strategy, sources) VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE strategy = VALUES(strategy), sources = VALUES(sources)`,
+          [userId, metric, strategy, JSON.stringify(sources)]
+        );
+      },
+      // Returns false when the user had no rule for the metric.
+      async remove(userId, metric) {
+        const [result] = await db.execute('DELETE FROM source_rules WHERE user_id = ? AND metric = ?', [userId, metric]);
+        return result.affectedRows > 0;
+      }
+    },
+
+    alertRules: {
+      async list(userId) {
+        const [rows] = await db.execute('SELECT * FROM alert_rules WHERE user_id = ?', [userId]);
+        return rows;
+      },
+      async save(userId, ruleKey, { enabled = null, threshold = null, minutes = null, severity = null }) {
+        await db.execute(
+          `INSERT INTO alert_rules (user_id, rule_key, enabled, threshold, minutes, severity) VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), threshold = VALUES(threshold), minutes = VALUES(minutes),
+             severity = VALUES(severity)`,
+          [userId, ruleKey, enabled, threshold, minutes, severity]
+        );
+      },
+      // Returns false when the user had no override for the rule.
+      async remove(userId, ruleKey) {
+        const [result] = await db.execute('DELETE FROM alert_rules WHERE user_id = ? AND rule_key = ?', [userId, ruleKey]);
+        return result.affectedRows > 0;
+      }
+    },
+
+    alerts: {
+      async create({ userId, ruleKey, severity, metric, field, value, message, triggeredAt }) {
+        return insert('alerts', {
+          user_id: userId,
+          rule_key: ruleKey,
+          severity,
+          metric,
+          field,
+          value,
+          message,
+          first_triggered_at: triggeredAt,
+          last_triggered_at: triggeredAt
+        });
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM alerts WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      // The user's open or acknowledged alert for the rule, if any.
+      async findActive(userId, ruleKey) {
+        const [rows] = await db.execute(
+          "SELECT * FROM alerts WHERE user_id = ? AND rule_key = ? AND status <> 'resolved' ORDER BY id DESC LIMIT 1",
+          [userId, ruleKey]
+        );
+        return rows[0] || null;
+      },
+      // Newest first.
+      async listForUser(userId, { statuses, limit = 50 }) {
+        const [rows] = await db.execute(
+          `SELECT * FROM alerts WHERE user_id = ? AND status IN (${statuses.map(() => '?').join(', ')})
+           ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+          [userId, ...statuses]
+        );
+        return rows;
+      },
+      // A repeat of the alert's condition.
+      async recordOccurrence(id, { value, message, triggeredAt }) {
+        await db.execute(
+          `UPDATE alerts SET occurrences = occurrences + 1, value = ?, message = ?,
+             last_triggered_at = GREATEST(last_triggered_at, ?) WHERE id = ?`,
+          [value, message, triggeredAt, id]
+        );
+      },
+      // Returns false when the alert was already resolved.
+      async acknowledge(id) {
+        const [result] = await db.execute(
+          "UPDATE alerts SET status = 'acknowledged', acknowledged_at = NOW() WHERE id = ? AND status = 'open'",
+          [id]
+        );
+        return result.affectedRows > 0;
+      },
+      async resolve(id, resolution) {
+        const [result] = await db.execute(
+          "UPDATE alerts SET status = 'resolved', resolved_at = NOW(), resolution = ? WHERE id = ? AND status <> 'resolved'",
+          [resolution, id]
+        );
+        return result.affectedRows > 0;
+      }
+    },
+
+    webhooks: {
+      async create({ userId, url, events, description = null, secret }) {
+        return insert('webhooks', { user_id: userId, url, events: JSON.stringify(events), description, secret });
+      },
+      async listForUser(userId) {
+        const [rows] = await db.execute('SELECT * FROM webhooks WHERE user_id = ? ORDER BY id', [userId]);
+        return rows;
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM webhooks WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      async update(id, { url, events, description, active }) {
+        await db.execute(
+          'UPDATE webhooks SET url = ?, events = ?, description = ?, active = ? WHERE id = ?',
+          [url, JSON.stringify(events), description, active, id]
+        );
+      },
+      async setSecret(id, secret) {
+        await db.execute('UPDATE webhooks SET secret = ? WHERE id = ?', [secret, id]);
+      },
+      // Returns false when no such webhook belongs to the user.
+      async remove(userId, id) {
+        const [result] = await db.execute('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [id, userId]);
+        return result.affectedRows > 0;
+      }
+    },
+
+    webhookDeliveries: {
+      async create({ webhookId, eventId, eventType, payload }) {
+        return insert('webhook_deliveries', {
+          webhook_id: webhookId,
+          event_id: eventId,
+          event_type: eventType,
+          payload: JSON.stringify(payload),
+          next_attempt_at: new Date()
+        });
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      // Newest first, optionally only those with one status.
+      async listForWebhook(webhookId, { status = null, limit = 50 }) {
+        const [rows] = await db.execute(
+          `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+           ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+          status ? [webhookId, status] : [webhookId]
+        );
+        return rows;
+      },
+      // Pending deliveries whose next attempt is due, oldest first.
+      async listDue(now, limit) {
+        const [rows] = await db.execute(
+          `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+           ORDER BY next_attempt_at, id LIMIT ${parseInt(limit)}`,
+          [now]
+        );
+        return rows;
+      },
+      // Takes a due delivery for one dispatcher by moving its next attempt
+      // to `until`; false if it is no longer due, e.g. another one took it.
+      async claim(id, now, until) {
+        const [result] = await db.execute(
+          "UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?",
+          [until, id, now]
+        );
+        return result.affectedRows === 1;
+      },
+      async update(id, { status, attempts, nextAttemptAt, lastAttemptAt, lastStatusCode, lastError, deliveredAt }) {
+        const values = {
+          status,
+          attempts,
+          next_attempt_at: nextAttemptAt,
+          last_attempt_at: lastAttemptAt,
+          last_status_code: lastStatusCode,
+          last_error: lastError,
+          delivered_at: deliveredAt
+        };
+        const columns = Object.keys(values).filter(c => values[c] !== undefined);
+        if (columns.length === 0) return;
+        await db.execute(
+          `UPDATE webhook_deliveries SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(c => values[c]), id]
+        );
+      }
+    },
+
+    goalAchievements: {
+      // Returns false when the achievement was already recorded.
+      async record(userId, metric, day) {
+        const [result] = await db.execute(
+          'INSERT IGNORE INTO goal_achievements (user_id, metric, day) VALUES (?, ?, ?)',
+          [userId, metric, day]
+        );
+        return result.affectedRows > 0;
+      }
+    },
+
+    accessGrants: {
+      async create({ ownerId, inviteEmail, inviteTokenHash, inviteExpiresAt, label = null, categories, expiresAt }) {
+        return insert('access_grants', {
+          owner_id: ownerId,
+          invite_email: inviteEmail,
+          invite_token_hash: inviteTokenHash,
+          invite_expires_at: inviteExpiresAt,
+          label,
+          categories: JSON.stringify(categories),
+          expires_at: expiresAt
+        });
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM access_grants WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      async findByTokenHash(tokenHash) {
+        const [rows] = await db.execute('SELECT * FROM access_grants WHERE invite_token_hash = ?', [tokenHash]);
+        return rows[0] || null;
+      },
+      // Newest first, with the grantee's name and email once accepted.
+      async listForOwner(ownerId) {
+        const [rows] = await db.execute(
+          `SELECT g.*, u.full_name AS grantee_name, u.email AS grantee_email
+           FROM access_grants g LEFT JOIN users u ON u.id = g.grantee_id
+           WHERE g.owner_id = ? ORDER BY g.created_at DESC, g.id DESC`,
+          [ownerId]
+        );
+        return rows;
+      },
+      // Accepted grants not revoked or expired at `now`, with the owner's name and email.
+      async listActiveForGrantee(granteeId, now) {
+        const [rows] = await db.execute(
+          `SELECT g.*, u.full_name AS owner_name, u.email AS owner_email
+           FROM access_grants g JOIN users u ON u.id = g.owner_id
+           WHERE g.grantee_id = ? AND g.revoked_at IS NULL AND g.expires_at > ?
+           ORDER BY u.full_name, g.id`,
+          [granteeId, now]
+        );
+        return rows;
+      },
+      // The grant letting `granteeId` read `ownerId`'s data at `now`, if any.
+      async findActive(ownerId, granteeId, now) {
+        const [rows] = await db.execute(
+          `SELECT * FROM access_grants
+           WHERE owner_id = ? AND grantee_id = ? AND revoked_at IS NULL AND expires_at > ?
+           ORDER BY id DESC LIMIT 1`,
+          [ownerId, granteeId, now]
+        );
+        return rows[0] || null;
+      },
+      // Redeems the invitation if it is still pending at `now`; the token
+      // cannot be used again. False if it was not pending any more.
+      async accept(id, granteeId, now) {
+        const [result] = await db.execute(
+          `UPDATE access_grants SET grantee_id = ?, accepted_at = NOW(), invite_token_hash = NULL
+           WHERE id = ? AND grantee_id IS NULL AND revoked_at IS NULL AND expires_at > ? AND invite_expires_at > ?`,
+          [granteeId, id, now, now]
+        );
+        return result.affectedRows === 1;
+      },
+      async update(id, { categories, expiresAt }) {
+        await db.execute(
+          'UPDATE access_grants SET categories = ?, expires_at = ? WHERE id = ?',
+          [JSON.stringify(categories), expiresAt, id]
+        );
+      },
+      async revoke(id) {
+        await db.execute(
+          'UPDATE access_grants SET revoked_at = NOW(), invite_token_hash = NULL WHERE id = ? AND revoked_at IS NULL',
+          [id]
+        );
+      }
+    },
+
+    // Append-only: entries are never changed or removed.
+    auditLog: {
+      // The newest entry's id and hash; `lock` holds the chain until the
+      // transaction ends.
+      async head({ lock = false } = {}) {
+        const [rows] = await db.execute(`SELECT last_id, last_hash FROM audit_chain WHERE id = 1${lock ? ' FOR UPDATE' : ''}`);
+        return rows[0];
+      },
+      async append({ occurredAt, actorUserId, actorDeviceId, subjectUserId, method, route, path, categories, records, status, outcome, ip, prevHash, hash }) {
+        const id = await insert('audit_log', {
+          occurred_at: occurredAt,
+          actor_user_id: actorUserId,
+          actor_device_id: actorDeviceId,
+          subject_user_id: subjectUserId,
+          method,
+          route,
+          path,
+          categories: JSON.stringify(categories),
+          records,
+          status,
+          outcome,
+          ip,
+          prev_hash: prevHash,
+          hash
+        });
+        await db.execute('UPDATE audit_chain SET last_id = ?, last_hash = ? WHERE id = 1', [id, hash]);
+        return id;
+      },
+      // Newest first, with the acting user's name and email and the device's name.
+      async listForSubject(subjectUserId, { before = null, since = null, until = null, excludeActor = null, limit = 50 } = {}) {
+        let sql = `SELECT a.*, u.full_name AS actor_name, u.email AS actor_email, d.name AS actor_device_name
+                   FROM audit_log a
+                   LEFT JOIN users u ON u.id = a.actor_user_id
+                   LEFT JOIN devices d ON d.id = a.actor_device_id
+                   WHERE a.subject_user_id = ?`;
+        const params = [subjectUserId];
+        if (before != null) {
+          sql += ' AND a.id < ?';
+          params.push(before);
+        }
+        if (since) {
+          sql += ' AND a.occurred_at >= ?';
+          params.push(since);
+        }
+        if (until) {
+          sql += ' AND a.occurred_at < ?';
+          params.push(until);
+        }
+        if (excludeActor != null) {
+          sql += ' AND NOT (a.actor_user_id <=> ?)';
+          params.push(excludeActor);
+        }
+        sql += ` ORDER BY a.id DESC LIMIT ${parseInt(limit)}`;
+        const [rows] = await db.execute(sql, params);
+        return rows;
+      },
+      // Oldest first, for walking the chain.
+      async scan(afterId, limit) {
+        const [rows] = await db.execute(`SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ${parseInt(limit)}`, [afterId]);
+        return rows;
+      }
+    },
+
+    dataKeys,
+
+    // Stored rows of the tables in encryption.js, as they are on disk, for
+    // re-encrypting them.
+    encryptedRows: {
+      async scan(table, afterId, limit) {
+        if (!encryptedTables[table]) throw new Error(`${table} has no encrypted columns`);
+        const [rows] = await db.execute(`SELECT * FROM ${table} WHERE id > ? ORDER BY id LIMIT ${parseInt(limit)}`, [afterId]);
+        return rows;
+      },
+      async update(table, id, values) {
+        const { json } = encryptedTables[table];
+        const columns = Object.keys(values);
+        await db.execute(
+          `UPDATE ${table} SET ${columns.map(c => `\`${c}\` = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(c => (json.includes(c) ? JSON.stringify(values[c]) : values[c])), id]
+        );
+      }
+    },
+
+    importJobs: {
+      async create({ userId, source, bytesTotal }) {
+        return insert('import_jobs', { user_id: userId, source, bytes_total: bytesTotal, counts: JSON.stringify({}), errors: JSON.stringify([]) });
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM import_jobs WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      // Newest first.
+      async listForUser(userId, limit = 20) {
+        const [rows] = await db.execute(
+          `SELECT * FROM import_jobs WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+          [userId]
+        );
+        return rows;
+      },
+      async update(id, { status, bytesProcessed, counts, errors, errorMessage, startedAt, finishedAt }) {
+        const values = {
+          status,
+          bytes_processed: bytesProcessed,
+          counts: counts && JSON.stringify(counts),
+          errors: errors && JSON.stringify(errors),
+          error_message: errorMessage,
+          started_at: startedAt,
+          finished_at: finishedAt
+        };
+        const columns = Object.keys(values).filter(c => values[c] !== undefined);
+        if (columns.length === 0) return;
+        await db.execute(
+          `UPDATE import_jobs SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(c => values[c]), id]
+        );
+      },
+      // Marks jobs a previous process left behind as failed.
+      async failUnfinished(errorMessage) {
+        await db.execute(
+          "UPDATE import_jobs SET status = 'failed', error_message = ?, finished_at = NOW() WHERE status IN ('queued', 'running')",
+          [errorMessage]
+        );
+      }
+    },
+
+    dataExports: {
+      async create({ userId }) {
+        return insert('data_exports', { user_id: userId });
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM data_exports WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      // Newest first.
+      async listForUser(userId, limit = 20) {
+        const [rows] = await db.execute(
+          `SELECT * FROM data_exports WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+          [userId]
+        );
+        return rows;
+      },
+      async update(id, { status, filePath, bytes, errorMessage, startedAt, finishedAt, expiresAt }) {
+        const values = {
+          status,
+          file_path: filePath,
+          bytes,
+          error_message: errorMessage,
+          started_at: startedAt,
+          finished_at: finishedAt,
+          expires_at: expiresAt
+        };
+        const columns = Object.keys(values).filter(c => values[c] !== undefined);
+        if (columns.length === 0) return;
+        await db.execute(
+          `UPDATE data_exports SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(c => values[c]), id]
+        );
+      },
+      // Ready exports whose download window closed by `now`.
+      async listExpired(now) {
+        const [rows] = await db.execute("SELECT * FROM data_exports WHERE status = 'ready' AND expires_at <= ?", [now]);
+        return rows;
+      },
+      // Marks exports a previous process left behind as failed.
+      async failUnfinished(errorMessage) {
+        await db.execute(
+          "UPDATE data_exports SET status = 'failed', error_message = ?, finished_at = NOW() WHERE status IN ('queued', 'running')",
+          [errorMessage]
+        );
+      }
+    },
+
+    sessions: {
+      async create({ userId, tokenHash, expiresAt }) {
+        return insert('refresh_tokens', { user_id: userId, token_hash: tokenHash, expires_at: expiresAt });
+      },
+      async findById(id) {
+        const [rows] = await db.execute('SELECT * FROM refresh_tokens WHERE id = ?', [id]);
+        return rows[0] || null;
+      },
+      async findByTokenHash(tokenHash) {
+        const [rows] = await db.execute('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+        return rows[0] || null;
+      },
+      // False when the session was already revoked.
+      async revoke(id) {
+        const [result] = await db.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+        return result.affectedRows === 1;
+      },
+      async revokeAllForUser(userId) {
+        await db.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+      }
+    },
+
+    samples: {
+      async insert(metric, userId, deviceName, data, sampleId) {
+        const { table, json = [] } = metricTables[metric];
+        const row = await cipher.encryptRow(table, toRow(metric, userId, deviceName, data, sampleId));
+        for (const column of json) row[column] = JSON.stringify(row[column]);
+        return insert(table, row);
+      },
+      async hasSampleId(metric, userId, sampleId) {
+        const [rows] = await db.execute(
+          `SELECT 1 FROM ${metricTables[metric].table} WHERE user_id=? AND sample_id=? LIMIT 1`,
+          [userId, sampleId]
+        );
+        return rows.length > 0;
+      },
+      // Newest first, or oldest first with order 'asc'. `since` (inclusive)
+      // and `until` (exclusive) bound recorded_at, `limit` caps rows. `after`
+      // ({ recordedAt, id } of the last row seen) continues an ascending scan.
+      async list(metric, userId, { since = null, until = null, limit = null, order = 'desc', after = null } = {}) {
+        const params = [userId];
+        let sql = `SELECT * FROM ${metricTables[metric].table} WHERE user_id=?`;
+        if (since) {
+          sql += ' AND recorded_at >= ?';
+          params.push(since);
+        }
+        if (until) {
+          sql += ' AND recorded_at < ?';
+          params.push(until);
+        }
+        if (after) {
+          sql += ' AND (recorded_at > ? OR (recorded_at = ? AND id > ?))';
+          params.push(after.recordedAt, after.recordedAt, after.id);
+        }
+        sql += order === 'asc' ? ' ORDER BY recorded_at, id' : ' ORDER BY recorded_at DESC';
+        if (limit) sql += ` LIMIT ${parseInt(limit)}`;
+        const [rows] = await db.execute(sql, params);
+        return cipher.decryptRows(metricTables[metric].table, rows);
+      }
+    },
+
+    rawData: {
+      // Returns false when `sampleId` was already stored for this user.
+      async insert(userId, deviceName, endpoint, data, { dayLabel = null, sampleId = null, recordedAt, deviceId = null }) {
+        try {
+          const row = await cipher.encryptRow('device_data', {
+            user_id: userId,
+            device_name: deviceName,
+            device_id: deviceId,
+            endpoint,
+            data,
+            day_label: dayLabel,
+            sample_id: sampleId,
+            recorded_at: recordedAt
+          });
+          await insert('device_data', { ...row, data: JSON.stringify(row.data) });
+          return true;
+        } catch (err) {
+          if (err.code === 'ER_DUP_ENTRY') return false;
+          throw err;
+        }
+      },
+      // Newest first, for one device given by name or registered id.
+      // `before` ({ recordedAt, id } of the last row seen) continues the scan.
+      async list(userId, { deviceName = null, deviceId = null, endpoint, before = null, limit = null }) {
+        const params = [userId, endpoint, deviceId || deviceName];
+        let sql = `SELECT * FROM device_data WHERE user_id=? AND endpoint=? AND ${deviceId ? 'device_id=?' : 'device_name=?'}`;
+        if (before) {
+          sql += ' AND (recorded_at < ? OR (recorded_at = ? AND id < ?))';
+          params.push(before.recordedAt, before.recordedAt, before.id);
+        }
+        sql += ' ORDER BY recorded_at DESC, id DESC';
+        if (limit) sql += ` LIMIT ${parseInt(limit)}`;
+        const [rows] = await db.execute(sql, params);
+        return cipher.decryptRows('device_data', rows);
+      },
+      // Every payload of the user in insertion order, `limit` at a time.
+      async listForUser(userId, { afterId = 0, limit }) {
+        const [rows] = await db.execute(
+          `SELECT * FROM device_data WHERE user_id = ? AND id > ? ORDER BY id LIMIT ${parseInt(limit)}`,
+          [userId, afterId]
+        );
+        return cipher.decryptRows('device_data', rows);
+      }
+    },
+
+    quarantine: {
+      // Returns false when `sampleId` was already quarantined for this user.
+      async insert(userId, deviceName, endpoint, data, errors, sampleId = null) {
+        try {
+          const row = await cipher.encryptRow('quarantined_data', { user_id: userId, device_name: deviceName, endpoint, data, sample_id: sampleId });
+          await insert('quarantined_data', { ...row, data: JSON.stringify(row.data), errors: JSON.stringify(errors) });
+          return true;
+        } catch (err) {
+          if (err.code === 'ER_DUP_ENTRY') return false;
+          throw err;
+        }
+      },
+      async listForUser(userId) {
+        const [rows] = await db.execute('SELECT * FROM quarantined_data WHERE user_id = ? ORDER BY id', [userId]);
+        return cipher.decryptRows('quarantined_data', rows);
+      }
+    }
+  };
+}
+
+function createMysqlStore() {
+  const pool = require('../db');
+
+  return {
+    ...repositories(pool),
+
+    async transaction(fn) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const result = await fn(repositories(conn));
+        await conn.commit();
+        return result;
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createMysqlStore };
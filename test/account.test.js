@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { setTimeout: delay } = require('timers/promises');
+const { sentMail, startServer, mailedToken, signUp, resetState } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+
+describe('account', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'account@example.com');
+  });
+
+  const signsIn = async (email, password) => (await server.request('POST', '/login', { body: { email, password } })).body.success;
+
+  describe('password reset', () => {
+    it('sets a new password from the mailed link once and signs out every session', async () => {
+      await server.request('POST', '/password/forgot', { body: { email: 'account@example.com' } });
+      const token = mailedToken('account@example.com', '/reset-password');
+
+      const reset = await server.request('POST', '/password/reset', { body: { token, password: 'a new password' } });
+      assert.equal(reset.status, 200);
+      assert.equal((await server.request('GET', '/profile', { token: user.accessToken })).status, 401);
+      assert.equal(await signsIn('account@example.com', PASSWORD), false);
+      assert.equal(await signsIn('account@example.com', 'a new password'), true);
+
+      const again = await server.request('POST', '/password/reset', { body: { token, password: 'another password' } });
+      assert.equal(again.status, 400);
+    });
+
+    it('answers the same for unknown addresses without sending mail', async () => {
+      sentMail.length = 0;
+      const forgot = await server.request('POST', '/password/forgot', { body: { email: 'nobody@example.com' } });
+      assert.equal(forgot.status, 200);
+      assert.equal(sentMail.length, 0);
+    });
+
+    it('rejects short passwords and unknown links', async () => {
+      await server.request('POST', '/password/forgot', { body: { email: 'account@example.com' } });
+      const token = mailedToken('account@example.com', '/reset-password');
+      assert.equal((await server.request('POST', '/password/reset', { body: { token, password: 'short' } })).status, 400);
+      assert.equal((await server.request('POST', '/password/reset', { body: { token: 'guessed', password: 'a new password' } })).status, 400);
+    });
+  });
+
+  it('changes the password given the current one and signs out other sessions', async () => {
+    const change = body => server.request('POST', '/password/change', { token: user.accessToken, body });
+    assert.equal((await change({ currentPassword: 'not my password', newPassword: 'a new password' })).status, 403);
+
+    const changed = await change({ currentPassword: PASSWORD, newPassword: 'a new password' });
+    assert.equal(changed.status, 200);
+    assert.equal((await server.request('GET', '/profile', { token: changed.body.accessToken })).status, 200);
+    assert.equal((await server.request('POST', '/token/refresh', { body: { refreshToken: user.refreshToken } })).status, 401);
+  });
+
+  it('changes the email address once the new one is confirmed', async () => {
+    const change = body => server.request('POST', '/email/change', { token: user.accessToken, body });
+    await signUp(server.request, 'taken@example.com');
+    assert.equal((await change({ newEmail: 'new@example.com', password: 'not my password' })).status, 403);
+    assert.equal((await change({ newEmail: 'taken@example.com', password: PASSWORD })).status, 409);
+    assert.equal((await change({ newEmail: 'not an address', password: PASSWORD })).status, 400);
+
+    assert.equal((await change({ newEmail: 'new@example.com', password: PASSWORD })).status, 202);
+    assert.equal(await signsIn('new@example.com', PASSWORD), false);
+    const token = mailedToken('new@example.com', '/confirm-email');
+    const confirmed = await server.request('POST', '/email/confirm', { body: { token } });
+    assert.equal(confirmed.body.email, 'new@example.com');
+    assert.equal(await signsIn('new@example.com', PASSWORD), true);
+    assert.ok(sentMail.some(m => m.to === 'account@example.com' && m.subject.includes('was changed')));
+  });
+
+  it('exports everything stored for the user as an archive', async () => {
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 58 } });
+    const requested = await server.request('POST', '/account/exports', { token: user.accessToken });
+    assert.equal(requested.status, 202);
+
+    const path = `/account/exports/${requested.body.export.id}`;
+    let exported;
+    for (let i = 0; i < 100 && exported?.status !== 'ready'; i++) {
+      await delay(20);
+      exported = (await server.request('GET', path, { token: user.accessToken })).body.export;
+    }
+    assert.equal(exported.status, 'ready');
+
+    const response = await fetch(server.base + exported.downloadUrl, { headers: { Authorization: `Bearer ${user.accessToken}` } });
+    const archive = zlib.gunzipSync(Buffer.from(await response.arrayBuffer())).toString();
+    assert.ok(archive.includes('account.json'));
+    assert.ok(archive.includes('"restingHeartRate":58'));
+
+    const other = await signUp(server.request, 'other@example.com');
+    assert.equal((await server.request('GET', path, { token: other.accessToken })).status, 404);
+  });
+
+  it('erases the account and its data given the password', async () => {
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 58 } });
+    const erase = password => server.request('DELETE', '/account', { token: user.accessToken, body: { password } });
+    assert.equal((await erase('not my password')).status, 403);
+
+    assert.equal((await erase(PASSWORD)).status, 200);
+    assert.equal(await signsIn('account@example.com', PASSWORD), false);
+
+    const again = await signUp(server.request, 'account@example.com');
+    const { body } = await server.request('GET', '/all-health-data', { token: again.accessToken });
+    assert.deepEqual(body.data.heart, []);
+  });
+});
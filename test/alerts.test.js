@@ -0,0 +1,111 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+describe('alerts', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'alerts@example.com');
+  });
+
+  const post = (metric, body) => server.request('POST', `/${metric}`, { token: user.accessToken, body });
+  const alerts = async (query = '') => (await server.request('GET', `/alerts${query}`, { token: user.accessToken })).body.alerts;
+  const rule = (method, key, body) => server.request(method, `/alert-rules/${key}`, { token: user.accessToken, body });
+
+  it('keeps one alert per breached rule and resolves it once readings recover', async () => {
+    await post('heart', { restingHeartRate: 105, recordedAt: minutesAgo(30) });
+    await post('heart', { restingHeartRate: 110, recordedAt: minutesAgo(20) });
+
+    const [open] = await alerts();
+    assert.deepEqual([open.rule, open.status, open.severity, open.occurrences], ['resting_hr_high', 'open', 'warning', 2]);
+    assert.equal(open.value, 110);
+
+    await post('heart', { restingHeartRate: 62, recordedAt: minutesAgo(10) });
+    assert.deepEqual(await alerts(), []);
+    const [resolved] = await alerts('?status=resolved');
+    assert.equal(resolved.resolution, 'auto');
+  });
+
+  it('stays quiet for backfilled history', async () => {
+    await post('heart', { restingHeartRate: 120, recordedAt: minutesAgo(3 * 24 * 60) });
+    assert.deepEqual(await alerts(), []);
+    assert.deepEqual(await alerts('?status=resolved'), []);
+  });
+
+  it('waits for a sustained breach to last the rule\'s minutes', async () => {
+    await post('vitals', { spo2: 86, recordedAt: minutesAgo(15) });
+    await post('vitals', { spo2: 87, recordedAt: minutesAgo(8) });
+    assert.deepEqual(await alerts(), []);
+
+    await post('vitals', { spo2: 85, recordedAt: minutesAgo(1) });
+    const [low] = await alerts();
+    assert.equal(low.rule, 'spo2_low');
+    assert.match(low.message, /below 90 % for 10 minutes/);
+  });
+
+  it('flags a rapid rise in weight', async () => {
+    await post('body', { weight: 80, recordedAt: minutesAgo(3 * 24 * 60) });
+    await post('body', { weight: 82.5, recordedAt: minutesAgo(5) });
+
+    const [gain] = await alerts();
+    assert.equal(gain.rule, 'weight_gain');
+    assert.match(gain.message, /up 2.5 kg within 7 days/);
+  });
+
+  it('lets the user acknowledge and resolve their own alerts', async () => {
+    await post('vitals', { bloodPressureSystolic: 190, bloodPressureDiastolic: 100 });
+    const [alert] = await alerts();
+    const path = `/alerts/${alert.id}`;
+
+    const other = await signUp(server.request, 'other@example.com');
+    assert.equal((await server.request('POST', `${path}/acknowledge`, { token: other.accessToken })).status, 404);
+
+    const acknowledged = await server.request('POST', `${path}/acknowledge`, { token: user.accessToken });
+    assert.equal(acknowledged.body.alert.status, 'acknowledged');
+    const resolved = await server.request('POST', `${path}/resolve`, { token: user.accessToken });
+    assert.deepEqual([resolved.body.alert.status, resolved.body.alert.resolution], ['resolved', 'manual']);
+    assert.equal((await server.request('POST', `${path}/acknowledge`, { token: user.accessToken })).status, 409);
+
+    const { body } = await server.request('GET', '/insights', { token: user.accessToken });
+    assert.deepEqual(body.insights.activeAlerts, []);
+  });
+
+  it('applies the user\'s overrides and goes back to the default', async () => {
+    const disabled = await rule('PUT', 'resting_hr_high', { enabled: false });
+    assert.equal(disabled.body.rule.enabled, false);
+    await post('heart', { restingHeartRate: 120 });
+    assert.deepEqual(await alerts(), []);
+
+    const lowered = await rule('PUT', 'fever', { threshold: 37.5, severity: 'critical' });
+    assert.equal(lowered.body.rule.isDefault, false);
+    await post('vitals', { temperature: 37.7 });
+    const [fever] = await alerts();
+    assert.deepEqual([fever.rule, fever.severity], ['fever', 'critical']);
+
+    const restored = await rule('DELETE', 'fever');
+    assert.deepEqual([restored.body.rule.threshold, restored.body.rule.isDefault], [38, true]);
+  });
+
+  it('rejects invalid overrides and list parameters', async () => {
+    const tooHigh = await rule('PUT', 'fever', { threshold: 60 });
+    assert.equal(tooHigh.status, 400);
+    assert.equal(tooHigh.body.errors[0].field, 'threshold');
+
+    const minutes = await rule('PUT', 'fever', { minutes: 30 });
+    assert.equal(minutes.body.errors[0].field, 'minutes');
+    assert.equal((await rule('PUT', 'fever', { enabled: 'no' })).status, 400);
+    assert.equal((await rule('PUT', 'mood_low', {})).status, 404);
+
+    assert.equal((await server.request('GET', '/alerts?status=snoozed', { token: user.accessToken })).status, 400);
+    assert.equal((await server.request('GET', '/alerts?status=open&status=resolved', { token: user.accessToken })).status, 400);
+    assert.equal((await server.request('GET', '/alerts?limit=0', { token: user.accessToken })).status, 400);
+  });
+});
@@ -0,0 +1,191 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { setTimeout: delay } = require('timers/promises');
+const { startServer, signUp, resetState } = require('./helpers');
+const { appleHealthRecords, parseAppleDate } = require('../appleHealth');
+
+function xmlDocument(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<HealthData locale="en_US">\n${body}\n</HealthData>\n`;
+}
+
+function exportXml(body) {
+  return Readable.from([xmlDocument(body)]);
+}
+
+function record(type, value, unit, start, end = start, source = 'Watch') {
+  return `<Record type="${type}" sourceName="${source}" unit="${unit}" value="${value}" startDate="${start}" endDate="${end}"/>`;
+}
+
+function sleep(value, start, end, source = 'Watch') {
+  return `<Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="${source}" value="HKCategoryValueSleepAnalysis${value}" startDate="${start}" endDate="${end}"/>`;
+}
+
+async function entries(body) {
+  const all = [];
+  for await (const entry of appleHealthRecords(exportXml(body))) all.push(entry);
+  return all;
+}
+
+describe('Apple Health export', () => {
+  it('parses Apple dates with their offset', () => {
+    assert.equal(parseAppleDate('2024-03-01 07:15:02 -0500'), '2024-03-01T07:15:02-05:00');
+    assert.equal(parseAppleDate('2024-03-01T07:15:02Z'), null);
+  });
+
+  it('maps quantity records, converting units', async () => {
+    const [heart, weight, spo2] = await entries([
+      record('HKQuantityTypeIdentifierHeartRate', '72', 'count/min', '2024-03-01 07:15:02 -0500'),
+      record('HKQuantityTypeIdentifierBodyMass', '150', 'lb', '2024-03-01 07:20:00 -0500'),
+      record('HKQuantityTypeIdentifierOxygenSaturation', '0.97', '%', '2024-03-01 07:25:00 -0500')
+    ].join('\n'));
+
+    assert.deepEqual(heart.sample.data, { currentHeartRate: 72, recordedAt: '2024-03-01T07:15:02-05:00' });
+    assert.equal(heart.sample.type, 'heart');
+    assert.equal(heart.sample.deviceName, 'Watch');
+    assert.equal(weight.sample.data.weight, 68.04);
+    assert.equal(spo2.sample.data.spo2, 97);
+  });
+
+  it('gives a record the same sampleId in every export', async () => {
+    const line = record('HKQuantityTypeIdentifierRestingHeartRate', '55', 'count/min', '2024-03-01 07:15:02 -0500');
+    const [first] = await entries(line);
+    const [, again] = await entries(`${record('HKQuantityTypeIdentifierHeartRate', '80', 'count/min', '2024-02-01 07:00:00 -0500')}\n${line}`);
+    assert.equal(again.sample.sampleId, first.sample.sampleId);
+  });
+
+  it('pairs blood pressure through its correlation and ignores the loose copies', async () => {
+    const start = '2024-03-01 08:00:00 +0100';
+    const result = await entries([
+      `<Correlation type="HKCorrelationTypeIdentifierBloodPressure" sourceName="Cuff" startDate="${start}" endDate="${start}">`,
+      record('HKQuantityTypeIdentifierBloodPressureSystolic', '128', 'mmHg', start, start, 'Cuff'),
+      record('HKQuantityTypeIdentifierBloodPressureDiastolic', '82', 'mmHg', start, start, 'Cuff'),
+      '</Correlation>',
+      record('HKQuantityTypeIdentifierBloodPressureSystolic', '128', 'mmHg', start, start, 'Cuff')
+    ].join('\n'));
+
+    assert.equal(result.length, 1);
+    assert.deepEqual(result[0].sample.data, { recordedAt: '2024-03-01T08:00:00+01:00', bloodPressureSystolic: 128, bloodPressureDiastolic: 82 });
+  });
+
+  it('reports a blood pressure correlation without a readable date', async () => {
+    const [result] = await entries([
+      '<Correlation type="HKCorrelationTypeIdentifierBloodPressure" sourceName="Cuff" startDate="soon" endDate="soon">',
+      record('HKQuantityTypeIdentifierBloodPressureSystolic', '128', 'mmHg', 'soon', 'soon', 'Cuff'),
+      record('HKQuantityTypeIdentifierBloodPressureDiastolic', '82', 'mmHg', 'soon', 'soon', 'Cuff'),
+      '</Correlation>'
+    ].join('\n'));
+
+    assert.match(result.error, /without a valid start date/);
+  });
+
+  it('reports unreadable records and skips unknown types', async () => {
+    const [unit, date, unknown] = await entries([
+      record('HKQuantityTypeIdentifierHeartRate', '72', 'bpm', '2024-03-01 07:15:02 -0500'),
+      record('HKQuantityTypeIdentifierHeartRate', '72', 'count/min', 'yesterday'),
+      record('HKQuantityTypeIdentifierDietaryWater', '250', 'mL', '2024-03-01 07:15:02 -0500')
+    ].join('\n'));
+
+    assert.match(unit.error, /Unsupported unit/);
+    assert.match(date.error, /valid start date/);
+    assert.equal(unknown.skipped, 'HKQuantityTypeIdentifierDietaryWater');
+    assert.equal(unit.line, 3);
+  });
+
+  it('collects a night\'s sleep records into one session with stages', async () => {
+    const [night] = await entries([
+      sleep('InBed', '2024-03-01 23:00:00 +0000', '2024-03-02 07:00:00 +0000'),
+      sleep('AsleepCore', '2024-03-01 23:20:00 +0000', '2024-03-02 01:00:00 +0000'),
+      sleep('AsleepDeep', '2024-03-02 01:00:00 +0000', '2024-03-02 02:00:00 +0000'),
+      sleep('AsleepREM', '2024-03-02 02:00:00 +0000', '2024-03-02 06:30:00 +0000')
+    ].join('\n'));
+
+    assert.equal(night.sample.type, 'sleep');
+    assert.equal(night.sample.data.startAt, '2024-03-01T23:00:00+00:00');
+    assert.equal(night.sample.data.endAt, '2024-03-02T07:00:00+00:00');
+    assert.deepEqual(night.sample.data.stages.map(s => s.stage), ['light', 'deep', 'rem']);
+  });
+
+  it('keeps the id of a night when a later export has more of its records', async () => {
+    const night = [
+      sleep('InBed', '2024-03-01 23:00:00 +0000', '2024-03-02 06:00:00 +0000'),
+      sleep('AsleepCore', '2024-03-01 23:20:00 +0000', '2024-03-02 05:00:00 +0000')
+    ];
+    const [before] = await entries(night.join('\n'));
+    const [after] = await entries([...night, sleep('Awake', '2024-03-02 05:00:00 +0000', '2024-03-02 05:10:00 +0000')].join('\n'));
+
+    assert.equal(after.sample.sampleId, before.sample.sampleId);
+  });
+
+  it('rejects malformed XML', async () => {
+    await assert.rejects(entries('<Record type="x"'), /Malformed export.xml/);
+  });
+
+  describe('import jobs', () => {
+    let server;
+    let user;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async t => {
+      t.mock.method(console, 'error', () => {});
+      resetState();
+      user = await signUp(server.request, 'apple@example.com');
+    });
+
+    const upload = body => server.request('POST', '/imports/apple-health', {
+      token: user.accessToken,
+      headers: { 'Content-Type': 'application/xml' },
+      body
+    });
+    async function finished(jobId) {
+      for (let i = 0; i < 100; i++) {
+        const { body } = await server.request('GET', `/imports/${jobId}`, { token: user.accessToken });
+        if (body.job.status === 'completed' || body.job.status === 'failed') return body.job;
+        await delay(10);
+      }
+      throw new Error(`Import job ${jobId} did not finish`);
+    }
+
+    it('imports an upload in the background and counts what it stored', async () => {
+      const xml = xmlDocument([
+        record('HKQuantityTypeIdentifierRestingHeartRate', '55', 'count/min', '2024-03-01 07:15:02 -0500'),
+        record('HKQuantityTypeIdentifierHeartRate', '72', 'bpm', '2024-03-01 07:16:00 -0500'),
+        record('HKQuantityTypeIdentifierDietaryWater', '250', 'mL', '2024-03-01 07:15:02 -0500')
+      ].join('\n'));
+
+      const queued = await upload(xml);
+      assert.equal(queued.status, 202);
+      assert.equal(queued.headers.get('location'), `/imports/${queued.body.job.id}`);
+
+      const job = await finished(queued.body.job.id);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.progress, 100);
+      assert.deepEqual(job.counts, { records: 3, accepted: 1, duplicate: 0, quarantined: 0, rejected: 1, skipped: 1 });
+      assert.equal(job.errors[0].line, 4);
+
+      const again = await finished((await upload(xml)).body.job.id);
+      assert.equal(again.counts.duplicate, 1);
+      const all = await server.request('GET', '/all-health-data', { token: user.accessToken });
+      assert.equal(all.body.data.heart.length, 1);
+    });
+
+    it('fails a job whose file is not XML', async () => {
+      const job = await finished((await upload('<HealthData><Record type="x"')).body.job.id);
+      assert.equal(job.status, 'failed');
+      assert.match(job.errorMessage, /Malformed export.xml/);
+    });
+
+    it('turns away JSON and empty uploads and hides other users\' jobs', async () => {
+      const json = await server.request('POST', '/imports/apple-health', { token: user.accessToken, body: { records: [] } });
+      assert.equal(json.status, 415);
+      assert.equal((await upload('')).status, 400);
+
+      const { body } = await upload(xmlDocument(''));
+      const other = await signUp(server.request, 'other@example.com');
+      assert.equal((await server.request('GET', `/imports/${body.job.id}`, { token: other.accessToken })).status, 404);
+      assert.equal((await server.request('GET', '/imports', { token: other.accessToken })).body.jobs.length, 0);
+    });
+  });
+});
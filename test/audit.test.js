@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { store, startServer, signUp, resetState } = require('./helpers');
+const { flushAuditTrail, verifyChain } = require('../audit');
+
+describe('audit trail', () => {
+  let server;
+  let owner;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    await flushAuditTrail();
+    resetState();
+    owner = await signUp(server.request, 'owner@example.com');
+  });
+
+  // Entries are buffered once a response closes; wait for the last ones,
+  // then write them.
+  async function written() {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await flushAuditTrail();
+    return store.auditLog.scan(0, 1000);
+  }
+
+  it('records what a request read and for whom', async () => {
+    await server.request('POST', '/heart', { token: owner.accessToken, body: { restingHeartRate: 58 } });
+    await server.request('GET', '/all-health-data', { token: owner.accessToken });
+    await written();
+
+    const log = await server.request('GET', '/audit-log', { token: owner.accessToken });
+    assert.equal(log.status, 200);
+    const read = log.body.entries.find(e => e.route.startsWith('/all-health-data'));
+    assert.equal(read.actor.userId, Number(owner.userId));
+    assert.equal(read.actor.self, true);
+    assert.ok(read.categories.includes('heart'));
+    assert.equal(read.outcome, 'success');
+  });
+
+  it('records refused and unauthenticated requests without an actor', async () => {
+    await server.request('POST', '/login', { body: { email: 'owner@example.com', password: 'a wrong password' } });
+    await server.request('GET', '/profile', { token: 'not-a-token' });
+    await server.request('GET', `/all-health-data/${owner.userId}`);
+    const entries = await written();
+
+    const login = entries.find(e => e.route === '/login');
+    assert.equal(login.actor_user_id, null);
+    assert.equal(login.outcome, 'denied');
+    assert.equal(entries.find(e => e.path === '/profile').status, 401);
+    const probe = entries.find(e => e.path === `/all-health-data/${owner.userId}`);
+    assert.equal(String(probe.subject_user_id), String(owner.userId));
+    assert.equal(probe.outcome, 'denied');
+  });
+
+  it('records a refused read under the user it tried to read', async () => {
+    const other = await signUp(server.request, 'other@example.com');
+    assert.equal((await server.request('GET', `/all-health-data/${owner.userId}`, { token: other.accessToken })).status, 403);
+    await written();
+
+    const { body } = await server.request('GET', '/audit-log?actor=others', { token: owner.accessToken });
+    const [probe] = body.entries;
+    assert.equal(body.entries.length, 1);
+    assert.equal(probe.actor.email, 'other@example.com');
+    assert.equal(probe.outcome, 'denied');
+    assert.deepEqual(probe.categories, []);
+  });
+
+  it('chains the entries of a batch and detects a changed one', async () => {
+    await Promise.all([1, 2, 3].map(() => server.request('GET', '/profile', { token: owner.accessToken })));
+    const entries = await written();
+
+    const result = await verifyChain();
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, entries.length);
+
+    store.reset();
+    const [first, ...rest] = entries;
+    for (const entry of [{ ...first, status: 500 }, ...rest]) await store.auditLog.append(toAppend(entry));
+    const broken = await verifyChain();
+    assert.equal(broken.valid, false);
+  });
+
+  it('rejects a malformed cursor and range', async () => {
+    assert.equal((await server.request('GET', '/audit-log?cursor=abc', { token: owner.accessToken })).status, 400);
+    assert.equal((await server.request('GET', '/audit-log?from=yesterday', { token: owner.accessToken })).status, 400);
+    assert.equal((await server.request('GET', '/audit-log?actor=me', { token: owner.accessToken })).status, 400);
+  });
+});
+
+// The append() arguments that store a row as it was read back.
+function toAppend(row) {
+  return {
+    occurredAt: row.occurred_at,
+    actorUserId: row.actor_user_id,
+    actorDeviceId: row.actor_device_id,
+    subjectUserId: row.subject_user_id,
+    method: row.method,
+    route: row.route,
+    path: row.path,
+    categories: row.categories,
+    records: row.records,
+    status: row.status,
+    outcome: row.outcome,
+    ip: row.ip,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const { startServer, signUp, resetState, sentMail, mailedToken } = require('./helpers');
+const { requireAuth } = require('../auth');
+
+// Runs requireAuth on a request carrying `authorization`; resolves with the
+// response it sent, or { next: true } when it let the request through.
+function authenticate(authorization) {
+  return new Promise(resolve => {
+    const req = { get: name => (name.toLowerCase() === 'authorization' ? authorization : undefined) };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    requireAuth(req, res, () => resolve({ next: true }));
+  });
+}
+
+describe('auth', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(resetState);
+
+  describe('requireAuth', () => {
+    it('refuses a request without a bearer token', async () => {
+      assert.equal((await authenticate(undefined)).status, 401);
+      assert.equal((await authenticate('Basic dXNlcjpwYXNz')).status, 401);
+      assert.equal((await authenticate('Bearer')).status, 401);
+    });
+
+    it('refuses a token signed with another secret', async () => {
+      const token = jwt.sign({ sid: 1 }, 'another secret', { subject: '1' });
+      const result = await authenticate(`Bearer ${token}`);
+      assert.equal(result.status, 401);
+      assert.equal(result.body.message, 'Invalid or expired access token');
+    });
+
+    it('refuses an expired token', async () => {
+      const token = jwt.sign({ sid: 1, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET, { subject: '1' });
+      assert.equal((await authenticate(`Bearer ${token}`)).status, 401);
+    });
+  });
+
+  describe('refresh tokens', () => {
+    const refresh = refreshToken => server.request('POST', '/token/refresh', { body: { refreshToken } });
+
+    it('rotates the refresh token', async () => {
+      const session = await signUp(server.request, 'rotate@example.com');
+      const refreshed = await refresh(session.refreshToken);
+
+      assert.equal(refreshed.status, 200);
+      assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+      assert.equal((await server.request('GET', '/profile', { token: refreshed.body.accessToken })).status, 200);
+    });
+
+    it('treats a reused refresh token as theft and signs out every session', async () => {
+      const session = await signUp(server.request, 'theft@example.com');
+      const refreshed = await refresh(session.refreshToken);
+
+      assert.equal((await refresh(session.refreshToken)).status, 401);
+      assert.equal((await server.request('GET', '/profile', { token: refreshed.body.accessToken })).status, 401);
+      assert.equal((await refresh(refreshed.body.refreshToken)).status, 401);
+    });
+
+    it('lets only one of two concurrent refreshes through', async () => {
+      const session = await signUp(server.request, 'race@example.com');
+      const statuses = (await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)])).map(r => r.status);
+      assert.deepEqual(statuses.sort(), [200, 401]);
+    });
+
+    it('refuses an unknown refresh token', async () => {
+      assert.equal((await refresh('guessed')).status, 401);
+    });
+  });
+
+  describe('login lockout', () => {
+    const login = (email, password) => server.request('POST', '/login', { body: { email, password } });
+
+    it('locks the account out after repeated failures, even for the right password', async () => {
+      await signUp(server.request, 'locked@example.com', 'the right password');
+      for (let i = 0; i < 5; i++) {
+        assert.equal((await login('locked@example.com', 'a wrong password')).status, 401);
+      }
+
+      const locked = await login('locked@example.com', 'the right password');
+      assert.equal(locked.status, 429);
+      assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    });
+
+    it('answers an unknown email like a wrong password', async () => {
+      await signUp(server.request, 'known@example.com');
+      const wrong = await login('known@example.com', 'a wrong password');
+      const unknown = await login('nobody@example.com', 'a wrong password');
+
+      assert.equal(wrong.status, 401);
+      assert.equal(unknown.status, wrong.status);
+      assert.deepEqual(unknown.body, wrong.body);
+    });
+
+    it('clears the failures on a successful sign-in and does not lock out other accounts', async () => {
+      await signUp(server.request, 'forgetful@example.com', 'the right password');
+      await signUp(server.request, 'bystander@example.com', 'bystander password');
+      for (let i = 0; i < 4; i++) await login('forgetful@example.com', 'a wrong password');
+      assert.equal((await login('forgetful@example.com', 'the right password')).status, 200);
+      for (let i = 0; i < 4; i++) await login('forgetful@example.com', 'a wrong password');
+
+      assert.equal((await login('forgetful@example.com', 'the right password')).status, 200);
+      assert.equal((await login('bystander@example.com', 'bystander password')).status, 200);
+    });
+  });
+
+  describe('registration', () => {
+    const register = (email, password = 'a new password') =>
+      server.request('POST', '/register', { body: { fullName: 'New User', email, password } });
+
+    it('signs a new account in once its email is confirmed', async () => {
+      const registered = await register('new@example.com');
+      assert.equal(registered.status, 202);
+
+      const early = await server.request('POST', '/login', { body: { email: 'new@example.com', password: 'a new password' } });
+      assert.equal(early.status, 403);
+
+      const confirmed = await server.request('POST', '/register/confirm', { body: { token: mailedToken('new@example.com', '/confirm-email') } });
+      assert.equal(confirmed.status, 200);
+      assert.equal((await server.request('GET', '/profile', { token: confirmed.body.accessToken })).status, 200);
+      assert.equal((await server.request('POST', '/login', { body: { email: 'new@example.com', password: 'a new password' } })).status, 200);
+    });
+
+    it('accepts a confirmation link once', async () => {
+      await register('once@example.com');
+      const token = mailedToken('once@example.com', '/confirm-email');
+      assert.equal((await server.request('POST', '/register/confirm', { body: { token } })).status, 200);
+      assert.equal((await server.request('POST', '/register/confirm', { body: { token } })).status, 400);
+    });
+
+    it('answers a taken email like a new one and tells its owner', async () => {
+      await signUp(server.request, 'taken@example.com');
+      sentMail.length = 0;
+      const fresh = await register('fresh@example.com');
+      const taken = await register('taken@example.com');
+
+      assert.equal(taken.status, fresh.status);
+      assert.deepEqual(taken.body, fresh.body);
+      const [mail] = sentMail.filter(m => m.to === 'taken@example.com');
+      assert.match(mail.subject, /Someone tried to sign up/);
+    });
+
+    it('sends a fresh link when an unconfirmed email registers again', async () => {
+      await register('pending@example.com');
+      await register('pending@example.com');
+
+      const links = sentMail.filter(m => m.to === 'pending@example.com' && m.text.includes('/confirm-email'));
+      assert.equal(links.length, 2);
+    });
+
+    it('leaves the existing account as it was', async () => {
+      await signUp(server.request, 'owner@example.com', 'the owner password');
+      await register('owner@example.com', 'an intruder password');
+
+      const login = password => server.request('POST', '/login', { body: { email: 'owner@example.com', password } });
+      assert.equal((await login('an intruder password')).status, 401);
+      assert.equal((await login('the owner password')).status, 200);
+    });
+
+    it('rejects missing fields and unknown time zones', async () => {
+      assert.equal((await server.request('POST', '/register', { body: { email: 'x@example.com' } })).status, 400);
+      const zone = await server.request('POST', '/register', { body: { fullName: 'X', email: 'x@example.com', password: 'a password', timeZone: 'Mars/Base' } });
+      assert.equal(zone.status, 400);
+      assert.equal((await server.request('POST', '/login', { body: { email: 'x@example.com' } })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+const { assessReadiness } = require('../baselines');
+const { addDays } = require('../daily');
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+// Heart rows at noon UTC of each of the `days` before `today`, resting heart
+// rate alternating 58 and 60 around a median of 59, and HRV steady at 50.
+function heartHistory(today, days) {
+  const rows = [];
+  for (let n = 1; n <= days; n++) {
+    rows.push({ recorded_at: `${addDays(today, -n)}T12:00:00Z`, resting_heart_rate: n % 2 ? 58 : 60, hrv: 50 });
+  }
+  return rows;
+}
+
+describe('baselines', () => {
+  const today = '2025-03-20';
+  const assess = (heartRows, sleepRows = []) => assessReadiness({ heartRows, sleepRows, today, timeZone: 'UTC' });
+
+  describe('assessReadiness', () => {
+    it('gives no readiness until there is a week of history', () => {
+      const heartRows = [{ recorded_at: `${today}T12:00:00Z`, resting_heart_rate: 75, hrv: 50 }, ...heartHistory(today, 6)];
+      assert.deepEqual(assess(heartRows), { readiness: null, anomalies: [] });
+    });
+
+    it('flags a day well off the personal baseline and scores readiness against it', () => {
+      const heartRows = [{ recorded_at: `${today}T12:00:00Z`, resting_heart_rate: 70, hrv: 50 }, ...heartHistory(today, 10)];
+      const { readiness, anomalies } = assess(heartRows);
+
+      assert.equal(anomalies.length, 1);
+      assert.deepEqual([anomalies[0].date, anomalies[0].metric, anomalies[0].type], [today, 'restingHeartRate', 'Elevated resting heart rate']);
+      assert.deepEqual(anomalies[0].baseline, { median: 59, deviation: 1.5, days: 10 });
+
+      assert.deepEqual([readiness.date, readiness.score, readiness.status], [today, 43, 'Low']);
+      const byMetric = Object.fromEntries(readiness.factors.map(f => [f.metric, f]));
+      assert.deepEqual([byMetric.restingHeartRate.status, byMetric.restingHeartRate.score], ['unusual', 0]);
+      assert.deepEqual([byMetric.hrv.status, byMetric.hrv.score], ['normal', 80]);
+    });
+
+    it('scores a usual day 80 and a better one higher', () => {
+      const usual = assess([{ recorded_at: `${today}T12:00:00Z`, resting_heart_rate: 59, hrv: 50 }, ...heartHistory(today, 10)]);
+      assert.deepEqual([usual.readiness.score, usual.readiness.status], [80, 'High']);
+
+      const rested = assess([{ recorded_at: `${today}T12:00:00Z`, resting_heart_rate: 57, hrv: 56 }, ...heartHistory(today, 10)]);
+      assert.equal(rested.readiness.score, 100);
+      assert.deepEqual(rested.anomalies, []);
+    });
+
+    it('falls back to yesterday when there is no heart reading today yet', () => {
+      const { readiness } = assess(heartHistory(today, 10));
+      assert.equal(readiness.date, addDays(today, -1));
+    });
+
+    it('takes nighttime heart rate from inside the night\'s sleep session', () => {
+      const heartRows = [];
+      const sleepRows = [];
+      for (let n = 0; n <= 10; n++) {
+        const date = addDays(today, -n);
+        sleepRows.push({ recorded_at: `${date}T07:00:00Z`, start_at: `${addDays(date, -1)}T23:00:00Z`, end_at: `${date}T07:00:00Z`, sleep_hours: 8 });
+        // After 06:00, so only the sleep session makes these nighttime readings
+        for (const minute of ['10', '20', '30']) {
+          heartRows.push({ recorded_at: `${date}T06:${minute}:00Z`, current_heart_rate: n === 0 ? 62 : 50 });
+        }
+      }
+
+      const [anomaly] = assess(heartRows, sleepRows).anomalies;
+      assert.deepEqual([anomaly.date, anomaly.metric, anomaly.value], [today, 'nightHeartRate', 62]);
+    });
+  });
+
+  describe('through the API', () => {
+    let server;
+    let user;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+      resetState();
+      user = await signUp(server.request, 'baselines@example.com');
+    });
+
+    const post = (metric, body) => server.request('POST', `/${metric}`, { token: user.accessToken, body });
+    const alerts = async () => (await server.request('GET', '/alerts', { token: user.accessToken })).body.alerts;
+    const postHistory = async days => {
+      for (let n = days; n >= 1; n--) await post('heart', { restingHeartRate: n % 2 ? 58 : 60, hrv: 50, recordedAt: daysAgo(n) });
+    };
+
+    it('alerts on a resting heart rate above the user\'s own normal', async () => {
+      await postHistory(10);
+      assert.deepEqual(await alerts(), []);
+
+      await post('heart', { restingHeartRate: 72, hrv: 50 });
+      const [alert] = await alerts();
+      assert.deepEqual([alert.rule, alert.severity], ['resting_hr_above_baseline', 'info']);
+      assert.match(alert.message, /above your 30-day median of 59 bpm/);
+    });
+
+    it('does not judge readings before there is a baseline', async () => {
+      await postHistory(3);
+      await post('heart', { restingHeartRate: 90, hrv: 20 });
+      assert.deepEqual(await alerts(), []);
+    });
+
+    it('judges a reading in a batch against the history stored before it', async () => {
+      const samples = [];
+      for (let n = 10; n >= 1; n--) samples.push({ type: 'heart', data: { restingHeartRate: n % 2 ? 58 : 60, recordedAt: daysAgo(n) } });
+      samples.push({ type: 'heart', data: { restingHeartRate: 72 } });
+      await server.request('POST', '/batch', { token: user.accessToken, body: { samples } });
+
+      assert.deepEqual((await alerts()).map(a => a.rule), ['resting_hr_above_baseline']);
+    });
+
+    it('builds the baseline from the preferred device where devices overlap', async () => {
+      const devices = {};
+      for (const [name, type] of [['Wrist', 'watch'], ['Pocket', 'phone']]) {
+        devices[type] = (await server.request('POST', '/devices', { token: user.accessToken, body: { name, type } })).body.device.id;
+      }
+      const send = (type, data) => post('heart', { deviceId: devices[type], data });
+      for (let n = 10; n >= 1; n--) {
+        await send('watch', { restingHeartRate: n % 2 ? 58 : 60, recordedAt: daysAgo(n) });
+        // The phone's readings are well below the watch's, and never count
+        await send('phone', { restingHeartRate: 45, recordedAt: daysAgo(n) });
+      }
+
+      await send('watch', { restingHeartRate: 60 });
+      assert.deepEqual(await alerts(), []);
+    });
+
+    it('reports readiness and the day\'s anomalies in the insights', async () => {
+      let { body } = await server.request('GET', '/insights', { token: user.accessToken });
+      assert.equal(body.insights.readiness, null);
+
+      await postHistory(10);
+      await post('heart', { restingHeartRate: 72, hrv: 50 });
+      ({ body } = await server.request('GET', '/insights', { token: user.accessToken }));
+      const { readiness, anomalies, recommendations, detailedAnalysis } = body.insights;
+
+      assert.deepEqual([readiness.score, readiness.status], [43, 'Low']);
+      assert.deepEqual(anomalies.map(a => a.metric), ['restingHeartRate']);
+      assert.ok(recommendations.some(r => r.title === 'Take It Easy Today' && r.message.includes('resting heart rate is off your usual')));
+      assert.equal(detailedAnalysis.heart.recoveryIndicator, 'Consider more rest');
+    });
+
+    it('takes baseline rule overrides in deviations', async () => {
+      const rule = body => server.request('PUT', '/alert-rules/hrv_below_baseline', { token: user.accessToken, body });
+      const tooFar = await rule({ threshold: 8 });
+      assert.equal(tooFar.status, 400);
+      assert.match(tooFar.body.errors[0].message, /between 1 and 6 deviations/);
+      assert.equal((await rule({ minutes: 60 })).status, 400);
+      assert.equal((await rule({ threshold: 3 })).body.rule.threshold, 3);
+    });
+  });
+});
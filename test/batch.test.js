@@ -0,0 +1,58 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUARANTINE_OUT_OF_RANGE = 'true';
+const { store, startServer, signUp, resetState } = require('./helpers');
+
+describe('batch ingestion', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'batch@example.com');
+  });
+
+  const batch = samples => server.request('POST', '/batch', { token: user.accessToken, body: { deviceName: 'Watch', samples } });
+  const samples = [
+    { sampleId: 'a', type: 'heart', data: { restingHeartRate: 58 } },
+    { sampleId: 'b', type: 'heart', data: { restingHeartRate: 180 } },
+    { sampleId: 'c', type: 'heart', data: { restingHeartRate: 'fast' } },
+    { sampleId: 'd', type: 'mood', data: { score: 3 } },
+    { sampleId: 'a', type: 'heart', data: { restingHeartRate: 60 } }
+  ];
+
+  it('stores the valid samples and reports every item', async () => {
+    const { status, body } = await batch(samples);
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(r => r.status), ['accepted', 'quarantined', 'rejected', 'rejected', 'duplicate']);
+    assert.deepEqual(body.summary, { accepted: 1, duplicate: 1, quarantined: 1, rejected: 2 });
+    assert.equal(body.results[3].errors[0].field, 'type');
+
+    const all = await server.request('GET', '/all-health-data', { token: user.accessToken });
+    assert.deepEqual(all.body.data.heart.map(r => r.resting_heart_rate), [58]);
+  });
+
+  it('stores and quarantines a retried batch once', async () => {
+    await batch(samples);
+    const { body } = await batch(samples);
+
+    assert.deepEqual(body.results.map(r => r.status), ['duplicate', 'duplicate', 'rejected', 'rejected', 'duplicate']);
+    assert.equal((await store.quarantine.listForUser(user.userId)).length, 1);
+  });
+
+  it('quarantines an implausible single sample with a 202', async () => {
+    const held = await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 180 } });
+    assert.equal(held.status, 202);
+    assert.equal(held.body.quarantined, true);
+    assert.equal(held.body.errors[0].code, 'range');
+  });
+
+  it('refuses an empty batch', async () => {
+    assert.equal((await batch([])).status, 400);
+    assert.equal((await server.request('POST', '/batch', { token: user.accessToken, body: {} })).status, 400);
+  });
+});
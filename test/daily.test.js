@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+const { rollupDaily, localDate, addDays, isValidTimeZone } = require('../daily');
+
+describe('daily rollups', () => {
+  describe('rollupDaily', () => {
+    it('applies each column\'s rule within a day', () => {
+      const rows = [
+        { recorded_at: new Date('2025-03-01T08:00:00Z'), steps: 3000, calories: 100, distance: null, exercise_minutes: null },
+        { recorded_at: new Date('2025-03-01T18:00:00Z'), steps: 4500, calories: null, distance: 2.5, exercise_minutes: 30 }
+      ];
+      const [day] = rollupDaily('activity', rows);
+      assert.deepEqual(day, { date: '2025-03-01', samples: 2, steps: 7500, calories: 100, distance: 2.5, exercise_minutes: 30 });
+
+      const heart = rollupDaily('heart', [
+        { recorded_at: new Date('2025-03-01T06:00:00Z'), current_heart_rate: 70, resting_heart_rate: 60, hrv: null },
+        { recorded_at: new Date('2025-03-01T07:00:00Z'), current_heart_rate: 80, resting_heart_rate: 56, hrv: null }
+      ]);
+      assert.equal(heart[0].resting_heart_rate, 56);
+      assert.equal(heart[0].current_heart_rate, 75);
+      assert.equal(heart[0].hrv, null);
+    });
+
+    it('keeps the day\'s last body measurement whatever order rows come in', () => {
+      const [day] = rollupDaily('body', [
+        { recorded_at: new Date('2025-03-01T20:00:00Z'), weight: 71 },
+        { recorded_at: new Date('2025-03-01T07:00:00Z'), weight: 72 }
+      ]);
+      assert.equal(day.weight, 71);
+    });
+
+    it('dates samples by the user\'s wall clock, newest day first', () => {
+      const rows = [
+        { recorded_at: new Date('2025-03-01T10:00:00Z'), steps: 1000 },
+        { recorded_at: new Date('2025-03-01T23:30:00Z'), steps: 500 }
+      ];
+      assert.deepEqual(rollupDaily('activity', rows, 'UTC').map(d => [d.date, d.steps]), [['2025-03-01', 1500]]);
+      assert.deepEqual(rollupDaily('activity', rows, 'Asia/Tokyo').map(d => [d.date, d.steps]), [['2025-03-02', 500], ['2025-03-01', 1000]]);
+    });
+  });
+
+  it('does calendar arithmetic and checks time zones', () => {
+    assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+    assert.equal(addDays('2025-03-01', -1), '2025-02-28');
+    assert.equal(localDate('2025-03-01T05:00:00Z', 'America/New_York'), '2025-03-01');
+    assert.equal(localDate('2025-03-01T04:00:00Z', 'America/New_York'), '2025-02-28');
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Base'), false);
+    assert.equal(isValidTimeZone(''), false);
+  });
+
+  describe('GET /daily-summary', () => {
+    let server;
+    let user;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+      resetState();
+      user = await signUp(server.request, 'tokyo@example.com', undefined, { timeZone: 'Asia/Tokyo' });
+    });
+
+    const summary = query => server.request('GET', `/daily-summary?${query}`, { token: user.accessToken });
+
+    it('lists every day of the range in the user\'s time zone', async () => {
+      for (const [recordedAt, steps] of [['2025-03-01T10:00:00Z', 1000], ['2025-03-01T23:30:00Z', 500]]) {
+        await server.request('POST', '/activity', { token: user.accessToken, body: { steps, recordedAt } });
+      }
+
+      const { status, body } = await summary('from=2025-03-01&to=2025-03-03&metrics=activity');
+      assert.equal(status, 200);
+      assert.equal(body.timeZone, 'Asia/Tokyo');
+      assert.deepEqual(body.days.map(d => [d.date, d.activity?.steps ?? null]), [
+        ['2025-03-03', null],
+        ['2025-03-02', 500],
+        ['2025-03-01', 1000]
+      ]);
+    });
+
+    it('rejects malformed ranges and unknown metrics', async () => {
+      assert.equal((await summary('from=2025-03-05&to=2025-03-01')).status, 400);
+      assert.equal((await summary('from=March&to=2025-03-01')).status, 400);
+      assert.equal((await summary('from=2023-01-01&to=2025-03-01')).status, 400);
+      assert.equal((await summary('metrics=activity,mood')).status, 400);
+      assert.equal((await summary('metrics=activity&metrics=sleep')).status, 400);
+    });
+
+    it('refuses registration with an unknown time zone', async () => {
+      const registered = await server.request('POST', '/register', {
+        body: { fullName: 'Test User', email: 'mars@example.com', password: 'a password', timeZone: 'Mars/Base' }
+      });
+      assert.equal(registered.status, 400);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+describe('devices', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'devices@example.com');
+  });
+
+  const register = body => server.request('POST', '/devices', { token: user.accessToken, body });
+  const postWithKey = (key, metric, body) => server.request('POST', `/${metric}`, { headers: { 'X-Device-Key': key }, body });
+
+  it('stores samples posted with a device key under the device and tracks its sync', async () => {
+    const created = await register({ name: 'Band', type: 'watch', hardwareId: 'HW-1' });
+    assert.equal(created.status, 201);
+    assert.match(created.body.key.key, /^dk_/);
+
+    const posted = await postWithKey(created.body.key.key, 'heart', { restingHeartRate: 58, recordedAt: '2025-03-01T07:00:00Z' });
+    assert.equal(posted.status, 200);
+
+    const { body } = await server.request('GET', `/devices/${created.body.device.id}`, { token: user.accessToken });
+    assert.ok(body.device.lastSyncAt);
+    assert.equal(body.device.metrics.heart.sampleCount, 1);
+    assert.equal(new Date(body.device.metrics.heart.lastRecordedAt).toISOString(), '2025-03-01T07:00:00.000Z');
+    assert.deepEqual(body.device.keys.map(k => k.prefix), [created.body.key.prefix]);
+
+    const all = await server.request('GET', '/all-health-data', { token: user.accessToken });
+    assert.equal(all.body.data.heart[0].device_name, 'Band');
+    const raw = await server.request('GET', `/devices/${created.body.device.id}/raw/heart`, { token: user.accessToken });
+    assert.equal(raw.body.rows.length, 1);
+  });
+
+  it('cuts a device off once its key is revoked, keeping a rotated key working', async () => {
+    const { body } = await register({ name: 'Ring', type: 'ring' });
+    const path = `/devices/${body.device.id}`;
+    const rotated = await server.request('POST', `${path}/keys`, { token: user.accessToken });
+    assert.equal(rotated.status, 201);
+
+    const revoked = await server.request('DELETE', `${path}/keys/${body.key.id}`, { token: user.accessToken });
+    assert.equal(revoked.status, 200);
+    assert.equal((await postWithKey(body.key.key, 'heart', { restingHeartRate: 58 })).status, 401);
+    assert.equal((await postWithKey(rotated.body.key.key, 'heart', { restingHeartRate: 58 })).status, 200);
+    assert.equal((await server.request('DELETE', `${path}/keys/${body.key.id}`, { token: user.accessToken })).status, 404);
+  });
+
+  it('accepts a deviceId of the user\'s own devices only', async () => {
+    const { body } = await register({ name: 'Scale', type: 'scale' });
+    const own = await server.request('POST', '/body', { token: user.accessToken, body: { deviceId: body.device.id, data: { weight: 70 } } });
+    assert.equal(own.status, 200);
+
+    const other = await signUp(server.request, 'other@example.com');
+    const foreign = await server.request('POST', '/body', { token: other.accessToken, body: { deviceId: body.device.id, data: { weight: 70 } } });
+    assert.equal(foreign.status, 404);
+    assert.equal((await server.request('GET', `/devices/${body.device.id}`, { token: other.accessToken })).status, 404);
+  });
+
+  it('validates devices and refuses a hardwareId registered twice', async () => {
+    const invalid = await register({ name: 'Toaster', type: 'kitchen' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, 'type');
+
+    await register({ name: 'Band', type: 'watch', hardwareId: 'HW-1' });
+    assert.equal((await register({ name: 'Band again', type: 'watch', hardwareId: 'HW-1' })).status, 409);
+  });
+
+  it('renames a device and removes it', async () => {
+    const { body } = await register({ name: 'Band', type: 'watch' });
+    const path = `/devices/${body.device.id}`;
+
+    const renamed = await server.request('PATCH', path, { token: user.accessToken, body: { name: 'Left wrist' } });
+    assert.equal(renamed.body.device.name, 'Left wrist');
+    assert.equal(renamed.body.device.type, 'watch');
+    assert.equal((await server.request('PATCH', path, { token: user.accessToken, body: { type: 'kitchen' } })).status, 400);
+
+    assert.equal((await server.request('DELETE', path, { token: user.accessToken })).status, 200);
+    assert.equal((await server.request('GET', '/devices', { token: user.accessToken })).body.devices.length, 0);
+    assert.equal((await postWithKey(body.key.key, 'heart', { restingHeartRate: 58 })).status, 401);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { store, startServer, signUp, resetState } = require('./helpers');
+const { createFieldCipher } = require('../storage/encryption');
+const { rotateKeys } = require('../keys');
+
+describe('encryption at rest', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async t => {
+    t.mock.method(console, 'error', () => {});
+    resetState();
+    user = await signUp(server.request, 'private@example.com');
+    await server.request('POST', '/health', { token: user.accessToken, body: { condition: 'Asthma', medications: 'Salbutamol' } });
+  });
+
+  const stored = async table => store.encryptedRows.scan(table, 0, 100);
+
+  it('stores conditions and their raw payload as ciphertext and reads them back', async () => {
+    const [row] = await stored('health_data');
+    assert.match(row.condition, /^enc:v1:/);
+    assert.match(row.medications, /^enc:v1:/);
+    assert.match((await stored('device_data'))[0].data, /^enc:v1:/);
+
+    const { body } = await server.request('GET', '/all-health-data', { token: user.accessToken });
+    assert.deepEqual(body.data.health.map(r => r.condition), ['Asthma']);
+  });
+
+  it('leaves other metrics in plaintext', async () => {
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 58 } });
+    const heart = (await stored('device_data')).find(r => r.endpoint === 'heart');
+    assert.equal(heart.data.restingHeartRate, 58);
+  });
+
+  it('refuses a value moved to another user\'s row', async () => {
+    const other = await signUp(server.request, 'other@example.com');
+    await server.request('POST', '/health', { token: other.accessToken, body: { condition: 'Migraine' } });
+    const [mine, theirs] = await stored('health_data');
+
+    await store.encryptedRows.update('health_data', theirs.id, { condition: mine.condition });
+    assert.equal((await server.request('GET', '/all-health-data', { token: other.accessToken })).status, 500);
+
+    const cipher = createFieldCipher(store.dataKeys);
+    await assert.rejects(cipher.decryptRows('health_data', [{ ...mine, user_id: theirs.user_id }]));
+  });
+
+  it('re-encrypts with new data keys on rotation, including values stored before encryption', async () => {
+    const [before] = await stored('health_data');
+    await store.encryptedRows.update('health_data', before.id, { allergies: 'Penicillin' });
+
+    const result = await rotateKeys();
+    assert.equal(result.keysRetired, 1);
+    assert.equal(result.rowsReencrypted, 2);
+
+    const [after] = await stored('health_data');
+    const keyOf = value => value.split(':')[2];
+    assert.notEqual(keyOf(after.condition), keyOf(before.condition));
+    assert.match(after.allergies, /^enc:v1:/);
+    const { body } = await server.request('GET', '/all-health-data', { token: user.accessToken });
+    assert.deepEqual([body.data.health[0].condition, body.data.health[0].allergies], ['Asthma', 'Penicillin']);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+const LOINC = 'http://loinc.org';
+
+const observation = (id, code, valueQuantity, extra = {}) => ({
+  resource: {
+    resourceType: 'Observation',
+    id,
+    status: 'final',
+    code: { coding: [{ system: LOINC, code }] },
+    effectiveDateTime: '2025-03-01T07:30:00Z',
+    valueQuantity,
+    ...extra
+  }
+});
+
+describe('FHIR', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'fhir@example.com');
+  });
+
+  const exportBundle = (query = '') => server.request('GET', `/fhir/export${query}`, { token: user.accessToken });
+  const importBundle = (body, token = user.accessToken) => server.request('POST', '/fhir/import', { token, body });
+
+  it('exports readings as coded Observations with a blood pressure panel', async () => {
+    await server.request('POST', '/vitals', {
+      token: user.accessToken,
+      body: { deviceName: 'Cuff', data: { bloodPressureSystolic: 122, bloodPressureDiastolic: 78, spo2: 97, recordedAt: '2025-03-01T07:30:00Z' } }
+    });
+
+    const { status, body } = await exportBundle();
+    assert.equal(status, 200);
+    assert.equal(body.resourceType, 'Bundle');
+    const resources = body.entry.map(e => e.resource);
+    assert.equal(resources[0].resourceType, 'Patient');
+
+    const spo2 = resources.find(r => r.code?.coding[0].code === '59408-5');
+    assert.deepEqual(spo2.valueQuantity, { value: 97, unit: '%', system: 'http://unitsofmeasure.org', code: '%' });
+    assert.equal(spo2.effectiveDateTime, '2025-03-01T07:30:00.000Z');
+    assert.equal(spo2.device.display, 'Cuff');
+
+    const panel = resources.find(r => r.code?.coding[0].code === '85354-9');
+    assert.deepEqual(panel.component.map(c => [c.code.coding[0].code, c.valueQuantity.value]), [['8480-6', 122], ['8462-4', 78]]);
+  });
+
+  it('imports another system\'s bundle, converting units', async () => {
+    const { status, body } = await importBundle({
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [
+        { resource: { resourceType: 'Patient', id: 'p1' } },
+        observation('w1', '29463-7', { value: 154.324, code: '[lb_av]' }),
+        observation('t1', '8310-5', { value: 98.6, code: '[degF]' }),
+        { resource: { resourceType: 'Condition', id: 'c1', code: { text: 'Asthma' }, clinicalStatus: { coding: [{ code: 'active' }] } } }
+      ]
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, { accepted: 3, duplicate: 0, quarantined: 0, rejected: 0, skipped: 1 });
+    const all = await server.request('GET', '/all-health-data', { token: user.accessToken });
+    assert.equal(Number(all.body.data.body[0].weight.toFixed(1)), 70);
+    assert.equal(Number(all.body.data.vitals[0].temperature.toFixed(1)), 37);
+    assert.equal(all.body.data.health[0].condition, 'Asthma');
+  });
+
+  it('reports a re-imported resource as a duplicate', async () => {
+    const bundle = { resourceType: 'Bundle', entry: [observation('hr1', '8867-4', { value: 64, code: '/min' })] };
+    assert.equal((await importBundle(bundle)).body.summary.accepted, 1);
+    const again = await importBundle(bundle);
+    assert.equal(again.body.results[0].status, 'duplicate');
+  });
+
+  it('finds the samples of its own export when imported back', async () => {
+    await server.request('POST', '/heart', { token: user.accessToken, body: { sampleId: 'watch-1', restingHeartRate: 58, recordedAt: '2025-03-01T07:00:00Z' } });
+    await server.request('POST', '/health', { token: user.accessToken, body: { condition: 'Asthma' } });
+    const exported = (await exportBundle()).body;
+    const heart = exported.entry.find(e => e.resource.code?.coding?.[0].code === '40443-4').resource;
+    assert.deepEqual(heart.identifier, [{ system: 'urn:cardioapp:sample-id', value: 'watch-1' }]);
+
+    const { body } = await importBundle(exported);
+    assert.deepEqual([body.summary.accepted, body.summary.duplicate], [0, 2]);
+    const all = await server.request('GET', '/all-health-data', { token: user.accessToken });
+    assert.deepEqual([all.body.data.heart.length, all.body.data.health.length], [1, 1]);
+  });
+
+  it('rejects entries it cannot map and bodies that are not bundles', async () => {
+    const { body } = await importBundle({
+      resourceType: 'Bundle',
+      entry: [
+        observation('x1', '0000-0', { value: 1, code: '1' }),
+        observation('x2', '29463-7', { value: 70, code: 'stone' }),
+        observation('x3', '8867-4', { value: 900, code: '/min' })
+      ]
+    });
+    assert.deepEqual(body.results.map(r => r.status), ['rejected', 'rejected', 'rejected']);
+
+    assert.equal((await importBundle({ resourceType: 'Observation' })).status, 400);
+    assert.equal((await exportBundle('?since=yesterday')).status, 400);
+  });
+
+  it('round-trips an export into another account', async () => {
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 58, hrv: 45, recordedAt: '2025-03-01T07:00:00Z' } });
+    const exported = (await exportBundle()).body;
+
+    const other = await signUp(server.request, 'clinic@example.com');
+    const imported = await importBundle(exported, other.accessToken);
+    assert.equal(imported.body.summary.accepted, 2);
+    const all = await server.request('GET', '/all-health-data', { token: other.accessToken });
+    // One Observation per reading, so each comes back as a row of its own
+    const { heart } = all.body.data;
+    assert.equal(heart.length, 2);
+    assert.equal(heart.find(r => r.resting_heart_rate != null).resting_heart_rate, 58);
+    assert.equal(heart.find(r => r.hrv != null).hrv, 45);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+const { evaluateGoal } = require('../goals');
+
+describe('goals', () => {
+  it('judges each direction of goal', () => {
+    assert.deepEqual(evaluateGoal('steps', 7500, 10000), { value: 7500, target: 10000, percent: 75, achieved: false });
+    assert.equal(evaluateGoal('restingHeartRate', 55, 60).achieved, true);
+    assert.equal(evaluateGoal('restingHeartRate', 66, 60).achieved, false);
+    assert.equal(evaluateGoal('weight', 70.8, 70).achieved, true);
+    assert.equal(evaluateGoal('weight', 72, 70).achieved, false);
+    assert.equal(evaluateGoal('steps', null, 10000).achieved, null);
+  });
+
+  describe('routes', () => {
+    let server;
+    let user;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+      resetState();
+      user = await signUp(server.request, 'goals@example.com');
+    });
+
+    const setGoal = body => server.request('POST', '/goals', { token: user.accessToken, body });
+    const progress = query => server.request('GET', `/goals/progress?${query}`, { token: user.accessToken });
+
+    it('falls back to the default goals', async () => {
+      const { body } = await server.request('GET', '/goals', { token: user.accessToken });
+      assert.equal(body.current.steps.target, 10000);
+      assert.equal(body.current.steps.isDefault, true);
+      assert.equal(body.current.weight.target, null);
+    });
+
+    it('judges each day against the goal in effect on it', async () => {
+      assert.equal((await setGoal({ metric: 'steps', target: 8000, effectiveFrom: '2025-03-01' })).status, 201);
+      await setGoal({ metric: 'steps', target: 12000, effectiveFrom: '2025-03-04' });
+      for (const [recordedAt, steps] of [['2025-03-03T12:00:00Z', 9000], ['2025-03-04T12:00:00Z', 9000]]) {
+        await server.request('POST', '/activity', { token: user.accessToken, body: { steps, recordedAt } });
+      }
+
+      const { status, body } = await progress('from=2025-03-03&to=2025-03-04');
+      assert.equal(status, 200);
+      const [tuesday, monday] = body.daily;
+      assert.deepEqual([monday.date, monday.steps.target, monday.steps.achieved], ['2025-03-03', 8000, true]);
+      assert.deepEqual([tuesday.date, tuesday.steps.target, tuesday.steps.achieved], ['2025-03-04', 12000, false]);
+
+      const [week] = body.weekly;
+      assert.equal(week.weekStart, '2025-03-03');
+      assert.equal(week.steps.value, 18000);
+      assert.equal(week.steps.target, 20000);
+      assert.equal(week.steps.daysAchieved, 1);
+    });
+
+    it('counts the night\'s main sleep towards the sleep goal, leaving naps out', async () => {
+      const sleep = body => server.request('POST', '/sleep', { token: user.accessToken, body });
+      await sleep({ startAt: '2025-03-03T23:30:00Z', endAt: '2025-03-04T06:00:00Z', sleepHours: 6.5 });
+      await sleep({ startAt: '2025-03-04T14:00:00Z', endAt: '2025-03-04T15:30:00Z', sleepHours: 1.5 });
+
+      const { body } = await progress('from=2025-03-04&to=2025-03-04');
+      assert.deepEqual([body.daily[0].sleepHours.value, body.daily[0].sleepHours.achieved], [6.5, false]);
+    });
+
+    it('rejects unknown metrics and targets outside the metric\'s limits', async () => {
+      const unknown = await setGoal({ metric: 'happiness', target: 10 });
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.errors[0].field, 'metric');
+
+      const tooHigh = await setGoal({ metric: 'sleepHours', target: 20 });
+      assert.equal(tooHigh.status, 400);
+      assert.equal(tooHigh.body.errors[0].field, 'target');
+
+      assert.equal((await setGoal({ metric: 'steps' })).status, 400);
+      assert.equal((await progress('from=2025-03-05&to=2025-03-01')).status, 400);
+    });
+
+    it('removes only the user\'s own goals', async () => {
+      const { body } = await setGoal({ metric: 'steps', target: 8000 });
+      const other = await signUp(server.request, 'other@example.com');
+
+      const path = `/goals/${body.goal.id}`;
+      assert.equal((await server.request('DELETE', path, { token: other.accessToken })).status, 404);
+      assert.equal((await server.request('DELETE', path, { token: user.accessToken })).status, 200);
+      assert.equal((await server.request('DELETE', path, { token: user.accessToken })).status, 404);
+    });
+  });
+});
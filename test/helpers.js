@@ -0,0 +1,66 @@
+// Shared setup for the integration tests: the API on the in-memory store,
+// listening on a free port, with outgoing mail collected in `sentMail`.
+// Required before anything else so the environment is in place when the
+// modules read it.
+const crypto = require('crypto');
+const { once } = require('events');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DATA_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+process.env.RATE_LIMIT_AUTH = '0';
+process.env.RATE_LIMIT_INGESTION = '0';
+
+const app = require('../index');
+const store = require('../storage');
+const { setTransport } = require('../mail');
+
+const sentMail = [];
+setTransport(async message => {
+  sentMail.push(message);
+});
+
+// Starts the server; returns { base, request, close }. request(method, path,
+// { body, token, headers }) resolves with { status, headers, body }. A string
+// body is sent as it is, anything else as JSON.
+async function startServer() {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, pathname, { body, token, headers: extra = {} } = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extra };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+    const response = await fetch(base + pathname, { method, headers, body: payload });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  return { base, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// The token of the newest link mailed to `email` whose path is `pathname`.
+function mailedToken(email, pathname) {
+  const message = sentMail.findLast(m => m.to === email && m.text.includes(pathname));
+  if (!message) throw new Error(`No ${pathname} link was mailed to ${email}`);
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+}
+
+// Registers an account, with any other registration `fields` (such as
+// timeZone), and confirms its email; resolves with the confirmation response
+// body ({ userId, accessToken, refreshToken, ... }).
+async function signUp(request, email, password = 'correct horse battery', fields = {}) {
+  await request('POST', '/register', { body: { fullName: 'Test User', email, password, ...fields } });
+  const confirmed = await request('POST', '/register/confirm', { body: { token: mailedToken(email, '/confirm-email') } });
+  if (confirmed.status !== 200) throw new Error(`Could not confirm ${email}: ${JSON.stringify(confirmed.body)}`);
+  return confirmed.body;
+}
+
+// Drops every stored row and collected mail between tests.
+function resetState() {
+  store.reset();
+  sentMail.length = 0;
+}
+
+module.exports = { store, sentMail, startServer, mailedToken, signUp, resetState };
@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+describe('insights', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'insights@example.com');
+  });
+
+  const post = (metric, body) => server.request('POST', `/${metric}`, { token: user.accessToken, body });
+  const insights = async () => {
+    const { status, body } = await server.request('GET', '/insights', { token: user.accessToken });
+    assert.equal(status, 200);
+    return body.insights;
+  };
+
+  it('answers for a user without any data', async () => {
+    const result = await insights();
+    assert.deepEqual(result.detailedAnalysis.vitals, {});
+  });
+
+  it('reports each heart metric from the newest reading that has it', async () => {
+    await post('heart', { restingHeartRate: 58, hrv: 45, recordedAt: daysAgo(1) });
+    await post('heart', { currentHeartRate: 72, recordedAt: daysAgo(0) });
+    await post('heart', { hrv: 50, recordedAt: daysAgo(0) });
+
+    const { currentMetrics } = await insights();
+    assert.deepEqual(
+      [currentMetrics.currentHeartRate, currentMetrics.restingHeartRate, currentMetrics.hrv],
+      [72, 58, 50]
+    );
+  });
+
+  it('flags a blood pressure reading in the crisis range', async () => {
+    await post('vitals', { bloodPressureSystolic: 185, bloodPressureDiastolic: 125 });
+
+    const { currentMetrics, detailedAnalysis, alerts } = await insights();
+    assert.equal(currentMetrics.bloodPressure, '185/125');
+    assert.equal(detailedAnalysis.vitals.bloodPressure.latestCategory, 'Hypertensive Crisis');
+    assert.ok(alerts.some(a => a.type === 'critical' && a.category === 'vitals'));
+  });
+
+  it('averages the week\'s blood pressure readings', async () => {
+    await post('vitals', { bloodPressureSystolic: 112, bloodPressureDiastolic: 72, recordedAt: daysAgo(2) });
+    await post('vitals', { bloodPressureSystolic: 116, bloodPressureDiastolic: 76, recordedAt: daysAgo(0) });
+
+    const { detailedAnalysis, recommendations } = await insights();
+    const { bloodPressure } = detailedAnalysis.vitals;
+    assert.equal(bloodPressure.category, 'Normal');
+    assert.equal(bloodPressure.readingsAveraged, 2);
+    assert.ok(recommendations.some(r => r.title === 'Healthy Blood Pressure'));
+    assert.ok(!recommendations.some(r => r.title === 'Measure Blood Pressure More Often'));
+  });
+
+  it('reports low oxygen and fever from the latest day', async () => {
+    await post('vitals', { spo2: 97, temperature: 36.8, recordedAt: daysAgo(1) });
+    await post('vitals', { spo2: 89, temperature: 38.4, recordedAt: daysAgo(0) });
+
+    const { detailedAnalysis, alerts } = await insights();
+    assert.deepEqual([detailedAnalysis.vitals.spo2.lowest, detailedAnalysis.vitals.spo2.status], [89, 'Low']);
+    assert.equal(detailedAnalysis.vitals.temperature.status, 'Fever');
+    assert.ok(alerts.some(a => a.category === 'vitals' && a.impact === 'high' && a.message.includes('89%')));
+  });
+
+  it('follows the weight trend over the month', async () => {
+    await post('body', { weight: 80, recordedAt: daysAgo(20) });
+    await post('body', { weight: 76, bodyFat: 22, recordedAt: daysAgo(0) });
+
+    const { currentMetrics, detailedAnalysis } = await insights();
+    assert.equal(currentMetrics.weight, 76);
+    assert.equal(currentMetrics.bodyFat, 22);
+    const { weight } = detailedAnalysis.body.trends;
+    assert.equal(weight.change, -4);
+    assert.equal(weight.direction, 'down');
+    assert.equal(detailedAnalysis.body.trends.bodyFat, null);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+describe('live feed', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'live@example.com');
+  });
+
+  const post = (metric, body) => server.request('POST', `/${metric}`, { token: user.accessToken, body });
+
+  // Opens the event stream; take(count) resolves with the next `count`
+  // events as { id, event, data }.
+  async function openFeed(path = `/live?access_token=${user.accessToken}`, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(server.base + path, { headers, signal: controller.signal });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const events = [];
+    let buffer = '';
+
+    async function take(count) {
+      while (events.length < count) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('The feed ended');
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const fields = {};
+          for (const line of buffer.slice(0, end).split('\n')) {
+            const match = /^(\w+): (.*)$/.exec(line);
+            if (match) fields[match[1]] = match[2];
+          }
+          buffer = buffer.slice(end + 2);
+          if (fields.event) events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+        }
+      }
+      return events.splice(0, count);
+    }
+
+    return { response, take, close: () => controller.abort() };
+  }
+
+  it('streams heart and vitals samples with the alerts they open', async () => {
+    const feed = await openFeed();
+    assert.equal(feed.response.headers.get('content-type'), 'text/event-stream');
+
+    const recordedAt = new Date(Date.now() - 60000).toISOString();
+    await post('activity', { steps: 1000 });
+    await post('heart', { deviceName: 'Watch', data: { restingHeartRate: 112, recordedAt } });
+    const [sample, alert] = await feed.take(2);
+    feed.close();
+
+    assert.equal(sample.event, 'sample');
+    assert.deepEqual(sample.data, { metric: 'heart', deviceId: null, deviceName: 'Watch', recordedAt, values: { restingHeartRate: 112 } });
+    assert.equal(alert.event, 'alert');
+    assert.equal(alert.data.alert.rule, 'resting_hr_high');
+    assert.ok(alert.id > sample.id);
+  });
+
+  it('replays what a reconnecting client missed', async () => {
+    const first = await openFeed();
+    await post('vitals', { spo2: 97 });
+    const [seen] = await first.take(1);
+    first.close();
+
+    await post('vitals', { spo2: 98 });
+    const again = await openFeed(`/live?access_token=${user.accessToken}`, { 'Last-Event-ID': String(seen.id) });
+    const [missed] = await again.take(1);
+    again.close();
+    assert.equal(missed.data.values.spo2, 98);
+  });
+
+  it('tells a client to reload when the events it missed are gone', async () => {
+    const feed = await openFeed(`/live?access_token=${user.accessToken}`, { 'Last-Event-ID': '1' });
+    const [reset] = await feed.take(1);
+    feed.close();
+    assert.equal(reset.event, 'reset');
+  });
+
+  it('refuses bad event ids, missing tokens and other users\' feeds', async () => {
+    const badId = await server.request('GET', '/live?lastEventId=yesterday', { token: user.accessToken });
+    assert.equal(badId.status, 400);
+    assert.equal((await server.request('GET', '/live')).status, 401);
+
+    const other = await signUp(server.request, 'other@example.com');
+    assert.equal((await server.request('GET', `/live/${user.userId}`, { token: other.accessToken })).status, 403);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// mail.js picks its transport when loaded, so each test loads it afresh
+function loadMail(transport) {
+  if (transport === undefined) delete process.env.MAIL_TRANSPORT;
+  else process.env.MAIL_TRANSPORT = transport;
+  delete require.cache[require.resolve('../mail')];
+  return require('../mail');
+}
+
+describe('mail', () => {
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('logs only the recipient and subject when no transport is set', async t => {
+    const { sendMail } = loadMail(undefined);
+    const warn = t.mock.method(console, 'warn', () => {});
+    await sendMail({ to: 'someone@example.com', subject: 'Reset your password', text: 'token=secret' });
+
+    const [line] = warn.mock.calls[0].arguments;
+    assert.match(line, /Not sent.*"Reset your password" to someone@example.com/);
+    assert.ok(!line.includes('secret'));
+  });
+
+  it('refuses an unknown transport', () => {
+    assert.throws(() => loadMail('pigeon'), /Unknown MAIL_TRANSPORT "pigeon"/);
+  });
+
+  it('sends through a transport set by the deployment', async () => {
+    const { sendMail, setTransport } = loadMail(undefined);
+    const sent = [];
+    setTransport(async m => sent.push(m));
+    await sendMail({ to: 'someone@example.com', subject: 'Hello', text: 'Hi' });
+    assert.equal(sent[0].to, 'someone@example.com');
+    assert.match(sent[0].from, /no-reply@/);
+  });
+
+  it('prints messages with the console transport', async t => {
+    const { sendMail } = loadMail('console');
+    const log = t.mock.method(console, 'log', () => {});
+    await sendMail({ to: 'someone@example.com', subject: 'Hello', text: 'Hi' });
+    assert.match(log.mock.calls[0].arguments[0], /To: someone@example.com/);
+  });
+});
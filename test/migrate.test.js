@@ -0,0 +1,153 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const { migrateUp, migrateDown, migrationStatus } = require('../migrate');
+const adoptBaselineKeys = require('../migrations/019_adopt_baseline_keys');
+
+const migrationNames = fs.readdirSync(path.join(__dirname, '../migrations'))
+  .filter(file => /^\d+_.+\.js$/.test(file))
+  .map(file => path.basename(file, '.js'))
+  .sort();
+
+// A database that tracks schema_migrations and records every other
+// statement. `lockHeld` makes GET_LOCK time out; a statement containing
+// `failOn` throws.
+function fakeDatabase({ lockHeld = false, failOn = null } = {}) {
+  const db = { applied: new Set(), statements: [], lockReleased: false, connectionReleased: false };
+  const conn = {
+    async query(sql, params = []) {
+      if (sql.startsWith('SELECT GET_LOCK')) return [[{ acquired: lockHeld ? 0 : 1 }]];
+      if (sql.startsWith('SELECT RELEASE_LOCK')) {
+        db.lockReleased = true;
+        return [[]];
+      }
+      if (sql.startsWith('SELECT COUNT(*)')) return [[{ count: 0 }]];
+      if (sql.startsWith('SELECT version FROM schema_migrations'))
+        return [[...db.applied].sort((a, b) => a - b).map(version => ({ version }))];
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        db.applied.add(params[0]);
+        return [{}];
+      }
+      if (sql.startsWith('DELETE FROM schema_migrations')) {
+        db.applied.delete(params[0]);
+        return [{}];
+      }
+      if (failOn && sql.includes(failOn)) throw new Error(`failed: ${failOn}`);
+      db.statements.push(sql);
+      return [[]];
+    },
+    release() {
+      db.connectionReleased = true;
+    }
+  };
+  pool.getConnection = async () => conn;
+  return db;
+}
+
+// A connection that answers the migration's lookups as told and
+// records every statement it is sent.
+function fakeConnection({ hasKeys = false, orphans = 0, failOn = null } = {}) {
+  const statements = [];
+  const record = sql => {
+    statements.push(sql.replace(/\s+/g, ' ').trim());
+    if (failOn && sql.includes(failOn)) throw new Error(`failed: ${failOn}`);
+  };
+  return {
+    statements,
+    async query(sql) {
+      if (sql.includes('information_schema')) return [hasKeys ? [{ 1: 1 }] : []];
+      if (sql.startsWith('SELECT COUNT(*)')) return [[{ count: orphans }]];
+      record(sql);
+      return [[]];
+    },
+    async beginTransaction() {
+      record('BEGIN');
+    },
+    async commit() {
+      record('COMMIT');
+    },
+    async rollback() {
+      record('ROLLBACK');
+    }
+  };
+}
+
+describe('migrate', () => {
+  // The runner logs each migration it applies
+  beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+  it('applies every pending migration in order, once', async () => {
+    const db = fakeDatabase();
+    assert.deepEqual(await migrateUp(), migrationNames);
+    assert.equal(db.applied.size, migrationNames.length);
+    assert.deepEqual(await migrateUp(), []);
+    assert.ok(db.lockReleased);
+    assert.ok(db.connectionReleased);
+  });
+
+  it('rolls back the latest migrations', async () => {
+    const db = fakeDatabase();
+    await migrateUp();
+
+    assert.deepEqual(await migrateDown(2), migrationNames.slice(-2).reverse());
+    const status = await migrationStatus();
+    assert.deepEqual(status.filter(m => !m.applied).map(m => m.name), migrationNames.slice(-2));
+    assert.equal(db.applied.size, migrationNames.length - 2);
+  });
+
+  it('stops at a failing migration without recording it', async () => {
+    const db = fakeDatabase({ failOn: 'CREATE TABLE refresh_tokens' });
+    await assert.rejects(migrateUp(), /failed/);
+
+    assert.deepEqual([...db.applied], [1]);
+    assert.ok(db.lockReleased);
+  });
+
+  it('refuses to run while another run holds the lock', async () => {
+    const db = fakeDatabase({ lockHeld: true });
+    await assert.rejects(migrateUp(), /holds the schema_migrations lock/);
+    assert.deepEqual(db.statements, []);
+    assert.ok(db.connectionReleased);
+  });
+});
+
+describe('019_adopt_baseline_keys', () => {
+  it('does nothing on installs that already have the keys', async () => {
+    const conn = fakeConnection({ hasKeys: true });
+    await adoptBaselineKeys.up(conn);
+    assert.deepEqual(conn.statements, []);
+  });
+
+  it('converts user_id before adding the foreign key', async () => {
+    const conn = fakeConnection();
+    await adoptBaselineKeys.up(conn);
+
+    const heart = conn.statements.filter(sql => sql.startsWith('ALTER TABLE heart_data'));
+    assert.match(heart[1], /MODIFY user_id INT UNSIGNED NOT NULL/);
+    assert.match(heart[2], /ADD CONSTRAINT fk_heart_data_user FOREIGN KEY/);
+    assert.ok(!conn.statements.some(sql => sql.startsWith('DELETE') || sql.includes('_orphaned')));
+  });
+
+  it('moves orphaned rows aside instead of deleting them outright', async () => {
+    const conn = fakeConnection({ orphans: 2 });
+    await adoptBaselineKeys.up(conn);
+
+    const start = conn.statements.indexOf('CREATE TABLE IF NOT EXISTS sleep_data_orphaned LIKE sleep_data');
+    const [create, begin, copy, remove, commit] = conn.statements.slice(start, start + 5);
+    assert.ok(create);
+    assert.equal(begin, 'BEGIN');
+    assert.match(copy, /^INSERT INTO sleep_data_orphaned SELECT \* FROM sleep_data WHERE user_id IS NULL OR user_id NOT REGEXP/);
+    assert.match(remove, /^DELETE FROM sleep_data WHERE user_id IS NULL OR/);
+    assert.equal(commit, 'COMMIT');
+  });
+
+  it('keeps the orphans in place when moving them fails', async () => {
+    const conn = fakeConnection({ orphans: 1, failOn: 'DELETE FROM device_data' });
+    await assert.rejects(adoptBaselineKeys.up(conn), /failed/);
+
+    assert.equal(conn.statements.at(-1), 'ROLLBACK');
+    assert.ok(!conn.statements.some(sql => sql.includes('FOREIGN KEY')));
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+const { ageOn } = require('../profile');
+
+describe('profile', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'profile@example.com');
+  });
+
+  const profile = (method, body) => server.request(method, '/profile', { token: user.accessToken, body });
+
+  it('counts whole years up to the birthday', () => {
+    assert.equal(ageOn('1990-06-15', '2025-06-14'), 34);
+    assert.equal(ageOn('1990-06-15', '2025-06-15'), 35);
+  });
+
+  it('starts from the defaults', async () => {
+    const { status, body } = await profile('GET');
+    assert.equal(status, 200);
+    assert.deepEqual(body.profile, {
+      birthDate: null, age: null, sex: null, heightCm: null, timeZone: 'UTC', unitSystem: 'metric', maxHeartRate: null
+    });
+  });
+
+  it('changes only the fields a PATCH names and clears the rest on PUT', async () => {
+    await profile('PUT', { birthDate: '1990-06-15', sex: 'female', heightCm: 168 });
+    const patched = await profile('PATCH', { heightCm: 170 });
+    assert.equal(patched.body.profile.heightCm, 170);
+    assert.equal(patched.body.profile.sex, 'female');
+
+    const replaced = await profile('PUT', { heightCm: 171 });
+    assert.equal(replaced.body.profile.sex, null);
+    assert.equal(replaced.body.profile.birthDate, null);
+
+    const removed = await profile('DELETE');
+    assert.equal(removed.body.profile.heightCm, null);
+  });
+
+  it('rejects invalid fields with their errors', async () => {
+    const future = await profile('PATCH', { birthDate: '2999-01-01' });
+    assert.equal(future.status, 400);
+    assert.equal(future.body.errors[0].field, 'birthDate');
+
+    const invalid = await profile('PATCH', { sex: 'unknown', heightCm: 20, timeZone: 'Mars/Base' });
+    assert.deepEqual(invalid.body.errors.map(e => e.field).sort(), ['heightCm', 'sex', 'timeZone']);
+    assert.equal((await profile('GET')).body.profile.sex, null);
+  });
+
+  describe('personalized insights', () => {
+    const insights = async () => (await server.request('GET', '/insights', { token: user.accessToken })).body.insights;
+
+    it('uses the measured max heart rate, else one estimated from age', async () => {
+      await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 58 } });
+
+      await profile('PATCH', { birthDate: '1985-01-01' });
+      const byAge = (await insights()).detailedAnalysis.heart.targetZones;
+      assert.equal(byAge.maxHeartRateSource, 'age');
+
+      await profile('PATCH', { maxHeartRate: 185 });
+      const measured = (await insights()).detailedAnalysis.heart.targetZones;
+      assert.equal(measured.maxHeartRate, 185);
+      assert.equal(measured.maxHeartRateSource, 'measured');
+    });
+
+    it('works out BMI from the profile height', async () => {
+      await profile('PATCH', { heightCm: 180 });
+      await server.request('POST', '/body', { token: user.accessToken, body: { weight: 81 } });
+
+      const { currentMetrics, detailedAnalysis } = await insights();
+      assert.equal(currentMetrics.bmi, 25);
+      assert.equal(detailedAnalysis.body.bmiCategory, 'Overweight');
+    });
+  });
+});
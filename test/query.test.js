@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+describe('GET /query/:metric', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'query@example.com');
+  });
+
+  const post = (metric, body) => server.request('POST', `/${metric}`, { token: user.accessToken, body });
+  const query = (metric, params) => server.request('GET', `/query/${metric}?${params}`, { token: user.accessToken });
+
+  it('pages raw samples oldest first', async () => {
+    for (const [recordedAt, restingHeartRate] of [['2025-03-01T06:00:00Z', 60], ['2025-03-01T07:00:00Z', 58], ['2025-03-02T06:00:00Z', 57]]) {
+      await post('heart', { restingHeartRate, recordedAt });
+    }
+
+    const first = await query('heart', 'from=2025-03-01&to=2025-03-02&resolution=raw&fields=restingHeartRate&limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.points.map(p => [p.recordedAt, p.restingHeartRate]), [
+      ['2025-03-01T06:00:00.000Z', 60],
+      ['2025-03-01T07:00:00.000Z', 58]
+    ]);
+    assert.equal(first.body.points[0].hrv, undefined);
+
+    const second = await query('heart', `from=2025-03-01&to=2025-03-02&resolution=raw&fields=restingHeartRate&limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.points.map(p => p.restingHeartRate), [57]);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  it('returns every bucket, empty ones included, with each field\'s daily rule', async () => {
+    for (const [recordedAt, steps] of [['2025-03-01T08:00:00Z', 3000], ['2025-03-01T18:00:00Z', 4500], ['2025-03-03T12:00:00Z', 2000]]) {
+      await post('activity', { steps, recordedAt });
+    }
+
+    const { body } = await query('activity', 'from=2025-03-01&to=2025-03-03&fields=steps');
+    assert.deepEqual(body.points, [
+      { bucket: '2025-03-01', samples: 2, steps: 7500 },
+      { bucket: '2025-03-02', samples: 0, steps: null },
+      { bucket: '2025-03-03', samples: 1, steps: 2000 }
+    ]);
+    assert.equal(body.aggregation, 'default');
+
+    const max = await query('activity', 'from=2025-03-01&to=2025-03-01&fields=steps&aggregation=max');
+    assert.equal(max.body.points[0].steps, 4500);
+  });
+
+  it('pages buckets and starts weeks on Monday', async () => {
+    // 2025-03-05 is a Wednesday
+    await post('activity', { steps: 1000, recordedAt: '2025-03-05T12:00:00Z' });
+
+    const first = await query('activity', 'from=2025-03-05&to=2025-03-18&resolution=weekly&fields=steps&limit=2');
+    assert.deepEqual(first.body.points.map(p => [p.bucket, p.steps]), [['2025-03-03', 1000], ['2025-03-10', null]]);
+
+    const second = await query('activity', `from=2025-03-05&to=2025-03-18&resolution=weekly&fields=steps&limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.points.map(p => p.bucket), ['2025-03-17']);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  it('rejects unknown metrics and malformed parameters', async () => {
+    assert.equal((await query('mood', '')).status, 404);
+    for (const params of [
+      'resolution=minutely',
+      'aggregation=median',
+      'fields=steps',
+      'from=2025-03-05&to=2025-03-01',
+      'from=yesterday',
+      'from=2010-01-01&to=2025-03-01',
+      'limit=0',
+      'cursor=not-a-cursor',
+      'fields=hrv&fields=restingHeartRate',
+      'cursor=a&cursor=b'
+    ]) {
+      const { status, body } = await query('heart', params);
+      assert.equal(status, 400, params);
+      assert.equal(body.success, false);
+    }
+  });
+});
+
+describe('GET /raw/:endpoint/:deviceName', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'raw@example.com');
+  });
+
+  const raw = params => server.request('GET', `/raw/heart/Watch?${params}`, { token: user.accessToken });
+
+  it('pages stored payloads newest first', async () => {
+    for (const [recordedAt, restingHeartRate] of [['2025-03-01T06:00:00Z', 60], ['2025-03-01T07:00:00Z', 58], ['2025-03-02T06:00:00Z', 57]]) {
+      await server.request('POST', '/heart', { token: user.accessToken, body: { deviceName: 'Watch', data: { restingHeartRate, recordedAt } } });
+    }
+
+    const first = await raw('limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.rows.map(r => r.data.restingHeartRate), [57, 58]);
+    const second = await raw(`limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.rows.map(r => r.data.restingHeartRate), [60]);
+    assert.equal(second.body.nextCursor, null);
+  });
+
+  it('rejects malformed paging parameters', async () => {
+    assert.equal((await raw('limit=0')).status, 400);
+    assert.equal((await raw('cursor=not-a-cursor')).status, 400);
+  });
+});
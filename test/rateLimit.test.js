@@ -0,0 +1,82 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RATE_LIMIT_AUTH = '2/60';
+const { rateLimit, setRateLimitStore } = require('../rateLimit');
+
+// Runs the group's middleware on a request from `ip`; resolves with the
+// headers and status it answered with, or { next: true } when it let the
+// request through.
+function hit(name, ip = '203.0.113.1') {
+  return new Promise(resolve => {
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      set(field, value) {
+        if (typeof field === 'object') Object.assign(headers, field);
+        else headers[field] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, headers, body });
+      }
+    };
+    rateLimit(name)({ ip }, res, () => resolve({ next: true, headers }));
+  });
+}
+
+describe('rateLimit', () => {
+  beforeEach(() => {
+    const entries = new Map();
+    setRateLimitStore({
+      async increment(key, windowMs) {
+        const entry = entries.get(key) || { count: 0, resetAt: Date.now() + windowMs };
+        entry.count++;
+        entries.set(key, entry);
+        return { ...entry };
+      },
+      async get(key) {
+        return entries.get(key) || null;
+      },
+      async reset(key) {
+        entries.delete(key);
+      }
+    });
+  });
+
+  it('answers 429 with Retry-After once a client is over the limit', async () => {
+    const first = await hit('auth');
+    assert.equal(first.next, true);
+    assert.deepEqual([first.headers['RateLimit-Limit'], first.headers['RateLimit-Remaining']], ['2', '1']);
+    assert.equal((await hit('auth')).next, true);
+
+    const over = await hit('auth');
+    assert.equal(over.status, 429);
+    assert.equal(over.headers['RateLimit-Remaining'], '0');
+    assert.ok(Number(over.headers['Retry-After']) > 0);
+  });
+
+  it('counts each client on its own', async () => {
+    await hit('auth');
+    await hit('auth');
+    assert.equal((await hit('auth', '203.0.113.2')).next, true);
+  });
+
+  it('lets requests through when the counter store fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    setRateLimitStore({
+      async increment() {
+        throw new Error('store down');
+      }
+    });
+    assert.equal((await hit('auth')).next, true);
+  });
+
+  it('refuses an unknown group', () => {
+    assert.throws(() => rateLimit('uploads'), /Unknown rate limit group/);
+  });
+});
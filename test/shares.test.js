@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { store, startServer, signUp, resetState } = require('./helpers');
+
+describe('shares', () => {
+  let server;
+  let owner;
+  let grantee;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    owner = await signUp(server.request, 'owner@example.com');
+    grantee = await signUp(server.request, 'doctor@example.com');
+    await server.request('POST', '/heart', { token: owner.accessToken, body: { restingHeartRate: 58 } });
+  });
+
+  async function share(categories) {
+    const invite = await server.request('POST', '/shares', { token: owner.accessToken, body: { email: 'doctor@example.com', categories } });
+    assert.equal(invite.status, 201);
+    const accepted = await server.request('POST', '/shares/accept', { token: grantee.accessToken, body: { token: invite.body.token } });
+    assert.equal(accepted.status, 200);
+    return invite.body.share;
+  }
+
+  const readOwnerData = () => server.request('GET', `/all-health-data/${owner.userId}`, { token: grantee.accessToken });
+
+  it('gives the grantee read access to the shared categories only', async () => {
+    await share(['heart']);
+    const read = await readOwnerData();
+
+    assert.equal(read.status, 200);
+    assert.equal(read.body.data.heart.length, 1);
+    assert.deepEqual(read.body.data.activity, []);
+  });
+
+  it('refuses access without a share', async () => {
+    assert.equal((await readOwnerData()).status, 403);
+  });
+
+  it('ends access as soon as the owner revokes the share', async () => {
+    const { id } = await share(['heart']);
+    assert.equal((await readOwnerData()).status, 200);
+
+    const revoked = await server.request('DELETE', `/shares/${id}`, { token: owner.accessToken });
+    assert.equal(revoked.status, 200);
+    assert.equal((await readOwnerData()).status, 403);
+  });
+
+  it('redeems an invitation once', async () => {
+    const invite = await server.request('POST', '/shares', { token: owner.accessToken, body: { email: 'doctor@example.com', categories: ['heart'] } });
+    const accept = () => server.request('POST', '/shares/accept', { token: grantee.accessToken, body: { token: invite.body.token } });
+
+    assert.equal((await accept()).status, 200);
+    assert.equal((await accept()).status, 404);
+  });
+
+  it('lets one of two concurrent accepts redeem a pending grant', async () => {
+    const invite = await server.request('POST', '/shares', { token: owner.accessToken, body: { email: 'doctor@example.com', categories: ['heart'] } });
+    const now = new Date();
+
+    const accepts = await Promise.all([
+      store.accessGrants.accept(invite.body.share.id, grantee.userId, now),
+      store.accessGrants.accept(invite.body.share.id, grantee.userId, now)
+    ]);
+    assert.deepEqual(accepts.sort(), [false, true]);
+  });
+
+  it('does not accept an invitation the owner revoked', async () => {
+    const invite = await server.request('POST', '/shares', { token: owner.accessToken, body: { email: 'doctor@example.com', categories: ['heart'] } });
+    await server.request('DELETE', `/shares/${invite.body.share.id}`, { token: owner.accessToken });
+
+    const accepted = await server.request('POST', '/shares/accept', { token: grantee.accessToken, body: { token: invite.body.token } });
+    assert.equal(accepted.status, 404);
+    assert.equal((await readOwnerData()).status, 403);
+  });
+
+  it('does not let the grantee revoke the owner\'s share', async () => {
+    const { id } = await share(['heart']);
+    assert.equal((await server.request('DELETE', `/shares/${id}`, { token: grantee.accessToken })).status, 404);
+    assert.equal((await readOwnerData()).status, 200);
+  });
+
+  it('lets the grantee see what is shared with them and give it up', async () => {
+    const { id } = await share(['heart', 'vitals']);
+    const { body } = await server.request('GET', '/shared-with-me', { token: grantee.accessToken });
+    assert.deepEqual(body.shares.map(s => [s.owner.email, s.categories]), [['owner@example.com', ['heart', 'vitals']]]);
+
+    assert.equal((await server.request('DELETE', `/shared-with-me/${id}`, { token: grantee.accessToken })).status, 200);
+    assert.equal((await readOwnerData()).status, 403);
+  });
+
+  it('refuses invalid invitations and accepts only for the invited address', async () => {
+    const invite = body => server.request('POST', '/shares', { token: owner.accessToken, body });
+    const unknown = await invite({ email: 'doctor@example.com', categories: ['mood'] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].field, 'categories');
+    assert.equal((await invite({ email: 'doctor@example.com', categories: ['heart'], expiresAt: '2020-01-01T00:00:00Z' })).status, 400);
+    assert.equal((await invite({ email: 'Owner@example.com', categories: ['heart'] })).status, 400);
+
+    const { body } = await invite({ email: 'doctor@example.com', categories: ['heart'] });
+    const stranger = await signUp(server.request, 'stranger@example.com');
+    const accept = (token, acceptedBy) => server.request('POST', '/shares/accept', { token: acceptedBy.accessToken, body: { token } });
+    assert.equal((await accept(body.token, stranger)).status, 403);
+    assert.equal((await accept('inv_guessed', grantee)).status, 404);
+  });
+});
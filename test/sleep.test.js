@@ -0,0 +1,134 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+const { withStageTotals, sleepLog, sleepSchedule } = require('../sleep');
+const { localDate, addDays } = require('../daily');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600000).toISOString();
+
+// A night in bed from 22:45 to 07:00 UTC, falling asleep at 23:00.
+const night = {
+  startAt: '2025-03-01T22:45:00Z',
+  endAt: '2025-03-02T07:00:00Z',
+  stages: [
+    { stage: 'light', startAt: '2025-03-01T23:00:00Z', endAt: '2025-03-02T01:00:00Z' },
+    { stage: 'awake', startAt: '2025-03-02T01:00:00Z', endAt: '2025-03-02T01:30:00Z' },
+    { stage: 'deep', startAt: '2025-03-02T01:30:00Z', endAt: '2025-03-02T03:00:00Z' },
+    { stage: 'rem', startAt: '2025-03-02T03:00:00Z', endAt: '2025-03-02T07:00:00Z' }
+  ]
+};
+
+// A stored sleep row as the storage layer returns it.
+const row = (startAt, endAt, fields = {}) => ({ device_name: 'Watch', recorded_at: endAt, start_at: startAt, end_at: endAt, ...fields });
+
+describe('sleep', () => {
+  describe('withStageTotals', () => {
+    it('fills in the totals from the stage segments', () => {
+      const data = withStageTotals(night);
+      assert.deepEqual(
+        [data.totalSleep, data.sleepHours, data.lightSleep, data.deepSleep, data.remSleep, data.awakeTime, data.sleepLatency],
+        [8.25, 7.5, 2, 1.5, 4, 0.5, 15]
+      );
+    });
+
+    it('keeps what the device sent and takes the span from the segments otherwise', () => {
+      const data = withStageTotals({ sleepHours: 7, stages: night.stages });
+      assert.equal(data.sleepHours, 7);
+      assert.deepEqual([data.startAt, data.endAt], ['2025-03-01T23:00:00.000Z', '2025-03-02T07:00:00.000Z']);
+      assert.equal(data.sleepLatency, 0);
+    });
+  });
+
+  describe('sleepLog', () => {
+    it('joins parts of one night and tells naps apart', () => {
+      const { nights, naps } = sleepLog([
+        row('2025-03-01T23:00:00Z', '2025-03-02T03:00:00Z', { sleep_hours: 3.5, total_sleep: 4 }),
+        row('2025-03-02T03:30:00Z', '2025-03-02T07:00:00Z', { sleep_hours: 3.5 }),
+        row('2025-03-02T14:00:00Z', '2025-03-02T14:40:00Z', { sleep_hours: 0.5 }),
+        row('2025-03-02T22:30:00Z', '2025-03-03T06:30:00Z', { sleep_hours: 7.5 })
+      ], 'UTC');
+
+      assert.deepEqual(nights.map(n => [n.date, n.asleepHours, n.inBedHours]), [['2025-03-03', 7.5, 8], ['2025-03-02', 7, 8]]);
+      assert.equal(nights[1].efficiency, 87.5);
+      assert.deepEqual(naps.map(n => [n.date, n.asleepHours]), [['2025-03-02', 0.5]]);
+    });
+
+    it('counts a session the device marked as a nap as one', () => {
+      const { nights, naps } = sleepLog([row('2025-03-02T01:00:00Z', '2025-03-02T02:00:00Z', { sleep_hours: 1, is_nap: 1 })], 'UTC');
+      assert.deepEqual([nights.length, naps.length], [0, 1]);
+    });
+  });
+
+  describe('sleepSchedule', () => {
+    it('averages bedtimes across midnight', () => {
+      const schedule = sleepSchedule([
+        { bedtimeMinutes: 23 * 60, wakeMinutes: 7 * 60 },
+        { bedtimeMinutes: 60, wakeMinutes: 7 * 60 }
+      ]);
+      assert.deepEqual(
+        [schedule.averageBedtime, schedule.averageWakeTime, schedule.bedtimeVariationMinutes, schedule.regularity],
+        ['12:00 AM', '7:00 AM', 60, 'Regular']
+      );
+    });
+
+    it('has no variation from a single night and no schedule without times', () => {
+      assert.equal(sleepSchedule([{ bedtimeMinutes: 22 * 60, wakeMinutes: 6 * 60 }]).regularity, null);
+      assert.equal(sleepSchedule([{ bedtimeMinutes: null, wakeMinutes: null }]), null);
+    });
+  });
+
+  describe('through the API', () => {
+    let server;
+    let user;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+      resetState();
+      user = await signUp(server.request, 'sleep@example.com');
+    });
+
+    const post = body => server.request('POST', '/sleep', { token: user.accessToken, body });
+
+    it('reports last night from its stages, with naps on their own', async () => {
+      // The night before yesterday, so all of it is in the past
+      const yesterday = addDays(localDate(new Date(), 'UTC'), -1);
+      const shifted = value => value.replace('2025-03-02', yesterday).replace('2025-03-01', addDays(yesterday, -1));
+      const posted = await post({
+        startAt: shifted(night.startAt),
+        endAt: shifted(night.endAt),
+        stages: night.stages.map(s => ({ ...s, startAt: shifted(s.startAt), endAt: shifted(s.endAt) }))
+      });
+      assert.equal(posted.status, 200);
+      await post({ startAt: `${yesterday}T14:00:00Z`, endAt: `${yesterday}T14:30:00Z`, totalSleep: 0.5, isNap: true });
+
+      const { body } = await server.request('GET', '/insights', { token: user.accessToken });
+      const { currentMetrics, detailedAnalysis } = body.insights;
+      assert.deepEqual([currentMetrics.sleepHours, currentMetrics.deepSleep, currentMetrics.sleepEfficiency], [7.5, 1.5, 90.9]);
+      assert.deepEqual([detailedAnalysis.sleep.lastNight.bedtime, detailedAnalysis.sleep.lastNight.latencyMinutes], ['10:45 PM', 15]);
+      assert.deepEqual(detailedAnalysis.sleep.lastNight.stages, { awake: 0.5, light: 2, deep: 1.5, rem: 4 });
+      assert.deepEqual(detailedAnalysis.sleep.naps, { count: 1, totalHours: '0.5' });
+    });
+
+    it('rejects stages out of order, of unknown kinds or outside the session', async () => {
+      const overlapping = await post({
+        stages: [
+          { stage: 'light', startAt: hoursAgo(8), endAt: hoursAgo(6) },
+          { stage: 'deep', startAt: hoursAgo(7), endAt: hoursAgo(5) }
+        ]
+      });
+      assert.equal(overlapping.status, 400);
+      assert.match(overlapping.body.errors[0].message, /chronological order/);
+
+      const unknown = await post({ stages: [{ stage: 'dreaming', startAt: hoursAgo(8), endAt: hoursAgo(6) }] });
+      assert.equal(unknown.body.errors[0].field, 'stages[0]');
+
+      const outside = await post({ startAt: hoursAgo(7), endAt: hoursAgo(1), stages: [{ stage: 'light', startAt: hoursAgo(8), endAt: hoursAgo(6) }] });
+      assert.match(outside.body.errors[0].message, /outside the session/);
+
+      const asleepTooLong = await post({ totalSleep: 6, sleepHours: 7 });
+      assert.equal(asleepTooLong.body.errors[0].field, 'sleepHours');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+const { loadMergeContext } = require('../sources');
+
+const DAY_MS = 24 * 3600000;
+// Two days ago, so every reading below lies in the past
+const day = new Date(Date.now() - 2 * DAY_MS).toISOString().slice(0, 10);
+const previousDay = new Date(Date.now() - 3 * DAY_MS).toISOString().slice(0, 10);
+const at = time => `${day}T${time}:00Z`;
+
+describe('merging devices', () => {
+  let server;
+  let user;
+  let devices;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'merge@example.com');
+    devices = {};
+    for (const [name, type] of [['Wrist', 'watch'], ['Pocket', 'phone'], ['Finger', 'ring']]) {
+      const created = await server.request('POST', '/devices', { token: user.accessToken, body: { name, type } });
+      devices[type] = created.body.device.id;
+    }
+  });
+
+  const send = (metric, type, data) =>
+    server.request('POST', `/${metric}`, { token: user.accessToken, body: { deviceId: devices[type], data } });
+
+  async function summary(metric) {
+    const { body } = await server.request('GET', `/daily-summary?from=${day}&to=${day}&metrics=${metric}`, { token: user.accessToken });
+    return body.days[0][metric];
+  }
+
+  it('keeps the device that counted more steps by default', async () => {
+    await send('activity', 'phone', { steps: 4000, recordedAt: at('18:00') });
+    await send('activity', 'watch', { steps: 6500, recordedAt: at('19:00') });
+
+    assert.equal((await summary('activity')).steps, 6500);
+  });
+
+  it('prefers heart readings from the higher-priority device', async () => {
+    await send('heart', 'phone', { restingHeartRate: 70, recordedAt: at('07:10') });
+    await send('heart', 'watch', { restingHeartRate: 58, recordedAt: at('07:20') });
+
+    assert.equal((await summary('heart')).resting_heart_rate, 58);
+  });
+
+  it('follows the user\'s own rule', async () => {
+    const saved = await server.request('PUT', '/source-rules/activity', { token: user.accessToken, body: { strategy: 'all' } });
+    assert.equal(saved.status, 200);
+    await send('activity', 'phone', { steps: 4000, recordedAt: at('18:00') });
+    await send('activity', 'watch', { steps: 6500, recordedAt: at('19:00') });
+
+    assert.equal((await summary('activity')).steps, 10500);
+  });
+
+  it('rejects a priority rule without sources', async () => {
+    const saved = await server.request('PUT', '/source-rules/heart', { token: user.accessToken, body: { strategy: 'priority' } });
+    assert.equal(saved.status, 400);
+    assert.equal(saved.body.errors[0].field, 'sources');
+  });
+
+  it('reports the overlaps and which device won', async () => {
+    await send('activity', 'phone', { steps: 4000, recordedAt: at('18:00') });
+    await send('activity', 'watch', { steps: 6500, recordedAt: at('19:00') });
+
+    const { body } = await server.request('GET', `/source-overlaps?from=${day}&to=${day}&metrics=activity`, { token: user.accessToken });
+    const steps = body.overlaps.activity.find(o => o.column === 'steps');
+    assert.equal(steps.winner, 'Wrist');
+    assert.deepEqual(steps.sources.map(s => s.name).sort(), ['Pocket', 'Wrist']);
+  });
+
+  it('merges sleep per session, so one device\'s nap survives another\'s night', async () => {
+    await send('sleep', 'ring', { startAt: `${previousDay}T23:00:00Z`, endAt: at('07:00'), sleepHours: 7.5, totalSleep: 8 });
+    await send('sleep', 'phone', { startAt: `${previousDay}T23:30:00Z`, endAt: at('06:30'), sleepHours: 6.5, totalSleep: 7 });
+    await send('sleep', 'phone', { startAt: at('14:00'), endAt: at('14:45'), sleepHours: 0.7, totalSleep: 0.75, isNap: true });
+
+    assert.equal((await summary('sleep')).sleep_hours, 8.2);
+  });
+});
+
+describe('merge context', () => {
+  it('reads rules and devices through the repositories it is given', async () => {
+    const db = {
+      sourceRules: { list: async () => [{ metric: 'heart', strategy: 'priority', sources: ['Ring'] }] },
+      devices: { list: async () => [{ name: 'Ring', type: 'ring' }] }
+    };
+    const ctx = await loadMergeContext(1, 'UTC', db);
+    assert.deepEqual(ctx.rules.heart, { strategy: 'priority', sources: ['Ring'], isDefault: false });
+    assert.equal(ctx.typeOf('Ring'), 'ring');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { store, startServer, signUp, resetState } = require('./helpers');
+
+describe('storage', () => {
+  beforeEach(resetState);
+
+  describe('memory driver', () => {
+    it('keeps the first row for a repeated sampleId', async () => {
+      const userId = await store.users.create({ fullName: 'A', email: 'a@example.com', passwordHash: 'x' });
+      const recordedAt = new Date();
+
+      assert.equal(await store.rawData.insert(userId, 'Watch', 'heart', { hrv: 40 }, { sampleId: 's1', recordedAt }), true);
+      assert.equal(await store.rawData.insert(userId, 'Watch', 'heart', { hrv: 41 }, { sampleId: 's1', recordedAt }), false);
+      const rows = await store.rawData.list(userId, { deviceName: 'Watch', endpoint: 'heart' });
+      assert.deepEqual(rows.map(r => r.data.hrv), [40]);
+    });
+
+    it('refuses a second account with the same email', async () => {
+      await store.users.create({ fullName: 'A', email: 'a@example.com', passwordHash: 'x' });
+      await assert.rejects(store.users.create({ fullName: 'B', email: 'a@example.com', passwordHash: 'y' }), { code: 'ER_DUP_ENTRY' });
+    });
+
+    it('undoes every write of a transaction that throws', async () => {
+      const userId = await store.users.create({ fullName: 'A', email: 'a@example.com', passwordHash: 'x' });
+      await assert.rejects(store.transaction(async db => {
+        await db.samples.insert('heart', userId, 'Watch', { restingHeartRate: 60, recordedAt: new Date() });
+        throw new Error('abort');
+      }), /abort/);
+
+      assert.deepEqual(await store.samples.list('heart', userId), []);
+    });
+
+    it('keeps counting ids across a reset, like MySQL', async () => {
+      const first = await store.users.create({ fullName: 'A', email: 'a@example.com', passwordHash: 'x' });
+      store.reset();
+      const second = await store.users.create({ fullName: 'A', email: 'a@example.com', passwordHash: 'x' });
+      assert.ok(Number(second) > Number(first));
+    });
+  });
+
+  describe('API on the memory driver', () => {
+    let server;
+    before(async () => {
+      server = await startServer();
+    });
+    after(() => server.close());
+
+    it('stores a sample and reads it back', async () => {
+      const user = await signUp(server.request, 'offline@example.com');
+      const stored = await server.request('POST', '/heart', {
+        token: user.accessToken,
+        body: { deviceName: 'Watch', data: { restingHeartRate: 58, recordedAt: '2025-03-01T07:30:00Z' } }
+      });
+      assert.equal(stored.status, 200);
+
+      const raw = await server.request('GET', '/raw/heart/Watch', { token: user.accessToken });
+      assert.equal(raw.status, 200);
+      assert.equal(raw.body.rows[0].data.restingHeartRate, 58);
+      const all = await server.request('GET', '/all-health-data', { token: user.accessToken });
+      assert.equal(all.body.data.heart[0].resting_heart_rate, 58);
+    });
+
+    it('stores only the readings of a flat body, not its envelope', async () => {
+      const user = await signUp(server.request, 'flat@example.com');
+      const stored = await server.request('POST', '/heart', {
+        token: user.accessToken,
+        body: { deviceName: 'Watch', sampleId: 'flat-1', restingHeartRate: 58, recordedAt: '2025-03-01T07:30:00Z' }
+      });
+      assert.equal(stored.status, 200);
+
+      const raw = await server.request('GET', '/raw/heart/Watch', { token: user.accessToken });
+      assert.deepEqual(raw.body.rows[0].data, { restingHeartRate: 58, recordedAt: '2025-03-01T07:30:00Z' });
+    });
+
+    it('keeps each user\'s data apart', async () => {
+      const first = await signUp(server.request, 'first@example.com');
+      const second = await signUp(server.request, 'second@example.com');
+      await server.request('POST', '/heart', { token: first.accessToken, body: { restingHeartRate: 58 } });
+
+      const all = await server.request('GET', '/all-health-data', { token: second.accessToken });
+      assert.deepEqual(all.body.data.heart, []);
+    });
+  });
+});
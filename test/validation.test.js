@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+// The environment the modules read when loaded
+require('./helpers');
+const { validatePayload, isQuarantinable, toDate } = require('../validation');
+
+const codes = errors => errors.map(e => `${e.field}:${e.code}`);
+
+describe('validation', () => {
+  it('accepts a well-formed payload', () => {
+    assert.deepEqual(validatePayload('heart', { currentHeartRate: 72, restingHeartRate: 58, hrv: 45 }), []);
+    assert.deepEqual(validatePayload('vitals', { bloodPressureSystolic: 120, bloodPressureDiastolic: 80 }), []);
+  });
+
+  it('requires at least one of the metric\'s fields', () => {
+    assert.deepEqual(codes(validatePayload('activity', { note: 'walk' })), ['null:required']);
+  });
+
+  it('rejects unknown endpoints and payloads that are not objects', () => {
+    assert.deepEqual(codes(validatePayload('mood', { happy: true })), ['null:type']);
+    assert.deepEqual(codes(validatePayload('heart', [72])), ['null:type']);
+    assert.deepEqual(codes(validatePayload('heart', null)), ['null:type']);
+  });
+
+  it('checks types, including integers and string lengths', () => {
+    assert.deepEqual(codes(validatePayload('heart', { currentHeartRate: '72' })), ['currentHeartRate:type']);
+    assert.deepEqual(codes(validatePayload('activity', { steps: 10.5 })), ['steps:type']);
+    assert.deepEqual(codes(validatePayload('health', { condition: 'x'.repeat(1001) })), ['condition:limit']);
+  });
+
+  it('tells impossible values from implausible ones', () => {
+    const impossible = validatePayload('vitals', { spo2: 101 });
+    assert.deepEqual(codes(impossible), ['spo2:limit']);
+    assert.equal(isQuarantinable(impossible), false);
+
+    const implausible = validatePayload('heart', { restingHeartRate: 140 });
+    assert.deepEqual(codes(implausible), ['restingHeartRate:range']);
+    assert.equal(implausible[0].value, 140);
+    assert.equal(isQuarantinable(implausible), true);
+  });
+
+  it('applies cross-field rules once the fields are well-typed', () => {
+    assert.deepEqual(codes(validatePayload('vitals', { bloodPressureSystolic: 120 })), ['bloodPressureSystolic:consistency']);
+    assert.deepEqual(
+      codes(validatePayload('vitals', { bloodPressureSystolic: 80, bloodPressureDiastolic: 90 })),
+      ['bloodPressureSystolic:consistency']
+    );
+    assert.deepEqual(codes(validatePayload('body', { weight: 70, leanMass: 80 })), ['leanMass:consistency']);
+    // A type error leaves the rules out
+    assert.deepEqual(codes(validatePayload('vitals', { bloodPressureSystolic: 'high' })), ['bloodPressureSystolic:type']);
+  });
+
+  it('does not quarantine a payload without errors', () => {
+    assert.equal(isQuarantinable([]), false);
+  });
+
+  describe('measurement times', () => {
+    it('parses ISO 8601 strings and epoch milliseconds', () => {
+      assert.equal(toDate('2025-03-01T07:30:00Z').toISOString(), '2025-03-01T07:30:00.000Z');
+      assert.equal(toDate(1740814200000).toISOString(), '2025-03-01T07:30:00.000Z');
+      assert.equal(toDate('yesterday'), null);
+      assert.equal(toDate({}), null);
+    });
+
+    it('accepts recordedAt on every metric and rejects unreadable ones', () => {
+      assert.deepEqual(validatePayload('heart', { restingHeartRate: 58, recordedAt: '2025-03-01T07:30:00Z' }), []);
+      assert.deepEqual(codes(validatePayload('body', { weight: 70, recordedAt: 'last week' })), ['recordedAt:type']);
+    });
+
+    it('rejects timestamps beyond the allowed clock skew', () => {
+      const soon = new Date(Date.now() + 60 * 1000).toISOString();
+      const later = new Date(Date.now() + 3600 * 1000).toISOString();
+      assert.deepEqual(validatePayload('heart', { restingHeartRate: 58, recordedAt: soon }), []);
+      assert.deepEqual(codes(validatePayload('heart', { restingHeartRate: 58, recordedAt: later })), ['recordedAt:limit']);
+    });
+
+    it('requires a session to end after it starts and within a day', () => {
+      const span = (startAt, endAt) => codes(validatePayload('activity', { steps: 4000, startAt, endAt }));
+      assert.deepEqual(span('2025-03-01T07:00:00Z', '2025-03-01T08:00:00Z'), []);
+      assert.deepEqual(span('2025-03-01T08:00:00Z', '2025-03-01T07:00:00Z'), ['endAt:limit']);
+      assert.deepEqual(span('2025-03-01T07:00:00Z', '2025-03-02T08:00:00Z'), ['endAt:limit']);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signUp, resetState } = require('./helpers');
+
+describe('webhook destinations', () => {
+  let server;
+  let user;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetState();
+    user = await signUp(server.request, 'hooks@example.com');
+  });
+
+  const subscribe = url => server.request('POST', '/webhooks', { token: user.accessToken, body: { url, events: ['alert.opened'] } });
+
+  it('accepts public https URLs', async () => {
+    assert.equal((await subscribe('https://care-team.example.com/hooks/cardio')).status, 201);
+  });
+
+  it('refuses plain http', async () => {
+    const refused = await subscribe('http://care-team.example.com/hooks/cardio');
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.errors[0].field, 'url');
+  });
+
+  for (const url of [
+    'https://localhost/hook', 'https://api.localhost/hook', 'https://127.0.0.1/hook', 'https://10.1.2.3/hook',
+    'https://169.254.169.254/latest/meta-data', 'https://192.168.0.10/hook', 'https://[::1]/hook', 'https://[::ffff:127.0.0.1]/hook'
+  ]) {
+    it(`refuses ${url}`, async () => {
+      const refused = await subscribe(url);
+      assert.equal(refused.status, 400);
+      assert.equal(refused.body.errors[0].code, 'range');
+    });
+  }
+
+  it('applies the same checks when a webhook is changed', async () => {
+    const { body } = await subscribe('https://care-team.example.com/hooks/cardio');
+    const changed = await server.request('PATCH', `/webhooks/${body.webhook.id}`, { token: user.accessToken, body: { url: 'https://10.0.0.1/hook' } });
+    assert.equal(changed.status, 400);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+
+// The receiver runs on this machine over plain http
+process.env.WEBHOOK_ALLOW_HTTP = 'true';
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+// Quick retries, so a delivery is dead-lettered within the test
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '1';
+
+const { store, startServer, signUp, resetState } = require('./helpers');
+const { sign } = require('../webhooks');
+
+// Resolves once check() returns something truthy, polling every 100 ms.
+async function waitFor(check, timeoutMs = 10000) {
+  for (const deadline = Date.now() + timeoutMs; Date.now() < deadline;) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting');
+}
+
+describe('webhooks', () => {
+  let server;
+  let receiver;
+  let received;
+  let statuses;
+  let user;
+
+  before(async () => {
+    server = await startServer();
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    }).listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+  });
+  after(async () => {
+    receiver.close();
+    await server.close();
+  });
+  beforeEach(async () => {
+    resetState();
+    received = [];
+    statuses = [];
+    user = await signUp(server.request, 'hooks@example.com');
+  });
+
+  async function subscribe(events) {
+    const created = await server.request('POST', '/webhooks', {
+      token: user.accessToken,
+      body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events }
+    });
+    assert.equal(created.status, 201);
+    return created.body;
+  }
+
+  const deliveries = id => server.request('GET', `/webhooks/${id}/deliveries`, { token: user.accessToken });
+
+  it('posts subscribed events signed with the webhook secret', async () => {
+    const { webhook, secret } = await subscribe(['sample.ingested']);
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 61 } });
+
+    const [delivery] = await waitFor(() => received.length > 0 && received);
+    const event = JSON.parse(delivery.body);
+    assert.equal(event.type, 'sample.ingested');
+    assert.equal(event.data.values.restingHeartRate, 61);
+    assert.equal(delivery.headers['x-cardioapp-event'], 'sample.ingested');
+    const [, timestamp, signature] = delivery.headers['x-cardioapp-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.equal(signature, sign(secret, timestamp, delivery.body));
+
+    const log = await waitFor(async () => {
+      const { body } = await deliveries(webhook.id);
+      return body.deliveries[0]?.status === 'delivered' && body.deliveries;
+    });
+    assert.equal(log[0].attempts, 1);
+  });
+
+  it('skips events the webhook is not subscribed to', async () => {
+    const { webhook } = await subscribe(['alert.opened']);
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 61 } });
+
+    assert.deepEqual((await deliveries(webhook.id)).body.deliveries, []);
+  });
+
+  it('retries failed deliveries and dead-letters them after the last attempt', async () => {
+    const { webhook } = await subscribe(['sample.ingested']);
+    statuses.push(500, 503);
+    await server.request('POST', '/heart', { token: user.accessToken, body: { restingHeartRate: 61 } });
+
+    const [dead] = await waitFor(async () => {
+      const { body } = await deliveries(webhook.id);
+      return body.deliveries[0]?.status === 'dead' && body.deliveries;
+    });
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.lastStatusCode, 503);
+    assert.equal(received.length, 2);
+    // Retries keep the delivery id
+    assert.equal(received[0].headers['x-cardioapp-delivery'], received[1].headers['x-cardioapp-delivery']);
+
+    const retried = await server.request('POST', `/webhooks/${webhook.id}/deliveries/${dead.id}/retry`, { token: user.accessToken });
+    assert.equal(retried.status, 202);
+    await waitFor(async () => (await deliveries(webhook.id)).body.deliveries[0].status === 'delivered');
+  });
+
+  it('only retries dead-lettered deliveries', async () => {
+    const { webhook } = await subscribe(['sample.ingested']);
+    const ping = await server.request('POST', `/webhooks/${webhook.id}/ping`, { token: user.accessToken });
+    await waitFor(async () => (await deliveries(webhook.id)).body.deliveries[0].status === 'delivered');
+
+    const retried = await server.request('POST', `/webhooks/${webhook.id}/deliveries/${ping.body.delivery.id}/retry`, { token: user.accessToken });
+    assert.equal(retried.status, 409);
+  });
+
+  it('hides other users\' webhooks', async () => {
+    const { webhook } = await subscribe(['sample.ingested']);
+    const other = await signUp(server.request, 'other@example.com');
+
+    assert.equal((await server.request('GET', `/webhooks/${webhook.id}`, { token: other.accessToken })).status, 404);
+    assert.equal((await server.request('DELETE', `/webhooks/${webhook.id}`, { token: other.accessToken })).status, 404);
+  });
+
+  it('rejects unknown event types and URLs other than http(s)', async () => {
+    const created = await server.request('POST', '/webhooks', {
+      token: user.accessToken,
+      body: { url: 'https://hooks.example.com/in', events: ['sample.deleted'] }
+    });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.errors[0].field, 'events');
+
+    const ftp = await server.request('POST', '/webhooks', {
+      token: user.accessToken,
+      body: { url: 'ftp://hooks.example.com/in', events: ['sample.ingested'] }
+    });
+    assert.equal(ftp.body.errors[0].field, 'url');
+  });
+
+  it('lets one dispatcher claim a due delivery', async () => {
+    const { webhook } = await subscribe(['alert.opened']);
+    const id = await store.webhookDeliveries.create({ webhookId: webhook.id, eventId: 'e1', eventType: 'alert.opened', payload: {} });
+    const now = new Date(Date.now() + 1000);
+    const until = new Date(now.getTime() + 60000);
+
+    const claims = await Promise.all([store.webhookDeliveries.claim(id, now, until), store.webhookDeliveries.claim(id, now, until)]);
+    assert.deepEqual(claims.sort(), [false, true]);
+  });
+});
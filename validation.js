@@ -0,0 +1,295 @@
+// Payload schemas for the ingestion endpoints.
+//
+// Each field declares its type and unit. `limits` are hard bounds: a value
+// outside them cannot be a real measurement (negative steps, SpO2 above 100%)
+// and is always rejected. `range` is the physiologically plausible band: a
+// value outside it is reported as a range error, which the ingestion route may
+// quarantine instead of rejecting when QUARANTINE_OUT_OF_RANGE is enabled.
+//
+// Every sample may carry `recordedAt`, the time the device measured it (ISO
+// 8601 string or epoch milliseconds). Sleep and activity may also carry the
+// `startAt`/`endAt` span of the session or workout. For sleep that span is the
+// time in bed, and `stages` may list its segments in order, each
+// { stage, startAt, endAt } with stage one of SLEEP_STAGES ('asleep' is sleep
+// the device could not stage).
+
+const { isValidTimeZone } = require('./daily');
+
+// Device clocks drift; anything further ahead than this is a bad timestamp.
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const timeFields = {
+  recordedAt: { type: 'timestamp' }
+};
+
+const spanFields = {
+  ...timeFields,
+  startAt: { type: 'timestamp' },
+  endAt: { type: 'timestamp' }
+};
+
+const SLEEP_STAGES = ['awake', 'light', 'deep', 'rem', 'asleep'];
+
+// Stage segments must be well-formed, in order, not overlap and lie inside
+// the session's span when one is given.
+function stagesRule(d) {
+  if (d.stages == null) return false;
+  if (d.stages.length === 0) return { field: 'stages', code: 'type', message: 'stages must list at least one segment' };
+  const sessionStart = toDate(d.startAt);
+  const sessionEnd = toDate(d.endAt);
+  let previousEnd = null;
+  for (const [i, segment] of d.stages.entries()) {
+    const field = `stages[${i}]`;
+    if (!segment || typeof segment !== 'object' || !SLEEP_STAGES.includes(segment.stage))
+      return { field, code: 'type', message: `${field}.stage must be one of ${SLEEP_STAGES.join(', ')}` };
+    const start = toDate(segment.startAt);
+    const end = toDate(segment.endAt);
+    if (!start || !end) return { field, code: 'type', message: `${field} must have startAt and endAt timestamps` };
+    if (end <= start) return { field, code: 'limit', message: `${field} must end after it starts` };
+    if (end > Date.now() + MAX_CLOCK_SKEW_MS) return { field, code: 'limit', message: `${field} cannot be in the future` };
+    if (previousEnd && start < previousEnd)
+      return { field, code: 'limit', message: 'stages must be in chronological order and not overlap' };
+    if ((sessionStart && start < sessionStart) || (sessionEnd && end > sessionEnd))
+      return { field, code: 'limit', message: `${field} lies outside the session's startAt-endAt` };
+    previousEnd = end;
+  }
+  if (previousEnd - toDate(d.stages[0].startAt) > 24 * 3600000)
+    return { field: 'stages', code: 'limit', message: 'A session cannot span more than 24 hours' };
+  return false;
+}
+
+function spanRule(maxHours) {
+  return d => {
+    if (d.startAt == null || d.endAt == null) return false;
+    const hours = (toDate(d.endAt) - toDate(d.startAt)) / 3600000;
+    if (hours <= 0) return { field: 'endAt', code: 'limit', message: 'endAt must be after startAt' };
+    if (hours > maxHours) return { field: 'endAt', code: 'limit', message: `A session cannot span more than ${maxHours} hours` };
+    return false;
+  };
+}
+
+const schemas = {
+  heart: {
+    anyOf: ['currentHeartRate', 'restingHeartRate', 'hrv'],
+    fields: {
+      ...timeFields,
+      currentHeartRate: { type: 'number', unit: 'bpm', limits: [0, 300], range: [25, 230] },
+      restingHeartRate: { type: 'number', unit: 'bpm', limits: [0, 300], range: [25, 130] },
+      hrv: { type: 'number', unit: 'ms', limits: [0, 1000], range: [1, 300] }
+    }
+  },
+  // totalSleep is the time in bed, sleepHours the time asleep
+  sleep: {
+    anyOf: ['totalSleep', 'sleepHours', 'stages'],
+    fields: {
+      ...spanFields,
+      totalSleep: { type: 'number', unit: 'h', limits: [0, 24], range: [0, 16] },
+      deepSleep: { type: 'number', unit: 'h', limits: [0, 24], range: [0, 8] },
+      remSleep: { type: 'number', unit: 'h', limits: [0, 24], range: [0, 8] },
+      lightSleep: { type: 'number', unit: 'h', limits: [0, 24], range: [0, 12] },
+      awakeTime: { type: 'number', unit: 'h', limits: [0, 24], range: [0, 8] },
+      sleepHours: { type: 'number', unit: 'h', limits: [0, 24], range: [0, 16] },
+      sleepLatency: { type: 'number', unit: 'min', limits: [0, 1440], range: [0, 240] },
+      isNap: { type: 'boolean' },
+      stages: { type: 'array', maxLength: 2000 }
+    },
+    rules: [
+      d => d.deepSleep != null && d.remSleep != null && d.totalSleep != null &&
+        d.deepSleep + d.remSleep > d.totalSleep &&
+        { field: 'deepSleep', message: 'deepSleep + remSleep cannot exceed totalSleep' },
+      d => d.sleepHours != null && d.totalSleep != null && d.sleepHours > d.totalSleep &&
+        { field: 'sleepHours', message: 'sleepHours cannot exceed the time in bed (totalSleep)' },
+      spanRule(24),
+      stagesRule
+    ]
+  },
+  activity: {
+    anyOf: ['steps', 'calories', 'distance', 'exerciseMinutes'],
+    fields: {
+      ...spanFields,
+      steps: { type: 'integer', unit: 'count', limits: [0, 1000000], range: [0, 100000] },
+      calories: { type: 'number', unit: 'kcal', limits: [0, 100000], range: [0, 10000] },
+      distance: { type: 'number', unit: 'km', limits: [0, 1000], range: [0, 150] },
+      exerciseMinutes: { type: 'number', unit: 'min', limits: [0, 1440], range: [0, 720] }
+    },
+    rules: [spanRule(24)]
+  },
+  body: {
+    anyOf: ['weight', 'bmi', 'bodyFat', 'leanMass', 'vo2Max'],
+    fields: {
+      ...timeFields,
+      weight: { type: 'number', unit: 'kg', limits: [0, 700], range: [20, 350] },
+      bmi: { type: 'number', unit: 'kg/m2', limits: [0, 200], range: [10, 80] },
+      bodyFat: { type: 'number', unit: '%', limits: [0, 100], range: [2, 75] },
+      leanMass: { type: 'number', unit: 'kg', limits: [0, 700], range: [10, 200] },
+      vo2Max: { type: 'number', unit: 'mL/kg/min', limits: [0, 150], range: [10, 95] }
+    },
+    rules: [
+      d => d.leanMass != null && d.weight != null && d.leanMass > d.weight &&
+        { field: 'leanMass', message: 'leanMass cannot exceed weight' }
+    ]
+  },
+  vitals: {
+    anyOf: ['bloodPressureSystolic', 'bloodPressureDiastolic', 'spo2', 'temperature'],
+    fields: {
+      ...timeFields,
+      bloodPressureSystolic: { type: 'number', unit: 'mmHg', limits: [0, 400], range: [60, 260] },
+      bloodPressureDiastolic: { type: 'number', unit: 'mmHg', limits: [0, 300], range: [30, 160] },
+      spo2: { type: 'number', unit: '%', limits: [0, 100], range: [70, 100] },
+      temperature: { type: 'number', unit: '°C', limits: [0, 50], range: [33, 43] }
+    },
+    rules: [
+      d => (d.bloodPressureSystolic == null) !== (d.bloodPressureDiastolic == null) &&
+        { field: 'bloodPressureSystolic', message: 'Systolic and diastolic must be reported together' },
+      d => d.bloodPressureSystolic != null && d.bloodPressureDiastolic != null &&
+        d.bloodPressureSystolic <= d.bloodPressureDiastolic &&
+        { field: 'bloodPressureSystolic', message: 'Systolic must be greater than diastolic' }
+    ]
+  },
+  health: {
+    anyOf: ['condition', 'allergies', 'medications'],
+    fields: {
+      ...timeFields,
+      condition: { type: 'string', maxLength: 1000 },
+      allergies: { type: 'string', maxLength: 1000 },
+      medications: { type: 'string', maxLength: 2000 }
+    }
+  },
+  health_history: {
+    anyOf: ['pastConditions', 'surgeries', 'familyHistory', 'history'],
+    fields: {
+      ...timeFields,
+      pastConditions: { type: 'string', maxLength: 2000 },
+      surgeries: { type: 'string', maxLength: 2000 },
+      familyHistory: { type: 'string', maxLength: 2000 },
+      history: { type: 'any' }
+    }
+  }
+};
+
+// Parses an ISO 8601 string or epoch milliseconds; returns null when invalid.
+function toDate(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// YYYY-MM-DD calendar date, as used for birth dates and goal start dates.
+function isCalendarDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    toDate(`${value}T00:00:00Z`)?.toISOString().slice(0, 10) === value;
+}
+
+// Items of a comma-separated query parameter, or null when it is not a
+// single string, e.g. when it was repeated (?metrics=heart&metrics=sleep).
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',') : null;
+}
+
+function checkType(value, type, spec) {
+  if (type === 'any') return true;
+  if (type === 'timestamp') return toDate(value) !== null;
+  if (type === 'date') return isCalendarDate(value);
+  if (type === 'enum') return spec.values.includes(value);
+  if (type === 'timeZone') return isValidTimeZone(value);
+  if (type === 'string') return typeof value === 'string';
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'boolean') return typeof value === 'boolean';
+  if (type === 'array') return Array.isArray(value);
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function describe(spec) {
+  return spec.unit ? ` ${spec.unit}` : '';
+}
+
+function typeError(field, spec) {
+  if (spec.type === 'enum') return `${field} must be one of ${spec.values.join(', ')}`;
+  if (spec.type === 'date') return `${field} must be a YYYY-MM-DD date`;
+  if (spec.type === 'timeZone') return `${field} must be an IANA time zone such as Europe/London`;
+  return `${field} must be of type ${spec.type}`;
+}
+
+// Returns a list of { field, code, message } errors; empty means valid.
+// Codes 'required', 'type' and 'limit' are always fatal; 'range' and
+// 'consistency' describe implausible but well-formed readings.
+function validatePayload(endpoint, data) {
+  const schema = schemas[endpoint];
+  if (!schema) return [{ field: null, code: 'type', message: `Unknown endpoint ${endpoint}` }];
+  return validateSchema(schema, data);
+}
+
+// Checks `data` against a schema of the shape used above ({ fields, anyOf,
+// rules }). Shared with the other request bodies that need field checks.
+function validateSchema(schema, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data))
+    return [{ field: null, code: 'type', message: 'Payload must be an object' }];
+
+  const errors = [];
+
+  if (schema.anyOf && !schema.anyOf.some(f => data[f] != null)) {
+    errors.push({
+      field: null,
+      code: 'required',
+      message: `At least one of ${schema.anyOf.join(', ')} is required`
+    });
+  }
+
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    const value = data[field];
+    if (value == null) {
+      if (spec.required) errors.push({ field, code: 'required', message: `${field} is required` });
+      continue;
+    }
+    if (!checkType(value, spec.type, spec)) {
+      errors.push({ field, code: 'type', message: typeError(field, spec) });
+      continue;
+    }
+    if (spec.type === 'timestamp' && toDate(value) > Date.now() + MAX_CLOCK_SKEW_MS) {
+      errors.push({ field, code: 'limit', message: `${field} cannot be in the future`, value });
+      continue;
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      const message = spec.type === 'array'
+        ? `${field} must have at most ${spec.maxLength} entries`
+        : `${field} must be at most ${spec.maxLength} characters`;
+      errors.push({ field, code: 'limit', message });
+      continue;
+    }
+    if (spec.limits && (value < spec.limits[0] || value > spec.limits[1])) {
+      errors.push({
+        field,
+        code: 'limit',
+        message: `${field} must be between ${spec.limits[0]} and ${spec.limits[1]}${describe(spec)}`,
+        value
+      });
+      continue;
+    }
+    if (spec.range && (value < spec.range[0] || value > spec.range[1])) {
+      errors.push({
+        field,
+        code: 'range',
+        message: `${field} of ${value}${describe(spec)} is outside the plausible range ${spec.range[0]}-${spec.range[1]}${describe(spec)}`,
+        value
+      });
+    }
+  }
+
+  // Cross-field rules only make sense once every field is well-typed.
+  if (!errors.some(e => e.code === 'type' || e.code === 'limit')) {
+    for (const rule of schema.rules || []) {
+      const error = rule(data);
+      if (error) errors.push({ code: 'consistency', ...error });
+    }
+  }
+
+  return errors;
+}
+
+// True when every error is about plausibility rather than shape, i.e. the
+// reading can be kept aside for review instead of being thrown away.
+function isQuarantinable(errors) {
+  return errors.length > 0 && errors.every(e => e.code === 'range' || e.code === 'consistency');
+}
+
+module.exports = { SLEEP_STAGES, schemas, validatePayload, validateSchema, isQuarantinable, toDate, isCalendarDate, splitList };
@@ -0,0 +1,459 @@
+// Outbound webhooks. A user subscribes URLs to event types; every event is
+// queued as one delivery per subscribed webhook and POSTed as JSON:
+//
+//   { id, type, createdAt, data }
+//
+// with headers
+//   X-CardioApp-Event      the event type
+//   X-CardioApp-Delivery   the delivery id (retries keep it)
+//   X-CardioApp-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//                          keyed with the webhook's secret
+//
+// Any 2xx response counts as delivered. Other responses, network errors and
+// timeouts are retried with exponential backoff; after MAX_ATTEMPTS the
+// delivery is dead-lettered, where it stays until retried by hand. Delivery
+// is at least once, so receivers should ignore event ids they have seen.
+//
+// The queue is the webhook_deliveries table, worked through by a dispatcher
+// in every API process, so deliveries survive restarts. A dispatcher claims
+// each due delivery before sending it by moving its next attempt past the
+// send timeout, so two processes do not send the same one; a claim left by
+// a process that died expires and the delivery is sent again.
+//
+// Webhooks belong to a user. There are no organizations in the data model
+// to own them; a care team receives a patient's events through a webhook
+// registered on the patient's account.
+//
+// Payloads carry health data, so URLs must be https, and may not point at
+// loopback, link-local or private networks, so a webhook cannot be used to
+// reach services next to this one. Literal addresses are refused when the
+// webhook is saved; host names are checked against the address they resolve
+// to when each delivery connects. For development against a local receiver,
+// WEBHOOK_ALLOW_HTTP=true permits http:// and WEBHOOK_ALLOW_PRIVATE_URLS=true
+// private addresses.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const express = require('express');
+const store = require('./storage');
+const { requireAuth } = require('./auth');
+const { validateSchema } = require('./validation');
+
+const router = express.Router();
+
+const EVENT_TYPES = ['sample.ingested', 'alert.opened', 'goal.achieved', 'import.completed', 'export.ready'];
+// Sent by POST /webhooks/:id/ping whatever the subscription
+const PING = 'ping';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const TIMEOUT_MS = 10000;
+const CLAIM_MS = TIMEOUT_MS + 50000;
+const POLL_MS = 5000;
+const DISPATCH_BATCH = 20;
+const MAX_WEBHOOKS_PER_USER = 20;
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+const PROTOCOLS = ALLOW_HTTP ? ['http:', 'https:'] : ['https:'];
+
+// ----------------- DESTINATIONS -----------------
+const privateNetworks = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) privateNetworks.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv6');
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 subnets.
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || privateNetworks.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Host names that always mean this machine, whatever DNS says.
+function isLocalHostname(hostname) {
+  const name = hostname.toLowerCase().replace(/\.$/, '');
+  return name === 'localhost' || name.endsWith('.localhost');
+}
+
+// `hostname` as in URL.hostname, with IPv6 literals in brackets.
+function isForbiddenHost(hostname) {
+  if (ALLOW_PRIVATE_URLS) return false;
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return isLocalHostname(host);
+}
+
+// dns.lookup for deliveries: fails when the host resolves to an address
+// webhooks may not reach, so the check covers the address connected to.
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || ALLOW_PRIVATE_URLS) return callback(err, address, family);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) return callback(new Error(`${hostname} resolves to ${blocked}, a private address`));
+    callback(null, address, family);
+  });
+}
+
+const webhookSchema = {
+  fields: {
+    url: { type: 'string', maxLength: 2048, required: true },
+    events: { type: 'any', required: true },
+    description: { type: 'string', maxLength: 255 },
+    active: { type: 'boolean' }
+  },
+  rules: [
+    d => {
+      const invalid = { field: 'url', code: 'type', message: `url must be an absolute ${ALLOW_HTTP ? 'http(s)' : 'https'} URL` };
+      let url;
+      try {
+        url = new URL(d.url);
+      } catch (err) {
+        return invalid;
+      }
+      if (!PROTOCOLS.includes(url.protocol)) return invalid;
+      return isForbiddenHost(url.hostname) && {
+        field: 'url', code: 'range', message: 'url must not point at a loopback, link-local or private address'
+      };
+    },
+    d => (!Array.isArray(d.events) || d.events.length === 0 || d.events.some(e => !EVENT_TYPES.includes(e))) && {
+      field: 'events', code: 'type', message: `events must be a non-empty list of ${EVENT_TYPES.join(', ')}`
+    }
+  ]
+};
+
+// ----------------- SIGNING -----------------
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ----------------- QUEUE -----------------
+// Queues `events` ([{ type, data }]) of the user for every active webhook
+// subscribed to their type.
+async function notify(userId, events) {
+  const webhooks = (await store.webhooks.listForUser(userId)).filter(w => w.active);
+  let queued = 0;
+  for (const { type, data } of events) {
+    const subscribed = webhooks.filter(w => w.events.includes(type));
+    if (subscribed.length === 0) continue;
+    const payload = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    for (const webhook of subscribed) {
+      await store.webhookDeliveries.create({ webhookId: webhook.id, eventId: payload.id, eventType: type, payload });
+      queued++;
+    }
+  }
+  if (queued > 0) scheduleDispatch(0);
+  return queued;
+}
+
+// POSTs `body` to `url` and resolves with the response status. Redirects are
+// not followed.
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!PROTOCOLS.includes(target.protocol)) {
+      reject(new Error('Webhook URLs must use https'));
+      return;
+    }
+    if (isForbiddenHost(target.hostname)) {
+      reject(new Error(`${target.hostname} is a private address`));
+      return;
+    }
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, { method: 'POST', headers, lookup: checkedLookup, timeout: TIMEOUT_MS }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${TIMEOUT_MS / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function backoffSeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+async function attempt(due) {
+  const now = new Date();
+  // Another process got to it first
+  if (!(await store.webhookDeliveries.claim(due.id, now, new Date(now.getTime() + CLAIM_MS)))) return;
+  const delivery = await store.webhookDeliveries.findById(due.id);
+  const webhook = delivery && (await store.webhooks.findById(delivery.webhook_id));
+  // Removed meanwhile, taking its deliveries with it
+  if (!webhook) return;
+  const attempts = delivery.attempts + 1;
+
+  let statusCode = null;
+  let error = null;
+  if (!webhook.active) {
+    error = 'Webhook is disabled';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now / 1000);
+    try {
+      statusCode = await post(webhook.url, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'CardioApp-Webhooks/1.0',
+        'X-CardioApp-Event': delivery.event_type,
+        'X-CardioApp-Delivery': String(delivery.id),
+        'X-CardioApp-Signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`
+      }, body);
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const result = { attempts, lastAttemptAt: now, lastStatusCode: statusCode, lastError: error };
+  if (!error) {
+    await store.webhookDeliveries.update(delivery.id, { ...result, status: 'delivered', deliveredAt: now });
+  } else if (attempts >= MAX_ATTEMPTS || !webhook.active) {
+    await store.webhookDeliveries.update(delivery.id, { ...result, status: 'dead' });
+  } else {
+    const nextAttemptAt = new Date(now.getTime() + backoffSeconds(attempts) * 1000);
+    await store.webhookDeliveries.update(delivery.id, { ...result, nextAttemptAt });
+  }
+}
+
+// ----------------- DISPATCHER -----------------
+let timer = null;
+let dispatching = false;
+let dispatchAgain = false;
+
+function scheduleDispatch(delayMs = POLL_MS) {
+  if (dispatching) {
+    if (delayMs === 0) dispatchAgain = true;
+    return;
+  }
+  clearTimeout(timer);
+  timer = setTimeout(dispatch, delayMs);
+  // Pending retries alone should not keep the process alive
+  timer.unref();
+}
+
+async function dispatch() {
+  dispatching = true;
+  dispatchAgain = false;
+  try {
+    let due;
+    do {
+      due = await store.webhookDeliveries.listDue(new Date(), DISPATCH_BATCH);
+      await Promise.all(due.map(delivery => attempt(delivery).catch(err => console.error(`Webhook delivery ${delivery.id} failed`, err))));
+    } while (due.length === DISPATCH_BATCH);
+  } catch (err) {
+    console.error('Webhook dispatch failed', err);
+  } finally {
+    dispatching = false;
+    scheduleDispatch(dispatchAgain ? 0 : POLL_MS);
+  }
+}
+
+// Called once at startup; picks up deliveries queued before a restart.
+function startWebhookDispatcher() {
+  scheduleDispatch(0);
+}
+
+// ----------------- HELPERS -----------------
+function toWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    description: row.description,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    payload: row.payload
+  };
+}
+
+// The user's webhook with the id in the URL, or null after sending a 404.
+async function ownWebhook(req, res) {
+  const webhook = await store.webhooks.findById(req.params.id);
+  if (webhook && webhook.user_id.toString() === req.user.id) return webhook;
+  res.status(404).json({ success: false, message: 'Webhook not found' });
+  return null;
+}
+
+// ----------------- WEBHOOK ROUTES -----------------
+router.get('/webhooks', requireAuth, async (req, res) => {
+  try {
+    const rows = await store.webhooks.listForUser(req.user.id);
+    res.json({ success: true, eventTypes: EVENT_TYPES, webhooks: rows.map(toWebhook) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Subscribes a URL. The signing secret is only returned here and when rotated.
+router.post('/webhooks', requireAuth, async (req, res) => {
+  try {
+    const errors = validateSchema(webhookSchema, req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid webhook', errors });
+    if ((await store.webhooks.listForUser(req.user.id)).length >= MAX_WEBHOOKS_PER_USER)
+      return res.status(409).json({ success: false, message: `At most ${MAX_WEBHOOKS_PER_USER} webhooks per account` });
+
+    const { url, events, description = null } = req.body;
+    const secret = newSecret();
+    const id = await store.webhooks.create({ userId: req.user.id, url, events: [...new Set(events)], description, secret });
+    res.status(201).json({ success: true, webhook: toWebhook(await store.webhooks.findById(id)), secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const webhook = await ownWebhook(req, res);
+    if (!webhook) return;
+    res.json({ success: true, webhook: toWebhook(webhook) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Changes url, events, description or active.
+router.patch('/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const webhook = await ownWebhook(req, res);
+    if (!webhook) return;
+
+    const merged = { url: webhook.url, events: webhook.events, description: webhook.description, active: Boolean(webhook.active) };
+    for (const field of Object.keys(merged)) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+    const errors = validateSchema(webhookSchema, merged);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Invalid webhook', errors });
+
+    await store.webhooks.update(webhook.id, { ...merged, events: [...new Set(merged.events)] });
+    res.json({ success: true, webhook: toWebhook(await store.webhooks.findById(webhook.id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Removes the webhook and its delivery log.
+router.delete('/webhooks/:id', requireAuth, async (req, res) => {
+  try {
+    const removed = await store.webhooks.remove(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ success: false, message: 'Webhook not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// A new signing secret; the old one stops working at once.
+router.post('/webhooks/:id/secret', requireAuth, async (req, res) => {
+  try {
+    const webhook = await ownWebhook(req, res);
+    if (!webhook) return;
+    const secret = newSecret();
+    await store.webhooks.setSecret(webhook.id, secret);
+    res.json({ success: true, secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Queues a ping event to check the receiver and its signature handling.
+router.post('/webhooks/:id/ping', requireAuth, async (req, res) => {
+  try {
+    const webhook = await ownWebhook(req, res);
+    if (!webhook) return;
+    if (!webhook.active)
+      return res.status(409).json({ success: false, message: 'Webhook is disabled' });
+
+    const payload = { id: crypto.randomUUID(), type: PING, createdAt: new Date().toISOString(), data: { webhookId: webhook.id } };
+    const id = await store.webhookDeliveries.create({ webhookId: webhook.id, eventId: payload.id, eventType: PING, payload });
+    scheduleDispatch(0);
+    res.status(202).json({ success: true, delivery: toDelivery(await store.webhookDeliveries.findById(id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /webhooks/:id/deliveries?status=dead&limit=50
+// The delivery log, newest first; status=dead lists the dead letters.
+router.get('/webhooks/:id/deliveries', requireAuth, async (req, res) => {
+  try {
+    const webhook = await ownWebhook(req, res);
+    if (!webhook) return;
+
+    const { status = null } = req.query;
+    if (status && !['pending', 'delivered', 'dead'].includes(status))
+      return res.status(400).json({ success: false, message: 'status must be one of pending, delivered, dead' });
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_LOG_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_LIMIT)
+      return res.status(400).json({ success: false, message: `limit must be between 1 and ${MAX_LOG_LIMIT}` });
+
+    const rows = await store.webhookDeliveries.listForWebhook(webhook.id, { status, limit });
+    res.json({ success: true, deliveries: rows.map(toDelivery) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Puts a dead-lettered delivery back in the queue with a fresh set of attempts.
+router.post('/webhooks/:id/deliveries/:deliveryId/retry', requireAuth, async (req, res) => {
+  try {
+    const webhook = await ownWebhook(req, res);
+    if (!webhook) return;
+    const delivery = await store.webhookDeliveries.findById(req.params.deliveryId);
+    if (!delivery || delivery.webhook_id.toString() !== webhook.id.toString())
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    if (delivery.status !== 'dead')
+      return res.status(409).json({ success: false, message: 'Only dead-lettered deliveries can be retried' });
+    if (!webhook.active)
+      return res.status(409).json({ success: false, message: 'Webhook is disabled' });
+
+    await store.webhookDeliveries.update(delivery.id, { status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+    scheduleDispatch(0);
+    res.status(202).json({ success: true, delivery: toDelivery(await store.webhookDeliveries.findById(delivery.id)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = { router, EVENT_TYPES, notify, sign, startWebhookDispatcher, toWebhook };